@@ -0,0 +1,229 @@
+/**
+ * Local Development Chain
+ * Starts an in-process chain on localhost, compiles and deploys
+ * DonorVerification.sol, seeds a few donor records and points the app at it
+ * by writing .env.local. Runs until you press Ctrl+C; state is not kept.
+ *
+ * Usage: npm run chain:dev
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+import {
+  DEV_CHAIN_ID,
+  DEV_CHAIN_PORT,
+  DEV_RPC_URL,
+  DEV_CONTRACT_ADDRESS
+} from './src/utils/devChain.js';
+import {
+  subjectForAddress,
+  computeCommitment,
+  encodeIdentityPayload
+} from './src/utils/donorIdentity.js';
+import { compileContract } from './supabase/contracts/compile.js';
+
+// Standard Hardhat/Anvil test mnemonic; these keys are public, never fund them elsewhere
+const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+
+const ENV_FILE = path.resolve('.env.local');
+
+const DAY = 24 * 60 * 60;
+
+// DonorVerification.RevocationReason.DonorRequest
+const REVOCATION_DONOR_REQUEST = 4;
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
+  warn: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
+};
+
+/**
+ * Test account at the given index of the dev mnemonic
+ */
+function devWallet(index, provider) {
+  return ethers.HDNodeWallet
+    .fromPhrase(DEV_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`)
+    .connect(provider);
+}
+
+/**
+ * Fake certificate hash; real ones are the SHA-256 of the uploaded file
+ */
+function devCertHash(label) {
+  return ethers.sha256(ethers.toUtf8Bytes(`bloodlink dev certificate: ${label}`));
+}
+
+/**
+ * Store one record per seed and return what was written
+ */
+async function seedRecords(contract, provider) {
+  const now = Math.floor(Date.now() / 1000);
+  const privateDonorId = 'dev-private-donor';
+  const privateSalt = ethers.zeroPadValue('0x01', 32);
+
+  const seeds = [
+    {
+      label: 'Eligible donor',
+      donor: devWallet(3, provider).address,
+      subject: subjectForAddress(devWallet(3, provider).address),
+      records: [{ hash: devCertHash('eligible'), eligible: true, validUntil: now + 180 * DAY }],
+    },
+    {
+      label: 'Ineligible donor',
+      donor: devWallet(4, provider).address,
+      subject: subjectForAddress(devWallet(4, provider).address),
+      records: [{ hash: devCertHash('ineligible'), eligible: false, validUntil: now + 180 * DAY }],
+    },
+    {
+      label: 'Donor with history',
+      donor: devWallet(5, provider).address,
+      subject: subjectForAddress(devWallet(5, provider).address),
+      records: [
+        { hash: devCertHash('history-old'), eligible: false, validUntil: now + 90 * DAY },
+        { hash: devCertHash('history-new'), eligible: true, validUntil: now + 180 * DAY },
+      ],
+    },
+    {
+      label: 'Renewal due soon',
+      donor: devWallet(6, provider).address,
+      subject: subjectForAddress(devWallet(6, provider).address),
+      records: [{ hash: devCertHash('renewal'), eligible: true, validUntil: now + 10 * DAY }],
+    },
+    {
+      label: 'Revoked donor',
+      donor: devWallet(7, provider).address,
+      subject: subjectForAddress(devWallet(7, provider).address),
+      records: [{ hash: devCertHash('revoked'), eligible: true, validUntil: now + 180 * DAY }],
+      revokeReason: REVOCATION_DONOR_REQUEST,
+    },
+    {
+      label: 'Private donor',
+      donor: encodeIdentityPayload(privateDonorId, privateSalt),
+      subject: computeCommitment(privateDonorId, privateSalt),
+      records: [{ hash: devCertHash('private'), eligible: true, validUntil: now + 180 * DAY }],
+    },
+  ];
+
+  for (const seed of seeds) {
+    for (const record of seed.records) {
+      const tx = await contract.storeVerification(seed.subject, record.hash, record.eligible, record.validUntil);
+      await tx.wait();
+    }
+    if (seed.revokeReason) {
+      const tx = await contract.revoke(seed.subject, seed.revokeReason);
+      await tx.wait();
+    }
+  }
+
+  return seeds;
+}
+
+/**
+ * Set the given keys in .env.local, keeping anything else already there
+ * Vite loads .env.local after .env, so these win without touching .env
+ */
+function writeEnvFile(values) {
+  const existing = fs.existsSync(ENV_FILE) ? fs.readFileSync(ENV_FILE, 'utf8').split('\n') : [];
+  const kept = existing.filter(line => line.trim() && !Object.keys(values).some(key => line.startsWith(`${key}=`)));
+  const lines = [...kept, ...Object.entries(values).map(([key, value]) => `${key}=${value}`)];
+  fs.writeFileSync(ENV_FILE, `${lines.join('\n')}\n`);
+}
+
+async function startDevChain() {
+  console.log('\n===========================================');
+  console.log('   BloodLink Local Development Chain');
+  console.log('===========================================\n');
+
+  log.info('Compiling DonorVerification.sol...');
+  const { abi, bytecode } = compileContract();
+  log.success('Contract compiled');
+
+  const server = ganache.server({
+    chain: { chainId: DEV_CHAIN_ID },
+    wallet: { mnemonic: DEV_MNEMONIC, totalAccounts: 10 },
+    logging: { quiet: true },
+  });
+
+  try {
+    await server.listen(DEV_CHAIN_PORT);
+  } catch (error) {
+    throw new Error(`Failed to start chain on port ${DEV_CHAIN_PORT}: ${error.message}`);
+  }
+  log.success(`Chain running at ${DEV_RPC_URL} (Chain ID: ${DEV_CHAIN_ID})`);
+
+  const shutdown = async () => {
+    console.log('');
+    log.info('Stopping development chain...');
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  // No response cache, so back-to-back transactions never reuse a stale nonce
+  const provider = new ethers.JsonRpcProvider(DEV_RPC_URL, DEV_CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 });
+  const admin = devWallet(0, provider);
+  const hospital = devWallet(1, provider);
+
+  log.info('Deploying DonorVerification...');
+  const factory = new ethers.ContractFactory(abi, bytecode, admin);
+  const deployed = await factory.deploy();
+  await deployed.waitForDeployment();
+  const contractAddress = await deployed.getAddress();
+
+  if (contractAddress !== DEV_CONTRACT_ADDRESS) {
+    log.warn(`Deployed to ${contractAddress}, expected ${DEV_CONTRACT_ADDRESS}`);
+  }
+  log.success(`Contract deployed: ${contractAddress}`);
+
+  const grantTx = await deployed.grantVerifier(hospital.address);
+  await grantTx.wait();
+  log.success(`Verifier granted to dev hospital: ${hospital.address}`);
+
+  log.info('Seeding donor records...');
+  const seeds = await seedRecords(deployed.connect(hospital), provider);
+  log.success(`Seeded ${seeds.length} donors`);
+
+  writeEnvFile({
+    VITE_RPC_URL: DEV_RPC_URL,
+    VITE_CHAIN_ID: DEV_CHAIN_ID,
+    VITE_CONTRACT_ADDRESS: contractAddress,
+  });
+  log.success('Wrote VITE_RPC_URL, VITE_CHAIN_ID and VITE_CONTRACT_ADDRESS to .env.local');
+
+  console.log('\nSeeded donors (enter in Verify Certificate):');
+  seeds.forEach(seed => {
+    const latest = seed.records[seed.records.length - 1];
+    console.log(`\n  ${seed.label}`);
+    console.log(`    Donor:     ${seed.donor}`);
+    console.log(`    Cert hash: ${latest.hash}`);
+  });
+
+  console.log('\nAccounts:');
+  console.log(`  Admin:    ${admin.address}  key ${admin.privateKey}`);
+  console.log(`  Hospital: ${hospital.address}  key ${hospital.privateKey}`);
+
+  console.log('\nNext steps:');
+  console.log('1. Restart the dev server so Vite picks up .env.local: npm run dev');
+  console.log('2. For local Edge Functions, set RPC_URL to this chain (http://host.docker.internal:8545 from Docker),');
+  console.log(`   DONOR_CONTRACT_ADDRESS=${contractAddress} and set VERIFIER_KEY_<your hospital user id> to the Hospital key`);
+  console.log('\nPress Ctrl+C to stop the chain. Records are lost when it stops.\n');
+}
+
+startDevChain().catch(error => {
+  log.error(`Development chain failed: ${error.message}`);
+  process.exit(1);
+});
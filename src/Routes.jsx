@@ -14,6 +14,7 @@ import ChatBotPage from './pages/chatbot';
 import ChatbotTest from './pages/chatbot/ChatbotTest';
 import BloodLinkChatbot from './pages/bloodlink-chatbot';
 import BloodLinkRuleBot from './pages/bloodlink-chatbot';  // Rule-based chatbot
+import VerifyCertificatePage from './pages/verify-certificate';
 
 const Routes = () => {
   return (
@@ -34,6 +35,7 @@ const Routes = () => {
         <Route path="/chatbot-test" element={<ChatbotTest />} />
         <Route path="/chatbot-ai" element={<BloodLinkChatbot />} />  {/* AI Chatbot alternative route */}
         <Route path="/chatbot-old" element={<ChatBotPage />} />  {/* Old Gemini chatbot */}
+        <Route path="/verify/:id" element={<VerifyCertificatePage />} />  {/* Public, no sign-in */}
         <Route path="*" element={<NotFound />} />
       </RouterRoutes>
       </ErrorBoundary>
@@ -4,6 +4,7 @@ import Header from '../../components/ui/Header';
 import Button from '../../components/ui/Button';
 import Icon from '../../components/AppIcon';
 import hospitalService from '../../services/hospitalService';
+import { BLOOD_COMPONENTS, DEFAULT_COMPONENT } from '../../utils/bloodComponents';
 
 const BloodRequestCreation = () => {
   const navigate = useNavigate();
@@ -17,6 +18,7 @@ const BloodRequestCreation = () => {
     patientName: '',
     age: '',
     bloodType: '',
+    component: DEFAULT_COMPONENT,
     gender: '',
     medicalCondition: '',
     urgencyLevel: location?.state?.emergency ? 'critical' : 'urgent',
@@ -99,6 +101,7 @@ const BloodRequestCreation = () => {
       const requestData = {
         hospitalId: currentUser.id,
         bloodType: formData.bloodType,
+        component: formData.component,
         unitsNeeded: parseInt(formData.unitsNeeded),
         urgency: formData.urgencyLevel,
         hospitalName: currentUser.hospitalName || currentUser.name || 'Hospital',
@@ -126,6 +129,7 @@ const BloodRequestCreation = () => {
         patientName: '',
         age: '',
         bloodType: '',
+        component: DEFAULT_COMPONENT,
         gender: '',
         medicalCondition: '',
         urgencyLevel: 'urgent',
@@ -276,6 +280,22 @@ const BloodRequestCreation = () => {
               )}
             </div>
 
+            {/* Blood Component */}
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">
+                Blood Component *
+              </label>
+              <select
+                value={formData.component}
+                onChange={(e) => handleFormChange('component', e.target.value)}
+                className="w-full px-3 py-2 border border-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20"
+              >
+                {BLOOD_COMPONENTS.map(component => (
+                  <option key={component.value} value={component.value}>{component.label}</option>
+                ))}
+              </select>
+            </div>
+
             {/* Gender */}
             <div>
               <label className="block text-sm font-medium text-foreground mb-2">
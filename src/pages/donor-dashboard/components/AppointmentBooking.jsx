@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import appointmentService from '../../../services/appointmentService';
+
+const formatSlot = (slot) => {
+  const start = new Date(slot.startTime);
+  return `${start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} • ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+/**
+ * Donor appointment card: upcoming bookings with reschedule/cancel,
+ * and open hospital slots to book
+ */
+const AppointmentBooking = ({ donorId }) => {
+  const [appointments, setAppointments] = useState([]);
+  const [availableSlots, setAvailableSlots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busySlotId, setBusySlotId] = useState(null);
+  const [reschedulingId, setReschedulingId] = useState(null);
+
+  useEffect(() => {
+    if (donorId) {
+      loadData();
+    }
+  }, [donorId]);
+
+  const loadData = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [upcoming, slots] = await Promise.all([
+        appointmentService.getDonorAppointments(donorId, { upcomingOnly: true }),
+        appointmentService.getAvailableSlots()
+      ]);
+      setAppointments(upcoming);
+      setAvailableSlots(slots);
+    } catch (err) {
+      console.error('Failed to load appointments:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBook = async (slot) => {
+    setBusySlotId(slot.id);
+    setError(null);
+    try {
+      await appointmentService.bookAppointment(donorId, slot.id);
+      await loadData();
+    } catch (err) {
+      console.error('Failed to book appointment:', err);
+      setError(err.message);
+    } finally {
+      setBusySlotId(null);
+    }
+  };
+
+  const handleReschedule = async (appointment, slot) => {
+    setBusySlotId(slot.id);
+    setError(null);
+    try {
+      await appointmentService.rescheduleAppointment(appointment.id, slot.id);
+      setReschedulingId(null);
+      await loadData();
+    } catch (err) {
+      console.error('Failed to reschedule appointment:', err);
+      setError(err.message);
+    } finally {
+      setBusySlotId(null);
+    }
+  };
+
+  const handleCancel = async (appointment) => {
+    if (!window.confirm('Cancel this appointment?')) {
+      return;
+    }
+
+    try {
+      await appointmentService.cancelAppointment(appointment.id);
+      await loadData();
+    } catch (err) {
+      console.error('Failed to cancel appointment:', err);
+      setError(err.message);
+    }
+  };
+
+  const bookedSlotIds = appointments.map(appointment => appointment.slotId);
+  const reschedulingAppointment = appointments.find(appointment => appointment.id === reschedulingId);
+  const slotsToShow = (reschedulingAppointment
+    ? availableSlots.filter(slot => slot.hospitalId === reschedulingAppointment.hospitalId)
+    : availableSlots
+  ).filter(slot => !bookedSlotIds.includes(slot.id)).slice(0, 8);
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-6 shadow-sm">
+      <div className="flex items-center space-x-3 mb-4">
+        <div className="p-3 rounded-full bg-primary/10">
+          <Icon name="CalendarClock" size={24} color="var(--color-primary)" />
+        </div>
+        <div>
+          <h2 className="text-lg font-semibold text-foreground">Donation Appointments</h2>
+          <p className="text-sm text-text-secondary">Book a time so the hospital is ready for you</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-destructive/10 border border-destructive/20 rounded-lg">
+          <p className="text-sm text-destructive">{error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-6">
+          <Icon name="Loader2" size={24} className="animate-spin text-text-secondary" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {/* Upcoming appointments */}
+          {appointments.length > 0 && (
+            <div className="space-y-2">
+              {appointments.map((appointment) => (
+                <div key={appointment.id} className="p-3 bg-success/5 border border-success/20 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-foreground">
+                        {appointment.hospitalName || 'Hospital'}
+                      </p>
+                      <p className="text-sm text-text-secondary">{formatSlot(appointment)}</p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setReschedulingId(reschedulingId === appointment.id ? null : appointment.id)}
+                      >
+                        {reschedulingId === appointment.id ? 'Keep Time' : 'Reschedule'}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleCancel(appointment)}
+                      >
+                        Cancel
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Open slots */}
+          <div>
+            <h3 className="text-sm font-medium text-foreground mb-2">
+              {reschedulingAppointment
+                ? `Pick a new time at ${reschedulingAppointment.hospitalName || 'the same hospital'}`
+                : 'Open slots'}
+            </h3>
+            {slotsToShow.length === 0 ? (
+              <p className="text-sm text-text-secondary">No open slots in the next two weeks.</p>
+            ) : (
+              <ul className="space-y-2">
+                {slotsToShow.map((slot) => (
+                  <li key={slot.id} className="flex items-center justify-between p-3 border border-border rounded-lg">
+                    <div>
+                      <p className="text-sm font-medium text-foreground">
+                        {slot.hospitalName || 'Hospital'}
+                        {slot.hospitalCity && <span className="text-text-secondary font-normal"> • {slot.hospitalCity}</span>}
+                      </p>
+                      <p className="text-sm text-text-secondary">
+                        {formatSlot(slot)} • {slot.placesLeft} {slot.placesLeft === 1 ? 'place' : 'places'} left
+                      </p>
+                    </div>
+                    <Button
+                      size="sm"
+                      disabled={busySlotId === slot.id}
+                      onClick={() => (reschedulingAppointment
+                        ? handleReschedule(reschedulingAppointment, slot)
+                        : handleBook(slot))}
+                    >
+                      {busySlotId === slot.id ? 'Saving...' : reschedulingAppointment ? 'Move Here' : 'Book'}
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AppointmentBooking;
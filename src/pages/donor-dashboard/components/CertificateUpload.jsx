@@ -1,22 +1,146 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../../contexts/AuthContext';
-import { uploadCertificate, createCertificateRecord } from '../../../services/blockchainVerificationService';
+import { QRCodeSVG } from 'qrcode.react';
+import { uploadCertificate, createCertificateRecord, getDonorCertificates, getPublicVerificationUrl } from '../../../services/blockchainVerificationService';
+import notificationService from '../../../services/notificationService';
+import walletService from '../../../services/walletService';
+import certificateExtractionService from '../../../services/certificateExtractionService';
+import certificateReviewService from '../../../services/certificateReviewService';
 import { computeCertificateHash, validateCertificateFile, extractFileMetadata } from '../../../utils/certificateHash';
+import { getCertificateStatus, getDaysUntilExpiry, needsRenewal, getRevocationReasonLabel } from '../../../utils/certificateValidity';
+import { IDENTITY_MODES, generateSalt, encodeIdentityPayload } from '../../../utils/donorIdentity';
+import { findProfileMismatches } from '../../../utils/certificateExtraction';
+import { REVIEW_STATUSES } from '../../../utils/certificateReview';
 import Button from '../../../components/ui/Button';
-import Input from '../../../components/ui/Input';
 
 /**
  * Certificate Upload Component for Donors
  * Allows donors to upload health certificates for blockchain verification
  */
 export default function CertificateUpload({ onUploadComplete }) {
-  const { user } = useAuth();
+  const { user, userProfile } = useAuth();
   const [file, setFile] = useState(null);
-  const [walletAddress, setWalletAddress] = useState('');
+  const [provenWallet, setProvenWallet] = useState(null);
+  const [isConnecting, setIsConnecting] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [previewUrl, setPreviewUrl] = useState(null);
+  const [extraction, setExtraction] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const readingFile = useRef(null);
+  const [currentCertificate, setCurrentCertificate] = useState(null);
+  const [renewalPending, setRenewalPending] = useState(false);
+  const [approvedCertificates, setApprovedCertificates] = useState([]);
+  const [privateMode, setPrivateMode] = useState(false);
+  const [existingSalt, setExistingSalt] = useState(null);
+  // A submission hospital staff asked about; the next upload replaces it
+  const [infoRequest, setInfoRequest] = useState(null);
+  const [infoComments, setInfoComments] = useState([]);
+  const [replyBody, setReplyBody] = useState('');
+  const [isReplying, setIsReplying] = useState(false);
+
+  useEffect(() => {
+    if (user?.id) {
+      loadCurrentCertificate();
+      walletService.getProvenWallet(user.id).then(setProvenWallet);
+    }
+  }, [user?.id]);
+
+  /**
+   * Load the donor's latest reviewed certificate and remind them if it is about to expire
+   */
+  const loadCurrentCertificate = async () => {
+    try {
+      const certificates = await getDonorCertificates(user.id);
+      const reviewed = certificates.find(cert => cert.eligible !== null) || null;
+      const requested = certificates.find(cert => cert.review_status === REVIEW_STATUSES.INFO_REQUESTED) || null;
+      // A newer upload awaiting review is already the renewal
+      const pending = certificates.length > 0 && certificates[0].eligible === null && certificates[0] !== requested;
+
+      // Reuse the donor's salt so every private-mode record lands under the same commitment
+      const salted = certificates.find(cert => cert.identity_mode === IDENTITY_MODES.COMMITMENT && cert.identity_salt);
+
+      setCurrentCertificate(reviewed);
+      setRenewalPending(pending);
+      setApprovedCertificates(certificates.filter(cert => cert.eligible === true));
+      setExistingSalt(salted?.identity_salt || null);
+      if (salted) setPrivateMode(true);
+      setInfoRequest(requested);
+      setInfoComments(requested ? await certificateReviewService.getComments(requested) : []);
+
+      if (requested) {
+        notificationService.showNotification(
+          'More information needed for your certificate',
+          requested.review_note || 'Hospital staff have asked you to re-upload your health certificate.',
+          { tag: `certificate-info-request-${requested.id}` }
+        );
+      }
+
+      if (reviewed && !pending && needsRenewal(reviewed)) {
+        notificationService.showNotification(
+          'Health certificate expiring soon',
+          `Your certificate expires in ${getDaysUntilExpiry(reviewed)} days. Upload a renewed certificate to stay eligible.`,
+          { tag: `certificate-renewal-${reviewed.id}` }
+        );
+      }
+    } catch (err) {
+      console.error('Failed to load certificates:', err);
+    }
+  };
+
+  /**
+   * Answer hospital staff on the submission they asked about
+   */
+  const handleReply = async () => {
+    setIsReplying(true);
+    try {
+      await certificateReviewService.addComment(infoRequest.id, user.id, replyBody, { visibleToDonor: true });
+      setReplyBody('');
+      setInfoComments(await certificateReviewService.getComments(infoRequest));
+    } catch (err) {
+      console.error('Reply error:', err);
+      setError(err.message || 'Failed to send reply');
+    } finally {
+      setIsReplying(false);
+    }
+  };
+
+  /**
+   * Connect a wallet and sign the ownership message
+   */
+  const handleConnectWallet = async () => {
+    setIsConnecting(true);
+    setError(null);
+
+    try {
+      const proof = await walletService.proveOwnership();
+      setProvenWallet({ address: proof.address, verifiedAt: proof.verifiedAt, custodial: false });
+    } catch (err) {
+      console.error('Wallet connection error:', err);
+      setError(err.message || 'Failed to connect wallet');
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  /**
+   * Use a wallet held by BloodLink instead of the donor's own
+   */
+  const handleUseManagedWallet = async () => {
+    setIsConnecting(true);
+    setError(null);
+
+    try {
+      const wallet = await walletService.createCustodialWallet();
+      setProvenWallet({ address: wallet.address, verifiedAt: wallet.verifiedAt, custodial: true });
+    } catch (err) {
+      console.error('Managed wallet error:', err);
+      setError(err.message || 'Failed to set up a managed wallet');
+    } finally {
+      setIsConnecting(false);
+    }
+  };
 
   /**
    * Handle file selection
@@ -24,6 +148,8 @@ export default function CertificateUpload({ onUploadComplete }) {
   const handleFileChange = (e) => {
     const selectedFile = e.target.files?.[0];
     
+    setExtraction(null);
+
     if (!selectedFile) {
       setFile(null);
       setPreviewUrl(null);
@@ -54,6 +180,27 @@ export default function CertificateUpload({ onUploadComplete }) {
     } else {
       setPreviewUrl(null);
     }
+
+    readCertificate(selectedFile);
+  };
+
+  /**
+   * Read the certificate's fields on this device, so mismatches show before upload
+   */
+  const readCertificate = async (selectedFile) => {
+    readingFile.current = selectedFile;
+    setIsReading(true);
+
+    try {
+      const result = await certificateExtractionService.extract(selectedFile);
+      if (readingFile.current === selectedFile) setExtraction(result);
+    } catch (err) {
+      // Reviewers can still read the file by hand; the upload is not blocked
+      console.error('Certificate extraction error:', err);
+      if (readingFile.current === selectedFile) setExtraction(null);
+    } finally {
+      if (readingFile.current === selectedFile) setIsReading(false);
+    }
   };
 
   /**
@@ -62,14 +209,8 @@ export default function CertificateUpload({ onUploadComplete }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!file || !walletAddress) {
-      setError('Please select a file and enter your wallet address');
-      return;
-    }
-
-    // Validate Ethereum address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      setError('Invalid Ethereum wallet address format');
+    if (!file || (!privateMode && !provenWallet)) {
+      setError('Please select a file and connect your wallet');
       return;
     }
 
@@ -81,6 +222,9 @@ export default function CertificateUpload({ onUploadComplete }) {
       // Compute file hash client-side (for transparency)
       const certHash = await computeCertificateHash(file);
 
+      // Fingerprint the image so re-scans of an already submitted certificate are caught
+      const perceptualHash = await certificateExtractionService.computePerceptualHash(file).catch(() => null);
+
       // Upload file to Supabase Storage
       const uploadResult = await uploadCertificate(file, user.id);
 
@@ -92,12 +236,27 @@ export default function CertificateUpload({ onUploadComplete }) {
         donor_id: user.id,
         file_path: uploadResult.path,
         cert_hash: certHash,
-        donor_wallet_address: walletAddress, // Save wallet address
+        perceptual_hash: perceptualHash,
+        donor_wallet_address: privateMode ? null : provenWallet.address, // Proven by signature
+        identity_mode: privateMode ? IDENTITY_MODES.COMMITMENT : IDENTITY_MODES.ADDRESS,
+        identity_salt: privateMode ? (existingSalt || generateSalt()) : null,
         eligible: null, // Pending review
+        resubmission_of: infoRequest?.id || null, // Replaces the submission staff asked about
         tx_hash: null,
         chain_address: null,
       };
 
+      if (extraction) {
+        Object.assign(certificateData, {
+          extracted_text: extraction.text,
+          extracted_fields: extraction.fields,
+          extraction_method: extraction.method,
+          extraction_flags: findProfileMismatches(extraction.fields, userProfile),
+          extracted_by: user.id,
+          extracted_at: new Date().toISOString(),
+        });
+      }
+
       await createCertificateRecord(certificateData);
 
       console.log('Certificate uploaded successfully!');
@@ -105,9 +264,11 @@ export default function CertificateUpload({ onUploadComplete }) {
       
       // Reset form
       setFile(null);
-      setWalletAddress('');
       setPreviewUrl(null);
+      setExtraction(null);
       
+      await loadCurrentCertificate();
+
       // Notify parent component
       if (onUploadComplete) {
         onUploadComplete();
@@ -130,13 +291,198 @@ export default function CertificateUpload({ onUploadComplete }) {
    * Clear form
    */
   const handleClear = () => {
+    readingFile.current = null;
     setFile(null);
-    setWalletAddress('');
     setPreviewUrl(null);
+    setExtraction(null);
+    setIsReading(false);
     setError(null);
     setSuccess(false);
   };
 
+  /**
+   * What hospital staff asked for, with a reply box; the next upload answers it
+   */
+  const renderInfoRequest = () => (
+    <div className="bg-purple-50 border border-purple-200 text-purple-800 px-4 py-3 rounded-lg mb-6">
+      <p className="text-sm font-medium">Hospital staff need more information about your certificate.</p>
+      <div className="mt-2 space-y-2">
+        {infoComments.map(comment => (
+          <div key={comment.id} className="text-sm">
+            <span className="font-medium">{comment.author_id === user.id ? 'You' : 'Hospital staff'}</span>
+            <span className="text-xs text-purple-600"> · {new Date(comment.created_at).toLocaleString()}</span>
+            <p className="whitespace-pre-wrap">{comment.body}</p>
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 flex gap-2">
+        <textarea
+          value={replyBody}
+          onChange={(e) => setReplyBody(e.target.value)}
+          rows={2}
+          className="flex-1 px-3 py-2 border border-purple-200 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          placeholder="Reply to hospital staff..."
+        />
+        <Button type="button" variant="outline" onClick={handleReply} disabled={!replyBody.trim() || isReplying}>
+          {isReplying ? 'Sending...' : 'Reply'}
+        </Button>
+      </div>
+      <p className="text-sm mt-2">Upload a new file below. It will replace this submission and go back to the same reviewer.</p>
+    </div>
+  );
+
+  /**
+   * Show the current certificate's validity and any renewal reminder
+   */
+  const renderCertificateStatus = () => {
+    if (renewalPending) {
+      return (
+        <div className="bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg mb-6">
+          <p className="text-sm font-medium">Your latest certificate is awaiting review.</p>
+        </div>
+      );
+    }
+
+    if (!currentCertificate) return null;
+
+    const status = getCertificateStatus(currentCertificate);
+    const validUntil = currentCertificate.valid_until
+      ? new Date(currentCertificate.valid_until).toLocaleDateString()
+      : null;
+
+    if (status === 'revoked') {
+      return (
+        <div className="bg-gray-100 border border-gray-300 text-gray-800 px-4 py-3 rounded-lg mb-6">
+          <p className="text-sm font-medium">Your certificate was revoked by hospital staff.</p>
+          <p className="text-sm mt-1">
+            {getRevocationReasonLabel(currentCertificate.revocation_reason) &&
+              `Reason: ${getRevocationReasonLabel(currentCertificate.revocation_reason)}. `}
+            Upload a new certificate to be verified again.
+          </p>
+        </div>
+      );
+    }
+
+    if (status === 'expired') {
+      return (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+          <p className="text-sm font-medium">Your certificate expired on {validUntil}.</p>
+          <p className="text-sm mt-1">Upload a renewed certificate to stay eligible to donate.</p>
+        </div>
+      );
+    }
+
+    if (needsRenewal(currentCertificate)) {
+      return (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6">
+          <p className="text-sm font-medium">
+            Your certificate expires in {getDaysUntilExpiry(currentCertificate)} days ({validUntil}).
+          </p>
+          <p className="text-sm mt-1">Upload a renewed certificate before then to stay eligible.</p>
+        </div>
+      );
+    }
+
+    if (status === 'active' && validUntil) {
+      return (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg mb-6">
+          <p className="text-sm font-medium">Your certificate is verified and valid until {validUntil}.</p>
+          {currentCertificate.identity_mode === IDENTITY_MODES.COMMITMENT && (
+            <div className="mt-2">
+              <p className="text-sm">Share this verification code with anyone who needs to check it:</p>
+              <code className="block bg-white px-3 py-2 rounded text-xs font-mono mt-1 break-all text-gray-800">
+                {encodeIdentityPayload(currentCertificate.donor_id, currentCertificate.identity_salt)}
+              </code>
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  /**
+   * What was read from the selected file, and any mismatch with the donor's profile
+   */
+  const renderExtraction = () => {
+    const { fields } = extraction;
+    const mismatches = findProfileMismatches(fields, userProfile);
+
+    return (
+      <div className="mt-4 space-y-2">
+        <h3 className="text-sm font-medium text-gray-700">Read From Your Certificate:</h3>
+        <p className="text-sm text-gray-600">
+          <span className="font-medium">Name:</span> {fields.donorName || 'Not found'}
+          {' · '}
+          <span className="font-medium">Blood Type:</span> {fields.bloodType || 'Not found'}
+          {' · '}
+          <span className="font-medium">Test Date:</span>{' '}
+          {fields.testDate || 'Not found'}
+        </p>
+        {mismatches.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded-lg text-sm">
+            {mismatches.map(mismatch => (
+              <p key={mismatch.field}>
+                {mismatch.label} on the certificate ({mismatch.extracted}) does not match your profile ({mismatch.expected}).
+              </p>
+            ))}
+            <p className="mt-1">Hospital staff will see this. Check you selected the right file, or update your profile.</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * QR code for each approved certificate, linking to its public verification page
+   */
+  const renderVerificationCodes = () => {
+    if (approvedCertificates.length === 0) return null;
+
+    return (
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">Verification QR Codes</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Anyone can scan a code to check that certificate against the blockchain, without signing in.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {approvedCertificates.map(cert => {
+            const url = getPublicVerificationUrl(
+              cert.id,
+              cert.identity_mode === IDENTITY_MODES.COMMITMENT ? encodeIdentityPayload(cert.donor_id, cert.identity_salt) : null
+            );
+            const status = getCertificateStatus(cert);
+
+            return (
+              <div key={cert.id} className="border border-gray-200 rounded-lg p-4 flex items-center gap-4">
+                <QRCodeSVG value={url} size={96} className="flex-shrink-0" />
+                <div className="min-w-0 text-sm">
+                  <p className="font-medium text-gray-800">
+                    Approved {new Date(cert.verified_at || cert.created_at).toLocaleDateString()}
+                  </p>
+                  <p className="text-gray-600">
+                    {status === 'pending_chain' ? 'Awaiting confirmation' : status.charAt(0).toUpperCase() + status.slice(1)}
+                    {cert.id === currentCertificate?.id && ' · current'}
+                  </p>
+                  <a
+                    href={url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-red-600 hover:text-red-700 underline"
+                  >
+                    Open verification page
+                  </a>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">
@@ -148,25 +494,94 @@ export default function CertificateUpload({ onUploadComplete }) {
         your certificate will be permanently recorded on the blockchain for authenticity.
       </p>
 
+      {/* Request for more information */}
+      {infoRequest && renderInfoRequest()}
+
+      {/* Current Certificate Status */}
+      {renderCertificateStatus()}
+
+      {/* Public verification links */}
+      {renderVerificationCodes()}
+
       <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Wallet Address Input */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Ethereum Wallet Address *
-          </label>
-          <Input
-            type="text"
-            value={walletAddress}
-            onChange={(e) => setWalletAddress(e.target.value)}
-            placeholder="0x..."
-            className="w-full"
+        {/* Privacy Mode */}
+        <label className="flex items-start gap-3">
+          <input
+            type="checkbox"
+            checked={privateMode}
+            onChange={(e) => setPrivateMode(e.target.checked)}
+            className="mt-1 rounded border-gray-300 text-red-600 focus:ring-red-500"
             disabled={isUploading}
-            required
           />
-          <p className="text-sm text-gray-500 mt-1">
-            Your Ethereum address will be linked to your certificate on the blockchain
-          </p>
-        </div>
+          <span>
+            <span className="block text-sm font-medium text-gray-700">Keep my wallet address off the blockchain</span>
+            <span className="block text-sm text-gray-500">
+              Your record is stored under a private code instead. Anyone verifying your certificate will need
+              the verification code shown here after approval.
+            </span>
+          </span>
+        </label>
+
+        {/* Wallet Connection */}
+        {!privateMode && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Ethereum Wallet *
+            </label>
+            {provenWallet ? (
+              <div className="flex items-center justify-between gap-3 bg-green-50 border border-green-200 rounded-lg px-4 py-3">
+                <div className="min-w-0">
+                  {provenWallet.custodial ? (
+                    <>
+                      <p className="text-sm font-medium text-green-800">Managed by BloodLink</p>
+                      <p className="text-xs text-gray-700">Your certificate will be recorded under a wallet we hold for you.</p>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-sm font-medium text-green-800">Wallet verified</p>
+                      <code className="block text-xs font-mono text-gray-700 break-all">{provenWallet.address}</code>
+                    </>
+                  )}
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleConnectWallet}
+                  disabled={isUploading || isConnecting || !walletService.isAvailable()}
+                >
+                  {isConnecting ? 'Waiting for wallet...' : provenWallet.custodial ? 'Use My Own Wallet' : 'Change'}
+                </Button>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-3">
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleConnectWallet}
+                  disabled={isUploading || isConnecting || !walletService.isAvailable()}
+                >
+                  {isConnecting ? 'Waiting for wallet...' : 'Connect Wallet'}
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleUseManagedWallet}
+                  disabled={isUploading || isConnecting}
+                >
+                  I Don't Have a Wallet
+                </Button>
+              </div>
+            )}
+            {!provenWallet && (
+              <p className="text-sm text-gray-500 mt-1">
+                {walletService.isAvailable()
+                  ? 'Connecting asks you to sign a message proving you own the wallet. It costs no gas.'
+                  : 'No browser wallet detected.'}
+                {' '}Without a wallet, BloodLink can hold one for you; your QR code still verifies your certificate.
+              </p>
+            )}
+          </div>
+        )}
 
         {/* File Upload */}
         <div>
@@ -218,6 +633,12 @@ export default function CertificateUpload({ onUploadComplete }) {
                 />
               </div>
             )}
+
+            {/* Fields read from the certificate */}
+            {isReading && (
+              <p className="text-sm text-gray-500 mt-4">Reading your certificate on this device...</p>
+            )}
+            {!isReading && extraction && renderExtraction()}
           </div>
         )}
 
@@ -240,7 +661,7 @@ export default function CertificateUpload({ onUploadComplete }) {
         <div className="flex gap-4">
           <Button
             type="submit"
-            disabled={!file || !walletAddress || isUploading}
+            disabled={!file || (!privateMode && !provenWallet) || isUploading || isReading}
             className="flex-1"
           >
             {isUploading ? (
@@ -11,8 +11,11 @@ const DonationHistory = ({ donations }) => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed': return 'text-success';
-      case 'scheduled': return 'text-primary';
+      case 'completed':
+      case 'released': return 'text-success';
+      case 'scheduled':
+      case 'collected':
+      case 'tested': return 'text-primary';
       case 'cancelled': return 'text-destructive';
       default: return 'text-text-secondary';
     }
@@ -20,8 +23,11 @@ const DonationHistory = ({ donations }) => {
 
   const getStatusBg = (status) => {
     switch (status) {
-      case 'completed': return 'bg-success/10';
-      case 'scheduled': return 'bg-primary/10';
+      case 'completed':
+      case 'released': return 'bg-success/10';
+      case 'scheduled':
+      case 'collected':
+      case 'tested': return 'bg-primary/10';
       case 'cancelled': return 'bg-destructive/10';
       default: return 'bg-muted';
     }
@@ -72,8 +78,8 @@ const DonationHistory = ({ donations }) => {
             <div className="flex items-start space-x-4 p-4 hover:bg-accent/50 rounded-lg transition-colors">
               {/* Timeline dot */}
               <div className={`w-3 h-3 rounded-full mt-2 ${
-                donation?.status === 'completed' ? 'bg-success' : 
-                donation?.status === 'scheduled' ? 'bg-primary' : 'bg-destructive'
+                ['completed', 'released'].includes(donation?.status) ? 'bg-success' : 
+                ['scheduled', 'collected', 'tested'].includes(donation?.status) ? 'bg-primary' : 'bg-destructive'
               }`}></div>
               
               <div className="flex-1 min-w-0">
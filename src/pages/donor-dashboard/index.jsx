@@ -9,6 +9,7 @@ import UrgentRequestsPanel from './components/UrgentRequestsPanel';
 import DonationHistory from './components/DonationHistory';
 import DonorStats from './components/DonorStats';
 import CertificateUpload from './components/CertificateUpload'; // Added CertificateUpload import
+import AppointmentBooking from './components/AppointmentBooking';
 import donorService from '../../services/donorService';
 import profileService from '../../services/profileService';
 import realtimeService from '../../services/realtimeService';
@@ -476,6 +477,9 @@ const DonorDashboard = () => {
               newEmergencyRequest={newEmergencyRequest}
             />
 
+            {/* Appointment Booking */}
+            <AppointmentBooking donorId={user?.id} />
+
             {/* Donation History - Mobile/Tablet */}
             <div className="lg:hidden">
               <DonationHistory donations={donationHistory} />
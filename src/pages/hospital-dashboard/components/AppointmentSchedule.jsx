@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import appointmentService from '../../../services/appointmentService';
+
+// Today's date in local time, as the date input expects
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const emptySlotForm = {
+  openTime: '09:00',
+  closeTime: '17:00',
+  durationMinutes: 30,
+  capacity: 2
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Daily donation schedule for the hospital appointments tab
+ * Publishes slots for a day and lets staff mark each booking attended or no-show
+ */
+const AppointmentSchedule = ({ hospitalId }) => {
+  const [selectedDate, setSelectedDate] = useState(todayString());
+  const [schedule, setSchedule] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [showSlotForm, setShowSlotForm] = useState(false);
+  const [slotForm, setSlotForm] = useState(emptySlotForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (hospitalId) {
+      loadSchedule();
+    }
+  }, [hospitalId, selectedDate]);
+
+  const loadSchedule = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await appointmentService.getDailySchedule(hospitalId, selectedDate);
+      setSchedule(data);
+    } catch (err) {
+      console.error('Failed to load schedule:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePublishSlots = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await appointmentService.createSlotsForDay(hospitalId, {
+        date: selectedDate,
+        ...slotForm
+      });
+      setShowSlotForm(false);
+      await loadSchedule();
+    } catch (err) {
+      console.error('Failed to publish slots:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeleteSlot = async (slot) => {
+    try {
+      await appointmentService.deleteSlot(slot.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('Failed to delete slot:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleAttended = async (appointment) => {
+    try {
+      await appointmentService.markAttended(appointment.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('Failed to mark appointment attended:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleNoShow = async (appointment) => {
+    if (!window.confirm(`Record ${appointment.donorName || 'this donor'} as a no-show?`)) {
+      return;
+    }
+
+    try {
+      await appointmentService.markNoShow(appointment.id);
+      await loadSchedule();
+    } catch (err) {
+      console.error('Failed to record no-show:', err);
+      setError(err.message);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'booked': return 'text-blue-600 bg-blue-100';
+      case 'attended': return 'text-green-600 bg-green-100';
+      case 'no_show': return 'text-red-600 bg-red-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const totalBooked = schedule.reduce((sum, slot) => sum + slot.bookedCount, 0);
+  const totalCapacity = schedule.reduce((sum, slot) => sum + slot.capacity, 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Donation Schedule</h3>
+            <p className="text-sm text-gray-600">
+              {schedule.length > 0
+                ? `${totalBooked} of ${totalCapacity} places booked across ${schedule.length} slots`
+                : 'No slots published for this day'}
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <Input
+              type="date"
+              value={selectedDate}
+              onChange={(e) => setSelectedDate(e.target.value)}
+            />
+            <Button
+              onClick={() => setShowSlotForm(!showSlotForm)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2"
+            >
+              <Icon name="CalendarPlus" size={16} className="mr-2" />
+              Publish Slots
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            <p className="text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Publish Slots Form */}
+        {showSlotForm && (
+          <form onSubmit={handlePublishSlots} className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Opens *</label>
+                <Input
+                  type="time"
+                  value={slotForm.openTime}
+                  onChange={(e) => setSlotForm(prev => ({ ...prev, openTime: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Closes *</label>
+                <Input
+                  type="time"
+                  value={slotForm.closeTime}
+                  onChange={(e) => setSlotForm(prev => ({ ...prev, closeTime: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Slot Length (minutes) *</label>
+                <Input
+                  type="number"
+                  min="5"
+                  step="5"
+                  value={slotForm.durationMinutes}
+                  onChange={(e) => setSlotForm(prev => ({ ...prev, durationMinutes: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Donors per Slot *</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={slotForm.capacity}
+                  onChange={(e) => setSlotForm(prev => ({ ...prev, capacity: e.target.value }))}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-600">
+              Slots are created back to back for {new Date(`${selectedDate}T00:00:00`).toLocaleDateString()}.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <Button
+                type="button"
+                onClick={() => setShowSlotForm(false)}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Publishing...' : 'Publish'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Daily Schedule */}
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Icon name="Loader2" size={24} className="animate-spin text-gray-400" />
+          </div>
+        ) : schedule.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <Icon name="CalendarX" size={32} className="mx-auto mb-2 text-gray-400" />
+            <p className="text-sm">Publish slots so donors can book a time to come in.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {schedule.map((slot) => (
+              <div key={slot.id} className="border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between px-4 py-2 bg-gray-50 rounded-t-lg">
+                  <div className="flex items-center space-x-3">
+                    <Icon name="Clock" size={16} className="text-gray-500" />
+                    <span className="font-medium text-gray-900">
+                      {formatTime(slot.startTime)} – {formatTime(slot.endTime)}
+                    </span>
+                    <span className={`text-xs font-medium ${slot.placesLeft === 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                      {slot.bookedCount}/{slot.capacity} booked
+                    </span>
+                  </div>
+                  {slot.bookedCount === 0 && (
+                    <button
+                      onClick={() => handleDeleteSlot(slot)}
+                      className="text-xs text-red-600 hover:text-red-800 font-medium"
+                    >
+                      Remove Slot
+                    </button>
+                  )}
+                </div>
+
+                {slot.appointments.length > 0 && (
+                  <ul className="divide-y divide-gray-100">
+                    {slot.appointments.map((appointment) => (
+                      <li key={appointment.id} className="flex items-center justify-between px-4 py-2">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {appointment.donorName || 'Unknown donor'}
+                            {appointment.donorBloodType && (
+                              <span className="ml-2 text-red-600">{appointment.donorBloodType}</span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {appointment.donorPhone || 'No phone'}
+                            {appointment.requestId && ' • Responding to a blood request'}
+                            {appointment.rescheduleCount > 0 && ` • Rescheduled ${appointment.rescheduleCount}x`}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusColor(appointment.status)}`}>
+                            {appointment.status.replace('_', '-')}
+                          </span>
+                          {appointment.status === 'booked' && (
+                            <>
+                              <button
+                                onClick={() => handleAttended(appointment)}
+                                className="text-xs text-green-600 hover:text-green-800 font-medium"
+                              >
+                                Attended
+                              </button>
+                              <button
+                                onClick={() => handleNoShow(appointment)}
+                                className="text-xs text-red-600 hover:text-red-800 font-medium"
+                              >
+                                No-Show
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentSchedule;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import auditLogService from '../../../services/auditLogService';
+import { AUDITED_TABLES, formatAuditValue } from '../../../utils/auditChain';
+import { formatHashForDisplay } from '../../../utils/certificateHash';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { tableName: '', action: '', recordId: '', from: '', to: '' };
+
+const ACTION_STYLES = {
+  insert: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800'
+};
+
+const getTableLabel = (tableName) => AUDITED_TABLES.find(table => table.id === tableName)?.label || tableName;
+
+/**
+ * Admin view of the tamper-evident audit log
+ * Filters entries, rebuilds the hash chain in the browser and checks anchored
+ * chain heads against the DonorVerification contract.
+ */
+export default function AuditLogViewer() {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [anchors, setAnchors] = useState([]);
+  const [anchorChecks, setAnchorChecks] = useState({});
+
+  useEffect(() => {
+    loadEntries();
+    loadAnchors();
+  }, []);
+
+  // Date inputs give yyyy-mm-dd; "to" covers the whole day
+  const toQueryFilters = (values) => ({
+    tableName: values.tableName || undefined,
+    action: values.action || undefined,
+    recordId: values.recordId.trim() || undefined,
+    from: values.from ? new Date(`${values.from}T00:00:00`).toISOString() : undefined,
+    to: values.to ? new Date(`${values.to}T23:59:59.999`).toISOString() : undefined,
+  });
+
+  const loadEntries = async (beforeId = null) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const page = await auditLogService.getEntries({
+        ...toQueryFilters(filters),
+        beforeId: beforeId || undefined,
+        limit: PAGE_SIZE,
+      });
+
+      setEntries(current => beforeId ? [...current, ...page] : page);
+      setHasMore(page.length === PAGE_SIZE);
+    } catch (err) {
+      console.error('Error loading audit log:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAnchors = async () => {
+    try {
+      setAnchors(await auditLogService.getAnchors());
+    } catch (err) {
+      console.error('Error loading audit anchors:', err);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(current => ({ ...current, [field]: value }));
+  };
+
+  const handleVerifyChain = async () => {
+    setIsVerifying(true);
+    try {
+      setVerification(await auditLogService.verifyChain());
+    } catch (err) {
+      console.error('Chain verification error:', err);
+      alert('Failed to verify audit log: ' + err.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleCheckAnchor = async (anchor) => {
+    setAnchorChecks(current => ({ ...current, [anchor.id]: { checking: true } }));
+    try {
+      const result = await auditLogService.checkAnchor(anchor);
+      setAnchorChecks(current => ({ ...current, [anchor.id]: result }));
+    } catch (err) {
+      setAnchorChecks(current => ({ ...current, [anchor.id]: { error: err.message } }));
+    }
+  };
+
+  const renderAnchorCheck = (anchor) => {
+    const check = anchorChecks[anchor.id];
+    if (!check) {
+      return (
+        <Button size="sm" variant="secondary" onClick={() => handleCheckAnchor(anchor)}>
+          Check
+        </Button>
+      );
+    }
+    if (check.checking) return <span className="text-gray-500">Checking...</span>;
+    if (check.error) return <span className="text-red-600">{check.error}</span>;
+    if (check.onChain && check.matchesLog) return <span className="text-green-700">✓ Matches blockchain</span>;
+    if (!check.onChain) return <span className="text-red-600">✗ Not found on blockchain</span>;
+    return <span className="text-red-600">✗ Log no longer matches this anchor</span>;
+  };
+
+  const renderChanges = (entry) => (
+    <ul className="space-y-0.5">
+      {Object.entries(entry.changes || {}).map(([column, change]) => (
+        <li key={column} className="text-xs text-gray-700 break-all">
+          <span className="font-medium">{column}:</span>{' '}
+          {entry.action !== 'insert' && <span className="text-red-700 line-through">{formatAuditValue(change.old)}</span>}
+          {entry.action === 'update' && ' → '}
+          {entry.action !== 'delete' && <span className="text-green-700">{formatAuditValue(change.new)}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Audit Log</h2>
+        <p className="text-gray-600">
+          Append-only record of inventory, request status, certificate and profile changes. Each entry is
+          hash-chained to the one before it.
+        </p>
+      </div>
+
+      {/* Integrity */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">Integrity</h3>
+            <p className="text-sm text-gray-600">Recomputes every hash on this device.</p>
+          </div>
+          <Button onClick={handleVerifyChain} disabled={isVerifying}>
+            {isVerifying ? 'Verifying...' : 'Verify Chain'}
+          </Button>
+        </div>
+
+        {verification && (
+          verification.valid ? (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+              ✓ All {verification.checked} entries are intact.
+              {verification.head && ` Head #${verification.head.id}: ${formatHashForDisplay(verification.head.entry_hash)}`}
+            </div>
+          ) : (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              ✗ Chain broken at entry #{verification.brokenAt}: {verification.reason}.
+              {' '}{verification.checked} entries before it are intact.
+            </div>
+          )
+        )}
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Blockchain Anchors:</p>
+          {anchors.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              The chain head has not been anchored yet. Schedule anchor-audit-log to anchor it periodically.
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {anchors.map(anchor => (
+                <li key={anchor.id} className="flex items-center justify-between gap-4 text-sm">
+                  <span className="text-gray-700">
+                    #{anchor.log_id} on {new Date(anchor.anchored_at).toLocaleString()}{' '}
+                    <code className="bg-gray-100 px-2 py-1 rounded text-xs">{formatHashForDisplay(anchor.anchored_root)}</code>
+                  </span>
+                  {renderAnchorCheck(anchor)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Area</label>
+            <select
+              value={filters.tableName}
+              onChange={(e) => handleFilterChange('tableName', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              <option value="">All</option>
+              {AUDITED_TABLES.map(table => (
+                <option key={table.id} value={table.id}>{table.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Action</label>
+            <select
+              value={filters.action}
+              onChange={(e) => handleFilterChange('action', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              <option value="">All</option>
+              <option value="insert">Created</option>
+              <option value="update">Updated</option>
+              <option value="delete">Deleted</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Record ID</label>
+            <Input
+              type="text"
+              value={filters.recordId}
+              onChange={(e) => handleFilterChange('recordId', e.target.value)}
+              placeholder="Any"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <Input type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <Input type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+          </div>
+        </div>
+        <div className="flex gap-3 mt-4">
+          <Button size="sm" onClick={() => loadEntries()} disabled={loading}>Apply Filters</Button>
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            disabled={loading}
+          >
+            Clear
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actor</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Area</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hash</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {entries.map(entry => (
+              <tr key={entry.id} className="align-top">
+                <td className="px-4 py-3 text-sm text-gray-500">{entry.id}</td>
+                <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{new Date(entry.occurred_at).toLocaleString()}</td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {entry.actor?.full_name || (entry.actor_id ? entry.actor_id.slice(0, 8) : 'System')}
+                  <span className="block text-xs text-gray-500">{entry.actor?.role || entry.actor_role}</span>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {getTableLabel(entry.table_name)}
+                  {entry.record_id && (
+                    <button
+                      type="button"
+                      onClick={() => handleFilterChange('recordId', entry.record_id)}
+                      className="block text-xs text-red-600 hover:text-red-700 font-mono"
+                      title="Filter by this record"
+                    >
+                      {entry.record_id.slice(0, 8)}
+                    </button>
+                  )}
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`inline-block px-2 py-0.5 text-xs font-medium rounded-full ${ACTION_STYLES[entry.action]}`}>
+                    {entry.action}
+                  </span>
+                </td>
+                <td className="px-4 py-3">{renderChanges(entry)}</td>
+                <td className="px-4 py-3">
+                  <code className="text-xs text-gray-500">{entry.entry_hash.slice(0, 10)}</code>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {!loading && entries.length === 0 && (
+          <p className="text-center py-12 text-gray-500">No audit entries match these filters</p>
+        )}
+      </div>
+
+      {(hasMore || loading) && (
+        <div className="text-center">
+          <Button
+            variant="secondary"
+            onClick={() => loadEntries(entries[entries.length - 1]?.id)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Load More'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import bloodTransferService from '../../../services/bloodTransferService';
+import realtimeService from '../../../services/realtimeService';
+import notificationService from '../../../services/notificationService';
+import { BLOOD_COMPONENTS, DEFAULT_COMPONENT, getComponentLabel } from '../../../utils/bloodComponents';
+import { BLOOD_TYPES } from '../../../utils/bloodCompatibility';
+
+const bloodTypeOptions = BLOOD_TYPES.map(type => ({ value: type, label: type }));
+
+const componentOptions = BLOOD_COMPONENTS.map(component => ({
+  value: component.value,
+  label: component.label
+}));
+
+const radiusOptions = [25, 50, 100, 200].map(km => ({ value: km, label: `Within ${km} km` }));
+
+const emptySearch = {
+  bloodType: '',
+  component: DEFAULT_COMPONENT,
+  units: 1,
+  maxDistance: 50
+};
+
+const STATUS_STYLES = {
+  requested: 'text-yellow-700 bg-yellow-100',
+  accepted: 'text-blue-600 bg-blue-100',
+  dispatched: 'text-purple-600 bg-purple-100',
+  received: 'text-green-600 bg-green-100',
+  rejected: 'text-red-600 bg-red-100',
+  cancelled: 'text-gray-600 bg-gray-100'
+};
+
+const STATUS_LABELS = {
+  requested: 'Awaiting Response',
+  accepted: 'Accepted',
+  dispatched: 'In Transit',
+  received: 'Received',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Hospital-to-hospital transfers for the hospital dashboard
+ * Searches nearby hospitals' shareable stock (nearest first), sends transfer
+ * requests and walks both sides through accept, dispatch and receipt
+ */
+const BloodTransfers = ({ hospital, onInventoryChange }) => {
+  const [search, setSearch] = useState(emptySearch);
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const [transfers, setTransfers] = useState({ incoming: [], outgoing: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!hospital?.id) return;
+
+    loadTransfers();
+
+    realtimeService.subscribeToBloodTransfers(hospital.id, (payload) => {
+      const transfer = payload.new;
+      if (payload.eventType === 'INSERT' && transfer?.supplying_hospital_id === hospital.id) {
+        notificationService.showNotification(
+          'Blood Transfer Request',
+          `A hospital is requesting ${transfer.units_requested} ${transfer.blood_type} units from your stock`,
+          { tag: `blood-transfer-${transfer.id}` }
+        );
+      }
+      loadTransfers();
+    });
+
+    return () => {
+      realtimeService.unsubscribe(`blood_transfers_${hospital.id}`);
+    };
+  }, [hospital?.id]);
+
+  const loadTransfers = async () => {
+    try {
+      const data = await bloodTransferService.getTransfers(hospital.id);
+      setTransfers(data);
+    } catch (err) {
+      console.error('Failed to load blood transfers:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setIsSearching(true);
+    setError(null);
+    try {
+      const stock = await bloodTransferService.findNearbyStock(hospital, {
+        bloodType: search.bloodType,
+        component: search.component,
+        maxDistance: Number(search.maxDistance)
+      });
+      setResults(stock);
+    } catch (err) {
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleRequest = async (stock) => {
+    const note = window.prompt(
+      `Request ${search.units} ${search.bloodType} ${getComponentLabel(search.component)} units from ${stock.hospitalName}?\n\nOptional note (patient urgency, pickup details):`
+    );
+    if (note === null) return;
+
+    setBusyId(stock.hospitalId);
+    try {
+      await bloodTransferService.requestTransfer(stock.hospitalId, {
+        bloodType: search.bloodType,
+        component: search.component,
+        units: search.units,
+        note
+      });
+      alert(`Transfer requested from ${stock.hospitalName}`);
+      await loadTransfers();
+    } catch (err) {
+      alert('Failed to request transfer: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Run a status change, then refresh the list and (for bag moves) the inventory totals
+  const runAction = async (transfer, action, changesInventory = true) => {
+    setBusyId(transfer.id);
+    try {
+      await action();
+      await loadTransfers();
+      if (changesInventory) onInventoryChange?.();
+    } catch (err) {
+      alert('Transfer update failed: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAccept = (transfer) => {
+    if (!window.confirm(`Reserve ${transfer.unitsRequested} ${transfer.bloodType} bags for ${transfer.requestingHospital?.name || 'this hospital'}?`)) return;
+    runAction(transfer, () => bloodTransferService.acceptTransfer(transfer.id));
+  };
+
+  const handleReject = (transfer) => {
+    const reason = window.prompt('Reason for declining (shown to the requesting hospital):');
+    if (reason === null) return;
+    runAction(transfer, () => bloodTransferService.rejectTransfer(transfer.id, reason), false);
+  };
+
+  const handleDispatch = (transfer) => {
+    if (!window.confirm(`Mark ${transfer.units.length} bags as dispatched? They will leave your inventory.`)) return;
+    runAction(transfer, () => bloodTransferService.dispatchTransfer(transfer.id));
+  };
+
+  const handleCancel = (transfer) => {
+    if (!window.confirm('Cancel this transfer request?')) return;
+    runAction(transfer, () => bloodTransferService.cancelTransfer(transfer.id), false);
+  };
+
+  const handleReceive = (transfer) => {
+    if (!window.confirm(`Confirm that all ${transfer.units.length} bags have arrived? They will be added to your inventory.`)) return;
+    runAction(transfer, () => bloodTransferService.receiveTransfer(transfer.id));
+  };
+
+  const renderActions = (transfer, isSupplier) => {
+    const busy = busyId === transfer.id;
+
+    if (isSupplier && transfer.status === 'requested') {
+      return (
+        <>
+          <Button size="sm" onClick={() => handleAccept(transfer)} disabled={busy}>Accept</Button>
+          <Button size="sm" variant="outline" onClick={() => handleReject(transfer)} disabled={busy}>Reject</Button>
+        </>
+      );
+    }
+    if (isSupplier && transfer.status === 'accepted') {
+      return <Button size="sm" onClick={() => handleDispatch(transfer)} disabled={busy}>Mark Dispatched</Button>;
+    }
+    if (!isSupplier && ['requested', 'accepted'].includes(transfer.status)) {
+      return <Button size="sm" variant="outline" onClick={() => handleCancel(transfer)} disabled={busy}>Cancel</Button>;
+    }
+    if (!isSupplier && transfer.status === 'dispatched') {
+      return <Button size="sm" onClick={() => handleReceive(transfer)} disabled={busy}>Confirm Receipt</Button>;
+    }
+    return null;
+  };
+
+  const renderTransfer = (transfer, isSupplier) => {
+    const counterpart = isSupplier ? transfer.requestingHospital : transfer.supplyingHospital;
+
+    return (
+      <div key={transfer.id} className="border border-gray-200 rounded-lg p-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-2">
+              <span className="font-medium text-gray-900">
+                {transfer.unitsRequested} × {transfer.bloodType} {getComponentLabel(transfer.component)}
+              </span>
+              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[transfer.status]}`}>
+                {STATUS_LABELS[transfer.status]}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+              {isSupplier ? 'Requested by' : 'From'} {counterpart?.name || 'Unknown Hospital'}
+              {counterpart?.city && ` (${counterpart.city})`}
+              {counterpart?.phone && ` • ${counterpart.phone}`}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              Requested {new Date(transfer.createdAt).toLocaleString()}
+              {transfer.dispatchedAt && ` • Dispatched ${new Date(transfer.dispatchedAt).toLocaleString()}`}
+              {transfer.receivedAt && ` • Received ${new Date(transfer.receivedAt).toLocaleString()}`}
+            </p>
+            {transfer.requestNote && (
+              <p className="text-sm text-gray-700 mt-2">Note: {transfer.requestNote}</p>
+            )}
+            {transfer.responseNote && (
+              <p className="text-sm text-gray-700 mt-1">
+                {transfer.status === 'rejected' ? 'Reason' : 'Reply'}: {transfer.responseNote}
+              </p>
+            )}
+            {transfer.units.length > 0 && (
+              <p className="text-xs text-gray-600 mt-2">
+                Bags: {transfer.units.map(unit => unit.bagNumber).join(', ')}
+              </p>
+            )}
+          </div>
+          <div className="flex gap-2 shrink-0">
+            {renderActions(transfer, isSupplier)}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const pendingIncoming = transfers.incoming.filter(transfer => transfer.status === 'requested').length;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {/* Search nearby stock */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Find Stock at Nearby Hospitals</h3>
+          <p className="text-sm text-gray-600">
+            Shows available bags with more than 2 days of shelf life left, nearest hospital first
+          </p>
+        </div>
+        <form onSubmit={handleSearch} className="p-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Blood Type *</label>
+            <Select
+              value={search.bloodType}
+              onChange={(value) => setSearch(prev => ({ ...prev, bloodType: value }))}
+              options={bloodTypeOptions}
+              placeholder="Select type"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Component</label>
+            <Select
+              value={search.component}
+              onChange={(value) => setSearch(prev => ({ ...prev, component: value }))}
+              options={componentOptions}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Units Needed</label>
+            <Input
+              type="number"
+              min="1"
+              value={search.units}
+              onChange={(e) => setSearch(prev => ({ ...prev, units: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Distance</label>
+            <Select
+              value={search.maxDistance}
+              onChange={(value) => setSearch(prev => ({ ...prev, maxDistance: value }))}
+              options={radiusOptions}
+            />
+          </div>
+          <Button type="submit" disabled={!search.bloodType || isSearching}>
+            <Icon name="Search" size={16} className="mr-2" />
+            {isSearching ? 'Searching...' : 'Search'}
+          </Button>
+        </form>
+
+        {results && (
+          <div className="px-6 pb-6 space-y-3">
+            {results.length === 0 ? (
+              <p className="text-center py-6 text-gray-500">
+                No hospitals within {search.maxDistance} km can share {search.bloodType} {getComponentLabel(search.component)}
+              </p>
+            ) : results.map(stock => (
+              <div key={stock.hospitalId} className="flex items-center justify-between border border-gray-200 rounded-lg p-4">
+                <div>
+                  <p className="font-medium text-gray-900">{stock.hospitalName}</p>
+                  <p className="text-sm text-gray-600">
+                    {stock.distanceFormatted} away (~{stock.travelTime.formatted})
+                    {stock.city && ` • ${stock.city}`}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {stock.unitsAvailable} units shareable
+                    {stock.nextExpiry && ` • next expiry ${new Date(stock.nextExpiry).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  onClick={() => handleRequest(stock)}
+                  disabled={busyId === stock.hospitalId || stock.unitsAvailable < search.units}
+                  title={stock.unitsAvailable < search.units ? `Only ${stock.unitsAvailable} units available` : undefined}
+                >
+                  Request {search.units} Units
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Requests from other hospitals */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Requests from Other Hospitals</h3>
+            <p className="text-sm text-gray-600">
+              Accepting reserves your bags; dispatching takes them out of your inventory
+            </p>
+          </div>
+          {pendingIncoming > 0 && (
+            <span className="px-3 py-1 text-sm font-medium rounded-full text-yellow-700 bg-yellow-100">
+              {pendingIncoming} awaiting response
+            </span>
+          )}
+        </div>
+        <div className="p-6 space-y-3">
+          {isLoading ? (
+            <p className="text-center py-6 text-gray-500">Loading transfers...</p>
+          ) : transfers.incoming.length === 0 ? (
+            <p className="text-center py-6 text-gray-500">No transfer requests received</p>
+          ) : transfers.incoming.map(transfer => renderTransfer(transfer, true))}
+        </div>
+      </div>
+
+      {/* Requests this hospital sent */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Our Transfer Requests</h3>
+          <p className="text-sm text-gray-600">Confirming receipt adds the bags to your inventory</p>
+        </div>
+        <div className="p-6 space-y-3">
+          {isLoading ? (
+            <p className="text-center py-6 text-gray-500">Loading transfers...</p>
+          ) : transfers.outgoing.length === 0 ? (
+            <p className="text-center py-6 text-gray-500">No transfer requests sent</p>
+          ) : transfers.outgoing.map(transfer => renderTransfer(transfer, false))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BloodTransfers;
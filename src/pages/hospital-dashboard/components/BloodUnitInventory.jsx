@@ -0,0 +1,433 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import bloodUnitService from '../../../services/bloodUnitService';
+import { BLOOD_COMPONENTS, DEFAULT_COMPONENT, getComponentLabel } from '../../../utils/bloodComponents';
+
+const bloodTypeOptions = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].map(type => ({
+  value: type,
+  label: type
+}));
+
+const componentOptions = BLOOD_COMPONENTS.map(component => ({
+  value: component.value,
+  label: `${component.label} (${component.shelfLifeDays} days)`
+}));
+
+const statusFilters = [
+  { id: 'available', label: 'Available' },
+  { id: 'quarantined', label: 'Quarantined' },
+  { id: 'issued', label: 'Issued' },
+  { id: 'all', label: 'All Bags' }
+];
+
+const emptyBagForm = {
+  bagNumber: '',
+  bloodType: '',
+  component: DEFAULT_COMPONENT,
+  collectionDate: new Date().toISOString().slice(0, 10),
+  expiryDate: ''
+};
+
+const emptyIssueForm = {
+  bloodType: '',
+  component: DEFAULT_COMPONENT,
+  units: 1
+};
+
+/**
+ * Blood bag management for the hospital inventory tab
+ * Registers individual bags, issues them first-expiring-first-out and
+ * lists quarantined/issued bags
+ */
+const BloodUnitInventory = ({ hospitalId, onInventoryChange }) => {
+  const [units, setUnits] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('available');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [bagForm, setBagForm] = useState(emptyBagForm);
+  const [showIssueForm, setShowIssueForm] = useState(false);
+  const [issueForm, setIssueForm] = useState(emptyIssueForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [lastIssued, setLastIssued] = useState([]);
+
+  useEffect(() => {
+    if (hospitalId) {
+      loadUnits();
+    }
+  }, [hospitalId, statusFilter]);
+
+  const loadUnits = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      // Sweep expired bags first so they never show up as available
+      await bloodUnitService.quarantineExpiredUnits(hospitalId);
+      const filters = statusFilter === 'all' ? {} : { status: statusFilter };
+      const data = await bloodUnitService.getUnits(hospitalId, filters);
+      setUnits(data);
+    } catch (err) {
+      console.error('Failed to load blood units:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const refreshAll = async () => {
+    await loadUnits();
+    if (onInventoryChange) {
+      onInventoryChange();
+    }
+  };
+
+  const handleAddBag = async (e) => {
+    e.preventDefault();
+    if (!bagForm.bagNumber.trim() || !bagForm.bloodType) {
+      setError('Bag number and blood type are required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await bloodUnitService.addUnit(hospitalId, {
+        ...bagForm,
+        expiryDate: bagForm.expiryDate || null
+      });
+      setBagForm(emptyBagForm);
+      setShowAddForm(false);
+      await refreshAll();
+    } catch (err) {
+      console.error('Failed to add blood unit:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleIssue = async (e) => {
+    e.preventDefault();
+    if (!issueForm.bloodType || !issueForm.units) {
+      setError('Blood type and number of units are required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const issued = await bloodUnitService.issueUnits(
+        hospitalId,
+        issueForm.bloodType,
+        issueForm.units,
+        { component: issueForm.component }
+      );
+      setLastIssued(issued);
+      setIssueForm(emptyIssueForm);
+      setShowIssueForm(false);
+      await refreshAll();
+    } catch (err) {
+      console.error('Failed to issue blood units:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDiscard = async (unit) => {
+    if (!window.confirm(`Discard bag ${unit.bagNumber}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await bloodUnitService.discardUnit(unit.id, unit.quarantineReason || 'discarded');
+      await refreshAll();
+    } catch (err) {
+      console.error('Failed to discard blood unit:', err);
+      setError(err.message);
+    }
+  };
+
+  const getDaysUntilExpiry = (expiryDate) => {
+    return Math.ceil((new Date(expiryDate) - new Date()) / (1000 * 60 * 60 * 24));
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'available': return 'text-green-600 bg-green-100';
+      case 'reserved': return 'text-blue-600 bg-blue-100';
+      case 'in_transit': return 'text-purple-600 bg-purple-100';
+      case 'issued': return 'text-gray-600 bg-gray-100';
+      case 'quarantined': return 'text-orange-600 bg-orange-100';
+      case 'discarded': return 'text-red-600 bg-red-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Blood Bags</h3>
+            <p className="text-sm text-gray-600">Bags are issued first-expiring-first-out; expired bags are quarantined automatically</p>
+          </div>
+          <div className="flex space-x-3">
+            <Button
+              onClick={() => {
+                setShowIssueForm(!showIssueForm);
+                setShowAddForm(false);
+              }}
+              className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2"
+            >
+              <Icon name="PackageMinus" size={16} className="mr-2" />
+              Issue Units
+            </Button>
+            <Button
+              onClick={() => {
+                setShowAddForm(!showAddForm);
+                setShowIssueForm(false);
+              }}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2"
+            >
+              <Icon name="PackagePlus" size={16} className="mr-2" />
+              Add Bag
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            <p className="text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Add Bag Form */}
+        {showAddForm && (
+          <form onSubmit={handleAddBag} className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Bag Number *</label>
+                <Input
+                  value={bagForm.bagNumber}
+                  onChange={(e) => setBagForm(prev => ({ ...prev, bagNumber: e.target.value }))}
+                  placeholder="e.g. W1234 24 567890"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Blood Type *</label>
+                <Select
+                  value={bagForm.bloodType}
+                  onChange={(value) => setBagForm(prev => ({ ...prev, bloodType: value }))}
+                  options={bloodTypeOptions}
+                  placeholder="Select type"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Component *</label>
+                <Select
+                  value={bagForm.component}
+                  onChange={(value) => setBagForm(prev => ({ ...prev, component: value }))}
+                  options={componentOptions}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Collected On *</label>
+                <Input
+                  type="date"
+                  value={bagForm.collectionDate}
+                  max={new Date().toISOString().slice(0, 10)}
+                  onChange={(e) => setBagForm(prev => ({ ...prev, collectionDate: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Expiry (optional)</label>
+                <Input
+                  type="date"
+                  value={bagForm.expiryDate}
+                  onChange={(e) => setBagForm(prev => ({ ...prev, expiryDate: e.target.value }))}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-600">
+              Leave expiry empty to use the standard shelf life for the selected component.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <Button
+                type="button"
+                onClick={() => setShowAddForm(false)}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Saving...' : 'Add Bag'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Issue Units Form */}
+        {showIssueForm && (
+          <form onSubmit={handleIssue} className="p-4 bg-orange-50 rounded-lg border border-orange-200 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Blood Type *</label>
+                <Select
+                  value={issueForm.bloodType}
+                  onChange={(value) => setIssueForm(prev => ({ ...prev, bloodType: value }))}
+                  options={bloodTypeOptions}
+                  placeholder="Select type"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Component *</label>
+                <Select
+                  value={issueForm.component}
+                  onChange={(value) => setIssueForm(prev => ({ ...prev, component: value }))}
+                  options={componentOptions}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Units *</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={issueForm.units}
+                  onChange={(e) => setIssueForm(prev => ({ ...prev, units: Math.max(1, parseInt(e.target.value) || 1) }))}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3">
+              <Button
+                type="button"
+                onClick={() => setShowIssueForm(false)}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-orange-600 hover:bg-orange-700 text-white px-4 py-2"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Issuing...' : 'Issue Oldest First'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {lastIssued.length > 0 && (
+          <div className="p-4 bg-green-50 rounded-lg border border-green-200">
+            <div className="flex items-start justify-between">
+              <div>
+                <h4 className="text-sm font-medium text-green-900">Issued {lastIssued.length} bag(s)</h4>
+                <p className="text-sm text-green-700 mt-1">
+                  {lastIssued.map(unit => `${unit.bagNumber} (exp. ${new Date(unit.expiryDate).toLocaleDateString()})`).join(', ')}
+                </p>
+              </div>
+              <button onClick={() => setLastIssued([])} className="text-green-700 hover:text-green-900">
+                <Icon name="X" size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Status Filter */}
+        <div className="border-b border-gray-200">
+          <nav className="-mb-px flex space-x-8">
+            {statusFilters.map(filter => (
+              <button
+                key={filter.id}
+                onClick={() => setStatusFilter(filter.id)}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  statusFilter === filter.id
+                    ? 'border-red-500 text-red-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {/* Bag List */}
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Icon name="Loader2" size={32} className="animate-spin text-red-500" />
+          </div>
+        ) : units.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No bags in this view</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Bag</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Type</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Component</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Collected</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Expires</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-600">Status</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {units.map(unit => {
+                  const daysLeft = getDaysUntilExpiry(unit.expiryDate);
+                  return (
+                    <tr key={unit.id}>
+                      <td className="px-4 py-2 font-mono text-gray-900">{unit.bagNumber}</td>
+                      <td className="px-4 py-2 font-medium text-gray-900">{unit.bloodType}</td>
+                      <td className="px-4 py-2 text-gray-700">{getComponentLabel(unit.component)}</td>
+                      <td className="px-4 py-2 text-gray-700">{new Date(unit.collectionDate).toLocaleDateString()}</td>
+                      <td className="px-4 py-2">
+                        <span className={unit.status === 'available' && daysLeft <= 3 ? 'text-red-600 font-medium' : 'text-gray-700'}>
+                          {new Date(unit.expiryDate).toLocaleDateString()}
+                          {unit.status === 'available' && ` (${daysLeft}d)`}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusColor(unit.status)}`}>
+                          {unit.status}
+                        </span>
+                        {unit.quarantineReason && unit.status === 'quarantined' && (
+                          <span className="ml-2 text-xs text-gray-500">{unit.quarantineReason}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        {unit.status === 'quarantined' && (
+                          <button
+                            onClick={() => handleDiscard(unit)}
+                            className="text-xs text-red-600 hover:text-red-800 font-medium"
+                          >
+                            Discard
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BloodUnitInventory;
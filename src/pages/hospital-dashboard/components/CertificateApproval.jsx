@@ -1,14 +1,62 @@
-import { useState, useEffect } from 'react';
-import { getPendingCertificates, getVerifiedCertificates, downloadCertificate, verifyCertificateOnBlockchain } from '../../../services/blockchainVerificationService';
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { getPendingCertificates, getVerifiedCertificates, downloadCertificate, verifyCertificateOnBlockchain, checkVerificationStatus, revokeCertificateOnBlockchain, getUnmatchedChainEvents, saveCertificateExtraction, findCertificateDuplicates } from '../../../services/blockchainVerificationService';
+import certificateExtractionService from '../../../services/certificateExtractionService';
+import certificateReviewService from '../../../services/certificateReviewService';
 import { computeCertificateHash, formatHashForDisplay } from '../../../utils/certificateHash';
+import {
+  DEFAULT_VALIDITY_DAYS,
+  REVOCATION_REASONS,
+  getCertificateStatus,
+  getRevocationReasonLabel
+} from '../../../utils/certificateValidity';
+import { IDENTITY_MODES } from '../../../utils/donorIdentity';
+import { INFECTIOUS_TESTS, findProfileMismatches, getPositiveScreens } from '../../../utils/certificateExtraction';
+import {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_LABELS,
+  REQUIRE_SECOND_REJECTION_REVIEW,
+  canDecide,
+  canConfirmRejection
+} from '../../../utils/certificateReview';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import CertificateReviewThread from './CertificateReviewThread';
+
+// Badge per getCertificateStatus() value
+const STATUS_BADGES = {
+  pending: { label: 'Pending Review', className: 'bg-yellow-100 text-yellow-800' },
+  pending_chain: { label: 'Awaiting Confirmation', className: 'bg-blue-100 text-blue-800' },
+  active: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  expired: { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' },
+  revoked: { label: 'Revoked', className: 'bg-gray-200 text-gray-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  // Review workflow states of a pending certificate
+  in_review: { label: REVIEW_STATUS_LABELS.in_review, className: 'bg-blue-100 text-blue-800' },
+  info_requested: { label: REVIEW_STATUS_LABELS.info_requested, className: 'bg-purple-100 text-purple-800' },
+  rejection_proposed: { label: REVIEW_STATUS_LABELS.rejection_proposed, className: 'bg-red-100 text-red-800' }
+};
+
+// Pending certificates show where they are in the review workflow
+const getStatusBadge = (certificate) => {
+  const status = getCertificateStatus(certificate);
+  return (status === 'pending' && STATUS_BADGES[certificate.review_status]) || STATUS_BADGES[status];
+};
+
+// Private-mode certificates are keyed by the donor's commitment, so no wallet address is needed
+const isPrivateMode = (certificate) => certificate?.identity_mode === IDENTITY_MODES.COMMITMENT;
+
+// Compare against the donor's current profile; fall back to the flags saved at extraction
+const getProfileMismatches = (certificate) => certificate?.donor
+  ? findProfileMismatches(certificate.extracted_fields, certificate.donor)
+  : certificate?.extraction_flags || [];
 
 /**
  * Admin Certificate Approval Interface
  * Allows hospital staff and admins to review and approve donor certificates
  */
 export default function CertificateApproval() {
+  const { user } = useAuth();
   const [pendingCerts, setPendingCerts] = useState([]);
   const [verifiedCerts, setVerifiedCerts] = useState([]);
   const [activeTab, setActiveTab] = useState('pending'); // 'pending' or 'verified'
@@ -20,14 +68,49 @@ export default function CertificateApproval() {
   const [reviewModal, setReviewModal] = useState(null);
   const [walletAddress, setWalletAddress] = useState('');
   const [adminNotes, setAdminNotes] = useState('');
+  const [validityDays, setValidityDays] = useState(DEFAULT_VALIDITY_DAYS);
+  const [isReading, setIsReading] = useState(false);
+  const [duplicates, setDuplicates] = useState([]);
+  const [secondReviewer, setSecondReviewer] = useState(REQUIRE_SECOND_REJECTION_REVIEW);
+
+  // Hospital staff certificates can be assigned to, and which pending ones to show
+  const [reviewers, setReviewers] = useState([]);
+  const [assignmentFilter, setAssignmentFilter] = useState('all'); // 'all', 'mine' or 'unassigned'
+
+  // Modal state for revoking an approved certificate
+  const [revokeModal, setRevokeModal] = useState(null);
+  const [revokeReason, setRevokeReason] = useState('');
+
+  // On-chain records the event indexer could not match to a certificate
+  const [unmatchedEvents, setUnmatchedEvents] = useState([]);
 
   /**
    * Load certificates on mount
    */
   useEffect(() => {
     loadCertificates();
+    loadUnmatchedEvents();
+    certificateReviewService.getReviewers()
+      .then(setReviewers)
+      .catch(err => console.error('Error loading reviewers:', err));
   }, []);
 
+  const getReviewerName = (reviewerId) => {
+    if (reviewerId === user?.id) return 'you';
+    return reviewers.find(reviewer => reviewer.id === reviewerId)?.full_name || 'another reviewer';
+  };
+
+  /**
+   * Fetch flagged chain events; a failure here should not block reviews
+   */
+  const loadUnmatchedEvents = async () => {
+    try {
+      setUnmatchedEvents(await getUnmatchedChainEvents());
+    } catch (err) {
+      console.error('Error loading unmatched chain events:', err);
+    }
+  };
+
   /**
    * Fetch all certificates
    */
@@ -63,6 +146,111 @@ export default function CertificateApproval() {
     setReviewModal(certificate);
     setWalletAddress(certificate.donor_wallet_address || ''); // Pre-fill wallet address
     setAdminNotes('');
+    setValidityDays(DEFAULT_VALIDITY_DAYS);
+    setSecondReviewer(REQUIRE_SECOND_REJECTION_REVIEW);
+    loadDuplicates(certificate);
+  };
+
+  /**
+   * Put an updated row from a review RPC into the modal and the pending list
+   */
+  const applyReviewUpdate = (row) => {
+    const updated = { ...reviewModal, ...row, donor: reviewModal.donor };
+    setReviewModal(updated);
+    setPendingCerts(certs => certs.map(cert => cert.id === updated.id ? updated : cert));
+  };
+
+  /**
+   * Run a review workflow action, reporting failures the same way as the chain actions
+   */
+  const runReviewAction = async (action, failureMessage) => {
+    setProcessingId(reviewModal.id);
+    try {
+      applyReviewUpdate(await action());
+      return true;
+    } catch (err) {
+      console.error('Review action error:', err);
+      alert(`${failureMessage}: ${err.message}`);
+      return false;
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  /**
+   * Assign the certificate under review (an empty value unassigns it)
+   */
+  const handleAssign = (reviewerId) => runReviewAction(
+    () => certificateReviewService.assignReviewer(reviewModal.id, reviewerId || null),
+    'Failed to assign certificate'
+  );
+
+  /**
+   * Ask the donor to re-upload; they see the message on their dashboard
+   */
+  const handleRequestInfo = async () => {
+    const message = window.prompt('What does the donor need to provide? They will see this message.');
+    if (!message?.trim()) return;
+
+    const done = await runReviewAction(
+      () => certificateReviewService.requestMoreInfo(reviewModal.id, message.trim()),
+      'Failed to request more information'
+    );
+    if (done) alert('The donor has been asked to re-upload their certificate.');
+  };
+
+  // Rejecting now only proposes it, unless this reviewer is confirming someone else's proposal
+  const isProposingRejection = () => secondReviewer && !canConfirmRejection(reviewModal, user?.id);
+
+  /**
+   * Propose rejection for a second reviewer to confirm
+   */
+  const handleProposeRejection = async () => {
+    if (!adminNotes.trim()) {
+      alert('Please add a note explaining why the certificate should be rejected');
+      return;
+    }
+
+    const done = await runReviewAction(
+      () => certificateReviewService.proposeRejection(reviewModal.id, adminNotes.trim()),
+      'Failed to propose rejection'
+    );
+    if (done) alert('Rejection proposed. Another reviewer needs to confirm it.');
+  };
+
+  /**
+   * Take back a proposed rejection
+   */
+  const handleWithdrawRejection = () => runReviewAction(
+    () => certificateReviewService.withdrawRejection(reviewModal.id, adminNotes.trim()),
+    'Failed to withdraw rejection'
+  );
+
+  /**
+   * Look up earlier (and later) submissions of the same certificate
+   */
+  const loadDuplicates = async (certificate) => {
+    setDuplicates([]);
+    try {
+      setDuplicates(await findCertificateDuplicates(certificate.id));
+    } catch (err) {
+      console.error('Failed to check duplicates:', err);
+      // Fall back to what was recorded at upload
+      setDuplicates(certificate.duplicate_matches || []);
+    }
+  };
+
+  /**
+   * Open another certificate's file in a new tab
+   */
+  const handleOpenSubmission = async (filePath) => {
+    try {
+      const blob = await downloadCertificate(filePath);
+      window.open(URL.createObjectURL(blob), '_blank', 'noopener');
+    } catch (err) {
+      console.error('Open error:', err);
+      alert('Failed to open submission: ' + err.message);
+    }
   };
 
   /**
@@ -94,17 +282,59 @@ export default function CertificateApproval() {
     }
   };
 
+  /**
+   * Read the certificate again on this device, so the fields do not rely on the donor's upload
+   */
+  const handleRereadCertificate = async () => {
+    setIsReading(true);
+
+    try {
+      const blob = await downloadCertificate(reviewModal.file_path);
+      const extraction = await certificateExtractionService.extract(blob);
+      // The hash sent at upload came from the donor's browser; recompute it from the stored file
+      const perceptualHash = await certificateExtractionService.computePerceptualHash(blob).catch(() => null);
+      const flags = findProfileMismatches(extraction.fields, reviewModal.donor);
+      const saved = await saveCertificateExtraction(reviewModal.id, { ...extraction, perceptualHash }, flags, user?.id);
+
+      const updated = { ...reviewModal, ...saved, donor: reviewModal.donor };
+      setReviewModal(updated);
+      setPendingCerts(certs => certs.map(cert => cert.id === updated.id ? updated : cert));
+      await loadDuplicates(updated);
+    } catch (err) {
+      console.error('Extraction error:', err);
+      alert('Failed to read certificate: ' + err.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
   /**
    * Approve certificate and store on blockchain
    */
   const handleApprove = async () => {
-    if (!reviewModal || !walletAddress) {
+    if (!reviewModal || (!isPrivateMode(reviewModal) && !walletAddress)) {
       alert('Please enter the donor\'s wallet address');
       return;
     }
 
+    const otherDonors = duplicates.filter(match => !match.same_donor);
+    if (otherDonors.length > 0 && !window.confirm(
+      `This certificate matches ${otherDonors.length} submission(s) from another donor. Approve anyway?`
+    )) {
+      return;
+    }
+
+    const mismatches = getProfileMismatches(reviewModal);
+    if (mismatches.length > 0 && !window.confirm(
+      `The certificate does not match the donor's profile:\n\n` +
+      mismatches.map(m => `${m.label}: ${m.extracted} on certificate, ${m.expected} in profile`).join('\n') +
+      `\n\nApprove anyway?`
+    )) {
+      return;
+    }
+
     // Validate Ethereum address
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+    if (!isPrivateMode(reviewModal) && !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
       alert('Invalid Ethereum wallet address format');
       return;
     }
@@ -117,15 +347,31 @@ export default function CertificateApproval() {
         reviewModal.id,
         walletAddress,
         true, // eligible = true
-        adminNotes
+        adminNotes,
+        Number(validityDays)
       );
 
-      alert(
-        `Certificate approved successfully!\n\n` +
-        `Transaction Hash: ${result.txHash}\n` +
-        `Block Number: ${result.blockNumber}\n` +
-        `Certificate Hash: ${formatHashForDisplay(result.certHash)}`
-      );
+      if (result.pending) {
+        alert(
+          `Certificate approval sent to the blockchain and awaiting confirmation.\n\n` +
+          `Transaction Hash: ${result.txHash}\n` +
+          `It will be recorded automatically once confirmed.`
+        );
+      } else if (result.queued) {
+        alert(
+          `Certificate approved and queued for batch anchoring.\n\n` +
+          `Certificate Hash: ${formatHashForDisplay(result.certHash)}\n` +
+          `Valid Until: ${new Date(result.validUntil).toLocaleDateString()}`
+        );
+      } else {
+        alert(
+          `Certificate approved successfully!\n\n` +
+          `Transaction Hash: ${result.txHash}\n` +
+          `Block Number: ${result.blockNumber}\n` +
+          `Certificate Hash: ${formatHashForDisplay(result.certHash)}\n` +
+          `Valid Until: ${new Date(result.validUntil).toLocaleDateString()}`
+        );
+      }
 
       // Reload certificates
       await loadCertificates();
@@ -142,13 +388,17 @@ export default function CertificateApproval() {
    * Reject certificate
    */
   const handleReject = async () => {
-    if (!reviewModal || !walletAddress) {
+    if (reviewModal && isProposingRejection()) {
+      return handleProposeRejection();
+    }
+
+    if (!reviewModal || (!isPrivateMode(reviewModal) && !walletAddress)) {
       alert('Please enter the donor\'s wallet address');
       return;
     }
 
     // Validate Ethereum address
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+    if (!isPrivateMode(reviewModal) && !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
       alert('Invalid Ethereum wallet address format');
       return;
     }
@@ -165,10 +415,16 @@ export default function CertificateApproval() {
         reviewModal.id,
         walletAddress,
         false, // eligible = false
-        adminNotes || 'Certificate rejected'
+        adminNotes || reviewModal.review_note || 'Certificate rejected'
       );
 
-      alert(`Certificate rejected and recorded on blockchain.\nTransaction Hash: ${result.txHash}`);
+      if (result.pending) {
+        alert(`Certificate rejection sent to the blockchain and awaiting confirmation.\nTransaction Hash: ${result.txHash}`);
+      } else {
+        alert(result.queued
+          ? 'Certificate rejected and queued for batch anchoring.'
+          : `Certificate rejected and recorded on blockchain.\nTransaction Hash: ${result.txHash}`);
+      }
 
       // Reload certificates
       await loadCertificates();
@@ -181,6 +437,177 @@ export default function CertificateApproval() {
     }
   };
 
+  /**
+   * Check on a certificate whose blockchain transaction has not been confirmed
+   */
+  const handleCheckStatus = async (certificate) => {
+    setProcessingId(certificate.id);
+
+    try {
+      const result = await checkVerificationStatus(certificate.id);
+
+      if (result.pending) {
+        alert(
+          `Transaction is still awaiting confirmation.\n\n` +
+          `Transaction Hash: ${result.txHash}\n` +
+          `Attempts: ${result.attempts}`
+        );
+      } else {
+        alert(`Transaction confirmed in block ${result.blockNumber}.`);
+      }
+
+      await loadCertificates();
+    } catch (err) {
+      console.error('Status check error:', err);
+      alert('Failed to check transaction status: ' + err.message);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  /**
+   * Revoke an approved certificate on-chain
+   */
+  const handleRevoke = async () => {
+    if (!revokeModal || !revokeReason) {
+      alert('Please select a reason for revoking this certificate');
+      return;
+    }
+
+    setProcessingId(revokeModal.id);
+
+    try {
+      const result = await revokeCertificateOnBlockchain(revokeModal.id, Number(revokeReason), adminNotes);
+
+      alert(`Certificate revoked and recorded on blockchain.\nTransaction Hash: ${result.txHash}`);
+
+      await loadCertificates();
+      setRevokeModal(null);
+      setRevokeReason('');
+      setAdminNotes('');
+    } catch (err) {
+      console.error('Revocation error:', err);
+      alert('Failed to revoke certificate: ' + err.message);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  /**
+   * Warning for submissions of the same (or a near-identical) certificate
+   */
+  const renderDuplicateWarning = () => {
+    if (duplicates.length === 0) return null;
+
+    const otherDonors = duplicates.some(match => !match.same_donor);
+
+    return (
+      <div className={`border rounded-lg px-4 py-3 ${otherDonors ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'}`}>
+        <p className={`text-sm font-medium ${otherDonors ? 'text-red-800' : 'text-yellow-800'}`}>
+          {otherDonors
+            ? '⚠ This certificate has also been submitted by another donor'
+            : '⚠ The donor has submitted this certificate before'}
+        </p>
+        <ul className="mt-2 space-y-1">
+          {duplicates.map(match => (
+            <li key={match.certificate_id} className="text-sm text-gray-700">
+              {match.match_type === 'exact' ? 'Identical file' : `Near-identical image (${match.distance} bits apart${match.same_details ? ', same name and test date' : ''})`}
+              {' · '}
+              {match.same_donor ? 'same donor' : (match.donor_name || 'another donor')}
+              {match.created_at && `, uploaded ${new Date(match.created_at).toLocaleDateString()}`}
+              {match.eligible === true && ' (approved)'}
+              {match.eligible === false && ' (rejected)'}
+              {match.file_path && (
+                <>
+                  {' · '}
+                  <button
+                    type="button"
+                    onClick={() => handleOpenSubmission(match.file_path)}
+                    className="text-red-600 hover:text-red-700 underline"
+                  >
+                    View submission
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  /**
+   * Fields read from the certificate, with profile mismatches and positive screens called out
+   */
+  const renderExtractedFields = (cert) => {
+    const fields = cert.extracted_fields;
+    const mismatches = getProfileMismatches(cert);
+    const positives = getPositiveScreens(fields);
+
+    return (
+      <div className="border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-3">
+          <p className="text-sm font-medium text-gray-700">Extracted From Certificate:</p>
+          <Button size="sm" variant="secondary" onClick={handleRereadCertificate} disabled={isReading}>
+            {isReading ? 'Reading...' : fields ? 'Re-read' : 'Read Certificate'}
+          </Button>
+        </div>
+
+        {!fields ? (
+          <p className="text-sm text-gray-500">
+            Nothing was extracted at upload. Read the certificate to pull out its fields on this device.
+          </p>
+        ) : (
+          <>
+            {mismatches.length > 0 && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm mb-3">
+                {mismatches.map(m => (
+                  <p key={m.field}>
+                    ⚠ {m.label}: <strong>{m.extracted}</strong> on the certificate, <strong>{m.expected}</strong> in the profile
+                  </p>
+                ))}
+              </div>
+            )}
+
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+              <dt className="text-gray-600">Donor Name</dt>
+              <dd className="text-gray-900">{fields.donorName || '—'}</dd>
+              <dt className="text-gray-600">Blood Type</dt>
+              <dd className="text-gray-900">{fields.bloodType || '—'}</dd>
+              <dt className="text-gray-600">Issuing Lab</dt>
+              <dd className="text-gray-900">{fields.issuingLab || '—'}</dd>
+              <dt className="text-gray-600">Test Date</dt>
+              <dd className="text-gray-900">{fields.testDate || '—'}</dd>
+              <dt className="text-gray-600">Hemoglobin</dt>
+              <dd className="text-gray-900">{fields.hemoglobin ? `${fields.hemoglobin.value} ${fields.hemoglobin.unit}` : '—'}</dd>
+              {INFECTIOUS_TESTS.map(test => (
+                <React.Fragment key={test.id}>
+                  <dt className="text-gray-600">{test.label}</dt>
+                  <dd className={fields.infectiousDiseases?.[test.id] === 'positive' ? 'text-red-700 font-semibold' : 'text-gray-900'}>
+                    {fields.infectiousDiseases?.[test.id] || '—'}
+                  </dd>
+                </React.Fragment>
+              ))}
+            </dl>
+
+            {positives.length > 0 && (
+              <p className="text-sm text-red-700 mt-3">
+                Reported positive: {positives.map(test => test.label).join(', ')}
+              </p>
+            )}
+
+            <p className="text-xs text-gray-500 mt-3">
+              Read by {cert.extraction_method === 'ocr' ? 'OCR' : 'PDF text'}
+              {cert.extracted_by && cert.extracted_by === cert.donor_id ? " on the donor's device" : ' by a reviewer'}
+              {cert.extracted_at && ` on ${new Date(cert.extracted_at).toLocaleString()}`}.
+              Always check against the document.
+            </p>
+          </>
+        )}
+      </div>
+    );
+  };
+
   /**
    * Render certificate card
    */
@@ -195,19 +622,11 @@ export default function CertificateApproval() {
           <p className="text-sm text-gray-600">Phone: {cert.donor?.phone || 'N/A'}</p>
         </div>
         <div className="text-right">
-          {isPending ? (
-            <span className="inline-block px-3 py-1 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">
-              Pending Review
-            </span>
-          ) : (
-            <span className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${
-              cert.eligible 
-                ? 'bg-green-100 text-green-800' 
-                : 'bg-red-100 text-red-800'
-            }`}>
-              {cert.eligible ? 'Approved' : 'Rejected'}
-            </span>
-          )}
+          <span className={`inline-block px-3 py-1 text-xs font-medium rounded-full ${
+            getStatusBadge(cert).className
+          }`}>
+            {getStatusBadge(cert).label}
+          </span>
         </div>
       </div>
 
@@ -215,8 +634,32 @@ export default function CertificateApproval() {
         <p className="text-sm text-gray-600">
           <span className="font-medium">Uploaded:</span>{' '}
           {new Date(cert.created_at).toLocaleDateString()}
+          {cert.resubmission_of && ' (re-upload)'}
         </p>
+
+        {isPending && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Reviewer:</span>{' '}
+            {cert.assigned_to ? getReviewerName(cert.assigned_to) : 'Unassigned'}
+          </p>
+        )}
+
+        {cert.review_status === REVIEW_STATUSES.REJECTION_PROPOSED && (
+          <p className="text-sm text-red-600">
+            Rejection proposed by {getReviewerName(cert.rejection_proposed_by)}; needs a second reviewer
+          </p>
+        )}
+
+        {cert.review_status === REVIEW_STATUSES.INFO_REQUESTED && (
+          <p className="text-sm text-purple-700">Waiting for the donor to re-upload</p>
+        )}
         
+        {isPrivateMode(cert) && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Identity:</span> Private (commitment)
+          </p>
+        )}
+
         {cert.donor_wallet_address && (
           <p className="text-sm text-gray-600">
             <span className="font-medium">Wallet:</span>{' '}
@@ -242,6 +685,28 @@ export default function CertificateApproval() {
           </p>
         )}
 
+        {cert.eligible && cert.valid_until && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Valid Until:</span>{' '}
+            {new Date(cert.valid_until).toLocaleDateString()}
+          </p>
+        )}
+
+        {cert.revoked_at && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Revoked:</span>{' '}
+            {new Date(cert.revoked_at).toLocaleDateString()}
+            {getRevocationReasonLabel(cert.revocation_reason) && ` (${getRevocationReasonLabel(cert.revocation_reason)})`}
+          </p>
+        )}
+
+        {cert.anchor_mode === 'batch' && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Anchoring:</span>{' '}
+            {cert.batch_id ? 'Anchored in batch' : 'Queued for next batch'}
+          </p>
+        )}
+
         {cert.tx_hash && (
           <p className="text-sm text-gray-600">
             <span className="font-medium">TX Hash:</span>{' '}
@@ -251,6 +716,24 @@ export default function CertificateApproval() {
           </p>
         )}
 
+        {cert.duplicate_matches?.length > 0 && (
+          <p className="text-sm text-red-600">
+            ⚠ Possible duplicate of {cert.duplicate_matches.length} other submission(s)
+          </p>
+        )}
+
+        {getProfileMismatches(cert).length > 0 && (
+          <p className="text-sm text-red-600">
+            ⚠ Certificate does not match profile: {getProfileMismatches(cert).map(m => m.label.toLowerCase()).join(', ')}
+          </p>
+        )}
+
+        {cert.chain_status === 'failed' && (
+          <p className="text-sm text-red-600">
+            The last blockchain transaction for this certificate failed. Review it again to resend.
+          </p>
+        )}
+
         {cert.admin_notes && (
           <p className="text-sm text-gray-600">
             <span className="font-medium">Notes:</span> {cert.admin_notes}
@@ -267,7 +750,18 @@ export default function CertificateApproval() {
           Download
         </Button>
         
-        {isPending && (
+        {isPending && cert.chain_status === 'pending_chain' && (
+          <Button
+            size="sm"
+            variant="secondary"
+            disabled={processingId === cert.id}
+            onClick={() => handleCheckStatus(cert)}
+          >
+            {processingId === cert.id ? 'Checking...' : 'Check Status'}
+          </Button>
+        )}
+
+        {isPending && cert.chain_status !== 'pending_chain' && (
           <Button
             size="sm"
             onClick={() => openReviewModal(cert)}
@@ -275,10 +769,101 @@ export default function CertificateApproval() {
             Review
           </Button>
         )}
+
+        {!isPending && getCertificateStatus(cert) === 'active' && (
+          <Button
+            size="sm"
+            variant="secondary"
+            className="bg-red-100 text-red-700 hover:bg-red-200"
+            onClick={() => setRevokeModal(cert)}
+          >
+            Revoke
+          </Button>
+        )}
       </div>
     </div>
   );
 
+  const visiblePendingCerts = pendingCerts.filter(cert =>
+    assignmentFilter === 'mine' ? cert.assigned_to === user?.id
+      : assignmentFilter === 'unassigned' ? !cert.assigned_to
+      : true
+  );
+
+  /**
+   * Assignment and workflow state of the certificate under review
+   */
+  const renderReviewState = () => {
+    const proposed = reviewModal.review_status === REVIEW_STATUSES.REJECTION_PROPOSED;
+
+    return (
+      <div className="space-y-3">
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Assigned Reviewer</label>
+            <select
+              value={reviewModal.assigned_to || ''}
+              onChange={(e) => handleAssign(e.target.value)}
+              disabled={processingId === reviewModal.id}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              <option value="">Unassigned</option>
+              {reviewers.map(reviewer => (
+                <option key={reviewer.id} value={reviewer.id}>
+                  {reviewer.full_name || 'Unnamed'}{reviewer.id === user?.id ? ' (you)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          {reviewModal.assigned_to !== user?.id && (
+            <Button
+              size="sm"
+              variant="secondary"
+              onClick={() => handleAssign(user.id)}
+              disabled={processingId === reviewModal.id}
+            >
+              Assign to Me
+            </Button>
+          )}
+        </div>
+
+        {reviewModal.review_status === REVIEW_STATUSES.INFO_REQUESTED && (
+          <div className="bg-purple-50 border border-purple-200 rounded-lg px-4 py-3">
+            <p className="text-sm font-medium text-purple-800">Waiting for the donor to re-upload</p>
+            {reviewModal.review_note && (
+              <p className="text-sm text-purple-700 mt-1">Requested: {reviewModal.review_note}</p>
+            )}
+          </div>
+        )}
+
+        {proposed && (
+          <div className="bg-red-50 border border-red-200 rounded-lg px-4 py-3">
+            <p className="text-sm font-medium text-red-800">
+              Rejection proposed by {getReviewerName(reviewModal.rejection_proposed_by)}
+              {reviewModal.rejection_proposed_at && ` on ${new Date(reviewModal.rejection_proposed_at).toLocaleString()}`}
+            </p>
+            {reviewModal.review_note && (
+              <p className="text-sm text-red-700 mt-1">Reason: {reviewModal.review_note}</p>
+            )}
+            <p className="text-xs text-red-700 mt-1">
+              {canConfirmRejection(reviewModal, user?.id)
+                ? 'Confirm to record the rejection, approve to overrule it, or withdraw it.'
+                : 'Another reviewer has to confirm it before it is recorded.'}
+            </p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Label for the reject button: confirm a proposal, propose one, or reject outright
+   */
+  const getRejectLabel = () => {
+    if (canConfirmRejection(reviewModal, user?.id)) return 'Confirm Rejection';
+    return isProposingRejection() ? 'Propose Rejection' : 'Reject';
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -304,6 +889,26 @@ export default function CertificateApproval() {
         </div>
       )}
 
+      {unmatchedEvents.length > 0 && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          <p className="text-sm font-medium">
+            {unmatchedEvents.length} on-chain {unmatchedEvents.length === 1 ? 'write has' : 'writes have'} no matching certificate record
+          </p>
+          <p className="text-sm mt-1">
+            These were written to the contract outside this app. Check the verifier key that sent them.
+          </p>
+          <ul className="mt-2 space-y-1">
+            {unmatchedEvents.map(event => (
+              <li key={event.id} className="text-xs">
+                {event.event_name} in block {event.block_number} by{' '}
+                <code className="bg-white px-1 rounded">{event.verifier_address || 'unknown'}</code>{' '}
+                (tx <code className="bg-white px-1 rounded">{formatHashForDisplay(event.tx_hash)}</code>)
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="-mb-px flex space-x-8">
@@ -330,11 +935,26 @@ export default function CertificateApproval() {
         </nav>
       </div>
 
+      {activeTab === 'pending' && (
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-600">Show:</label>
+          <select
+            value={assignmentFilter}
+            onChange={(e) => setAssignmentFilter(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          >
+            <option value="all">All pending</option>
+            <option value="mine">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
+          </select>
+        </div>
+      )}
+
       {/* Certificate Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {activeTab === 'pending' ? (
-          pendingCerts.length > 0 ? (
-            pendingCerts.map(cert => renderCertificateCard(cert, true))
+          visiblePendingCerts.length > 0 ? (
+            visiblePendingCerts.map(cert => renderCertificateCard(cert, true))
           ) : (
             <div className="col-span-full text-center py-12 text-gray-500">
               No pending certificates
@@ -373,9 +993,29 @@ export default function CertificateApproval() {
 
                 <div>
                   <p className="text-sm font-medium text-gray-700">Uploaded:</p>
-                  <p className="text-gray-900">{new Date(reviewModal.created_at).toLocaleString()}</p>
+                  <p className="text-gray-900">
+                    {new Date(reviewModal.created_at).toLocaleString()}
+                    {reviewModal.resubmission_of && ' (re-upload after a request for more information)'}
+                  </p>
                 </div>
 
+                {renderReviewState()}
+
+                {renderDuplicateWarning()}
+
+                {renderExtractedFields(reviewModal)}
+
+                <CertificateReviewThread certificate={reviewModal} reviewers={reviewers} />
+
+                {isPrivateMode(reviewModal) ? (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-3">
+                  <p className="text-sm font-medium text-blue-800">Private identity</p>
+                  <p className="text-xs text-blue-700 mt-1">
+                    The donor chose not to publish a wallet address. The record will be stored under their
+                    salted commitment.
+                  </p>
+                </div>
+                ) : (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Donor Ethereum Wallet Address *
@@ -393,8 +1033,27 @@ export default function CertificateApproval() {
                   />
                   <p className="text-xs text-gray-500 mt-1">
                     {reviewModal.donor_wallet_address 
-                      ? 'This address was provided by the donor during upload. Verify before approving.'
+                      ? 'The donor proved ownership of this address by signing with their wallet.'
                       : 'Enter the donor\'s Ethereum wallet address'}
+                    {' '}Only addresses the donor has signed for can be recorded.
+                  </p>
+                </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Valid For (days)
+                  </label>
+                  <Input
+                    type="number"
+                    min="1"
+                    max="730"
+                    value={validityDays}
+                    onChange={(e) => setValidityDays(e.target.value)}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    The approval expires on-chain after this many days and the donor is asked to renew.
                   </p>
                 </div>
 
@@ -410,25 +1069,71 @@ export default function CertificateApproval() {
                     placeholder="Add any notes about this verification..."
                   />
                 </div>
+
+                {reviewModal.review_status !== REVIEW_STATUSES.REJECTION_PROPOSED && (
+                  <label className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={secondReviewer}
+                      onChange={(e) => setSecondReviewer(e.target.checked)}
+                      disabled={REQUIRE_SECOND_REJECTION_REVIEW}
+                      className="mt-1 rounded border-gray-300 text-red-600 focus:ring-red-500"
+                    />
+                    <span className="text-sm text-gray-700">
+                      Ask a second reviewer to confirm a rejection
+                      <span className="block text-xs text-gray-500">
+                        {REQUIRE_SECOND_REJECTION_REVIEW
+                          ? 'Required for every rejection.'
+                          : 'The admin notes are sent as the reason. Nothing is recorded on-chain until it is confirmed.'}
+                      </span>
+                    </span>
+                  </label>
+                )}
               </div>
 
-              <div className="flex gap-3">
+              <div className="flex flex-wrap gap-3">
                 <Button
                   onClick={handleApprove}
-                  disabled={!walletAddress || processingId === reviewModal.id}
+                  disabled={(!isPrivateMode(reviewModal) && !walletAddress) || !canDecide(reviewModal) || processingId === reviewModal.id}
                   className="flex-1"
                 >
                   {processingId === reviewModal.id ? 'Processing...' : 'Approve'}
                 </Button>
-                
+
                 <Button
-                  onClick={handleReject}
-                  disabled={!walletAddress || processingId === reviewModal.id}
-                  variant="secondary"
-                  className="flex-1 bg-red-100 text-red-700 hover:bg-red-200"
+                  onClick={handleRequestInfo}
+                  disabled={!canDecide(reviewModal) || processingId === reviewModal.id}
+                  variant="outline"
+                  className="flex-1"
                 >
-                  Reject
+                  Request More Info
                 </Button>
+
+                {reviewModal.review_status === REVIEW_STATUSES.REJECTION_PROPOSED && (
+                  <Button
+                    onClick={handleWithdrawRejection}
+                    disabled={processingId === reviewModal.id}
+                    variant="outline"
+                    className="flex-1"
+                  >
+                    Withdraw Rejection
+                  </Button>
+                )}
+
+                {(reviewModal.review_status !== REVIEW_STATUSES.REJECTION_PROPOSED || canConfirmRejection(reviewModal, user?.id)) && (
+                  <Button
+                    onClick={handleReject}
+                    disabled={
+                      (!isProposingRejection() && !isPrivateMode(reviewModal) && !walletAddress) ||
+                      !canDecide(reviewModal) ||
+                      processingId === reviewModal.id
+                    }
+                    variant="secondary"
+                    className="flex-1 bg-red-100 text-red-700 hover:bg-red-200"
+                  >
+                    {getRejectLabel()}
+                  </Button>
+                )}
                 
                 <Button
                   onClick={closeReviewModal}
@@ -442,6 +1147,71 @@ export default function CertificateApproval() {
           </div>
         </div>
       )}
+
+      {/* Revoke Modal */}
+      {revokeModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+            <div className="p-6">
+              <h3 className="text-xl font-bold text-gray-800 mb-2">
+                Revoke Certificate
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {revokeModal.donor?.full_name || 'This donor'}'s certificate will be marked revoked on the
+                blockchain. This cannot be undone; the donor will need to upload a new certificate.
+              </p>
+
+              <div className="space-y-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reason *
+                  </label>
+                  <select
+                    value={revokeReason}
+                    onChange={(e) => setRevokeReason(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  >
+                    <option value="">Select a reason</option>
+                    {REVOCATION_REASONS.map(reason => (
+                      <option key={reason.code} value={reason.code}>{reason.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Admin Notes (Optional)
+                  </label>
+                  <textarea
+                    value={adminNotes}
+                    onChange={(e) => setAdminNotes(e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                    placeholder="Why is this certificate being revoked?"
+                  />
+                </div>
+              </div>
+
+              <div className="flex gap-3">
+                <Button
+                  onClick={handleRevoke}
+                  disabled={!revokeReason || processingId === revokeModal.id}
+                  className="flex-1 bg-red-600 hover:bg-red-700"
+                >
+                  {processingId === revokeModal.id ? 'Processing...' : 'Revoke'}
+                </Button>
+                <Button
+                  onClick={() => { setRevokeModal(null); setRevokeReason(''); setAdminNotes(''); }}
+                  variant="secondary"
+                  disabled={processingId === revokeModal.id}
+                >
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../../contexts/AuthContext';
+import certificateReviewService from '../../../services/certificateReviewService';
+import { buildCommentThreads, describeReviewEvent } from '../../../utils/certificateReview';
+import Button from '../../../components/ui/Button';
+
+/**
+ * Reviewer comments and audit history for a certificate
+ * Covers the certificate and any uploads it replaced, so the conversation that
+ * led to a re-upload stays with it.
+ */
+export default function CertificateReviewThread({ certificate, reviewers = [] }) {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [body, setBody] = useState('');
+  const [shareWithDonor, setShareWithDonor] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyBody, setReplyBody] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Reload when the certificate moves to a new state, since that may add a comment or event
+  useEffect(() => {
+    loadThread();
+  }, [certificate.id, certificate.review_status, certificate.assigned_to]);
+
+  const loadThread = async () => {
+    setLoading(true);
+    try {
+      const [threadComments, threadEvents] = await Promise.all([
+        certificateReviewService.getComments(certificate),
+        certificateReviewService.getReviewEvents(certificate),
+      ]);
+      setComments(threadComments);
+      setEvents(threadEvents);
+    } catch (err) {
+      console.error('Error loading review thread:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const nameOf = (userId, profile) => {
+    if (userId && userId === certificate.donor_id) return 'Donor';
+    if (userId && userId === user?.id) return 'You';
+    return profile?.full_name || reviewers.find(reviewer => reviewer.id === userId)?.full_name || 'Hospital staff';
+  };
+
+  /**
+   * Post a new comment, or a reply when parentId is given
+   */
+  const handlePost = async (parentId = null) => {
+    const text = parentId ? replyBody : body;
+    // Replies inherit the visibility of the comment they answer
+    const parent = parentId && comments.find(comment => comment.id === parentId);
+
+    setIsPosting(true);
+    try {
+      await certificateReviewService.addComment(certificate.id, user.id, text, {
+        parentId,
+        visibleToDonor: parent ? parent.visible_to_donor : shareWithDonor,
+      });
+
+      if (parentId) {
+        setReplyTo(null);
+        setReplyBody('');
+      } else {
+        setBody('');
+        setShareWithDonor(false);
+      }
+      await loadThread();
+    } catch (err) {
+      console.error('Comment error:', err);
+      alert('Failed to post comment: ' + err.message);
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const renderComment = (comment, depth = 0) => (
+    <div key={comment.id} className={depth > 0 ? 'ml-6 border-l-2 border-gray-100 pl-3' : ''}>
+      <div className="py-2">
+        <p className="text-xs text-gray-500">
+          <span className="font-medium text-gray-700">{nameOf(comment.author_id, comment.author)}</span>
+          {' · '}
+          {new Date(comment.created_at).toLocaleString()}
+          {comment.visible_to_donor && (
+            <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">Shared with donor</span>
+          )}
+          {comment.certificate_id !== certificate.id && (
+            <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">Earlier upload</span>
+          )}
+        </p>
+        <p className="text-sm text-gray-900 whitespace-pre-wrap mt-1">{comment.body}</p>
+        {depth === 0 && replyTo !== comment.id && (
+          <button
+            type="button"
+            onClick={() => { setReplyTo(comment.id); setReplyBody(''); }}
+            className="text-xs text-red-600 hover:text-red-700 mt-1"
+          >
+            Reply
+          </button>
+        )}
+      </div>
+
+      {comment.replies.map(reply => renderComment(reply, depth + 1))}
+
+      {replyTo === comment.id && (
+        <div className="ml-6 pl-3 space-y-2 pb-2">
+          <textarea
+            value={replyBody}
+            onChange={(e) => setReplyBody(e.target.value)}
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            placeholder={comment.visible_to_donor ? 'Reply (the donor will see this)...' : 'Reply...'}
+          />
+          <div className="flex gap-2">
+            <Button size="sm" onClick={() => handlePost(comment.id)} disabled={!replyBody.trim() || isPosting}>
+              {isPosting ? 'Posting...' : 'Reply'}
+            </Button>
+            <Button size="sm" variant="secondary" onClick={() => setReplyTo(null)} disabled={isPosting}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Comments:</p>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-100 mb-3">
+          {buildCommentThreads(comments).map(comment => renderComment(comment))}
+        </div>
+      )}
+
+      <div className="space-y-2 mt-3">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={2}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          placeholder="Add a comment for other reviewers..."
+        />
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={shareWithDonor}
+              onChange={(e) => setShareWithDonor(e.target.checked)}
+              className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+            />
+            Share with donor
+          </label>
+          <Button size="sm" variant="secondary" onClick={() => handlePost()} disabled={!body.trim() || isPosting}>
+            {isPosting && !replyTo ? 'Posting...' : 'Comment'}
+          </Button>
+        </div>
+      </div>
+
+      <div className="mt-4 border-t border-gray-100 pt-3">
+        <button
+          type="button"
+          onClick={() => setShowHistory(!showHistory)}
+          className="text-sm font-medium text-gray-700 hover:text-gray-900"
+        >
+          {showHistory ? '▾' : '▸'} Review History ({events.length})
+        </button>
+
+        {showHistory && (
+          <ul className="mt-2 space-y-1">
+            {events.map(event => (
+              <li key={event.id} className="text-xs text-gray-600">
+                <span className="text-gray-500">{new Date(event.created_at).toLocaleString()}</span>
+                {' · '}
+                <span className="font-medium text-gray-700">{event.actor_id ? nameOf(event.actor_id, event.actor) : 'System'}</span>
+                {': '}
+                {describeReviewEvent(event, id => nameOf(id))}
+                {event.details?.note && ` ("${event.details.note}")`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,44 @@
 import { useState } from 'react';
-import { verifyHashOnBlockchain, getDonorBlockchainRecord } from '../../../services/blockchainVerificationService';
+import { verifyHashOnBlockchain, getDonorBlockchainRecord, getDonorBlockchainHistory, verifyBatchedCertificate } from '../../../services/blockchainVerificationService';
 import { computeCertificateHash, formatHashForDisplay, compareHashes } from '../../../utils/certificateHash';
+import { getRevocationReasonLabel } from '../../../utils/certificateValidity';
+import { IDENTITY_MODES, resolveSubject } from '../../../utils/donorIdentity';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 
+// Result colours and headings; expired and revoked are not failures of authenticity
+const RESULT_STYLES = {
+  valid: {
+    box: 'bg-green-50 border-green-500', icon: 'text-green-500', heading: 'text-green-800',
+    status: 'text-green-700', title: '✓ Certificate Verified'
+  },
+  expired: {
+    box: 'bg-yellow-50 border-yellow-500', icon: 'text-yellow-500', heading: 'text-yellow-800',
+    status: 'text-yellow-700', title: '⏱ Certificate Expired'
+  },
+  revoked: {
+    box: 'bg-gray-100 border-gray-600', icon: 'text-gray-600', heading: 'text-gray-800',
+    status: 'text-gray-800', title: '⊘ Certificate Revoked'
+  },
+  ineligible: {
+    box: 'bg-red-50 border-red-500', icon: 'text-red-500', heading: 'text-red-800',
+    status: 'text-red-700', title: '✗ Verification Failed'
+  },
+  mismatch: {
+    box: 'bg-red-50 border-red-500', icon: 'text-red-500', heading: 'text-red-800',
+    status: 'text-red-700', title: '✗ Verification Failed'
+  }
+};
+
+// A tampered file is reported before the record's own status
+function getResultState(result) {
+  if (result.mode === 'file' && !result.matches) return 'mismatch';
+  if (result.status === 'revoked') return 'revoked';
+  if (result.status === 'expired') return 'expired';
+  if (!result.eligible) return 'ineligible';
+  return 'valid';
+}
+
 /**
  * Certificate Verification Interface
  * Allows anyone to verify certificate authenticity using blockchain
@@ -21,6 +56,7 @@ export default function CertificateVerification() {
   // Results state
   const [verifying, setVerifying] = useState(false);
   const [verificationResult, setVerificationResult] = useState(null);
+  const [history, setHistory] = useState([]);
   const [error, setError] = useState(null);
 
   /**
@@ -30,6 +66,7 @@ export default function CertificateVerification() {
     const selectedFile = e.target.files?.[0];
     setFile(selectedFile || null);
     setVerificationResult(null);
+    setHistory([]);
     setError(null);
   };
 
@@ -40,12 +77,12 @@ export default function CertificateVerification() {
     e.preventDefault();
     
     if (!file || !walletAddress) {
-      setError('Please select a file and enter wallet address');
+      setError('Please select a file and enter wallet address or verification code');
       return;
     }
 
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      setError('Invalid Ethereum wallet address format');
+    if (!resolveSubject(walletAddress)) {
+      setError('Enter a valid Ethereum wallet address or verification code');
       return;
     }
 
@@ -59,14 +96,36 @@ export default function CertificateVerification() {
       const certHash = await computeCertificateHash(file);
       console.log('Certificate hash:', certHash);
 
+      // Batch-anchored certificates are checked against their Merkle root
+      const batchResult = await verifyBatchedCertificate(walletAddress, certHash);
+      if (batchResult) {
+        setVerificationResult({
+          mode: 'file',
+          certHash,
+          walletAddress,
+          ...batchResult,
+        });
+        return;
+      }
+
       // Verify on blockchain
       console.log('Verifying on blockchain...');
-      const result = await verifyHashOnBlockchain(walletAddress, certHash);
+      const [result, records] = await Promise.all([
+        verifyHashOnBlockchain(walletAddress, certHash),
+        getDonorBlockchainHistory(walletAddress),
+      ]);
 
+      // A file that only matches an older record was valid once but has been superseded
+      const supersededMatch = !result.matches
+        ? records.find(record => !record.isCurrent && compareHashes(record.certHash, certHash))
+        : null;
+
+      setHistory(records);
       setVerificationResult({
         mode: 'file',
         certHash,
         walletAddress,
+        supersededMatch,
         ...result,
       });
     } catch (err) {
@@ -84,22 +143,26 @@ export default function CertificateVerification() {
     e.preventDefault();
     
     if (!lookupAddress) {
-      setError('Please enter a wallet address');
+      setError('Please enter a wallet address or verification code');
       return;
     }
 
-    if (!/^0x[a-fA-F0-9]{40}$/.test(lookupAddress)) {
-      setError('Invalid Ethereum wallet address format');
+    if (!resolveSubject(lookupAddress)) {
+      setError('Enter a valid Ethereum wallet address or verification code');
       return;
     }
 
     setVerifying(true);
     setError(null);
     setVerificationResult(null);
+    setHistory([]);
 
     try {
       console.log('Looking up blockchain record for:', lookupAddress);
-      const record = await getDonorBlockchainRecord(lookupAddress);
+      const [record, records] = await Promise.all([
+        getDonorBlockchainRecord(lookupAddress),
+        getDonorBlockchainHistory(lookupAddress),
+      ]);
 
       if (!record) {
         setError('No verification record found for this address');
@@ -107,6 +170,7 @@ export default function CertificateVerification() {
         return;
       }
 
+      setHistory(records);
       setVerificationResult({
         mode: 'address',
         walletAddress: lookupAddress,
@@ -115,6 +179,9 @@ export default function CertificateVerification() {
         timestamp: record.timestamp,
         timestampDate: record.timestampDate,
         exists: record.exists,
+        status: record.status,
+        validUntilDate: record.validUntilDate,
+        revocationReason: record.revocationReason,
       });
     } catch (err) {
       console.error('Lookup error:', err);
@@ -132,6 +199,7 @@ export default function CertificateVerification() {
     setWalletAddress('');
     setLookupAddress('');
     setVerificationResult(null);
+    setHistory([]);
     setError(null);
   };
 
@@ -141,16 +209,12 @@ export default function CertificateVerification() {
   const renderResult = () => {
     if (!verificationResult) return null;
 
-    const isValid = verificationResult.mode === 'file' 
-      ? verificationResult.matches && verificationResult.eligible
-      : verificationResult.eligible;
+    const state = getResultState(verificationResult);
+    const isValid = state === 'valid';
+    const style = RESULT_STYLES[state];
 
     return (
-      <div className={`mt-6 p-6 rounded-lg border-2 ${
-        isValid 
-          ? 'bg-green-50 border-green-500' 
-          : 'bg-red-50 border-red-500'
-      }`}>
+      <div className={`mt-6 p-6 rounded-lg border-2 ${style.box}`}>
         <div className="flex items-start gap-4">
           <div className="flex-shrink-0">
             {isValid ? (
@@ -158,17 +222,15 @@ export default function CertificateVerification() {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
             ) : (
-              <svg className="w-12 h-12 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <svg className={`w-12 h-12 ${style.icon}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
             )}
           </div>
 
           <div className="flex-1">
-            <h3 className={`text-xl font-bold mb-2 ${
-              isValid ? 'text-green-800' : 'text-red-800'
-            }`}>
-              {isValid ? '✓ Certificate Verified' : '✗ Verification Failed'}
+            <h3 className={`text-xl font-bold mb-2 ${style.heading}`}>
+              {style.title}
             </h3>
 
             <div className="space-y-3">
@@ -210,8 +272,41 @@ export default function CertificateVerification() {
                 </p>
               </div>
 
+              {verificationResult.anchor === 'batch' && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Anchored In Batch:</p>
+                  <code className="block bg-white px-3 py-2 rounded text-xs font-mono mt-1">
+                    {verificationResult.merkleRoot}
+                  </code>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Verified with a Merkle proof against this root
+                    {verificationResult.verifier && <> (anchored by {formatHashForDisplay(verificationResult.verifier, 6, 4)})</>}
+                  </p>
+                </div>
+              )}
+
+              {verificationResult.status && verificationResult.status !== 'none' && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Validity:</p>
+                  <p className={`text-lg font-semibold ${style.status}`}>
+                    {verificationResult.status === 'revoked' && 'Revoked'}
+                    {verificationResult.status === 'expired' && `Expired on ${verificationResult.validUntilDate.toLocaleDateString()}`}
+                    {verificationResult.status === 'active' && `Valid until ${verificationResult.validUntilDate.toLocaleDateString()}`}
+                  </p>
+                  {verificationResult.status === 'revoked' && getRevocationReasonLabel(verificationResult.revocationReason) && (
+                    <p className="text-sm text-gray-700">
+                      Reason: {getRevocationReasonLabel(verificationResult.revocationReason)}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div>
-                <p className="text-sm font-medium text-gray-700">Wallet Address:</p>
+                <p className="text-sm font-medium text-gray-700">
+                  {resolveSubject(verificationResult.walletAddress)?.mode === IDENTITY_MODES.COMMITMENT
+                    ? 'Verification Code:'
+                    : 'Wallet Address:'}
+                </p>
                 <code className="block bg-white px-3 py-2 rounded text-xs font-mono mt-1">
                   {verificationResult.walletAddress}
                 </code>
@@ -236,9 +331,23 @@ export default function CertificateVerification() {
                   ) : (
                     <>
                       {verificationResult.mode === 'file' && !verificationResult.matches && (
-                        <>The provided certificate file does not match the blockchain record. The file may have been modified.</>
+                        verificationResult.supersededMatch ? (
+                          <>
+                            This file matches an earlier record from{' '}
+                            {verificationResult.supersededMatch.timestampDate.toLocaleDateString()} that has since been
+                            replaced by a newer verification.
+                          </>
+                        ) : (
+                          <>The provided certificate file does not match the blockchain record. The file may have been modified.</>
+                        )
+                      )}
+                      {state === 'revoked' && (
+                        <>This certificate was revoked by hospital staff and must not be relied on.</>
+                      )}
+                      {state === 'expired' && (
+                        <>This certificate was valid but its validity window has ended. The donor needs to upload a new one.</>
                       )}
-                      {!verificationResult.eligible && (
+                      {state === 'ineligible' && (
                         <>The donor has been marked as not eligible by hospital staff.</>
                       )}
                     </>
@@ -252,6 +361,57 @@ export default function CertificateVerification() {
     );
   };
 
+  /**
+   * Render the donor's on-chain history as a timeline, newest first
+   */
+  const renderHistory = () => {
+    if (!verificationResult || history.length === 0) return null;
+
+    return (
+      <div className="mt-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">
+          Verification History ({history.length} {history.length === 1 ? 'record' : 'records'})
+        </h3>
+        <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+          {history.map((record) => {
+            const matchesFile = verificationResult.mode === 'file' &&
+              compareHashes(record.certHash, verificationResult.certHash);
+            return (
+              <li key={record.index} className="ml-4">
+                <span className={`absolute -left-[7px] w-3 h-3 rounded-full mt-1.5 ${
+                  record.eligible ? 'bg-green-500' : 'bg-red-500'
+                }`} />
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-medium text-gray-900">
+                    {record.eligible ? 'Approved' : 'Rejected'}
+                  </p>
+                  {record.isCurrent && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700">Current</span>
+                  )}
+                  {matchesFile && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">Matches file</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {record.timestampDate.toLocaleString()} · valid until {record.validUntilDate.toLocaleDateString()}
+                </p>
+                {record.revocationReason > 0 && (
+                  <p className="text-xs text-gray-700">
+                    Revoked: {getRevocationReasonLabel(record.revocationReason)}
+                  </p>
+                )}
+                <code className="text-xs font-mono text-gray-600">{formatHashForDisplay(record.certHash)}</code>
+                <p className="text-xs text-gray-500">
+                  Verified by <code className="font-mono">{formatHashForDisplay(record.verifier, 6, 4)}</code>
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    );
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">
@@ -321,18 +481,18 @@ export default function CertificateVerification() {
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Donor Wallet Address *
+              Donor Wallet Address or Verification Code *
             </label>
             <Input
               type="text"
               value={walletAddress}
               onChange={(e) => setWalletAddress(e.target.value)}
-              placeholder="0x..."
+              placeholder="0x... or bloodlink:v1:..."
               disabled={verifying}
               required
             />
             <p className="text-sm text-gray-500 mt-1">
-              Enter the Ethereum wallet address linked to this certificate
+              Enter the Ethereum wallet address linked to this certificate, or the donor's private verification code
             </p>
           </div>
 
@@ -372,18 +532,18 @@ export default function CertificateVerification() {
         <form onSubmit={handleLookupAddress} className="space-y-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Donor Wallet Address *
+              Donor Wallet Address or Verification Code *
             </label>
             <Input
               type="text"
               value={lookupAddress}
               onChange={(e) => setLookupAddress(e.target.value)}
-              placeholder="0x..."
+              placeholder="0x... or bloodlink:v1:..."
               disabled={verifying}
               required
             />
             <p className="text-sm text-gray-500 mt-1">
-              Enter the Ethereum wallet address to lookup verification record
+              Enter the Ethereum wallet address or private verification code to lookup verification record
             </p>
           </div>
 
@@ -419,6 +579,9 @@ export default function CertificateVerification() {
       {/* Verification Result */}
       {renderResult()}
 
+      {/* On-chain History */}
+      {renderHistory()}
+
       {/* Info Box */}
       <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
         <h4 className="text-sm font-medium text-blue-800 mb-2">
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import donationService from '../../../services/donationService';
+import ScreeningQuestionnaire from './ScreeningQuestionnaire';
+import VitalsForm from './VitalsForm';
+import { getComponentLabel } from '../../../utils/bloodComponents';
+import { getStatusLabel } from '../../../utils/donationLifecycle';
+
+const ACTION_LABELS = {
+  arrived: 'Check In',
+  screened: 'Start Screening',
+  collected: 'Blood Collected',
+  tested: 'Testing Done',
+  released: 'Release to Inventory',
+  discarded: 'Discard Unit',
+  cancelled: 'Cancel',
+  no_show: 'No-Show'
+};
+
+const ACTION_STYLES = {
+  released: 'bg-green-600 hover:bg-green-700 text-white',
+  discarded: 'bg-red-600 hover:bg-red-700 text-white',
+  cancelled: 'bg-gray-200 hover:bg-gray-300 text-gray-800',
+  no_show: 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+};
+
+/**
+ * Donations in progress at the hospital
+ * Staff move each donation through arrived → screened → collected → tested → released/discarded
+ */
+const DonationPipeline = ({ hospitalId, onInventoryChange }) => {
+  const [donations, setDonations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [releasingId, setReleasingId] = useState(null);
+  const [screeningId, setScreeningId] = useState(null);
+  const [vitalsId, setVitalsId] = useState(null);
+  const [bagNumber, setBagNumber] = useState('');
+
+  useEffect(() => {
+    if (hospitalId) {
+      loadDonations();
+    }
+  }, [hospitalId]);
+
+  const loadDonations = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await donationService.getHospitalDonations(hospitalId);
+      setDonations(data);
+    } catch (err) {
+      console.error('Failed to load donations:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAdvance = async (donation, nextStatus) => {
+    // Screening goes through the questionnaire, which may defer the donor instead
+    if (nextStatus === 'screened') {
+      setScreeningId(donation.id);
+      return;
+    }
+
+    // Collection needs a passing set of vitals first
+    if (nextStatus === 'collected' && !donation.vitalsPassed) {
+      setVitalsId(donation.id);
+      return;
+    }
+
+    if (nextStatus === 'released') {
+      setReleasingId(donation.id);
+      setBagNumber('');
+      return;
+    }
+
+    if (['discarded', 'cancelled', 'no_show'].includes(nextStatus) &&
+      !window.confirm(`Mark the donation from ${donation.donorName} as ${getStatusLabel(nextStatus).toLowerCase()}?`)) {
+      return;
+    }
+
+    await advance(donation, nextStatus);
+  };
+
+  const handleRelease = async (e, donation) => {
+    e.preventDefault();
+    const released = await advance(donation, 'released', { bagNumber });
+    if (released) {
+      setReleasingId(null);
+      onInventoryChange?.();
+    }
+  };
+
+  const advance = async (donation, nextStatus, options = {}) => {
+    setBusyId(donation.id);
+    setError(null);
+    try {
+      await donationService.advanceStatus(donation.id, nextStatus, options);
+      await loadDonations();
+      return true;
+    } catch (err) {
+      console.error('Failed to update donation:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const getActionLabel = (donation, nextStatus) => {
+    if (nextStatus === 'collected' && !donation.vitalsPassed) return 'Record Vitals';
+    return ACTION_LABELS[nextStatus] || getStatusLabel(nextStatus);
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'accepted': return 'text-blue-600 bg-blue-100';
+      case 'arrived': return 'text-indigo-600 bg-indigo-100';
+      case 'screened': return 'text-yellow-700 bg-yellow-100';
+      case 'collected': return 'text-orange-600 bg-orange-100';
+      case 'tested': return 'text-green-600 bg-green-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Donations in Progress</h3>
+            <p className="text-sm text-gray-600">
+              A donation counts for the donor once blood has been collected
+            </p>
+          </div>
+          <Button
+            onClick={loadDonations}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+            disabled={isLoading}
+          >
+            <Icon name="RefreshCw" size={16} className="mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            <p className="text-sm">{error}</p>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <Icon name="Loader2" size={24} className="animate-spin text-gray-400" />
+          </div>
+        ) : donations.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <Icon name="Droplets" size={32} className="mx-auto mb-2 text-gray-400" />
+            <p className="text-sm">Donations appear here when donors accept your requests.</p>
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {donations.map((donation) => (
+              <li key={donation.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {donation.donorName}
+                      {donation.bloodType && (
+                        <span className="ml-2 text-red-600">{donation.bloodType}</span>
+                      )}
+                      <span className="ml-2 text-gray-500 font-normal">{getComponentLabel(donation.component)}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {donation.donorPhone || 'No phone'} • Accepted {new Date(donation.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusColor(donation.status)}`}>
+                    {getStatusLabel(donation.status)}
+                  </span>
+                </div>
+
+                {screeningId === donation.id ? (
+                  <ScreeningQuestionnaire
+                    donation={donation}
+                    onCancel={() => setScreeningId(null)}
+                    onComplete={() => {
+                      setScreeningId(null);
+                      loadDonations();
+                    }}
+                  />
+                ) : vitalsId === donation.id ? (
+                  <VitalsForm
+                    donation={donation}
+                    onCancel={() => setVitalsId(null)}
+                    onComplete={() => {
+                      setVitalsId(null);
+                      loadDonations();
+                    }}
+                  />
+                ) : releasingId === donation.id ? (
+                  <form
+                    onSubmit={(e) => handleRelease(e, donation)}
+                    className="mt-3 flex items-center space-x-3"
+                  >
+                    <Input
+                      placeholder="Bag number"
+                      value={bagNumber}
+                      onChange={(e) => setBagNumber(e.target.value)}
+                      required
+                    />
+                    <Button
+                      type="submit"
+                      className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
+                      disabled={busyId === donation.id}
+                    >
+                      {busyId === donation.id ? 'Releasing...' : 'Add to Inventory'}
+                    </Button>
+                    <Button
+                      type="button"
+                      onClick={() => setReleasingId(null)}
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+                    >
+                      Cancel
+                    </Button>
+                  </form>
+                ) : (
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    {donation.nextStatuses.map((nextStatus) => (
+                      <button
+                        key={nextStatus}
+                        onClick={() => handleAdvance(donation, nextStatus)}
+                        disabled={busyId === donation.id}
+                        className={`px-3 py-1 text-xs font-medium rounded-md disabled:opacity-50 ${ACTION_STYLES[nextStatus] || 'bg-blue-600 hover:bg-blue-700 text-white'}`}
+                      >
+                        {getActionLabel(donation, nextStatus)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DonationPipeline;
@@ -4,10 +4,12 @@ import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 import Select from '../../../components/ui/Select';
 import hospitalService from '../../../services/hospitalService';
+import { BLOOD_COMPONENTS, DEFAULT_COMPONENT } from '../../../utils/bloodComponents';
 
 const EmergencyRequestForm = ({ onSubmit, onCancel, hospitalData }) => {
   const [formData, setFormData] = useState({
     bloodType: '',
+    component: DEFAULT_COMPONENT,
     unitsNeeded: 1,
     urgency: 'critical',
     patientName: '',
@@ -40,6 +42,11 @@ const EmergencyRequestForm = ({ onSubmit, onCancel, hospitalData }) => {
     { value: 'O-', label: 'O-' }
   ];
 
+  const componentOptions = BLOOD_COMPONENTS.map(component => ({
+    value: component.value,
+    label: component.label
+  }));
+
   const urgencyLevels = [
     { value: 'critical', label: 'Critical - Life-threatening emergency' },
     { value: 'urgent', label: 'Urgent - Needed within hours' },
@@ -159,6 +166,22 @@ const EmergencyRequestForm = ({ onSubmit, onCancel, hospitalData }) => {
           </div>
         </div>
 
+        {/* Blood Component */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Blood Component *
+          </label>
+          <Select
+            value={formData.component}
+            onChange={(value) => handleInputChange('component', value)}
+            options={componentOptions}
+            placeholder="Select component"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Donor matching uses the compatibility rules for the selected component (e.g. AB plasma is the universal donor)
+          </p>
+        </div>
+
         {/* Urgency Level */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import screeningService from '../../../services/screeningService';
+import {
+  SCREENING_SECTIONS,
+  getVisibleQuestions,
+  getMissingAnswers
+} from '../../../utils/screeningQuestionnaire';
+
+/**
+ * Pre-donation screening questionnaire for a donor who has checked in
+ * Shows the resulting deferrals when the donor cannot donate today
+ */
+const ScreeningQuestionnaire = ({ donation, onComplete, onCancel }) => {
+  const [answers, setAnswers] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const visibleQuestions = getVisibleQuestions(answers);
+  const missingCount = getMissingAnswers(answers).length;
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      // Drop answers to follow-up questions that are no longer shown
+      const submitted = Object.fromEntries(
+        visibleQuestions.map(question => [question.id, answers[question.id]])
+      );
+      const outcome = await screeningService.submitScreening(donation.id, submitted);
+      if (outcome.passed) {
+        onComplete?.(outcome);
+      } else {
+        setResult(outcome);
+      }
+    } catch (err) {
+      console.error('Failed to submit screening:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderInput = (question) => {
+    const value = answers[question.id];
+
+    if (question.type === 'boolean') {
+      return (
+        <div className="flex items-center space-x-2">
+          {[{ label: 'Yes', value: true }, { label: 'No', value: false }].map(option => (
+            <button
+              key={option.label}
+              type="button"
+              onClick={() => setAnswer(question.id, option.value)}
+              className={`px-3 py-1 text-xs font-medium rounded-md border ${
+                value === option.value
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    }
+
+    return (
+      <Input
+        type={question.type}
+        step={question.type === 'number' ? '0.1' : undefined}
+        value={value ?? ''}
+        onChange={(e) => setAnswer(question.id, e.target.value)}
+        className="w-40"
+      />
+    );
+  };
+
+  if (result) {
+    return (
+      <div className="mt-3 p-4 bg-red-50 border border-red-200 rounded-lg space-y-3">
+        <div className="flex items-center space-x-2 text-red-700">
+          <Icon name="ShieldAlert" size={18} />
+          <p className="text-sm font-medium">{donation.donorName} cannot donate today</p>
+        </div>
+        <ul className="space-y-1">
+          {result.deferrals.map(deferral => (
+            <li key={deferral.id} className="text-sm text-gray-700">
+              {deferral.reason} —{' '}
+              {deferral.type === 'permanent'
+                ? <span className="font-medium text-red-700">permanent deferral</span>
+                : `deferred until ${new Date(deferral.endsAt).toLocaleDateString()}`}
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            onClick={() => onComplete?.(result)}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+          >
+            Done
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900">Pre-Donation Screening</h4>
+        <span className="text-xs text-gray-600">
+          {missingCount === 0 ? 'All questions answered' : `${missingCount} questions left`}
+        </span>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {SCREENING_SECTIONS.map(section => {
+        const questions = visibleQuestions.filter(question => question.section === section.id);
+        if (questions.length === 0) return null;
+
+        return (
+          <div key={section.id}>
+            <h5 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{section.label}</h5>
+            <ul className="space-y-2">
+              {questions.map(question => (
+                <li key={question.id} className="flex items-center justify-between space-x-4">
+                  <span className={`text-sm text-gray-700 ${question.showIf ? 'pl-4' : ''}`}>{question.text}</span>
+                  {renderInput(question)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+
+      <div className="flex justify-end space-x-3">
+        <Button
+          type="button"
+          onClick={onCancel}
+          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+          disabled={isSubmitting}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
+          disabled={isSubmitting || missingCount > 0}
+        >
+          {isSubmitting ? 'Saving...' : 'Submit Screening'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ScreeningQuestionnaire;
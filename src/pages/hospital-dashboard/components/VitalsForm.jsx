@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import vitalsService from '../../../services/vitalsService';
+import { VITAL_SIGNS } from '../../../utils/vitalsThresholds';
+
+/**
+ * Pre-donation vitals capture for a screened donor
+ * Readings outside the hospital's thresholds cancel the collection
+ */
+const VitalsForm = ({ donation, onComplete, onCancel }) => {
+  const [readings, setReadings] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const outcome = await vitalsService.recordVitals(donation.id, readings);
+      if (outcome.passed) {
+        onComplete?.(outcome);
+      } else {
+        setResult(outcome);
+      }
+    } catch (err) {
+      console.error('Failed to record vitals:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="mt-3 p-4 bg-red-50 border border-red-200 rounded-lg space-y-3">
+        <div className="flex items-center space-x-2 text-red-700">
+          <Icon name="HeartPulse" size={18} />
+          <p className="text-sm font-medium">Collection stopped for {donation.donorName}</p>
+        </div>
+        <ul className="space-y-1">
+          {result.failures.map(failure => (
+            <li key={failure.field} className="text-sm text-gray-700">{failure.message}</li>
+          ))}
+        </ul>
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            onClick={() => onComplete?.(result)}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+          >
+            Done
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4">
+      <h4 className="text-sm font-medium text-gray-900">Pre-Donation Vitals</h4>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {VITAL_SIGNS.map(sign => (
+          <div key={sign.id}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {sign.label} ({sign.unit}) *
+            </label>
+            <Input
+              type="number"
+              step={sign.step}
+              value={readings[sign.id] ?? ''}
+              onChange={(e) => setReadings(prev => ({ ...prev, [sign.id]: e.target.value }))}
+              required
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <Button
+          type="button"
+          onClick={onCancel}
+          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+          disabled={isSubmitting}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Saving...' : 'Save Vitals'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default VitalsForm;
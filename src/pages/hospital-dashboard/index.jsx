@@ -14,6 +14,12 @@ import NearbyDonorsPanel from './components/NearbyDonorsPanel';
 import DonorResponseTracker from './components/DonorResponseTracker';
 import CertificateApproval from './components/CertificateApproval'; // Added CertificateApproval import
 import CertificateVerification from './components/CertificateVerification'; // Added CertificateVerification import
+import BloodUnitInventory from './components/BloodUnitInventory';
+import BloodTransfers from './components/BloodTransfers';
+import AppointmentSchedule from './components/AppointmentSchedule';
+import DonationPipeline from './components/DonationPipeline';
+import AuditLogViewer from './components/AuditLogViewer';
+import { BLOOD_COMPONENTS, DEFAULT_COMPONENT, getComponentLabel } from '../../utils/bloodComponents';
 import { authHelper } from '../../utils/authHelper';
 import { supabase } from '../../lib/supabase';
 
@@ -40,11 +46,6 @@ const HospitalDashboard = () => {
   const [showDonorDetails, setShowDonorDetails] = useState(false);
   const [selectedRequestForDonorDetails, setSelectedRequestForDonorDetails] = useState(null);
   
-  // Inventory editing state
-  const [isEditingInventory, setIsEditingInventory] = useState(false);
-  const [editingInventory, setEditingInventory] = useState({});
-  const [isSavingInventory, setIsSavingInventory] = useState(false);
-  
   // Real-time state
   const [realtimeConnected, setRealtimeConnected] = useState(false);
   const [donorResponses, setDonorResponses] = useState([]);
@@ -228,6 +229,7 @@ const HospitalDashboard = () => {
     setEmergencyRequestId(request.id);
     setEmergencyRequestData({
       bloodType: request.blood_type,
+      component: request.component,
       urgency: request.urgency,
       hospitalName: user?.hospitalName || user?.name,
       city: user?.city || 'Your Area',
@@ -263,6 +265,7 @@ const HospitalDashboard = () => {
       setEmergencyRequestId(requestData.id);
       setEmergencyRequestData({
         bloodType: requestData.blood_type,
+        component: requestData.component,
         urgency: requestData.urgency,
         hospitalName: user?.hospitalName || user?.name,
         city: user?.city || 'Your Area',
@@ -298,11 +301,13 @@ const HospitalDashboard = () => {
     setSelectedRequestForDonors({
       id: request.id,
       bloodType: request.blood_type,
+      component: request.component,
       unitsNeeded: request.units_needed,
       urgency: request.urgency,
       latitude: user.latitude || 40.7128, // Use hospital location or default
       longitude: user.longitude || -74.0060,
-      hospitalName: user.hospitalName || user.name
+      hospitalName: user.hospitalName || user.name,
+      hospitalId: user.id
     });
     setShowNearbyDonors(true);
   };
@@ -388,22 +393,7 @@ const HospitalDashboard = () => {
   };
 
 
-  // Inventory editing functions
-  const handleStartEditInventory = () => {
-    const initialEditingState = {};
-    ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].forEach(bloodType => {
-      const inventory = inventoryData?.find(item => item.bloodType === bloodType);
-      initialEditingState[bloodType] = inventory?.currentUnits || 0;
-    });
-    setEditingInventory(initialEditingState);
-    setIsEditingInventory(true);
-  };
-
-  const handleCancelEditInventory = () => {
-    setIsEditingInventory(false);
-    setEditingInventory({});
-  };
-
+  // Inventory functions
   const handleRefreshInventory = async () => {
     if (!user?.id) return;
     
@@ -417,94 +407,6 @@ const HospitalDashboard = () => {
     }
   };
 
-  const handleInventoryChange = (bloodType, value) => {
-    // Allow empty string for better UX during editing
-    if (value === '') {
-      setEditingInventory(prev => ({
-        ...prev,
-        [bloodType]: ''
-      }));
-      return;
-    }
-    
-    const numValue = Math.max(0, parseInt(value) || 0);
-    setEditingInventory(prev => ({
-      ...prev,
-      [bloodType]: numValue
-    }));
-  };
-
-  const handleSaveInventory = async () => {
-    if (!user?.id) {
-      alert('User not found. Please log in again.');
-      return;
-    }
-    
-    // Validate inventory values
-    const invalidEntries = Object.entries(editingInventory).filter(([bloodType, units]) => 
-      units === '' || isNaN(units) || units < 0
-    );
-    
-    if (invalidEntries.length > 0) {
-      console.error('Invalid inventory values:', invalidEntries);
-      alert('Please enter valid numbers for all blood types (0 or greater)');
-      return;
-    }
-    
-    setIsSavingInventory(true);
-    try {
-      console.log('Starting inventory update process...');
-      console.log('User ID:', user.id);
-      console.log('Inventory data to save:', editingInventory);
-      
-      // Update each blood type inventory one by one for better error handling
-      const results = [];
-      for (const [bloodType, units] of Object.entries(editingInventory)) {
-        try {
-          console.log(`Updating ${bloodType}: ${units} units`);
-          const result = await hospitalService.updateBloodInventory(user.id, bloodType, units);
-          results.push({ bloodType, success: true, data: result });
-        } catch (error) {
-          console.error(`Failed to update ${bloodType}:`, error);
-          results.push({ bloodType, success: false, error: error.message });
-        }
-      }
-      
-      // Check if any updates failed
-      const failedUpdates = results.filter(r => !r.success);
-      if (failedUpdates.length > 0) {
-        console.error('Some inventory updates failed:', failedUpdates);
-        alert(`Failed to update some blood types: ${failedUpdates.map(f => f.bloodType).join(', ')}. Please try again.`);
-        return;
-      }
-      
-      // Verify data was saved correctly
-      console.log('Verifying inventory data...');
-      await hospitalService.verifyInventoryData(user.id);
-      
-      // Small delay to ensure database consistency
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Refresh inventory data specifically
-      console.log('Refreshing inventory data...');
-      const updatedInventory = await hospitalService.getBloodInventory(user.id);
-      console.log('Updated inventory data:', updatedInventory);
-      setInventoryData(updatedInventory);
-      
-      setIsEditingInventory(false);
-      setEditingInventory({});
-      
-      // Success feedback
-      console.log('Inventory updated successfully');
-      alert('Blood inventory updated successfully!');
-    } catch (error) {
-      console.error('Failed to save inventory:', error);
-      alert(`Failed to save inventory: ${error.message}. Please check the console for more details.`);
-    } finally {
-      setIsSavingInventory(false);
-    }
-  };
-
   // Filter requests
   const filteredRequests = bloodRequests?.filter(request => {
     if (filters.bloodType !== 'all' && request.blood_type !== filters.bloodType) return false;
@@ -588,8 +490,12 @@ const HospitalDashboard = () => {
               { id: 'overview', label: 'Overview', icon: 'BarChart3' },
               { id: 'history', label: 'Request History', icon: 'History' },
               { id: 'inventory', label: 'Inventory', icon: 'Package' },
+              { id: 'transfers', label: 'Transfers', icon: 'Truck' },
+              { id: 'appointments', label: 'Appointments', icon: 'CalendarClock' },
+              { id: 'donations', label: 'Donations', icon: 'Droplets' },
               { id: 'certificates', label: 'Certificates', icon: 'FileText' }, // Added Certificates tab
-              { id: 'verification', label: 'Verification', icon: 'Shield' } // Added Verification tab
+              { id: 'verification', label: 'Verification', icon: 'Shield' }, // Added Verification tab
+              ...(user?.role === 'admin' ? [{ id: 'audit', label: 'Audit Log', icon: 'ScrollText' }] : [])
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -692,7 +598,8 @@ const HospitalDashboard = () => {
                       <div>
                         <p className="font-medium text-gray-900">{request.patientName || 'Unknown Patient'}</p>
                         <p className="text-sm text-gray-600">
-                          {request.bloodType} • {request.patientAge && request.patientGender 
+                          {request.bloodType}
+                          {request.component && request.component !== DEFAULT_COMPONENT && ` ${getComponentLabel(request.component)}`} • {request.patientAge && request.patientGender 
                             ? `${request.patientGender}, ${request.patientAge} years`
                             : 'Patient details not available'
                           } • 
@@ -862,7 +769,7 @@ const HospitalDashboard = () => {
                           <div>
                             <div className="text-sm font-medium text-gray-900">{request.patientName || 'Unknown Patient'}</div>
                             <div className="text-sm text-gray-500">
-                              {request.bloodType} • {request.unitsNeeded} units • 
+                              {request.bloodType} • {getComponentLabel(request.component)} • {request.unitsNeeded} units • 
                               <span className={`ml-1 px-2 py-0.5 text-xs font-medium rounded-full ${getUrgencyColor(request.urgency)}`}>
                                 {request.urgency}
                               </span>
@@ -964,100 +871,51 @@ const HospitalDashboard = () => {
             <div className="bg-white rounded-lg shadow-sm border border-gray-200">
               <div className="px-6 py-4 border-b border-gray-200">
                 <div className="flex items-center justify-between">
-                  <h3 className="text-lg font-medium text-gray-900">Blood Inventory</h3>
-                  <div className="flex space-x-3">
-                    {!isEditingInventory ? (
-                      <>
-                        <Button
-                          onClick={handleRefreshInventory}
-                          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
-                        >
-                          <Icon name="RefreshCw" size={16} className="mr-2" />
-                          Refresh
-                        </Button>
-                        <Button
-                          onClick={handleStartEditInventory}
-                          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2"
-                        >
-                          <Icon name="Edit" size={16} className="mr-2" />
-                          Edit Inventory
-                        </Button>
-                      </>
-                    ) : (
-                      <>
-                        <Button
-                          onClick={handleCancelEditInventory}
-                          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
-                          disabled={isSavingInventory}
-                        >
-                          Cancel
-                        </Button>
-                        <Button
-                          onClick={handleSaveInventory}
-                          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2"
-                          disabled={isSavingInventory}
-                        >
-                          {isSavingInventory ? (
-                            <>
-                              <Icon name="Loader2" size={16} className="mr-2 animate-spin" />
-                              Saving...
-                            </>
-                          ) : (
-                            <>
-                              <Icon name="Save" size={16} className="mr-2" />
-                              Save Changes
-                            </>
-                          )}
-                        </Button>
-                      </>
-                    )}
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">Blood Inventory</h3>
+                    <p className="text-sm text-gray-600">Totals are counted from available, unexpired blood bags</p>
                   </div>
+                  <Button
+                    onClick={handleRefreshInventory}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2"
+                  >
+                    <Icon name="RefreshCw" size={16} className="mr-2" />
+                    Refresh
+                  </Button>
                 </div>
               </div>
               <div className="p-6">
-                {/* Debug info */}
-                {process.env.NODE_ENV === 'development' && (
-                  <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm">
-                    <strong>Debug Info:</strong> Inventory data has {inventoryData?.length || 0} items. 
-                    Last updated: {new Date().toLocaleTimeString()}
-                  </div>
-                )}
-                
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                   {['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].map((bloodType) => {
                     const inventory = inventoryData?.find(item => item.bloodType === bloodType);
                     const currentUnits = inventory?.currentUnits || 0;
-                    const displayUnits = isEditingInventory ? editingInventory[bloodType] : currentUnits;
-                    const isLow = displayUnits < 5;
+                    const isLow = currentUnits < 5;
                     
                     return (
                       <div key={bloodType} className={`p-4 rounded-lg border-2 ${isLow ? 'border-red-200 bg-red-50' : 'border-gray-200 bg-gray-50'}`}>
                         <div className="text-center">
-                          {isEditingInventory ? (
-                            <div className="space-y-2">
-                              <input
-                                type="number"
-                                min="0"
-                                value={displayUnits}
-                                onChange={(e) => handleInventoryChange(bloodType, e.target.value)}
-                                className={`w-full text-center text-2xl font-bold border rounded px-2 py-1 focus:outline-none focus:ring-2 ${
-                                  displayUnits === '' || displayUnits < 0 
-                                    ? 'border-red-300 focus:ring-red-500 bg-red-50' 
-                                    : 'border-gray-300 focus:ring-blue-500'
-                                }`}
-                                placeholder="0"
-                              />
-                              <div className="text-sm text-gray-600">units</div>
-                              <div className="text-lg font-medium text-gray-900">{bloodType}</div>
+                          <div className={`text-2xl font-bold ${isLow ? 'text-red-600' : 'text-gray-900'}`}>
+                            {currentUnits}
+                          </div>
+                          <div className="text-sm text-gray-600">units</div>
+                          <div className="text-lg font-medium text-gray-900">{bloodType}</div>
+                          {currentUnits > 0 && (
+                            <div className="text-xs text-gray-600 mt-1">
+                              {BLOOD_COMPONENTS
+                                .filter(({ value }) => inventory?.byComponent?.[value] > 0)
+                                .map(({ value, label }) => `${label}: ${inventory.byComponent[value]}`)
+                                .join(' • ')}
+                            </div>
+                          )}
+                          {inventory?.nextExpiry && (
+                            <div className="text-xs text-gray-500 mt-1">
+                              Next expiry: {new Date(inventory.nextExpiry).toLocaleDateString()}
+                            </div>
+                          )}
+                          {inventory?.expiringSoon > 0 && (
+                            <div className="text-xs text-orange-600 font-medium mt-1">
+                              {inventory.expiringSoon} expiring within 3 days
                             </div>
-                          ) : (
-                            <>
-                              <div className={`text-2xl font-bold ${isLow ? 'text-red-600' : 'text-gray-900'}`}>
-                                {displayUnits}
-                              </div>
-                              <div className="text-sm text-gray-600">units</div>
-                              <div className="text-lg font-medium text-gray-900">{bloodType}</div>
-                            </>
                           )}
                           {isLow && (
                             <div className="text-xs text-red-600 font-medium mt-1">Low Stock</div>
@@ -1067,21 +925,40 @@ const HospitalDashboard = () => {
                     );
                   })}
                 </div>
-                {isEditingInventory && (
-                  <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-                    <div className="flex items-start">
-                      <Icon name="Info" size={20} className="text-blue-600 mr-3 mt-0.5" />
-                      <div>
-                        <h4 className="text-sm font-medium text-blue-900">Editing Mode</h4>
-                        <p className="text-sm text-blue-700 mt-1">
-                          You can now edit the blood inventory quantities. Click "Save Changes" to update the inventory or "Cancel" to discard changes.
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                )}
               </div>
             </div>
+
+            <BloodUnitInventory
+              hospitalId={user?.id}
+              onInventoryChange={handleRefreshInventory}
+            />
+          </div>
+        )}
+
+        {/* Transfers Tab - Inter-hospital Blood Transfers */}
+        {activeTab === 'transfers' && (
+          <div className="space-y-6">
+            <BloodTransfers
+              hospital={user}
+              onInventoryChange={handleRefreshInventory}
+            />
+          </div>
+        )}
+
+        {/* Appointments Tab - Daily Donation Schedule */}
+        {activeTab === 'appointments' && (
+          <div className="space-y-6">
+            <AppointmentSchedule hospitalId={user?.id} />
+          </div>
+        )}
+
+        {/* Donations Tab - Donation Lifecycle */}
+        {activeTab === 'donations' && (
+          <div className="space-y-6">
+            <DonationPipeline
+              hospitalId={user?.id}
+              onInventoryChange={handleRefreshInventory}
+            />
           </div>
         )}
 
@@ -1099,6 +976,13 @@ const HospitalDashboard = () => {
           </div>
         )}
 
+        {/* Audit Log Tab - admins only */}
+        {activeTab === 'audit' && user?.role === 'admin' && (
+          <div className="space-y-6">
+            <AuditLogViewer />
+          </div>
+        )}
+
       </div>
 
       {/* Emergency Workflow Modal */}
@@ -55,8 +55,11 @@ const MyDonations = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
+      case 'released':
         return 'text-success bg-success/10';
       case 'scheduled':
+      case 'collected':
+      case 'tested':
         return 'text-primary bg-primary/10';
       case 'cancelled':
         return 'text-destructive bg-destructive/10';
@@ -68,8 +71,11 @@ const MyDonations = () => {
   const getStatusIcon = (status) => {
     switch (status) {
       case 'completed':
+      case 'released':
         return 'CheckCircle';
       case 'scheduled':
+      case 'collected':
+      case 'tested':
         return 'Calendar';
       case 'cancelled':
         return 'XCircle';
@@ -1,6 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import { ELIGIBILITY_POLICIES, DEFAULT_POLICY } from '../../../utils/eligibilityRules';
+import { resolveThresholds } from '../../../utils/vitalsThresholds';
+
+// Hospital vitals thresholds editable on the profile; path is the key in vitals_thresholds
+const VITALS_THRESHOLD_FIELDS = [
+  { path: ['hemoglobinMin', 'male'], label: 'Min Hemoglobin, Male (g/dL)', step: '0.1' },
+  { path: ['hemoglobinMin', 'female'], label: 'Min Hemoglobin, Female (g/dL)', step: '0.1' },
+  { path: ['hemoglobinMin', 'other'], label: 'Min Hemoglobin, Other (g/dL)', step: '0.1' },
+  { path: ['systolicMin'], label: 'Min Systolic BP (mmHg)', step: '1' },
+  { path: ['systolicMax'], label: 'Max Systolic BP (mmHg)', step: '1' },
+  { path: ['diastolicMin'], label: 'Min Diastolic BP (mmHg)', step: '1' },
+  { path: ['diastolicMax'], label: 'Max Diastolic BP (mmHg)', step: '1' },
+  { path: ['pulseMin'], label: 'Min Pulse (bpm)', step: '1' },
+  { path: ['pulseMax'], label: 'Max Pulse (bpm)', step: '1' },
+  { path: ['weightMinKg'], label: 'Min Weight (kg)', step: '0.1' },
+  { path: ['temperatureMaxC'], label: 'Max Temperature (°C)', step: '0.1' }
+];
 
 const ProfileForm = ({ 
   user, 
@@ -26,10 +43,15 @@ const ProfileForm = ({
     // Hospital-specific fields
     hospitalName: '',
     hospitalLicense: '',
+    eligibilityPolicy: DEFAULT_POLICY,
+    vitalsThresholds: resolveThresholds(),
     // Medical fields for donors
     medicalConditions: '',
     medications: '',
-    lastDonationDate: ''
+    lastDonationDate: '',
+    weightKg: '',
+    lastTravelDate: '',
+    lastTattooDate: ''
   });
 
   const [formErrors, setFormErrors] = useState({});
@@ -51,9 +73,14 @@ const ProfileForm = ({
         isAvailable: profile.is_available ?? true,
         hospitalName: profile.hospital_name || '',
         hospitalLicense: profile.hospital_license || '',
+        eligibilityPolicy: user?.role === 'hospital' ? (profile.eligibility_policy || DEFAULT_POLICY) : null,
+        vitalsThresholds: user?.role === 'hospital' ? resolveThresholds(profile.vitals_thresholds) : null,
         medicalConditions: user?.role === 'hospital' ? null : (profile.medical_conditions || ''),
         medications: user?.role === 'hospital' ? null : (profile.medications || ''),
-        lastDonationDate: user?.role === 'hospital' ? null : (profile.last_donation_date || '')
+        lastDonationDate: user?.role === 'hospital' ? null : (profile.last_donation_date || ''),
+        weightKg: user?.role === 'hospital' ? null : (profile.weight_kg ?? ''),
+        lastTravelDate: user?.role === 'hospital' ? null : (profile.last_travel_date || ''),
+        lastTattooDate: user?.role === 'hospital' ? null : (profile.last_tattoo_date || '')
       });
     }
   }, [profile, user]);
@@ -74,6 +101,18 @@ const ProfileForm = ({
     }
   };
 
+  const handleThresholdChange = (path, value) => {
+    setFormData(prev => {
+      const thresholds = { ...prev.vitalsThresholds };
+      if (path.length === 2) {
+        thresholds[path[0]] = { ...thresholds[path[0]], [path[1]]: value };
+      } else {
+        thresholds[path[0]] = value;
+      }
+      return { ...prev, vitalsThresholds: thresholds };
+    });
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -425,6 +464,55 @@ const ProfileForm = ({
                   <p className="text-sm text-destructive mt-1">{formErrors.hospitalLicense}</p>
                 )}
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-foreground mb-2">
+                  Donor Eligibility Policy
+                </label>
+                <select
+                  name="eligibilityPolicy"
+                  value={formData.eligibilityPolicy || DEFAULT_POLICY}
+                  onChange={handleInputChange}
+                  disabled={!isEditing}
+                  className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20 border-border ${!isEditing ? 'bg-muted cursor-not-allowed' : 'bg-background'}`}
+                >
+                  {Object.entries(ELIGIBILITY_POLICIES).map(([value, policy]) => (
+                    <option key={value} value={value}>{policy.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Strict requires recorded age and weight and applies longer deferrals; lenient leaves gaps to on-site screening
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-foreground mb-1">Pre-Donation Vitals Thresholds</h4>
+              <p className="text-xs text-muted-foreground mb-3">
+                Readings outside these limits stop a collection
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {VITALS_THRESHOLD_FIELDS.map(field => {
+                  const value = field.path.length === 2
+                    ? formData.vitalsThresholds?.[field.path[0]]?.[field.path[1]]
+                    : formData.vitalsThresholds?.[field.path[0]];
+                  return (
+                    <div key={field.path.join('.')}>
+                      <label className="block text-sm font-medium text-foreground mb-2">
+                        {field.label}
+                      </label>
+                      <input
+                        type="number"
+                        step={field.step}
+                        value={value ?? ''}
+                        onChange={(e) => handleThresholdChange(field.path, e.target.value)}
+                        disabled={!isEditing}
+                        className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20 border-border ${!isEditing ? 'bg-muted cursor-not-allowed' : 'bg-background'}`}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
             </div>
           </div>
         )}
@@ -487,6 +575,52 @@ const ProfileForm = ({
                   placeholder="List current medications (optional)"
                 />
               </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-foreground mb-2">
+                    Weight (kg)
+                  </label>
+                  <input
+                    type="number"
+                    name="weightKg"
+                    min="0"
+                    value={formData.weightKg}
+                    onChange={handleInputChange}
+                    disabled={!isEditing}
+                    className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20 border-border ${!isEditing ? 'bg-muted cursor-not-allowed' : 'bg-background'}`}
+                    placeholder="e.g. 65"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-foreground mb-2">
+                    Last Travel to Malaria Risk Area
+                  </label>
+                  <input
+                    type="date"
+                    name="lastTravelDate"
+                    value={formData.lastTravelDate}
+                    onChange={handleInputChange}
+                    disabled={!isEditing}
+                    className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20 border-border ${!isEditing ? 'bg-muted cursor-not-allowed' : 'bg-background'}`}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-foreground mb-2">
+                    Last Tattoo or Piercing
+                  </label>
+                  <input
+                    type="date"
+                    name="lastTattooDate"
+                    value={formData.lastTattooDate}
+                    onChange={handleInputChange}
+                    disabled={!isEditing}
+                    className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/20 border-border ${!isEditing ? 'bg-muted cursor-not-allowed' : 'bg-background'}`}
+                  />
+                </div>
+              </div>
             </div>
           </div>
         )}
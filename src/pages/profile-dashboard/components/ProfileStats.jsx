@@ -1,6 +1,9 @@
 import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 import Icon from '../../../components/AppIcon';
 
+const formatReadingDate = (value) => new Date(value).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
 const ProfileStats = ({ stats, userRole }) => {
   if (!stats) return null;
 
@@ -53,6 +56,7 @@ const ProfileStats = ({ stats, userRole }) => {
   ];
 
   const statCards = userRole === 'donor' ? getDonorStats() : getHospitalStats();
+  const latestVitals = stats.vitalsTrend?.[stats.vitalsTrend.length - 1];
 
   return (
     <div className="bg-card border border-border rounded-lg p-6 shadow-sm">
@@ -104,6 +108,43 @@ const ProfileStats = ({ stats, userRole }) => {
         </div>
       )}
 
+      {/* Health Trend from pre-donation vitals */}
+      {userRole === 'donor' && latestVitals && (
+        <div className="mt-4 p-3 border border-border rounded-lg">
+          <div className="flex items-center space-x-2 mb-2">
+            <Icon name="HeartPulse" size={16} color="var(--color-destructive)" />
+            <div className="text-sm font-medium text-foreground">Hemoglobin Trend (g/dL)</div>
+          </div>
+          <div className="h-32">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={stats.vitalsTrend.map(reading => ({ ...reading, date: formatReadingDate(reading.recordedAt) }))}>
+                <XAxis dataKey="date" tick={{ fontSize: 10 }} />
+                <YAxis domain={['dataMin - 1', 'dataMax + 1']} tick={{ fontSize: 10 }} width={30} />
+                <Tooltip />
+                <Line type="monotone" dataKey="hemoglobin" stroke="var(--color-destructive)" strokeWidth={2} dot={{ r: 3 }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="grid grid-cols-3 gap-2 mt-2 text-xs text-text-secondary">
+            <div>
+              <div className="font-medium text-foreground">{latestVitals.systolic}/{latestVitals.diastolic}</div>
+              <div>Blood pressure</div>
+            </div>
+            <div>
+              <div className="font-medium text-foreground">{latestVitals.pulse} bpm</div>
+              <div>Pulse</div>
+            </div>
+            <div>
+              <div className="font-medium text-foreground">{latestVitals.weight} kg</div>
+              <div>Weight</div>
+            </div>
+          </div>
+          <p className="text-xs text-text-secondary mt-2">
+            Latest reading {formatReadingDate(latestVitals.recordedAt)}
+          </p>
+        </div>
+      )}
+
       {/* Encouragement for New Donors */}
       {userRole === 'donor' && stats.totalDonations === 0 && (
         <div className="mt-4 p-3 bg-gradient-to-r from-primary/10 to-success/10 border border-primary/20 rounded-lg">
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useLocation } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import Icon from '../../components/AppIcon';
+import { verifyPublicCertificate } from '../../services/blockchainVerificationService';
+import { formatHashForDisplay } from '../../utils/certificateHash';
+import { getRevocationReasonLabel } from '../../utils/certificateValidity';
+
+// Result colours and headings for each outcome of the check
+const RESULT_STYLES = {
+  valid: {
+    box: 'bg-green-50 border-green-500', icon: 'text-green-500', heading: 'text-green-800',
+    iconName: 'ShieldCheck', title: 'Certificate Verified'
+  },
+  expired: {
+    box: 'bg-yellow-50 border-yellow-500', icon: 'text-yellow-500', heading: 'text-yellow-800',
+    iconName: 'Clock', title: 'Certificate Expired'
+  },
+  revoked: {
+    box: 'bg-gray-100 border-gray-600', icon: 'text-gray-600', heading: 'text-gray-800',
+    iconName: 'Ban', title: 'Certificate Revoked'
+  },
+  superseded: {
+    box: 'bg-gray-100 border-gray-600', icon: 'text-gray-600', heading: 'text-gray-800',
+    iconName: 'History', title: 'Certificate Replaced'
+  },
+  pending: {
+    box: 'bg-blue-50 border-blue-500', icon: 'text-blue-500', heading: 'text-blue-800',
+    iconName: 'Loader', title: 'Awaiting Blockchain Confirmation'
+  },
+  ineligible: {
+    box: 'bg-red-50 border-red-500', icon: 'text-red-500', heading: 'text-red-800',
+    iconName: 'ShieldX', title: 'Donor Not Eligible'
+  },
+  mismatch: {
+    box: 'bg-red-50 border-red-500', icon: 'text-red-500', heading: 'text-red-800',
+    iconName: 'ShieldAlert', title: 'Verification Failed'
+  },
+  codeRequired: {
+    box: 'bg-yellow-50 border-yellow-500', icon: 'text-yellow-500', heading: 'text-yellow-800',
+    iconName: 'KeyRound', title: 'Verification Code Needed'
+  },
+  notFound: {
+    box: 'bg-red-50 border-red-500', icon: 'text-red-500', heading: 'text-red-800',
+    iconName: 'SearchX', title: 'Certificate Not Found'
+  }
+};
+
+// The chain's answer wins over the database row it was looked up from
+function getResultState(verification) {
+  if (!verification) return 'notFound';
+
+  const { result } = verification;
+  if (verification.needsCode) return 'codeRequired';
+  if (!result) return 'pending';
+  // A record certificate stops matching once a newer one is stored for the donor
+  if (!result.matches) return result.anchor === 'record' && result.timestamp > 0 ? 'superseded' : 'mismatch';
+  if (result.status === 'revoked') return 'revoked';
+  if (result.status === 'expired') return 'expired';
+  if (!result.eligible) return 'ineligible';
+  return 'valid';
+}
+
+const STATE_DESCRIPTIONS = {
+  valid: 'This certificate matches the record on the blockchain and the donor is cleared to donate.',
+  expired: 'This certificate is authentic but its validity period has ended.',
+  revoked: 'This certificate is authentic but was revoked by hospital staff.',
+  superseded: 'The donor has a newer certificate on the blockchain. Ask them for their current QR code.',
+  pending: 'This certificate was approved but is not on the blockchain yet. Check again shortly.',
+  ineligible: 'This certificate is on the blockchain, but the donor was not approved to donate.',
+  mismatch: 'The blockchain does not confirm this certificate. It may have been altered.',
+  codeRequired: 'This is a private certificate. Open the link from the donor\'s QR code, which includes their verification code.',
+  notFound: 'No reviewed certificate exists with this ID. Check that the link or QR code is complete.'
+};
+
+/**
+ * Public certificate verification page
+ * Opened from the QR code on a donor's certificate; no sign-in required
+ */
+const VerifyCertificatePage = () => {
+  const { id } = useParams();
+  // Private-mode QR codes carry the donor's verification code after the #
+  const { hash } = useLocation();
+  const identityCode = hash ? decodeURIComponent(hash.slice(1)) : null;
+  const [verification, setVerification] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadVerification();
+  }, [id, identityCode]);
+
+  const loadVerification = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      setVerification(await verifyPublicCertificate(id, identityCode));
+    } catch (err) {
+      console.error('Failed to verify certificate:', err);
+      setError('Could not reach the blockchain to verify this certificate. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderResult = () => {
+    const state = getResultState(verification);
+    const style = RESULT_STYLES[state];
+    const certificate = verification?.certificate;
+    const result = verification?.result;
+
+    return (
+      <div className={`p-6 rounded-lg border-2 ${style.box}`}>
+        <div className="flex items-start gap-4">
+          <Icon name={style.iconName} size={40} className={`flex-shrink-0 ${style.icon}`} />
+
+          <div className="flex-1 min-w-0">
+            <h2 className={`text-xl font-bold mb-1 ${style.heading}`}>{style.title}</h2>
+            <p className="text-sm text-gray-700 mb-4">{STATE_DESCRIPTIONS[state]}</p>
+
+            {certificate && (
+              <dl className="space-y-3 text-sm">
+                {certificate.donor_name && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Donor</dt>
+                    <dd className="text-gray-900">
+                      {certificate.donor_name}
+                      {certificate.blood_type && <> · Blood type {certificate.blood_type}</>}
+                    </dd>
+                  </div>
+                )}
+
+                {result?.validUntilDate && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Valid Until</dt>
+                    <dd className="text-gray-900">{result.validUntilDate.toLocaleDateString()}</dd>
+                  </div>
+                )}
+
+                {state === 'revoked' && getRevocationReasonLabel(result.revocationReason) && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Revocation Reason</dt>
+                    <dd className="text-gray-900">{getRevocationReasonLabel(result.revocationReason)}</dd>
+                  </div>
+                )}
+
+                {result?.timestampDate && (
+                  <div>
+                    <dt className="font-medium text-gray-700">
+                      {result.anchor === 'batch' ? 'Anchored On' : 'Recorded On'}
+                    </dt>
+                    <dd className="text-gray-900">{result.timestampDate.toLocaleString()}</dd>
+                  </div>
+                )}
+
+                {certificate.cert_hash && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Certificate Hash</dt>
+                    <dd>
+                      <code className="block bg-white px-3 py-2 rounded text-xs font-mono mt-1 break-all">
+                        {certificate.cert_hash}
+                      </code>
+                    </dd>
+                  </div>
+                )}
+
+                {result?.anchor === 'batch' && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Merkle Root</dt>
+                    <dd>
+                      <code className="block bg-white px-3 py-2 rounded text-xs font-mono mt-1 break-all">
+                        {result.merkleRoot}
+                      </code>
+                    </dd>
+                  </div>
+                )}
+
+                {certificate.verifier_address && (
+                  <div>
+                    <dt className="font-medium text-gray-700">Verified By</dt>
+                    <dd className="font-mono text-gray-900">{formatHashForDisplay(certificate.verifier_address, 6, 4)}</dd>
+                  </div>
+                )}
+              </dl>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <Helmet>
+        <title>Verify Certificate - BloodLink</title>
+      </Helmet>
+
+      <div className="max-w-xl mx-auto">
+        <div className="text-center mb-8">
+          <Icon name="Droplet" size={36} className="mx-auto text-red-600 mb-2" />
+          <h1 className="text-2xl font-bold text-gray-800">Health Certificate Verification</h1>
+          <p className="text-sm text-gray-600 mt-1">Checked live against the blockchain</p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {isLoading && (
+            <div className="flex items-center justify-center gap-3 py-8 text-gray-600">
+              <Icon name="Loader" size={20} className="animate-spin" />
+              <span>Verifying certificate...</span>
+            </div>
+          )}
+
+          {!isLoading && error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              <p className="text-sm">{error}</p>
+              <button
+                type="button"
+                onClick={loadVerification}
+                className="mt-2 text-sm font-medium underline"
+              >
+                Try again
+              </button>
+            </div>
+          )}
+
+          {!isLoading && !error && renderResult()}
+        </div>
+
+        <p className="text-xs text-gray-500 text-center mt-6 break-all">Certificate ID: {id}</p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificatePage;
@@ -0,0 +1,583 @@
+import { supabase } from '../lib/supabase';
+import donationService from './donationService';
+import { canTransition } from '../utils/donationLifecycle';
+
+/**
+ * Service for donation appointment scheduling
+ * Hospitals publish time slots with a capacity, donors book and reschedule,
+ * and hospitals work through a daily schedule (attended / no-show)
+ */
+class AppointmentService {
+  /**
+   * Publish a single donation slot
+   * @param {string} hospitalId - Hospital user ID
+   * @param {Object} slotData - Slot details
+   * @param {string} slotData.startTime - Slot start (ISO string)
+   * @param {string} slotData.endTime - Slot end (ISO string)
+   * @param {number} slotData.capacity - Number of donors the slot can take
+   * @param {string} slotData.notes - Optional notes shown to donors
+   * @returns {Promise<Object>} Created slot
+   */
+  async createSlot(hospitalId, slotData) {
+    try {
+      const start = new Date(slotData.startTime);
+      const end = new Date(slotData.endTime);
+      const capacity = parseInt(slotData.capacity) || 1;
+
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        throw new Error('Slot end time must be after start time');
+      }
+
+      if (capacity < 1) {
+        throw new Error('Slot capacity must be at least 1');
+      }
+
+      const { data, error } = await supabase
+        .from('donation_slots')
+        .insert([{
+          hospital_id: hospitalId,
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          capacity,
+          notes: slotData.notes || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating donation slot:', error);
+        throw new Error(`Failed to create slot: ${error.message}`);
+      }
+
+      return this.transformSlot(data);
+    } catch (error) {
+      console.error('Error in createSlot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish back-to-back slots for one day
+   * @param {string} hospitalId - Hospital user ID
+   * @param {Object} options - Day layout
+   * @param {string} options.date - Day (YYYY-MM-DD)
+   * @param {string} options.openTime - First slot start (HH:MM)
+   * @param {string} options.closeTime - Last slot end (HH:MM)
+   * @param {number} options.durationMinutes - Length of each slot
+   * @param {number} options.capacity - Donors per slot
+   * @returns {Promise<Array>} Created slots
+   */
+  async createSlotsForDay(hospitalId, options) {
+    try {
+      const { date, openTime, closeTime, durationMinutes = 30, capacity = 1 } = options;
+      const dayStart = new Date(`${date}T${openTime}`);
+      const dayEnd = new Date(`${date}T${closeTime}`);
+      const duration = parseInt(durationMinutes);
+
+      if (isNaN(dayStart.getTime()) || isNaN(dayEnd.getTime()) || dayEnd <= dayStart) {
+        throw new Error('Closing time must be after opening time');
+      }
+
+      if (!duration || duration < 5) {
+        throw new Error('Slot length must be at least 5 minutes');
+      }
+
+      const rows = [];
+      for (let start = dayStart; start < dayEnd; start = new Date(start.getTime() + duration * 60000)) {
+        const end = new Date(start.getTime() + duration * 60000);
+        if (end > dayEnd) break;
+        rows.push({
+          hospital_id: hospitalId,
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          capacity: parseInt(capacity) || 1
+        });
+      }
+
+      if (rows.length === 0) {
+        throw new Error('No slots fit between the opening and closing time');
+      }
+
+      const { data, error } = await supabase
+        .from('donation_slots')
+        .insert(rows)
+        .select();
+
+      if (error) {
+        console.error('Error creating donation slots:', error);
+        throw new Error(`Failed to create slots: ${error.message}`);
+      }
+
+      console.log(`✅ Published ${data.length} donation slots for ${date}`);
+      return data.map(slot => this.transformSlot(slot));
+    } catch (error) {
+      console.error('Error in createSlotsForDay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a slot that nobody has booked
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<void>}
+   */
+  async deleteSlot(slotId) {
+    try {
+      const { data: slot, error: fetchError } = await supabase
+        .from('donation_slots')
+        .select('booked_count')
+        .eq('id', slotId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      if (slot.booked_count > 0) {
+        throw new Error('Cannot delete a slot with active bookings');
+      }
+
+      const { error } = await supabase
+        .from('donation_slots')
+        .delete()
+        .eq('id', slotId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error in deleteSlot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open slots donors can book
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.hospitalId - Only slots at this hospital
+   * @param {number} filters.days - How many days ahead to look (default 14)
+   * @returns {Promise<Array>} Upcoming slots with free places, soonest first
+   */
+  async getAvailableSlots(filters = {}) {
+    try {
+      const { hospitalId, days = 14 } = filters;
+      const now = new Date();
+      const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+      let query = supabase
+        .from('donation_slots')
+        .select(`
+          *,
+          hospital:user_profiles!donation_slots_hospital_id_fkey (
+            hospital_name,
+            address,
+            city
+          )
+        `)
+        .gt('start_time', now.toISOString())
+        .lte('start_time', until.toISOString())
+        .order('start_time', { ascending: true });
+
+      if (hospitalId) query = query.eq('hospital_id', hospitalId);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching available slots:', error);
+        throw error;
+      }
+
+      return (data || [])
+        .filter(slot => slot.booked_count < slot.capacity)
+        .map(slot => this.transformSlot(slot));
+    } catch (error) {
+      console.error('Error in getAvailableSlots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Book a slot for a donor
+   * If the donor has accepted a request from the same hospital, the booking is
+   * linked to that response and the response's available_time is set to the slot
+   * @param {string} donorId - Donor user ID
+   * @param {string} slotId - Slot to book
+   * @returns {Promise<Object>} Created appointment
+   */
+  async bookAppointment(donorId, slotId) {
+    try {
+      const slot = await this.getSlot(slotId);
+
+      if (new Date(slot.startTime) <= new Date()) {
+        throw new Error('This slot has already started');
+      }
+
+      if (slot.bookedCount >= slot.capacity) {
+        throw new Error('This slot is fully booked');
+      }
+
+      const response = await this.findAcceptedResponse(donorId, slot.hospitalId);
+
+      const { data, error } = await supabase
+        .from('donation_appointments')
+        .insert([{
+          slot_id: slotId,
+          hospital_id: slot.hospitalId,
+          donor_id: donorId,
+          request_id: response?.request_id || null,
+          donor_response_id: response?.id || null,
+          status: 'booked'
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error booking appointment:', error);
+        // Raised by the capacity trigger when someone else took the last place
+        if (error.message?.includes('fully booked')) {
+          throw new Error('This slot is fully booked');
+        }
+        throw new Error(`Failed to book appointment: ${error.message}`);
+      }
+
+      if (response) {
+        await this.linkResponse(response.id, data.id, slot.startTime);
+      }
+
+      console.log('✅ Appointment booked:', data.id);
+      return this.transformAppointment({ ...data, donation_slots: slot.raw });
+    } catch (error) {
+      console.error('Error in bookAppointment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a booking to another slot at the same hospital
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} newSlotId - Slot to move to
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async rescheduleAppointment(appointmentId, newSlotId) {
+    try {
+      const { data: appointment, error: fetchError } = await supabase
+        .from('donation_appointments')
+        .select('*')
+        .eq('id', appointmentId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      if (appointment.status !== 'booked') {
+        throw new Error(`Cannot reschedule an appointment that is ${appointment.status}`);
+      }
+
+      const newSlot = await this.getSlot(newSlotId);
+
+      // The RPC re-checks the hospital and start time; donors cannot move bookings directly
+      const { data, error } = await supabase.rpc('reschedule_donation_appointment', {
+        p_appointment_id: appointmentId,
+        p_slot_id: newSlotId
+      });
+
+      if (error) {
+        console.error('Error rescheduling appointment:', error);
+        if (error.message?.includes('fully booked')) {
+          throw new Error('This slot is fully booked');
+        }
+        throw new Error(`Failed to reschedule appointment: ${error.message}`);
+      }
+
+      if (appointment.donor_response_id) {
+        await this.linkResponse(appointment.donor_response_id, appointmentId, newSlot.startTime);
+      }
+
+      return this.transformAppointment({ ...data, donation_slots: newSlot.raw });
+    } catch (error) {
+      console.error('Error in rescheduleAppointment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a booking (frees the place in the slot)
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async cancelAppointment(appointmentId) {
+    try {
+      return await this.updateStatus(appointmentId, 'cancelled');
+    } catch (error) {
+      console.error('Error in cancelAppointment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the donor turned up, checking in the donation they accepted
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async markAttended(appointmentId) {
+    try {
+      const appointment = await this.updateStatus(appointmentId, 'attended');
+      await this.advanceLinkedDonation(appointment, 'arrived');
+      return appointment;
+    } catch (error) {
+      console.error('Error in markAttended:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a no-show against the appointment, the linked donor response and
+   * any donation record created when the donor accepted
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async markNoShow(appointmentId) {
+    try {
+      const now = new Date().toISOString();
+      const appointment = await this.updateStatus(appointmentId, 'no_show', {
+        no_show_recorded_at: now
+      });
+
+      if (appointment.donorResponseId) {
+        const { error: responseError } = await supabase
+          .from('donor_responses')
+          .update({ no_show_at: now, updated_at: now })
+          .eq('id', appointment.donorResponseId);
+
+        if (responseError) {
+          console.error('Error recording no-show on donor response:', responseError);
+        }
+      }
+
+      await this.advanceLinkedDonation(appointment, 'no_show');
+
+      console.log('⚠️ No-show recorded for appointment:', appointmentId);
+      return appointment;
+    } catch (error) {
+      console.error('Error in markNoShow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a donor's appointments
+   * @param {string} donorId - Donor user ID
+   * @param {Object} options - Options
+   * @param {boolean} options.upcomingOnly - Only booked appointments that have not started
+   * @returns {Promise<Array>} Appointments, soonest first
+   */
+  async getDonorAppointments(donorId, options = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('donation_appointments')
+        .select(`
+          *,
+          donation_slots (*),
+          hospital:user_profiles!donation_appointments_hospital_id_fkey (
+            hospital_name,
+            address,
+            city
+          )
+        `)
+        .eq('donor_id', donorId);
+
+      if (error) {
+        console.error('Error fetching donor appointments:', error);
+        throw error;
+      }
+
+      const now = new Date();
+      return (data || [])
+        .map(appointment => this.transformAppointment(appointment))
+        .filter(appointment => !options.upcomingOnly ||
+          (appointment.status === 'booked' && new Date(appointment.startTime) > now))
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    } catch (error) {
+      console.error('Error in getDonorAppointments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a hospital's schedule for one day: every slot with its bookings
+   * @param {string} hospitalId - Hospital user ID
+   * @param {string} date - Local day (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Array>} Slots in time order, each with an appointments array
+   */
+  async getDailySchedule(hospitalId, date) {
+    try {
+      // Slots are published in local time (createSlotsForDay), so the day is local too
+      const now = new Date();
+      const dayStart = date ? new Date(`${date}T00:00:00`) : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+
+      const { data, error } = await supabase
+        .from('donation_slots')
+        .select(`
+          *,
+          donation_appointments (
+            *,
+            donor:user_profiles!donation_appointments_donor_id_fkey (
+              full_name,
+              phone,
+              blood_type
+            )
+          )
+        `)
+        .eq('hospital_id', hospitalId)
+        .gte('start_time', dayStart.toISOString())
+        .lt('start_time', dayEnd.toISOString())
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching daily schedule:', error);
+        throw error;
+      }
+
+      return (data || []).map(slot => ({
+        ...this.transformSlot(slot),
+        appointments: (slot.donation_appointments || [])
+          .filter(appointment => appointment.status !== 'cancelled')
+          .map(appointment => this.transformAppointment({ ...appointment, donation_slots: slot }))
+      }));
+    } catch (error) {
+      console.error('Error in getDailySchedule:', error);
+      throw error;
+    }
+  }
+
+  // Fetch a single slot (keeps the raw row for transformAppointment)
+  async getSlot(slotId) {
+    const { data, error } = await supabase
+      .from('donation_slots')
+      .select('*')
+      .eq('id', slotId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Donation slot not found');
+    }
+
+    return { ...this.transformSlot(data), raw: data };
+  }
+
+  // Move the donation behind an appointment along, if it is still at a stage that allows it
+  async advanceLinkedDonation(appointment, nextStatus) {
+    if (!appointment.requestId) return;
+
+    try {
+      const donation = await donationService.findActiveDonation(appointment.donorId, appointment.requestId);
+      if (donation && canTransition(donation.status, nextStatus)) {
+        await donationService.advanceStatus(donation.id, nextStatus, { appointmentId: appointment.id });
+      }
+    } catch (error) {
+      console.error(`Error moving donation to ${nextStatus}:`, error);
+    }
+  }
+
+  // Latest accepted response from this donor to one of the hospital's requests
+  async findAcceptedResponse(donorId, hospitalId) {
+    const { data, error } = await supabase
+      .from('donor_responses')
+      .select('id, request_id, blood_requests!inner(requester_id)')
+      .eq('donor_id', donorId)
+      .eq('status', 'accepted')
+      .eq('blood_requests.requester_id', hospitalId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.warn('Could not look up accepted response for booking:', error.message);
+      return null;
+    }
+
+    return data?.[0] || null;
+  }
+
+  // Point a donor response at its appointment and use the slot as the arrival time
+  async linkResponse(responseId, appointmentId, startTime) {
+    const { error } = await supabase
+      .from('donor_responses')
+      .update({
+        appointment_id: appointmentId,
+        available_time: startTime,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', responseId);
+
+    if (error) {
+      console.error('Error linking donor response to appointment:', error);
+    }
+  }
+
+  // Set a booked appointment's status (plus any extra columns) and return it with its slot.
+  // Attended, cancelled and no-show appointments are final.
+  async updateStatus(appointmentId, status, extra = {}) {
+    const { data, error } = await supabase
+      .from('donation_appointments')
+      .update({ status, ...extra })
+      .eq('id', appointmentId)
+      .eq('status', 'booked')
+      .select('*, donation_slots (*)')
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error setting appointment ${status}:`, error);
+      throw new Error(`Failed to update appointment: ${error.message}`);
+    }
+
+    if (!data) {
+      throw new Error('This appointment is no longer booked');
+    }
+
+    return this.transformAppointment(data);
+  }
+
+  /**
+   * Transform a slot row to the shape used by components
+   * @param {Object} slot - donation_slots row
+   * @returns {Object} Transformed slot
+   */
+  transformSlot(slot) {
+    return {
+      id: slot.id,
+      hospitalId: slot.hospital_id,
+      hospitalName: slot.hospital?.hospital_name || null,
+      hospitalCity: slot.hospital?.city || null,
+      startTime: slot.start_time,
+      endTime: slot.end_time,
+      capacity: slot.capacity,
+      bookedCount: slot.booked_count || 0,
+      placesLeft: Math.max(0, slot.capacity - (slot.booked_count || 0)),
+      notes: slot.notes
+    };
+  }
+
+  /**
+   * Transform an appointment row to the shape used by components
+   * @param {Object} appointment - donation_appointments row (optionally with donation_slots)
+   * @returns {Object} Transformed appointment
+   */
+  transformAppointment(appointment) {
+    const donor = appointment.donor;
+    return {
+      id: appointment.id,
+      slotId: appointment.slot_id,
+      hospitalId: appointment.hospital_id,
+      hospitalName: appointment.hospital?.hospital_name || null,
+      donorId: appointment.donor_id,
+      donorName: donor?.full_name || null,
+      donorPhone: donor?.phone || null,
+      donorBloodType: donor?.blood_type || null,
+      requestId: appointment.request_id,
+      donorResponseId: appointment.donor_response_id,
+      status: appointment.status,
+      rescheduleCount: appointment.reschedule_count || 0,
+      startTime: appointment.donation_slots?.start_time || null,
+      endTime: appointment.donation_slots?.end_time || null,
+      noShowRecordedAt: appointment.no_show_recorded_at
+    };
+  }
+}
+
+export default new AppointmentService();
@@ -0,0 +1,176 @@
+import { supabase } from '../lib/supabase';
+import { getAnchoredBatch } from './blockchainVerificationService';
+import { verifyAuditChain } from '../utils/auditChain';
+
+// Columns read for display and for rebuilding hashes; changes_text is the exact JSON that was hashed
+const ENTRY_COLUMNS = 'id, occurred_at, actor_id, actor_role, table_name, record_id, action, changes, prev_hash, entry_hash, changes_text:changes::text';
+
+// Entries fetched per request when checking the whole chain
+const VERIFY_PAGE_SIZE = 1000;
+
+/**
+ * Service for the tamper-evident audit log
+ * Entries are written only by database triggers (see 20250217_audit_log.sql);
+ * this service reads them for admins and checks the hash chain and its
+ * blockchain anchors in the browser.
+ */
+class AuditLogService {
+  /**
+   * Get audit entries, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.tableName - Only this table
+   * @param {string} filters.action - insert, update or delete
+   * @param {string} filters.actorId - Only this user's actions
+   * @param {string} filters.recordId - Only this row
+   * @param {string} filters.from - Earliest date (ISO)
+   * @param {string} filters.to - Latest date (ISO)
+   * @param {number} filters.beforeId - Entries older than this one (paging)
+   * @param {number} filters.limit - Page size (default 50)
+   * @returns {Promise<Array>} Entries with actor ({ full_name, role } or null)
+   */
+  async getEntries(filters = {}) {
+    try {
+      const { tableName, action, actorId, recordId, from, to, beforeId, limit = 50 } = filters;
+
+      let query = supabase
+        .from('audit_log')
+        .select(ENTRY_COLUMNS)
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (tableName) query = query.eq('table_name', tableName);
+      if (action) query = query.eq('action', action);
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (recordId) query = query.eq('record_id', recordId);
+      if (from) query = query.gte('occurred_at', from);
+      if (to) query = query.lte('occurred_at', to);
+      if (beforeId) query = query.lt('id', beforeId);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching audit log:', error);
+        throw error;
+      }
+
+      const actors = await this.getActors((data || []).map(entry => entry.actor_id));
+      return (data || []).map(entry => ({ ...entry, actor: actors[entry.actor_id] || null }));
+    } catch (error) {
+      console.error('Error in getEntries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute every hash from the first entry to the head
+   * @returns {Promise<Object>} { valid, checked, brokenAt, reason, head }
+   */
+  async verifyChain() {
+    try {
+      let previous = null;
+      let checked = 0;
+
+      for (;;) {
+        let query = supabase
+          .from('audit_log')
+          .select(ENTRY_COLUMNS)
+          .order('id', { ascending: true })
+          .limit(VERIFY_PAGE_SIZE);
+
+        if (previous) query = query.gt('id', previous.id);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const result = await verifyAuditChain(data || [], previous);
+        checked += result.checked;
+
+        if (!result.valid) {
+          return { ...result, checked, head: previous };
+        }
+
+        if (!data || data.length < VERIFY_PAGE_SIZE) {
+          const head = data?.length ? data[data.length - 1] : previous;
+          return { valid: true, checked, brokenAt: null, reason: null, head };
+        }
+
+        previous = data[data.length - 1];
+      }
+    } catch (error) {
+      console.error('Error in verifyChain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chain heads anchored on the blockchain, newest first
+   * @param {number} limit - Maximum anchors
+   * @returns {Promise<Array>} audit_log_anchors rows
+   */
+  async getAnchors(limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log_anchors')
+        .select('*')
+        .order('log_id', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error in getAnchors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check an anchor against the contract and the current log
+   * A rewritten log no longer has the anchored hash at the anchored position.
+   * @param {Object} anchor - audit_log_anchors row
+   * @returns {Promise<Object>} { onChain, matchesLog, anchoredAt, verifier }
+   */
+  async checkAnchor(anchor) {
+    try {
+      const [onChain, { data: entry, error }] = await Promise.all([
+        getAnchoredBatch(anchor.anchored_root),
+        supabase.from('audit_log').select('id, entry_hash').eq('id', anchor.log_id).maybeSingle(),
+      ]);
+
+      if (error) throw error;
+
+      return {
+        onChain: Boolean(onChain) && onChain.leafCount === anchor.log_id,
+        matchesLog: Boolean(entry) && `0x${entry.entry_hash}` === anchor.anchored_root,
+        anchoredAt: onChain?.anchoredAt || null,
+        verifier: onChain?.verifier || null,
+      };
+    } catch (error) {
+      console.error('Error in checkAnchor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Names and roles of the users behind a set of entries
+   * @param {Array<string>} userIds - User IDs (duplicates and nulls allowed)
+   * @returns {Promise<Object>} Profiles keyed by user ID
+   */
+  async getActors(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, full_name, role')
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error fetching audit actors:', error);
+      return {};
+    }
+
+    return Object.fromEntries((data || []).map(profile => [profile.id, profile]));
+  }
+}
+
+export default new AuditLogService();
@@ -6,22 +6,42 @@
 import { supabase } from '../lib/supabase';
 import { ethers } from 'ethers';
 import DonorVerificationABI from '../contracts/DonorVerificationABI.json';
+import { statusFromChain } from '../utils/certificateValidity';
+import { resolveSubject } from '../utils/donorIdentity';
+import { computeBatchLeaf, verifyMerkleProof } from '../utils/merkleProof';
+import { DEV_CHAIN_ID, DEV_CONTRACT_ADDRESS, isLocalRpcUrl } from '../utils/devChain';
 
 /**
  * Get contract instance (read-only, no wallet needed)
+ * A localhost RPC URL uses the dev chain from `npm run chain:dev`
  */
 function getContract() {
-  const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
   const rpcUrl = import.meta.env.VITE_RPC_URL || 'https://rpc-amoy.polygon.technology/';
+  const isLocal = isLocalRpcUrl(rpcUrl);
+  const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS || (isLocal ? DEV_CONTRACT_ADDRESS : null);
 
   if (!contractAddress) {
     throw new Error('Contract address not configured');
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  // The dev chain's network is known, so skip detection (it retries forever while the chain is down)
+  const provider = isLocal
+    ? new ethers.JsonRpcProvider(rpcUrl, Number(import.meta.env.VITE_CHAIN_ID) || DEV_CHAIN_ID, { staticNetwork: true })
+    : new ethers.JsonRpcProvider(rpcUrl);
   return new ethers.Contract(contractAddress, DonorVerificationABI, provider);
 }
 
+/**
+ * Resolve a wallet address or private-mode verification code to the contract's record key
+ */
+function toSubject(donor) {
+  const resolved = resolveSubject(donor);
+  if (!resolved) {
+    throw new Error('Enter a wallet address or verification code');
+  }
+  return resolved.subject;
+}
+
 /**
  * Upload certificate to Supabase Storage
  * @param {File} file - Certificate file
@@ -78,6 +98,66 @@ export async function createCertificateRecord(certificateData) {
   }
 }
 
+/**
+ * Save text and fields extracted from a certificate (see certificateExtractionService)
+ * @param {string} certificateId - Certificate ID
+ * @param {Object} extraction - { text, fields, method, perceptualHash? }
+ * @param {Array} flags - Mismatches with the donor's profile
+ * @param {string} userId - Who ran the extraction
+ * @returns {Promise<Object>} Updated certificate
+ */
+export async function saveCertificateExtraction(certificateId, extraction, flags, userId) {
+  try {
+    const changes = {
+      extracted_text: extraction.text,
+      extracted_fields: extraction.fields,
+      extraction_method: extraction.method,
+      extraction_flags: flags,
+      extracted_by: userId,
+      extracted_at: new Date().toISOString(),
+    };
+
+    // Re-reading on the reviewer's device replaces the hash sent at upload
+    if (extraction.perceptualHash) {
+      changes.perceptual_hash = extraction.perceptualHash;
+    }
+
+    const { data, error } = await supabase
+      .from('donor_certificates')
+      .update(changes)
+      .eq('id', certificateId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error('Error saving certificate extraction:', error);
+    throw new Error(`Failed to save extracted fields: ${error.message}`);
+  }
+}
+
+/**
+ * Other certificates with the same file, or a near-identical image (hospital only)
+ * @param {string} certificateId - Certificate under review
+ * @returns {Promise<Array>} Matches, exact first, then by perceptual distance
+ */
+export async function findCertificateDuplicates(certificateId) {
+  try {
+    const { data, error } = await supabase.rpc('find_certificate_duplicates', {
+      p_certificate_id: certificateId,
+    });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error finding duplicate certificates:', error);
+    throw new Error(`Failed to check for duplicates: ${error.message}`);
+  }
+}
+
 /**
  * Get certificates for a donor
  * @param {string} donorId - Donor user ID
@@ -111,6 +191,7 @@ export async function getPendingCertificates() {
       .from('donor_certificates')
       .select('*')
       .is('eligible', null)
+      .neq('review_status', 'resubmitted') // Replaced by the donor's re-upload
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -217,92 +298,136 @@ export function getCertificateUrl(filePath) {
   return data.publicUrl;
 }
 
+/**
+ * Call the verify-certificate Edge Function as the signed-in hospital
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Response data
+ */
+async function callVerifyCertificateFunction(payload) {
+  // Get current session
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('Not authenticated');
+  }
+
+  console.log('Calling Edge Function with:', payload);
+
+  const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/verify-certificate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const responseText = await response.text();
+  console.log('Edge Function raw response:', responseText);
+
+  if (!response.ok) {
+    let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+      const errorData = JSON.parse(responseText);
+      errorMessage = errorData.error || errorMessage;
+      console.error('Edge Function error details:', errorData);
+    } catch (e) {
+      console.error('Could not parse error response:', responseText);
+    }
+    throw new Error(errorMessage);
+  }
+
+  const data = JSON.parse(responseText);
+  console.log('Edge Function response:', data);
+
+  if (!data.success) {
+    throw new Error(data.error || 'Request failed');
+  }
+
+  return data.data;
+}
+
 /**
  * Submit certificate for verification (calls Edge Function)
  * @param {string} certificateId - Certificate ID
  * @param {string} donorWalletAddress - Donor's Ethereum address
  * @param {boolean} eligible - Approval status
  * @param {string} adminNotes - Optional admin notes
+ * @param {number} validityDays - How long the record stays valid (defaults server-side)
  * @returns {Promise<Object>} Verification result
  */
-export async function verifyCertificateOnBlockchain(certificateId, donorWalletAddress, eligible, adminNotes = '') {
+export async function verifyCertificateOnBlockchain(certificateId, donorWalletAddress, eligible, adminNotes = '', validityDays) {
   try {
-    // Get current session
-    const { data: { session } } = await supabase.auth.getSession();
-    
-    if (!session) {
-      throw new Error('Not authenticated');
-    }
-
-    console.log('Calling Edge Function with:', {
+    return await callVerifyCertificateFunction({
       certificateId,
       donorWalletAddress,
       eligible,
-      adminNotes
+      adminNotes,
+      validityDays,
     });
-
-    // Call Edge Function
-    const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/verify-certificate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${session.access_token}`,
-      },
-      body: JSON.stringify({
-        certificateId,
-        donorWalletAddress,
-        eligible,
-        adminNotes,
-      }),
-    });
-
-    const responseText = await response.text();
-    console.log('Edge Function raw response:', responseText);
-
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = JSON.parse(responseText);
-        errorMessage = errorData.error || errorMessage;
-        console.error('Edge Function error details:', errorData);
-      } catch (e) {
-        console.error('Could not parse error response:', responseText);
-      }
-      throw new Error(errorMessage);
-    }
-
-    const data = JSON.parse(responseText);
-    console.log('Edge Function response:', data);
-
-    if (!data.success) {
-      throw new Error(data.error || 'Verification failed');
-    }
-
-    return data.data;
   } catch (error) {
     console.error('Error verifying certificate on blockchain:', error);
     throw new Error(`Blockchain verification failed: ${error.message}`);
   }
 }
 
+/**
+ * Check on a certificate whose blockchain transaction is still pending
+ * The Edge Function resumes the existing job (re-sending it if stuck) instead of sending a new one
+ * @param {string} certificateId - Certificate ID
+ * @returns {Promise<Object>} Job result; `pending` is true until the transaction is confirmed
+ */
+export async function checkVerificationStatus(certificateId) {
+  try {
+    return await callVerifyCertificateFunction({ certificateId });
+  } catch (error) {
+    console.error('Error checking verification status:', error);
+    throw new Error(`Failed to check verification status: ${error.message}`);
+  }
+}
+
+/**
+ * Revoke an approved certificate on-chain (calls Edge Function)
+ * @param {string} certificateId - Certificate ID
+ * @param {number} reasonCode - Revocation reason (see REVOCATION_REASONS)
+ * @param {string} adminNotes - Optional admin notes
+ * @returns {Promise<Object>} Revocation result
+ */
+export async function revokeCertificateOnBlockchain(certificateId, reasonCode, adminNotes = '') {
+  try {
+    return await callVerifyCertificateFunction({
+      action: 'revoke',
+      certificateId,
+      reasonCode,
+      adminNotes,
+    });
+  } catch (error) {
+    console.error('Error revoking certificate on blockchain:', error);
+    throw new Error(`Blockchain revocation failed: ${error.message}`);
+  }
+}
+
 /**
  * Verify certificate hash on blockchain (read-only)
- * @param {string} donorAddress - Donor's Ethereum address
+ * @param {string} donor - Donor's wallet address or verification code
  * @param {string} certHash - Certificate hash to verify
  * @returns {Promise<Object>} Verification result
  */
-export async function verifyHashOnBlockchain(donorAddress, certHash) {
+export async function verifyHashOnBlockchain(donor, certHash) {
   try {
     const contract = getContract();
+    const subject = toSubject(donor);
 
     // Call verify function
-    const [eligible, timestamp, matches] = await contract.verify(donorAddress, certHash);
+    const [eligible, timestamp, matches, status, validUntil] = await contract.verify(subject, certHash);
 
     return {
       eligible,
       timestamp: Number(timestamp),
       matches,
+      status: statusFromChain(status),
       timestampDate: timestamp > 0 ? new Date(Number(timestamp) * 1000) : null,
+      validUntilDate: validUntil > 0 ? new Date(Number(validUntil) * 1000) : null,
     };
   } catch (error) {
     console.error('Error verifying hash on blockchain:', error);
@@ -312,15 +437,19 @@ export async function verifyHashOnBlockchain(donorAddress, certHash) {
 
 /**
  * Get donor's blockchain record
- * @param {string} donorAddress - Donor's Ethereum address
+ * @param {string} donor - Donor's wallet address or verification code
  * @returns {Promise<Object>} Record data
  */
-export async function getDonorBlockchainRecord(donorAddress) {
+export async function getDonorBlockchainRecord(donor) {
   try {
     const contract = getContract();
+    const subject = toSubject(donor);
 
     // Call getRecord function
-    const [certHash, eligible, timestamp, exists] = await contract.getRecord(donorAddress);
+    const [[certHash, eligible, timestamp, exists], [status, validUntil, revocationReason]] = await Promise.all([
+      contract.getRecord(subject),
+      contract.getValidity(subject),
+    ]);
 
     if (!exists) {
       return null;
@@ -332,6 +461,9 @@ export async function getDonorBlockchainRecord(donorAddress) {
       timestamp: Number(timestamp),
       timestampDate: new Date(Number(timestamp) * 1000),
       exists,
+      status: statusFromChain(status),
+      validUntilDate: new Date(Number(validUntil) * 1000),
+      revocationReason: Number(revocationReason),
     };
   } catch (error) {
     console.error('Error fetching blockchain record:', error);
@@ -339,31 +471,314 @@ export async function getDonorBlockchainRecord(donorAddress) {
   }
 }
 
+/**
+ * Get the number of verification records stored for a donor
+ * @param {string} donor - Donor's wallet address or verification code
+ * @returns {Promise<number>} Record count
+ */
+export async function getBlockchainRecordCount(donor) {
+  try {
+    const contract = getContract();
+    const subject = toSubject(donor);
+    return Number(await contract.getRecordCount(subject));
+  } catch (error) {
+    console.error('Error fetching blockchain record count:', error);
+    throw new Error(`Failed to fetch record count: ${error.message}`);
+  }
+}
+
+/**
+ * Get a donor's full on-chain verification history
+ * @param {string} donor - Donor's wallet address or verification code
+ * @returns {Promise<Array>} Records, newest first; the first one is current
+ */
+export async function getDonorBlockchainHistory(donor) {
+  try {
+    const contract = getContract();
+    const subject = toSubject(donor);
+    const count = Number(await contract.getRecordCount(subject));
+
+    const records = await Promise.all(
+      Array.from({ length: count }, async (_, index) => {
+        const [certHash, eligible, timestamp, verifier, validUntil, revocationReason] =
+          await contract.getRecordAt(subject, index);
+        return {
+          index,
+          certHash,
+          eligible,
+          verifier,
+          timestamp: Number(timestamp),
+          timestampDate: new Date(Number(timestamp) * 1000),
+          validUntilDate: new Date(Number(validUntil) * 1000),
+          revocationReason: Number(revocationReason),
+          isCurrent: index === count - 1,
+        };
+      })
+    );
+
+    return records.reverse();
+  } catch (error) {
+    console.error('Error fetching blockchain history:', error);
+    throw new Error(`Failed to fetch blockchain history: ${error.message}`);
+  }
+}
+
+/**
+ * Check a batch-anchored certificate row against the chain
+ * Rebuilds the leaf from the file hash and checks the stored proof against the anchored root.
+ * @param {string} subject - bytes32 subject the certificate was issued to
+ * @param {string} certHash - Hash of the certificate file
+ * @param {Object} certificate - Row with eligible, valid_until, merkle_leaf, merkle_proof and merkle_root
+ * @returns {Promise<Object>} Verification result
+ */
+async function checkBatchProof(subject, certHash, certificate) {
+  const validUntil = Math.floor(new Date(certificate.valid_until).getTime() / 1000);
+  const leaf = computeBatchLeaf({ subject, certHash, eligible: certificate.eligible, validUntil });
+  const merkleRoot = certificate.merkle_root;
+
+  // The proof must hold locally before we ask the chain whether the root was anchored
+  const proofValid = leaf === certificate.merkle_leaf &&
+    verifyMerkleProof(leaf, certificate.merkle_proof, merkleRoot);
+
+  const contract = getContract();
+  const [included, anchoredAt, verifier, revocationReason] = proofValid
+    ? await contract.verifyBatchProof(merkleRoot, leaf, certificate.merkle_proof)
+    : [false, 0n, null, 0n];
+
+  let status = 'active';
+  if (Number(revocationReason) > 0) status = 'revoked';
+  else if (validUntil * 1000 < Date.now()) status = 'expired';
+
+  return {
+    anchor: 'batch',
+    eligible: certificate.eligible,
+    matches: included,
+    status,
+    merkleRoot,
+    verifier,
+    revocationReason: Number(revocationReason),
+    timestamp: Number(anchoredAt),
+    timestampDate: anchoredAt > 0 ? new Date(Number(anchoredAt) * 1000) : null,
+    validUntilDate: new Date(validUntil * 1000),
+  };
+}
+
+/**
+ * Verify a certificate that was anchored as part of a Merkle batch
+ * Looks up the stored proof for this file hash and donor, rebuilds the leaf from
+ * the file hash, and checks it against the anchored root on-chain.
+ * @param {string} donor - Donor's wallet address or verification code
+ * @param {string} certHash - Hash of the file being verified
+ * @returns {Promise<Object|null>} Verification result, or null if the file was not batch-anchored
+ */
+export async function verifyBatchedCertificate(donor, certHash) {
+  try {
+    const subject = toSubject(donor);
+
+    const { data: certificate, error } = await supabase
+      .from('donor_certificates')
+      .select('eligible, valid_until, merkle_leaf, merkle_proof, batch:certificate_batches(merkle_root)')
+      .eq('cert_hash', certHash)
+      .eq('subject_key', subject)
+      .not('batch_id', 'is', null)
+      .order('verified_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!certificate) return null;
+
+    return await checkBatchProof(subject, certHash, {
+      ...certificate,
+      merkle_root: certificate.batch?.merkle_root,
+    });
+  } catch (error) {
+    console.error('Error verifying batched certificate:', error);
+    throw new Error(`Batch verification failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify a certificate by ID, without signing in
+ * Reads the public fields through get_public_certificate and checks them against
+ * the chain, so the result does not depend on the database alone.
+ * Private-mode certificates are looked up under the subject derived from the
+ * donor's verification code, which the database does not hand out.
+ * @param {string} certificateId - Certificate UUID (from the donor's QR code)
+ * @param {string} identityCode - Donor's verification code (private mode only)
+ * @returns {Promise<Object|null>} { certificate, result, needsCode }, or null if no reviewed certificate has this ID
+ */
+export async function verifyPublicCertificate(certificateId, identityCode = null) {
+  try {
+    const { data, error } = await supabase.rpc('get_public_certificate', {
+      p_certificate_id: certificateId,
+    });
+
+    if (error) throw error;
+
+    const row = data?.[0];
+    if (!row) return null;
+
+    const identity = row.identity_mode === 'commitment' ? resolveSubject(identityCode) : null;
+    const certificate = identity?.mode === 'commitment' ? { ...row, subject_key: identity.subject } : row;
+
+    if (!certificate.subject_key && certificate.identity_mode === 'commitment') {
+      return { certificate, result: null, needsCode: true };
+    }
+
+    // Queued for a batch or still being mined: nothing to check on-chain yet
+    const anchored = certificate.anchor_mode === 'batch'
+      ? Boolean(certificate.merkle_root)
+      : Boolean(certificate.subject_key && certificate.cert_hash) && [null, 'confirmed'].includes(certificate.chain_status);
+
+    if (!anchored) {
+      return { certificate, result: null };
+    }
+
+    if (certificate.anchor_mode === 'batch') {
+      const result = await checkBatchProof(certificate.subject_key, certificate.cert_hash, certificate);
+      return { certificate, result };
+    }
+
+    // matches is false once a newer certificate for the same donor has been recorded
+    const contract = getContract();
+    const [[eligible, timestamp, matches, status, validUntil], [, , revocationReason]] = await Promise.all([
+      contract.verify(certificate.subject_key, certificate.cert_hash),
+      contract.getValidity(certificate.subject_key),
+    ]);
+
+    return {
+      certificate,
+      result: {
+        anchor: 'record',
+        eligible,
+        matches,
+        status: statusFromChain(status),
+        revocationReason: Number(revocationReason),
+        timestamp: Number(timestamp),
+        timestampDate: timestamp > 0 ? new Date(Number(timestamp) * 1000) : null,
+        validUntilDate: validUntil > 0 ? new Date(Number(validUntil) * 1000) : null,
+      },
+    };
+  } catch (error) {
+    console.error('Error verifying public certificate:', error);
+    throw new Error(`Certificate verification failed: ${error.message}`);
+  }
+}
+
+/**
+ * Link that verifies a certificate publicly (encoded in the donor's QR code)
+ * Private-mode links carry the verification code in the fragment, which the
+ * browser never sends to a server.
+ * @param {string} certificateId - Certificate UUID
+ * @param {string} identityCode - Donor's verification code (private mode only)
+ * @returns {string} Absolute /verify/:id URL
+ */
+export function getPublicVerificationUrl(certificateId, identityCode = null) {
+  const fragment = identityCode ? `#${encodeURIComponent(identityCode)}` : '';
+  return `${window.location.origin}/verify/${certificateId}${fragment}`;
+}
+
+/**
+ * Look up a root anchored with anchorBatch (certificate batches and audit log heads)
+ * @param {string} root - 0x-prefixed bytes32
+ * @returns {Promise<Object|null>} { anchoredAt, verifier, leafCount }, or null if never anchored
+ */
+export async function getAnchoredBatch(root) {
+  try {
+    const contract = getContract();
+    const [timestamp, verifier, leafCount] = await contract.getBatch(root);
+
+    if (timestamp === 0n) return null;
+
+    return {
+      anchoredAt: new Date(Number(timestamp) * 1000),
+      verifier,
+      leafCount: Number(leafCount),
+    };
+  } catch (error) {
+    console.error('Error fetching anchored batch:', error);
+    throw new Error(`Failed to read anchor from blockchain: ${error.message}`);
+  }
+}
+
+/**
+ * Check if an address holds the contract's verifier role
+ * @param {string} address - Hospital's Ethereum address
+ * @returns {Promise<boolean>} True if the address can store verifications
+ */
+export async function isVerifierOnBlockchain(address) {
+  try {
+    const contract = getContract();
+    return await contract.isVerifier(address);
+  } catch (error) {
+    console.error('Error checking verifier role:', error);
+    return false;
+  }
+}
+
 /**
  * Check if donor has blockchain record
- * @param {string} donorAddress - Donor's Ethereum address
+ * @param {string} donor - Donor's wallet address or verification code
  * @returns {Promise<boolean>} True if record exists
  */
-export async function hasBlockchainRecord(donorAddress) {
+export async function hasBlockchainRecord(donor) {
   try {
     const contract = getContract();
-    return await contract.hasRecord(donorAddress);
+    const subject = toSubject(donor);
+    return await contract.hasRecord(subject);
   } catch (error) {
     console.error('Error checking blockchain record:', error);
     return false;
   }
 }
 
+/**
+ * On-chain writes the event indexer could not match to a certificate or batch
+ * These point to records written outside the app and should be investigated
+ * @param {number} limit - Maximum events to return
+ * @returns {Promise<Array>} chain_events rows, newest first
+ */
+export async function getUnmatchedChainEvents(limit = 20) {
+  try {
+    const { data, error } = await supabase
+      .from('chain_events')
+      .select('id, event_name, block_number, tx_hash, subject_key, cert_hash, merkle_root, verifier_address, event_timestamp')
+      .eq('unmatched', true)
+      .order('block_number', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching unmatched chain events:', error);
+    throw new Error(`Failed to fetch unmatched chain events: ${error.message}`);
+  }
+}
+
 export default {
   uploadCertificate,
   createCertificateRecord,
+  saveCertificateExtraction,
+  findCertificateDuplicates,
   getDonorCertificates,
   getPendingCertificates,
   getVerifiedCertificates,
   downloadCertificate,
   getCertificateUrl,
   verifyCertificateOnBlockchain,
+  checkVerificationStatus,
+  revokeCertificateOnBlockchain,
   verifyHashOnBlockchain,
   getDonorBlockchainRecord,
+  getBlockchainRecordCount,
+  getDonorBlockchainHistory,
+  verifyBatchedCertificate,
+  verifyPublicCertificate,
+  getPublicVerificationUrl,
+  getAnchoredBatch,
+  isVerifierOnBlockchain,
   hasBlockchainRecord,
+  getUnmatchedChainEvents,
 };
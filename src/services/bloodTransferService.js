@@ -0,0 +1,263 @@
+import { supabase } from '../lib/supabase';
+import { calculateDistance, formatDistance, getEstimatedTravelTime, isValidCoordinates } from '../utils/geoUtils';
+import { DEFAULT_COMPONENT } from '../utils/bloodComponents';
+import { BLOOD_TYPES } from '../utils/bloodCompatibility';
+
+const TRANSFER_COLUMNS = '*, units:blood_units(id, bag_number, expiry_date, status)';
+
+/**
+ * Service for hospital-to-hospital blood transfers
+ * Every status change is an RPC from 20250219_blood_transfers.sql that moves
+ * the bags in the same transaction, so both hospitals' inventories stay in step.
+ */
+class BloodTransferService {
+  /**
+   * Find other hospitals' shareable stock, nearest first
+   * @param {Object} hospital - Searching hospital ({ latitude, longitude })
+   * @param {Object} options - Search options
+   * @param {string} options.bloodType - Blood type needed
+   * @param {string} options.component - Blood component (defaults to whole blood)
+   * @param {number} options.maxDistance - Search radius in kilometers (default 100)
+   * @param {number} options.minUnits - Only hospitals with at least this many units (default 1)
+   * @returns {Promise<Array>} Hospitals with unitsAvailable, nextExpiry, distance and travel time
+   */
+  async findNearbyStock(hospital, options = {}) {
+    try {
+      const { bloodType, component = DEFAULT_COMPONENT, maxDistance = 100, minUnits = 1 } = options;
+
+      if (!BLOOD_TYPES.includes(bloodType)) {
+        throw new Error(`Invalid blood type: ${bloodType}`);
+      }
+
+      // Session profiles may hold coordinates as strings
+      const latitude = parseFloat(hospital?.latitude);
+      const longitude = parseFloat(hospital?.longitude);
+
+      if (!isValidCoordinates(latitude, longitude)) {
+        throw new Error('Set your hospital location in your profile to search nearby hospitals');
+      }
+
+      const { data, error } = await supabase.rpc('get_shareable_stock', {
+        p_blood_type: bloodType,
+        p_component: component
+      });
+
+      if (error) {
+        console.error('Error fetching shareable stock:', error);
+        throw error;
+      }
+
+      return (data || [])
+        .filter(stock => stock.units_available >= minUnits && isValidCoordinates(stock.latitude, stock.longitude))
+        .map(stock => {
+          const distance = calculateDistance(latitude, longitude, stock.latitude, stock.longitude);
+          return {
+            hospitalId: stock.hospital_id,
+            hospitalName: stock.hospital_name || 'Unknown Hospital',
+            city: stock.city,
+            unitsAvailable: Number(stock.units_available),
+            nextExpiry: stock.next_expiry,
+            distance: Math.round(distance * 10) / 10,
+            distanceFormatted: formatDistance(distance),
+            travelTime: getEstimatedTravelTime(distance)
+          };
+        })
+        .filter(stock => stock.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+    } catch (error) {
+      console.error('Error in findNearbyStock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Request bags from another hospital
+   * @param {string} supplyingHospitalId - Hospital to request from
+   * @param {Object} transferData - Request details
+   * @param {string} transferData.bloodType - Blood type
+   * @param {string} transferData.component - Blood component
+   * @param {number} transferData.units - Number of bags
+   * @param {string} transferData.note - Optional note for the supplier
+   * @returns {Promise<Object>} Created transfer
+   */
+  async requestTransfer(supplyingHospitalId, transferData) {
+    try {
+      const { data, error } = await supabase.rpc('request_blood_transfer', {
+        p_supplying_hospital_id: supplyingHospitalId,
+        p_blood_type: transferData.bloodType,
+        p_component: transferData.component || DEFAULT_COMPONENT,
+        p_units: Number(transferData.units),
+        p_note: transferData.note || null
+      });
+
+      if (error) throw error;
+
+      console.log('✅ Blood transfer requested:', data.id);
+      return this.transformTransfer(data);
+    } catch (error) {
+      console.error('Error in requestTransfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a hospital's transfers, newest first
+   * @param {string} hospitalId - Hospital user ID
+   * @returns {Promise<Object>} { incoming (asked of this hospital), outgoing (requested by it) }
+   */
+  async getTransfers(hospitalId) {
+    try {
+      const { data, error } = await supabase
+        .from('blood_transfers')
+        .select(TRANSFER_COLUMNS)
+        .or(`requesting_hospital_id.eq.${hospitalId},supplying_hospital_id.eq.${hospitalId}`)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching blood transfers:', error);
+        throw error;
+      }
+
+      const hospitals = await this.getHospitals(
+        (data || []).flatMap(transfer => [transfer.requesting_hospital_id, transfer.supplying_hospital_id])
+      );
+
+      const transfers = (data || []).map(transfer => ({
+        ...this.transformTransfer(transfer),
+        requestingHospital: hospitals[transfer.requesting_hospital_id] || null,
+        supplyingHospital: hospitals[transfer.supplying_hospital_id] || null
+      }));
+
+      return {
+        incoming: transfers.filter(transfer => transfer.supplyingHospitalId === hospitalId),
+        outgoing: transfers.filter(transfer => transfer.requestingHospitalId === hospitalId)
+      };
+    } catch (error) {
+      console.error('Error in getTransfers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a request and reserve bags for it (first-expiring-first-out)
+   * @param {string} transferId - Transfer ID
+   * @param {string} note - Optional note for the requester
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async acceptTransfer(transferId, note = '') {
+    return this.runTransition('accept_blood_transfer', { p_transfer_id: transferId, p_note: note || null });
+  }
+
+  /**
+   * Decline a request
+   * @param {string} transferId - Transfer ID
+   * @param {string} reason - Optional reason shown to the requester
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async rejectTransfer(transferId, reason = '') {
+    return this.runTransition('reject_blood_transfer', { p_transfer_id: transferId, p_reason: reason || null });
+  }
+
+  /**
+   * Withdraw a request before dispatch; reserved bags return to the supplier
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async cancelTransfer(transferId) {
+    return this.runTransition('cancel_blood_transfer', { p_transfer_id: transferId });
+  }
+
+  /**
+   * Send the reserved bags; they leave the supplier's inventory
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async dispatchTransfer(transferId) {
+    return this.runTransition('dispatch_blood_transfer', { p_transfer_id: transferId });
+  }
+
+  /**
+   * Confirm the bags arrived; they join the requester's inventory
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async receiveTransfer(transferId) {
+    return this.runTransition('receive_blood_transfer', { p_transfer_id: transferId });
+  }
+
+  /**
+   * Call a transfer RPC and transform the returned row
+   * @param {string} functionName - RPC name
+   * @param {Object} params - RPC parameters
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async runTransition(functionName, params) {
+    try {
+      const { data, error } = await supabase.rpc(functionName, params);
+
+      if (error) throw error;
+      return this.transformTransfer(data);
+    } catch (error) {
+      console.error(`Error in ${functionName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Names and contact details of the hospitals on a set of transfers
+   * @param {Array<string>} hospitalIds - Hospital user IDs (duplicates allowed)
+   * @returns {Promise<Object>} Hospitals keyed by user ID
+   */
+  async getHospitals(hospitalIds) {
+    const ids = [...new Set(hospitalIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, hospital_name, full_name, city, phone')
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error fetching transfer hospitals:', error);
+      return {};
+    }
+
+    return Object.fromEntries((data || []).map(profile => [profile.id, {
+      name: profile.hospital_name || profile.full_name || 'Unknown Hospital',
+      city: profile.city,
+      phone: profile.phone
+    }]));
+  }
+
+  /**
+   * Transform a database row to the shape used by components
+   * @param {Object} transfer - blood_transfers row (optionally with units)
+   * @returns {Object} Transformed transfer
+   */
+  transformTransfer(transfer) {
+    return {
+      id: transfer.id,
+      requestingHospitalId: transfer.requesting_hospital_id,
+      supplyingHospitalId: transfer.supplying_hospital_id,
+      bloodType: transfer.blood_type,
+      component: transfer.component,
+      unitsRequested: transfer.units_requested,
+      status: transfer.status,
+      requestNote: transfer.request_note,
+      responseNote: transfer.response_note,
+      createdAt: transfer.created_at,
+      respondedAt: transfer.responded_at,
+      dispatchedAt: transfer.dispatched_at,
+      receivedAt: transfer.received_at,
+      cancelledAt: transfer.cancelled_at,
+      units: (transfer.units || []).map(unit => ({
+        id: unit.id,
+        bagNumber: unit.bag_number,
+        expiryDate: unit.expiry_date,
+        status: unit.status
+      }))
+    };
+  }
+}
+
+export default new BloodTransferService();
@@ -0,0 +1,320 @@
+import { supabase } from '../lib/supabase';
+import { BLOOD_COMPONENTS, calculateExpiryDate, DEFAULT_COMPONENT } from '../utils/bloodComponents';
+import { BLOOD_TYPES } from '../utils/bloodCompatibility';
+
+// Bags within this many days of expiry are flagged on the dashboard
+const EXPIRING_SOON_DAYS = 3;
+
+/**
+ * Service for unit-level (per blood bag) inventory
+ * Handles bag registration, first-expiring-first-out issuing and
+ * quarantine of expired bags
+ */
+class BloodUnitService {
+  /**
+   * Get blood bags for a hospital
+   * @param {string} hospitalId - Hospital user ID
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Bag status ('available', 'issued', ...)
+   * @param {string} filters.bloodType - Blood type
+   * @param {string} filters.component - Blood component
+   * @returns {Promise<Array>} Bags ordered by expiry date (soonest first)
+   */
+  async getUnits(hospitalId, filters = {}) {
+    try {
+      let query = supabase
+        .from('blood_units')
+        .select('*')
+        .eq('hospital_id', hospitalId)
+        .order('expiry_date', { ascending: true });
+
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.bloodType) query = query.eq('blood_type', filters.bloodType);
+      if (filters.component) query = query.eq('component', filters.component);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching blood units:', error);
+        throw error;
+      }
+
+      return (data || []).map(unit => this.transformUnit(unit));
+    } catch (error) {
+      console.error('Error in getUnits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a new blood bag
+   * @param {string} hospitalId - Hospital user ID
+   * @param {Object} unitData - Bag details
+   * @param {string} unitData.bagNumber - Bag barcode number
+   * @param {string} unitData.bloodType - Blood type
+   * @param {string} unitData.component - Blood component
+   * @param {string} unitData.collectionDate - Collection date
+   * @param {string} unitData.expiryDate - Optional explicit expiry (defaults to component shelf life)
+   * @returns {Promise<Object>} Created bag
+   */
+  async addUnit(hospitalId, unitData) {
+    try {
+      const component = unitData.component || DEFAULT_COMPONENT;
+      const collectionDate = new Date(unitData.collectionDate || Date.now());
+      const expiryDate = unitData.expiryDate
+        ? new Date(unitData.expiryDate)
+        : calculateExpiryDate(component, collectionDate);
+
+      if (!unitData.bagNumber?.trim()) {
+        throw new Error('Bag number is required');
+      }
+
+      if (!BLOOD_TYPES.includes(unitData.bloodType)) {
+        throw new Error(`Invalid blood type: ${unitData.bloodType}`);
+      }
+
+      if (expiryDate <= collectionDate) {
+        throw new Error('Expiry date must be after collection date');
+      }
+
+      const { data, error } = await supabase
+        .from('blood_units')
+        .insert([{
+          hospital_id: hospitalId,
+          bag_number: unitData.bagNumber.trim(),
+          blood_type: unitData.bloodType,
+          component,
+          volume_ml: unitData.volumeMl || 450,
+          collection_date: collectionDate.toISOString(),
+          expiry_date: expiryDate.toISOString(),
+          // A bag added after its expiry never becomes available
+          status: expiryDate <= new Date() ? 'quarantined' : 'available',
+          donation_id: unitData.donationId || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error adding blood unit:', error);
+        throw new Error(`Failed to add blood unit: ${error.message}`);
+      }
+
+      console.log('✅ Blood unit added:', data.bag_number);
+      return this.transformUnit(data);
+    } catch (error) {
+      console.error('Error in addUnit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every expired bag that is still on the shelf into quarantine
+   * @param {string} hospitalId - Hospital user ID
+   * @returns {Promise<number>} Number of bags quarantined
+   */
+  async quarantineExpiredUnits(hospitalId) {
+    try {
+      const now = new Date().toISOString();
+
+      const { data, error } = await supabase
+        .from('blood_units')
+        .update({
+          status: 'quarantined',
+          quarantined_at: now,
+          quarantine_reason: 'expired'
+        })
+        .eq('hospital_id', hospitalId)
+        .in('status', ['available', 'reserved'])
+        .lte('expiry_date', now)
+        .select('id');
+
+      if (error) {
+        console.error('Error quarantining expired units:', error);
+        throw error;
+      }
+
+      if (data?.length > 0) {
+        console.log(`⚠️ Quarantined ${data.length} expired blood units`);
+      }
+
+      return data?.length || 0;
+    } catch (error) {
+      console.error('Error in quarantineExpiredUnits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue bags for a blood type, first-expiring-first-out
+   * @param {string} hospitalId - Hospital user ID
+   * @param {string} bloodType - Blood type to issue
+   * @param {number} units - Number of bags to issue
+   * @param {Object} options - Issue options
+   * @param {string} options.component - Blood component (defaults to whole blood)
+   * @param {string} options.requestId - Blood request the bags are issued against
+   * @returns {Promise<Array>} Issued bags
+   */
+  async issueUnits(hospitalId, bloodType, units, options = {}) {
+    try {
+      const { component = DEFAULT_COMPONENT, requestId = null } = options;
+
+      if (!units || units < 1) {
+        throw new Error('At least 1 unit must be issued');
+      }
+
+      // Never hand out a bag that expired since the last sweep
+      await this.quarantineExpiredUnits(hospitalId);
+
+      const { data: candidates, error: selectError } = await supabase
+        .from('blood_units')
+        .select('id, bag_number, expiry_date')
+        .eq('hospital_id', hospitalId)
+        .eq('blood_type', bloodType)
+        .eq('component', component)
+        .eq('status', 'available')
+        .gt('expiry_date', new Date().toISOString())
+        .order('expiry_date', { ascending: true })
+        .limit(units);
+
+      if (selectError) {
+        console.error('Error selecting units to issue:', selectError);
+        throw selectError;
+      }
+
+      if (!candidates || candidates.length < units) {
+        throw new Error(`Only ${candidates?.length || 0} ${bloodType} units available, ${units} requested`);
+      }
+
+      // The status guard makes the update a no-op for bags another user issued meanwhile
+      const { data: issued, error: updateError } = await supabase
+        .from('blood_units')
+        .update({
+          status: 'issued',
+          issued_at: new Date().toISOString(),
+          issued_request_id: requestId
+        })
+        .in('id', candidates.map(unit => unit.id))
+        .eq('status', 'available')
+        .select();
+
+      if (updateError) {
+        console.error('Error issuing blood units:', updateError);
+        throw new Error(`Failed to issue blood units: ${updateError.message}`);
+      }
+
+      if ((issued?.length || 0) < units) {
+        // Put back what we did get so a partial issue never leaves the shelf
+        if (issued?.length > 0) {
+          const { error: rollbackError } = await supabase
+            .from('blood_units')
+            .update({ status: 'available', issued_at: null, issued_request_id: null })
+            .in('id', issued.map(unit => unit.id));
+
+          if (rollbackError) {
+            console.error('Error returning partially issued units:', rollbackError);
+            throw new Error(
+              `Only ${issued.length} of ${units} units could be issued and returning them failed ` +
+              `(${rollbackError.message}); check bags ${issued.map(unit => unit.bag_number).join(', ')}`
+            );
+          }
+        }
+        throw new Error(`Only ${issued?.length || 0} of ${units} units could be issued, please retry`);
+      }
+
+      console.log(`✅ Issued ${issued.length} ${bloodType} units:`, issued.map(unit => unit.bag_number));
+      return issued.map(unit => this.transformUnit(unit));
+    } catch (error) {
+      console.error('Error in issueUnits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a bag (damaged, failed testing, quarantined and destroyed)
+   * @param {string} unitId - Blood unit ID
+   * @param {string} reason - Discard reason
+   * @returns {Promise<Object>} Updated bag
+   */
+  async discardUnit(unitId, reason = '') {
+    try {
+      const { data, error } = await supabase
+        .from('blood_units')
+        .update({
+          status: 'discarded',
+          quarantine_reason: reason || 'discarded'
+        })
+        .eq('id', unitId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error discarding blood unit:', error);
+        throw error;
+      }
+
+      return this.transformUnit(data);
+    } catch (error) {
+      console.error('Error in discardUnit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get per blood type totals derived from available bags
+   * @param {string} hospitalId - Hospital user ID
+   * @returns {Promise<Array>} One entry per blood type with counts (total and per component) and next expiry
+   */
+  async getInventorySummary(hospitalId) {
+    try {
+      await this.quarantineExpiredUnits(hospitalId);
+
+      const units = await this.getUnits(hospitalId, { status: 'available' });
+      const soonThreshold = new Date(Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+
+      return BLOOD_TYPES.map(bloodType => {
+        // getUnits returns bags sorted by expiry, so the first one is next to expire
+        const typeUnits = units.filter(unit => unit.bloodType === bloodType);
+
+        const byComponent = {};
+        BLOOD_COMPONENTS.forEach(({ value }) => {
+          byComponent[value] = typeUnits.filter(unit => unit.component === value).length;
+        });
+
+        return {
+          bloodType,
+          currentUnits: typeUnits.length,
+          byComponent,
+          nextExpiry: typeUnits[0]?.expiryDate || null,
+          expiringSoon: typeUnits.filter(unit => new Date(unit.expiryDate) <= soonThreshold).length
+        };
+      });
+    } catch (error) {
+      console.error('Error in getInventorySummary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform a database row to the shape used by components
+   * @param {Object} unit - blood_units row
+   * @returns {Object} Transformed bag
+   */
+  transformUnit(unit) {
+    return {
+      id: unit.id,
+      bagNumber: unit.bag_number,
+      bloodType: unit.blood_type,
+      component: unit.component,
+      volumeMl: unit.volume_ml,
+      collectionDate: unit.collection_date,
+      expiryDate: unit.expiry_date,
+      status: unit.status,
+      donationId: unit.donation_id,
+      issuedRequestId: unit.issued_request_id,
+      issuedAt: unit.issued_at,
+      quarantineReason: unit.quarantine_reason
+    };
+  }
+}
+
+export default new BloodUnitService();
@@ -1,4 +1,6 @@
 // BloodLink AI Chat Service - Simple rule-based chatbot with AI fallback
+import { buildBloodTypeResponse } from '../utils/bloodTypeChart';
+
 class BloodLinkChatService {
   constructor() {
     this.knowledgeBase = {
@@ -15,21 +17,7 @@ For specific questions about your eligibility, please consult with our medical s
       },
       bloodTypes: {
         keywords: ['blood type', 'blood group', 'compatible', 'universal donor', 'universal recipient', 'rarest'],
-        response: `Blood Type Information:
-• O- is the universal donor (can give to anyone)
-• AB+ is the universal recipient (can receive from anyone)
-• The rarest blood type is AB- (only 1% of population)
-• The most common blood type is O+ (around 38% of population)
-
-Blood Compatibility Chart:
-• O- can donate to: All blood types
-• O+ can donate to: O+, A+, B+, AB+
-• A- can donate to: A-, A+, AB-, AB+
-• A+ can donate to: A+, AB+
-• B- can donate to: B-, B+, AB-, AB+
-• B+ can donate to: B+, AB+
-• AB- can donate to: AB-, AB+
-• AB+ can donate to: AB+`
+        response: buildBloodTypeResponse()
       },
       process: {
         keywords: ['process', 'procedure', 'how to donate', 'what happens', 'steps'],
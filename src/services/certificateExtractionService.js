@@ -0,0 +1,170 @@
+import { parseCertificateFields } from '../utils/certificateExtraction';
+import { HASH_WIDTH, HASH_HEIGHT, toGrayscaleGrid, computeDifferenceHash } from '../utils/perceptualHash';
+
+// PDF pages read (and OCR'd, for scans); certificates are one or two pages
+const MAX_PAGES = 3;
+
+// A PDF whose text layer has less than this is treated as a scan
+const MIN_TEXT_LENGTH = 40;
+
+// Scale for rendering scanned PDF pages; OCR needs roughly 300 DPI
+const PDF_RENDER_SCALE = 2.5;
+
+// Perceptual hashes are taken from a thumbnail this many times the hash grid
+const THUMBNAIL_FACTOR = 10;
+
+/**
+ * Local text and field extraction (and image fingerprints) for health certificates
+ * Everything runs in the browser: PDF text comes from pdf.js, images and scanned
+ * PDFs go through Tesseract. Its worker, WASM core and English model are bundled
+ * as app assets, so no file is sent to, or loaded from, a third-party service.
+ * Both libraries are loaded on first use to keep them out of the main bundle.
+ */
+class CertificateExtractionService {
+  constructor() {
+    this.pdfjs = null;
+    this.worker = null;
+  }
+
+  async loadPdfJs() {
+    if (!this.pdfjs) {
+      const [pdfjs, { default: workerSrc }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+      ]);
+      pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+      this.pdfjs = pdfjs;
+    }
+    return this.pdfjs;
+  }
+
+  async createOcrWorker() {
+    const [{ createWorker }, { default: workerPath }, { default: corePath }, { default: modelUrl }] = await Promise.all([
+      import('tesseract.js'),
+      import('tesseract.js/dist/worker.min.js?url'),
+      import('tesseract.js-core/tesseract-core-lstm.wasm.js?url'),
+      import('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url'),
+    ]);
+
+    // Pass the model as data so Tesseract never falls back to its CDN
+    const modelResponse = await fetch(modelUrl);
+    const model = new Uint8Array(await modelResponse.arrayBuffer());
+
+    return await createWorker([{ code: 'eng', data: model }], 1, {
+      workerPath,
+      corePath,
+      cacheMethod: 'none',
+    });
+  }
+
+  // One worker is shared; a failed start is retried on the next call
+  getOcrWorker() {
+    if (!this.worker) {
+      this.worker = this.createOcrWorker().catch(error => {
+        this.worker = null;
+        throw error;
+      });
+    }
+    return this.worker;
+  }
+
+  // OCR an image, canvas or Blob
+  async recognize(image) {
+    const worker = await this.getOcrWorker();
+    const { data } = await worker.recognize(image);
+    return data.text;
+  }
+
+  // Draw a PDF page onto a new canvas
+  async renderPdfPage(pdf, number, scale) {
+    const page = await pdf.getPage(number);
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+  }
+
+  // Text layer of a PDF, or OCR of its rendered pages when it is a scan
+  async extractPdfText(file) {
+    const pdfjs = await this.loadPdfJs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pageCount = Math.min(pdf.numPages, MAX_PAGES);
+
+    const pages = [];
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+
+      // Keep the PDF's line breaks; the field parser works line by line
+      pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+    }
+
+    const text = pages.join('\n');
+    if (text.replace(/\s/g, '').length >= MIN_TEXT_LENGTH) {
+      return { text, method: 'pdf_text' };
+    }
+
+    const scanned = [];
+    for (let number = 1; number <= pageCount; number++) {
+      scanned.push(await this.recognize(await this.renderPdfPage(pdf, number, PDF_RENDER_SCALE)));
+    }
+
+    return { text: scanned.join('\n'), method: 'ocr' };
+  }
+
+  /**
+   * Perceptual hash of the certificate's image (the first page, for PDFs)
+   * Catches re-scans and re-saves of the same document, which the SHA-256 file hash cannot.
+   * @param {File|Blob} file - PDF or image
+   * @returns {Promise<string>} 64-bit dHash as 16 hex characters
+   */
+  async computePerceptualHash(file) {
+    try {
+      let source;
+      if (file.type === 'application/pdf') {
+        const pdfjs = await this.loadPdfJs();
+        const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        source = await this.renderPdfPage(pdf, 1, 1);
+      } else {
+        source = await createImageBitmap(file);
+      }
+
+      // Let the browser's smoothing do most of the downscaling
+      const canvas = document.createElement('canvas');
+      canvas.width = HASH_WIDTH * THUMBNAIL_FACTOR;
+      canvas.height = HASH_HEIGHT * THUMBNAIL_FACTOR;
+      const context = canvas.getContext('2d');
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+      const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+      return computeDifferenceHash(toGrayscaleGrid(data, canvas.width, canvas.height));
+    } catch (error) {
+      console.error('Error computing perceptual hash:', error);
+      throw new Error(`Failed to fingerprint certificate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract text and key fields from a certificate file
+   * @param {File|Blob} file - PDF or image
+   * @returns {Promise<Object>} { text, fields, method }
+   */
+  async extract(file) {
+    try {
+      const { text, method } = file.type === 'application/pdf'
+        ? await this.extractPdfText(file)
+        : { text: await this.recognize(file), method: 'ocr' };
+
+      return { text, fields: parseCertificateFields(text), method };
+    } catch (error) {
+      console.error('Error extracting certificate fields:', error);
+      throw new Error(`Failed to read certificate: ${error.message}`);
+    }
+  }
+}
+
+export default new CertificateExtractionService();
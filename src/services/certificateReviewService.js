@@ -0,0 +1,240 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service for the certificate review workflow
+ * Assignment, requests for more information and proposed rejections go through
+ * RPCs that check the caller is hospital staff; the final approve/reject is still
+ * sent to verify-certificate. Triggers write every transition to
+ * certificate_review_events, so nothing here records audit rows itself.
+ */
+class CertificateReviewService {
+  /**
+   * Hospital staff who can be assigned certificates
+   * @returns {Promise<Array>} { id, full_name }
+   */
+  async getReviewers() {
+    try {
+      const { data, error } = await supabase.rpc('get_certificate_reviewers');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error in getReviewers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a certificate to a reviewer
+   * @param {string} certificateId - Certificate ID
+   * @param {string|null} reviewerId - Hospital staff user ID, or null to unassign
+   * @returns {Promise<Object>} Updated certificate row
+   */
+  async assignReviewer(certificateId, reviewerId) {
+    try {
+      const { data, error } = await supabase.rpc('assign_certificate_reviewer', {
+        p_certificate_id: certificateId,
+        p_reviewer_id: reviewerId || null
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error in assignReviewer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the donor for more information; the message is shared with them as a comment
+   * @param {string} certificateId - Certificate ID
+   * @param {string} message - What the donor should provide
+   * @returns {Promise<Object>} Updated certificate row
+   */
+  async requestMoreInfo(certificateId, message) {
+    try {
+      const { data, error } = await supabase.rpc('request_certificate_info', {
+        p_certificate_id: certificateId,
+        p_message: message
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error in requestMoreInfo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Propose rejecting a certificate; another reviewer confirms it on-chain
+   * @param {string} certificateId - Certificate ID
+   * @param {string} reason - Why it should be rejected
+   * @returns {Promise<Object>} Updated certificate row
+   */
+  async proposeRejection(certificateId, reason) {
+    try {
+      const { data, error } = await supabase.rpc('propose_certificate_rejection', {
+        p_certificate_id: certificateId,
+        p_reason: reason
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error in proposeRejection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a proposed rejection and return the certificate to review
+   * @param {string} certificateId - Certificate ID
+   * @param {string} reason - Optional note for the audit trail
+   * @returns {Promise<Object>} Updated certificate row
+   */
+  async withdrawRejection(certificateId, reason = null) {
+    try {
+      const { data, error } = await supabase.rpc('withdraw_certificate_rejection', {
+        p_certificate_id: certificateId,
+        p_reason: reason || null
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error in withdrawRejection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of every certificate in a chain of re-uploads
+   * @param {Object} certificate - donor_certificates row
+   * @returns {Promise<Array<string>>} Certificate IDs
+   */
+  async getThreadCertificateIds(certificate) {
+    if (!certificate.review_thread_id) return [certificate.id];
+
+    const { data, error } = await supabase
+      .from('donor_certificates')
+      .select('id')
+      .eq('review_thread_id', certificate.review_thread_id);
+
+    if (error) throw error;
+    return data?.length ? data.map(row => row.id) : [certificate.id];
+  }
+
+  /**
+   * Comments on a certificate and the uploads it replaced, oldest first
+   * Donors only receive comments shared with them (enforced by RLS).
+   * @param {Object} certificate - donor_certificates row
+   * @returns {Promise<Array>} Comments with author ({ full_name, role } or null)
+   */
+  async getComments(certificate) {
+    try {
+      const ids = await this.getThreadCertificateIds(certificate);
+
+      const { data, error } = await supabase
+        .from('certificate_review_comments')
+        .select('*')
+        .in('certificate_id', ids)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const authors = await this.getProfiles((data || []).map(comment => comment.author_id));
+      return (data || []).map(comment => ({ ...comment, author: authors[comment.author_id] || null }));
+    } catch (error) {
+      console.error('Error in getComments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment or reply
+   * @param {string} certificateId - Certificate ID
+   * @param {string} authorId - Current user ID
+   * @param {string} body - Comment text
+   * @param {Object} options - Options
+   * @param {string} options.parentId - Comment being replied to
+   * @param {boolean} options.visibleToDonor - Share with the donor (always true for donors)
+   * @returns {Promise<Object>} Created comment
+   */
+  async addComment(certificateId, authorId, body, options = {}) {
+    try {
+      const { parentId = null, visibleToDonor = false } = options;
+
+      if (!body?.trim()) {
+        throw new Error('Comment cannot be empty');
+      }
+
+      const { data, error } = await supabase
+        .from('certificate_review_comments')
+        .insert([{
+          certificate_id: certificateId,
+          parent_id: parentId,
+          author_id: authorId,
+          body: body.trim(),
+          visible_to_donor: visibleToDonor
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error in addComment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit trail for a certificate and the uploads it replaced, oldest first
+   * @param {Object} certificate - donor_certificates row
+   * @returns {Promise<Array>} Events with actor ({ full_name, role } or null)
+   */
+  async getReviewEvents(certificate) {
+    try {
+      const ids = await this.getThreadCertificateIds(certificate);
+
+      const { data, error } = await supabase
+        .from('certificate_review_events')
+        .select('*')
+        .in('certificate_id', ids)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const actors = await this.getProfiles((data || []).map(event => event.actor_id));
+      return (data || []).map(event => ({ ...event, actor: actors[event.actor_id] || null }));
+    } catch (error) {
+      console.error('Error in getReviewEvents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Names and roles for a set of users; profiles the caller cannot read are left out
+   * @param {Array<string>} userIds - User IDs (duplicates and nulls allowed)
+   * @returns {Promise<Object>} Profiles keyed by user ID
+   */
+  async getProfiles(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, full_name, role')
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error fetching profiles:', error);
+      return {};
+    }
+
+    return Object.fromEntries((data || []).map(profile => [profile.id, profile]));
+  }
+}
+
+export default new CertificateReviewService();
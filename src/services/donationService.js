@@ -0,0 +1,278 @@
+import { supabase } from '../lib/supabase';
+import { calculateExpiryDate, DEFAULT_COMPONENT } from '../utils/bloodComponents';
+import {
+  ACTIVE_STATUSES,
+  canTransition,
+  getNextStatuses
+} from '../utils/donationLifecycle';
+
+/**
+ * Service for the donation lifecycle
+ * Creates the donation when a donor accepts and lets hospital staff move it
+ * through arrived → screened → collected → tested → released/discarded
+ */
+class DonationService {
+  /**
+   * Start a donation for a donor who accepted a blood request
+   * Returns the existing donation if one is already in progress for the request
+   * @param {string} donorId - Donor user ID
+   * @param {string} requestId - Blood request ID
+   * @returns {Promise<Object|null>} Donation row, or null if the request was not found
+   */
+  async createFromAcceptance(donorId, requestId) {
+    try {
+      const { data: existing, error: existingError } = await supabase
+        .from('donations')
+        .select('*')
+        .eq('donor_id', donorId)
+        .eq('request_id', requestId)
+        .in('status', ACTIVE_STATUSES)
+        .limit(1);
+
+      if (existingError) throw existingError;
+
+      if (existing?.length > 0) {
+        return existing[0];
+      }
+
+      const { data: requestData, error: requestError } = await supabase
+        .from('blood_requests')
+        .select('requester_id, hospital_name, hospital_address, component')
+        .eq('id', requestId)
+        .single();
+
+      if (requestError || !requestData) {
+        console.error('Error fetching request for donation:', requestError);
+        return null;
+      }
+
+      // The donation is the donor's blood type, which may differ from the
+      // (compatible) type the request asked for
+      const { data: donorProfile, error: donorError } = await supabase
+        .from('user_profiles')
+        .select('blood_type')
+        .eq('id', donorId)
+        .single();
+
+      if (donorError) {
+        console.error('Error fetching donor blood type for donation:', donorError);
+      }
+
+      const { data, error } = await supabase
+        .from('donations')
+        .insert([{
+          donor_id: donorId,
+          request_id: requestId,
+          hospital_id: requestData.requester_id,
+          hospital_name: requestData.hospital_name,
+          hospital_address: requestData.hospital_address,
+          blood_type: donorProfile?.blood_type || null,
+          component: requestData.component || DEFAULT_COMPONENT,
+          units_donated: 1,
+          amount_ml: 450, // Standard 450ml per unit
+          status: 'accepted',
+          notes: 'Accepted emergency blood request',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating donation record:', error);
+        throw error;
+      }
+
+      console.log('✅ Donation started (accepted):', data.id);
+      return data;
+    } catch (error) {
+      console.error('Error in createFromAcceptance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a donation to its next lifecycle state
+   * @param {string} donationId - Donation ID
+   * @param {string} nextStatus - Target status (must be an allowed transition)
+   * @param {Object} options - Extra data for the transition
+   * @param {string} options.notes - Staff notes
+   * @param {string} options.bagNumber - Bag number, registers the unit in inventory on release
+   * @param {string} options.appointmentId - Appointment the donor attended or missed
+   * @returns {Promise<Object>} Updated donation
+   */
+  async advanceStatus(donationId, nextStatus, options = {}) {
+    try {
+      const { data: donation, error: fetchError } = await supabase
+        .from('donations')
+        .select('*')
+        .eq('id', donationId)
+        .single();
+
+      if (fetchError || !donation) {
+        throw new Error('Donation not found');
+      }
+
+      if (!canTransition(donation.status, nextStatus)) {
+        const allowed = getNextStatuses(donation.status);
+        throw new Error(
+          `Cannot move donation from ${donation.status} to ${nextStatus}` +
+          (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : '')
+        );
+      }
+
+      if (nextStatus === 'released') {
+        return await this.releaseUnit(donation, options);
+      }
+
+      // The RPC locks the row, re-checks the transition and the vitals gate
+      // and writes the status timestamp (20250118_donation_lifecycle.sql)
+      const { data, error } = await supabase.rpc('advance_donation_status', {
+        p_donation_id: donationId,
+        p_status: nextStatus,
+        p_notes: options.notes || null,
+        p_appointment_id: options.appointmentId || null
+      });
+
+      if (error) {
+        console.error('Error advancing donation:', error);
+        throw new Error(error.message);
+      }
+
+      // The donor's cooldown and donation count are updated by the
+      // donations_record_collection trigger when this reaches 'collected'
+      console.log(`✅ Donation ${donationId}: ${donation.status} → ${nextStatus}`);
+      return data;
+    } catch (error) {
+      console.error('Error in advanceStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get donations a hospital is handling
+   * @param {string} hospitalId - Hospital user ID
+   * @param {Object} options - Options
+   * @param {boolean} options.activeOnly - Only donations still in the pipeline (default true)
+   * @returns {Promise<Array>} Donations with donor details, newest first
+   */
+  async getHospitalDonations(hospitalId, options = {}) {
+    try {
+      const { activeOnly = true } = options;
+
+      let query = supabase
+        .from('donations')
+        .select('*, donation_vitals(passed)')
+        .eq('hospital_id', hospitalId)
+        .order('created_at', { ascending: false });
+
+      if (activeOnly) query = query.in('status', ACTIVE_STATUSES);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching hospital donations:', error);
+        throw error;
+      }
+
+      // Donor details are looked up in one extra query and merged in
+      const donorIds = [...new Set((data || []).map(donation => donation.donor_id))];
+      let donorsById = {};
+      if (donorIds.length > 0) {
+        const { data: donors, error: donorsError } = await supabase
+          .from('user_profiles')
+          .select('id, full_name, phone, blood_type')
+          .in('id', donorIds);
+
+        if (donorsError) {
+          console.error('Error fetching donor profiles for donations:', donorsError);
+        }
+
+        donorsById = Object.fromEntries((donors || []).map(donor => [donor.id, donor]));
+      }
+
+      return (data || []).map(donation => this.transformDonation({
+        ...donation,
+        donor: donorsById[donation.donor_id]
+      }));
+    } catch (error) {
+      console.error('Error in getHospitalDonations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the in-progress donation for a donor and request
+   * @param {string} donorId - Donor user ID
+   * @param {string} requestId - Blood request ID
+   * @returns {Promise<Object|null>} Donation row or null
+   */
+  async findActiveDonation(donorId, requestId) {
+    try {
+      const { data, error } = await supabase
+        .from('donations')
+        .select('*')
+        .eq('donor_id', donorId)
+        .eq('request_id', requestId)
+        .in('status', ACTIVE_STATUSES)
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error in findActiveDonation:', error);
+      throw error;
+    }
+  }
+
+  // Register the bag and mark the donation released in one RPC, so a rejected
+  // bag (duplicate number, ...) leaves the donation at 'tested' for a retry
+  async releaseUnit(donation, options) {
+    if (!options.bagNumber?.trim()) {
+      throw new Error('A bag number is required to release the unit into inventory');
+    }
+
+    const component = donation.component || DEFAULT_COMPONENT;
+    const expiryDate = calculateExpiryDate(component, new Date(donation.collected_at || donation.donation_date));
+
+    const { data, error } = await supabase.rpc('release_donation_unit', {
+      p_donation_id: donation.id,
+      p_bag_number: options.bagNumber.trim(),
+      p_expiry_date: expiryDate.toISOString(),
+      p_notes: options.notes || null
+    });
+
+    if (error) {
+      console.error('Error releasing donation unit:', error);
+      throw new Error(`Failed to release unit: ${error.message}`);
+    }
+
+    console.log(`✅ Donation ${donation.id}: ${donation.status} → released (bag ${options.bagNumber.trim()})`);
+    return data;
+  }
+
+  /**
+   * Transform a donation row to the shape used by components
+   * @param {Object} donation - donations row (optionally with donor and donation_vitals)
+   * @returns {Object} Transformed donation
+   */
+  transformDonation(donation) {
+    return {
+      id: donation.id,
+      donorId: donation.donor_id,
+      donorName: donation.donor?.full_name || 'Unknown donor',
+      donorPhone: donation.donor?.phone || null,
+      requestId: donation.request_id,
+      bloodType: donation.blood_type || donation.donor?.blood_type,
+      component: donation.component || DEFAULT_COMPONENT,
+      status: donation.status,
+      nextStatuses: getNextStatuses(donation.status),
+      vitalsPassed: (donation.donation_vitals || []).some(vitals => vitals.passed),
+      createdAt: donation.created_at,
+      collectedAt: donation.collected_at,
+      notes: donation.notes
+    };
+  }
+}
+
+export default new DonationService();
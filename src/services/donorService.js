@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabase';
+import { COLLECTED_STATUSES } from '../utils/donationLifecycle';
 
 class DonorService {
   // Get donor statistics
@@ -16,12 +17,12 @@ class DonorService {
         return this.getDefaultStats();
       }
 
-      // Get total donations count
+      // Get total donations count (only donations where blood was collected)
       const { data: donations, error: donationsError } = await supabase
         .from('donations')
         .select('*')
         .eq('donor_id', userId)
-        .eq('status', 'completed');
+        .in('status', COLLECTED_STATUSES);
 
       if (donationsError) {
         console.error('Error fetching donations:', donationsError);
@@ -80,6 +81,7 @@ class DonorService {
         .from('donations')
         .select('*')
         .eq('donor_id', userId)
+        .in('status', COLLECTED_STATUSES)
         .order('created_at', { ascending: false })
         .limit(10);
 
@@ -205,12 +207,12 @@ class DonorService {
   // Get next donation eligibility date
   async getNextEligibilityDate(userId) {
     try {
-      // Get the most recent completed donation
+      // Get the most recent donation where blood was collected
       const { data: lastDonation, error } = await supabase
         .from('donations')
         .select('donation_date')
         .eq('donor_id', userId)
-        .eq('status', 'completed')
+        .in('status', COLLECTED_STATUSES)
         .order('donation_date', { ascending: false })
         .limit(1)
         .single();
@@ -1,18 +1,14 @@
 import { supabase } from '../lib/supabase';
+import { RED_CELL_COMPATIBILITY, getCompatibleDonorTypes, getCompatibilityMatrix } from '../utils/bloodCompatibility';
+import { DEFAULT_COMPONENT, getComponentLabel } from '../utils/bloodComponents';
+import { evaluateEligibility } from '../utils/eligibilityRules';
+import hospitalService from './hospitalService';
 
 class EmergencyService {
-  // Blood type compatibility matrix
-  // This defines which donor blood types are compatible with each recipient blood type
-  bloodCompatibility = {
-    'A+': ['A+', 'A-', 'O+', 'O-'],        // A+ can receive from A+, A-, O+, O-
-    'A-': ['A-', 'O-'],                    // A- can receive from A-, O-
-    'B+': ['B+', 'B-', 'O+', 'O-'],        // B+ can receive from B+, B-, O+, O-
-    'B-': ['B-', 'O-'],                    // B- can receive from B-, O-
-    'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'], // Universal recipient
-    'AB-': ['A-', 'B-', 'AB-', 'O-'],      // AB- can receive from A-, B-, AB-, O-
-    'O+': ['O+', 'O-'],                    // O+ can receive from O+, O-
-    'O-': ['O-']                           // O- can only receive from O- (universal donor)
-  };
+  // Red cell compatibility matrix (recipient -> donor types), kept for callers
+  // that only deal with whole blood. Component-aware lookups go through
+  // getCompatibleDonorTypes in utils/bloodCompatibility.
+  bloodCompatibility = RED_CELL_COMPATIBILITY;
 
   // Calculate distance between two coordinates (Haversine formula)
   calculateDistance(lat1, lon1, lat2, lon2) {
@@ -33,87 +29,31 @@ class EmergencyService {
     return degrees * (Math.PI/180);
   }
 
-  // Get blood type compatibility summary
-  getCompatibilitySummary(requestedBloodType) {
-    const compatibleTypes = this.bloodCompatibility[requestedBloodType] || [];
+  // Get blood type compatibility summary for a component
+  getCompatibilitySummary(requestedBloodType, component = DEFAULT_COMPONENT) {
+    const matrix = getCompatibilityMatrix(component);
+    const compatibleTypes = matrix[requestedBloodType] || [];
+    const recipientsOfType = Object.keys(matrix).filter(type => matrix[type].includes(requestedBloodType));
     return {
       requested: requestedBloodType,
+      component,
       compatible: compatibleTypes,
       count: compatibleTypes.length,
-      isUniversalRecipient: requestedBloodType === 'AB+',
-      isUniversalDonor: requestedBloodType === 'O-'
+      isUniversalRecipient: compatibleTypes.length === Object.keys(matrix).length,
+      isUniversalDonor: recipientsOfType.length === Object.keys(matrix).length
     };
   }
 
   // Check if donor is eligible to donate
-  isEligibleToDonate(donor) {
-    const now = new Date();
-    const lastDonation = donor.last_donation_date ? new Date(donor.last_donation_date) : null;
-    const lastEmergencyResponse = donor.last_emergency_response_date ? new Date(donor.last_emergency_response_date) : null;
-    
-    // Check if last donation was more than 56 days ago (8 weeks)
-    if (lastDonation) {
-      const daysSinceLastDonation = (now - lastDonation) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastDonation < 56) {
-        return false;
-      }
-    }
-
-    // Check if donor responded to emergency request within last 90 days
-    if (lastEmergencyResponse) {
-      const daysSinceLastEmergencyResponse = (now - lastEmergencyResponse) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastEmergencyResponse < 90) {
-        console.log(`⚠️ Donor ${donor.full_name} is in 90-day emergency cooldown period (${Math.round(daysSinceLastEmergencyResponse)} days ago)`);
-        return false;
-      }
-    }
-
-    // Check if donor is available
-    if (!donor.is_available) {
-      return false;
-    }
-
-    // Check if donor has any medical conditions that prevent donation
-    if (donor.medical_conditions && donor.medical_conditions.trim() !== '') {
-      return false;
-    }
-
-    return true;
+  // options: { policy, overrides, component } - see utils/eligibilityRules
+  isEligibleToDonate(donor, options = {}) {
+    return evaluateEligibility(donor, options).eligible;
   }
 
   // Get detailed eligibility reason for donor
-  getEligibilityReason(donor) {
-    const now = new Date();
-    const lastDonation = donor.last_donation_date ? new Date(donor.last_donation_date) : null;
-    const lastEmergencyResponse = donor.last_emergency_response_date ? new Date(donor.last_emergency_response_date) : null;
-    
-    // Check if last donation was more than 56 days ago (8 weeks)
-    if (lastDonation) {
-      const daysSinceLastDonation = (now - lastDonation) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastDonation < 56) {
-        return `Last donation ${Math.round(daysSinceLastDonation)} days ago (need 56 days)`;
-      }
-    }
-
-    // Check if donor responded to emergency request within last 90 days
-    if (lastEmergencyResponse) {
-      const daysSinceLastEmergencyResponse = (now - lastEmergencyResponse) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastEmergencyResponse < 90) {
-        return `Emergency cooldown: ${Math.round(daysSinceLastEmergencyResponse)} days ago (need 90 days)`;
-      }
-    }
-
-    // Check if donor is available
-    if (!donor.is_available) {
-      return 'Currently unavailable';
-    }
-
-    // Check if donor has any medical conditions that prevent donation
-    if (donor.medical_conditions && donor.medical_conditions.trim() !== '') {
-      return 'Medical conditions prevent donation';
-    }
-
-    return 'Eligible to donate';
+  getEligibilityReason(donor, options = {}) {
+    const { eligible, reasons } = evaluateEligibility(donor, options);
+    return eligible ? 'Eligible to donate' : reasons.join('; ');
   }
 
   // Find matching donors for emergency request
@@ -124,22 +64,29 @@ class EmergencyService {
       console.log('🔍 EmergencyService: Location:', requestData.latitude, requestData.longitude);
 
       const { bloodType, latitude, longitude, urgency, hospitalId } = requestData;
+      const component = requestData.component || DEFAULT_COMPONENT;
       
-      // Get compatible blood types
-      const compatibleBloodTypes = this.bloodCompatibility[bloodType] || [];
+      // Get compatible blood types for the requested component
+      const compatibleBloodTypes = getCompatibleDonorTypes(bloodType, component);
       
-      console.log(`🔍 EmergencyService: Requested blood type: ${bloodType}`);
+      console.log(`🔍 EmergencyService: Requested blood type: ${bloodType} (${component})`);
       console.log(`🔍 EmergencyService: Compatible blood types:`, compatibleBloodTypes);
       
       // Show compatibility summary
-      const compatibilitySummary = this.getCompatibilitySummary(bloodType);
+      const compatibilitySummary = this.getCompatibilitySummary(bloodType, component);
       console.log(`🔍 EmergencyService: Compatibility summary:`, compatibilitySummary);
       
       if (compatibleBloodTypes.length === 0) {
-        throw new Error(`No compatible blood types found for ${bloodType}`);
+        throw new Error(`No compatible blood types found for ${bloodType} ${getComponentLabel(component)}`);
       }
 
-      // Get ALL donors with compatible blood types (temporarily removing eligibility restrictions)
+      // Eligibility is checked under the requesting hospital's policy
+      const { policy, overrides } = await hospitalService.getEligibilityPolicy(hospitalId);
+      const eligibilityOptions = { policy, overrides, component };
+      console.log(`🔍 EmergencyService: Eligibility policy: ${policy}`);
+
+      // Get all donors with compatible blood types; ineligible ones are returned
+      // with a reason so the hospital can see why they were excluded
       const { data: donors, error } = await supabase
         .from('user_profiles')
         .select(`
@@ -148,10 +95,18 @@ class EmergencyService {
           phone,
           email,
           blood_type,
+          date_of_birth,
+          weight_kg,
           is_available,
           availability_radius,
           last_donation_date,
+          last_donation_component,
           last_emergency_response_date,
+          last_travel_date,
+          last_tattoo_date,
+          deferred_until,
+          deferral_permanent,
+          deferral_category,
           medical_conditions,
           medications,
           address,
@@ -182,9 +137,9 @@ class EmergencyService {
           continue;
         }
         
-        // Make ALL donors eligible for testing (temporarily removing all restrictions)
-        const isEligible = true; // Force all donors to be eligible
-        const eligibilityReason = 'Eligible to donate (testing mode)';
+        const eligibility = evaluateEligibility(donor, eligibilityOptions);
+        const isEligible = eligibility.eligible;
+        const eligibilityReason = isEligible ? 'Eligible to donate' : eligibility.reasons.join('; ');
 
         // Calculate distance if coordinates are available
         let distance = null;
@@ -236,12 +191,13 @@ class EmergencyService {
           estimatedArrivalTime: distance ? this.calculateArrivalTime(distance) : null,
           isEligible: isEligible,
           eligibilityReason: eligibilityReason,
-          canBeSelected: true // All donors can be selected in testing mode
+          eligibilityReasons: eligibility.reasons,
+          canBeSelected: isEligible
         });
       }
 
-      // Sort by priority score (highest first) - all donors are eligible in testing mode
-      allDonors.sort((a, b) => b.priorityScore - a.priorityScore);
+      // Eligible donors first, then by priority score (highest first)
+      allDonors.sort((a, b) => (b.isEligible - a.isEligible) || (b.priorityScore - a.priorityScore));
 
       console.log(`✅ Found ${allDonors.length} total donors (${allDonors.filter(d => d.isEligible).length} eligible)`);
       console.log(`✅ All donors:`, allDonors.map(d => ({ 
@@ -396,10 +352,14 @@ class EmergencyService {
   // Generate personalized notification message
   generateNotificationMessage(requestData, donor) {
     const { bloodType, urgency, hospitalName, city, patientAge, patientGender } = requestData;
+    const component = requestData.component || DEFAULT_COMPONENT;
     const urgencyText = urgency === 'critical' ? 'CRITICAL EMERGENCY' : 'urgent';
     
     let message = `🚨 ${urgencyText} BLOOD REQUEST 🚨\n\n`;
     message += `Blood Type Needed: ${bloodType}\n`;
+    if (component !== DEFAULT_COMPONENT) {
+      message += `Component: ${getComponentLabel(component)}\n`;
+    }
     message += `Hospital: ${hospitalName || 'Local Hospital'}\n`;
     message += `Location: ${city || 'Your Area'}\n`;
     
@@ -1,4 +1,7 @@
 import { supabase } from '../lib/supabase';
+import bloodUnitService from './bloodUnitService';
+import { DEFAULT_COMPONENT } from '../utils/bloodComponents';
+import { DEFAULT_POLICY } from '../utils/eligibilityRules';
 
 class HospitalService {
   // Get blood requests for a hospital
@@ -107,6 +110,7 @@ class HospitalService {
           : `Patient (${request.patient_gender || 'Unknown'}, ${request.patient_age || 'Unknown age'})`,
         hospitalName: request.hospital_name,
         bloodType: request.blood_type,
+        component: request.component || DEFAULT_COMPONENT,
         priority: request.urgency,
         status: request.status,
         createdAt: new Date(request.created_at),
@@ -150,48 +154,20 @@ class HospitalService {
   }
 
   // Get blood inventory for a hospital
+  // Totals are derived from individual blood bags (see bloodUnitService)
   async getBloodInventory(hospitalId) {
     try {
       console.log(`Fetching blood inventory for hospital: ${hospitalId}`);
-      
-      // Force fresh data by adding a timestamp to prevent caching
-      const { data: inventory, error } = await supabase
-        .from('blood_inventory')
-        .select('*')
-        .eq('hospital_id', hospitalId)
-        .order('blood_type');
-
-      if (error) {
-        console.error('Error fetching blood inventory:', error);
-        throw error;
-      }
 
-      console.log('Raw inventory data from database:', inventory);
+      const summary = await bloodUnitService.getInventorySummary(hospitalId);
 
-      // Transform data to match component expectations
-      const transformedInventory = (inventory || []).map(item => ({
-        bloodType: item.blood_type,
-        currentUnits: item.units_available || 0,
-        minimumUnits: this.getMinimumUnitsForBloodType(item.blood_type),
-        nextExpiry: item.expiry_date || null
+      const inventory = summary.map(item => ({
+        ...item,
+        minimumUnits: this.getMinimumUnitsForBloodType(item.bloodType)
       }));
 
-      // Add missing blood types with zero inventory
-      const allBloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-      const existingTypes = transformedInventory.map(item => item.bloodType);
-      const missingTypes = allBloodTypes.filter(type => !existingTypes.includes(type));
-      
-      const missingInventory = missingTypes.map(type => ({
-        bloodType: type,
-        currentUnits: 0,
-        minimumUnits: this.getMinimumUnitsForBloodType(type),
-        nextExpiry: null
-      }));
-
-      const finalInventory = [...transformedInventory, ...missingInventory];
-      console.log('Final transformed inventory:', finalInventory);
-      
-      return finalInventory;
+      console.log('Bag-derived inventory:', inventory);
+      return inventory;
     } catch (error) {
       console.error('Error in getBloodInventory:', error);
       throw error;
@@ -213,6 +189,61 @@ class HospitalService {
     return minimums[bloodType] || 20;
   }
 
+  // Get the donor eligibility policy a hospital has chosen
+  // Falls back to the default (lenient) policy if none is set or the lookup fails
+  async getEligibilityPolicy(hospitalId) {
+    try {
+      if (!hospitalId) {
+        return { policy: DEFAULT_POLICY, overrides: {} };
+      }
+
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .select('eligibility_policy, eligibility_overrides')
+        .eq('id', hospitalId)
+        .single();
+
+      if (error) {
+        console.warn('Could not load eligibility policy, using default:', error.message);
+        return { policy: DEFAULT_POLICY, overrides: {} };
+      }
+
+      return {
+        policy: data?.eligibility_policy || DEFAULT_POLICY,
+        overrides: data?.eligibility_overrides || {}
+      };
+    } catch (error) {
+      console.error('Error in getEligibilityPolicy:', error);
+      throw error;
+    }
+  }
+
+  // Get the hospital's overrides for the pre-donation vitals thresholds
+  // Returns {} (the defaults) if none are set or the lookup fails
+  async getVitalsThresholds(hospitalId) {
+    try {
+      if (!hospitalId) {
+        return {};
+      }
+
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .select('vitals_thresholds')
+        .eq('id', hospitalId)
+        .single();
+
+      if (error) {
+        console.warn('Could not load vitals thresholds, using defaults:', error.message);
+        return {};
+      }
+
+      return data?.vitals_thresholds || {};
+    } catch (error) {
+      console.error('Error in getVitalsThresholds:', error);
+      throw error;
+    }
+  }
+
   // Get hospital statistics
   async getHospitalStats(hospitalId) {
     try {
@@ -363,56 +394,6 @@ class HospitalService {
     }
   }
 
-  // Update blood inventory
-  async updateBloodInventory(hospitalId, bloodType, units) {
-    try {
-      console.log(`Updating blood inventory: hospitalId=${hospitalId}, bloodType=${bloodType}, units=${units}`);
-      
-      // Check authentication first
-      const { data: { user }, error: authError } = await supabase.auth.getUser();
-      if (authError) {
-        console.error('Authentication error:', authError);
-        throw new Error(`Authentication failed: ${authError.message}`);
-      }
-      
-      if (!user) {
-        console.log('No authenticated user, trying anonymous auth...');
-        await supabase.auth.signInAnonymously();
-      }
-      
-      // Use upsert with proper conflict resolution
-      const { data, error } = await supabase
-        .from('blood_inventory')
-        .upsert({
-          hospital_id: hospitalId,
-          blood_type: bloodType,
-          units_available: units,
-          last_updated: new Date().toISOString()
-        }, {
-          onConflict: 'hospital_id,blood_type'
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error updating blood inventory:', error);
-        console.error('Error details:', {
-          message: error.message,
-          details: error.details,
-          hint: error.hint,
-          code: error.code
-        });
-        throw new Error(`Failed to update blood inventory: ${error.message}`);
-      }
-
-      console.log('Blood inventory updated successfully:', data);
-      return data;
-    } catch (error) {
-      console.error('Error in updateBloodInventory:', error);
-      throw error;
-    }
-  }
-
   // Create a new blood request
   async createBloodRequest(requestData) {
     try {
@@ -444,6 +425,7 @@ class HospitalService {
           requester_id: requestData.hospitalId,  // Set requester_id for real-time subscriptions
           hospital_id: requestData.hospitalId,   // Keep hospital_id for hospital-specific queries
           blood_type: requestData.bloodType,
+          component: requestData.component || DEFAULT_COMPONENT,
           units_needed: requestData.unitsNeeded,
           urgency: mappedUrgency,
           hospital_name: requestData.hospitalName,
@@ -9,6 +9,7 @@ import {
   getEstimatedTravelTime,
   isValidCoordinates
 } from '../utils/geoUtils';
+import hospitalService from './hospitalService';
 
 /**
  * Service for finding and managing nearby donors
@@ -30,6 +31,9 @@ class NearbyDonorService {
         sortBy = 'distance' // 'distance', 'last_donation', 'total_donations'
       } = options;
 
+      // Apply the requesting hospital's eligibility policy
+      const { policy, overrides } = await hospitalService.getEligibilityPolicy(requestData.hospitalId);
+
       console.log('Searching for nearby donors:', {
         bloodType: requestData.bloodType,
         location: { lat: requestData.latitude, lng: requestData.longitude },
@@ -63,6 +67,17 @@ class NearbyDonorService {
           is_available,
           availability_radius,
           last_donation_date,
+          last_donation_component,
+          last_emergency_response_date,
+          date_of_birth,
+          weight_kg,
+          medical_conditions,
+          medications,
+          last_travel_date,
+          last_tattoo_date,
+          deferred_until,
+          deferral_permanent,
+          deferral_category,
           total_donations,
           city,
           state,
@@ -95,7 +110,8 @@ class NearbyDonorService {
           requestData.bloodType,
           maxDistance,
           requestData.latitude,
-          requestData.longitude
+          requestData.longitude,
+          { policy, overrides, component: requestData.component }
         );
 
         const donorWithDistance = {
@@ -104,7 +120,7 @@ class NearbyDonorService {
           distanceFormatted: formatDistance(donor.distance),
           eligibility,
           travelTime: getEstimatedTravelTime(donor.distance),
-          bloodTypeCompatible: isBloodTypeCompatible(donor.blood_type, requestData.bloodType)
+          bloodTypeCompatible: isBloodTypeCompatible(donor.blood_type, requestData.bloodType, requestData.component)
         };
 
         if (eligibility.eligible) {
@@ -143,6 +159,7 @@ class NearbyDonorService {
         eligibleCount: eligibleDonors.length,
         totalCount: donors?.length || 0,
         searchRadius: maxDistance,
+        eligibilityPolicy: policy,
         searchCenter: {
           lat: requestData.latitude,
           lng: requestData.longitude
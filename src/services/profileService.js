@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { COLLECTED_STATUSES } from '../utils/donationLifecycle';
+import vitalsService from './vitalsService';
 
 class ProfileService {
   // Get user profile
@@ -61,6 +63,27 @@ class ProfileService {
       if (profileData.hospitalLicense !== undefined) updateData.hospital_license = profileData.hospitalLicense;
       if (profileData.medicalConditions !== undefined) updateData.medical_conditions = profileData.medicalConditions;
       if (profileData.medications !== undefined) updateData.medications = profileData.medications;
+      if (profileData.weightKg !== undefined) {
+        updateData.weight_kg = profileData.weightKg !== '' && profileData.weightKg !== null
+          ? parseFloat(profileData.weightKg)
+          : null;
+      }
+      if (profileData.lastTravelDate !== undefined) {
+        updateData.last_travel_date = profileData.lastTravelDate && profileData.lastTravelDate.trim() !== ''
+          ? profileData.lastTravelDate
+          : null;
+      }
+      if (profileData.lastTattooDate !== undefined) {
+        updateData.last_tattoo_date = profileData.lastTattooDate && profileData.lastTattooDate.trim() !== ''
+          ? profileData.lastTattooDate
+          : null;
+      }
+      if (profileData.eligibilityPolicy !== undefined && profileData.eligibilityPolicy !== null) {
+        updateData.eligibility_policy = profileData.eligibilityPolicy;
+      }
+      if (profileData.vitalsThresholds) {
+        updateData.vitals_thresholds = this.normalizeThresholds(profileData.vitalsThresholds);
+      }
       
       // Handle last donation date - convert empty strings to null
       if (profileData.lastDonationDate !== undefined) {
@@ -150,6 +173,28 @@ class ProfileService {
     }
   }
 
+  // Convert threshold form values to numbers, dropping blanks so the defaults apply
+  normalizeThresholds(thresholds) {
+    const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : parseFloat(value));
+    const normalized = {};
+
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (value && typeof value === 'object') {
+        const nested = {};
+        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+          const number = toNumber(nestedValue);
+          if (number !== undefined && !isNaN(number)) nested[nestedKey] = number;
+        });
+        normalized[key] = nested;
+      } else {
+        const number = toNumber(value);
+        if (number !== undefined && !isNaN(number)) normalized[key] = number;
+      }
+    });
+
+    return normalized;
+  }
+
   // Get user's donation statistics
   async getUserStats(userId) {
     try {
@@ -157,7 +202,8 @@ class ProfileService {
         .from('donations')
         .select('*')
         .eq('donor_id', userId)
-        .eq('status', 'completed');
+        .in('status', COLLECTED_STATUSES)
+        .order('donation_date', { ascending: false });
 
       if (error) {
         console.error('Error fetching user stats:', error);
@@ -168,11 +214,20 @@ class ProfileService {
       const totalBloodDonated = donations?.reduce((sum, donation) => sum + (donation.amount_ml || 450), 0) || 0;
       const livesSaved = Math.floor(totalBloodDonated / 450);
 
+      // Pre-donation readings for the health trend; the stats still load without them
+      let vitalsTrend = [];
+      try {
+        vitalsTrend = await vitalsService.getDonorVitalsTrend(userId);
+      } catch (vitalsError) {
+        console.error('Error fetching vitals trend:', vitalsError);
+      }
+
       return {
         totalDonations,
         totalBloodDonated,
         livesSaved,
-        lastDonationDate: donations?.[0]?.donation_date || null
+        lastDonationDate: donations?.[0]?.donation_date || null,
+        vitalsTrend
       };
     } catch (error) {
       console.error('Error in getUserStats:', error);
@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase';
 import { calculateDistance, isValidCoordinates } from '../utils/geoUtils';
+import donationService from './donationService';
 
 /**
  * Real-time service for managing Supabase subscriptions
@@ -262,6 +263,41 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Subscribe to blood transfers a hospital requested or was asked for
+   * @param {string} hospitalId - The hospital's user ID
+   * @param {Function} callback - Callback function for updates
+   * @returns {Promise<Object|null>} Subscription object or null if failed
+   */
+  async subscribeToBloodTransfers(hospitalId, callback) {
+    try {
+      console.log(`Setting up blood transfer subscription for hospital: ${hospitalId}`);
+
+      // No filter: a hospital can be on either side, and RLS only delivers its own transfers
+      const subscription = supabase
+        .channel(`blood_transfers_${hospitalId}`)
+        .on(
+          'postgres_changes',
+          {
+            event: '*',
+            schema: 'public',
+            table: 'blood_transfers'
+          },
+          (payload) => {
+            console.log('Blood transfer update received:', payload);
+            callback(payload);
+          }
+        )
+        .subscribe();
+
+      this.subscriptions.set(`blood_transfers_${hospitalId}`, subscription);
+      return subscription;
+    } catch (error) {
+      console.error('Error in subscribeToBloodTransfers:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a donor response to a blood request
    * @param {string} donorId - The donor's user ID
@@ -359,42 +395,13 @@ class RealtimeService {
 
       console.log('Donor response created/updated successfully:', data);
 
-      // If donor accepted, create donation record and update their availability temporarily
+      // If donor accepted, start the donation and update their availability temporarily.
+      // It only counts as a donation once hospital staff record the collection.
       if (status === 'accepted') {
         await this.updateDonorAvailability(donorId, false);
         
-        // Create donation record
         try {
-          const { data: requestData, error: requestError } = await supabase
-            .from('blood_requests')
-            .select('hospital_name, hospital_address, blood_type, units_needed')
-            .eq('id', requestId)
-            .single();
-
-          if (!requestError && requestData) {
-            const { error: donationError } = await supabase
-              .from('donations')
-              .insert([{
-                donor_id: donorId,
-                request_id: requestId,
-                hospital_name: requestData.hospital_name,
-                hospital_address: requestData.hospital_address,
-                donation_date: new Date().toISOString(),
-                blood_type: requestData.blood_type,
-                units_donated: requestData.units_needed,
-                amount_ml: requestData.units_needed * 450, // Standard 450ml per unit
-                status: 'completed',
-                notes: 'Emergency blood donation',
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-              }]);
-
-            if (donationError) {
-              console.error('Error creating donation record:', donationError);
-            } else {
-              console.log('✅ Successfully created donation record');
-            }
-          }
+          await donationService.createFromAcceptance(donorId, requestId);
         } catch (donationError) {
           console.error('Error in donation creation:', donationError);
         }
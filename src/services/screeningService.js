@@ -0,0 +1,173 @@
+import { supabase } from '../lib/supabase';
+import { evaluateScreening } from '../utils/screeningQuestionnaire';
+
+/**
+ * Service for pre-donation screening
+ * Stores questionnaire answers per donation attempt and records the deferrals
+ * they produce. A database trigger copies active deferrals onto the donor
+ * profile, where the eligibility engine picks them up for matching.
+ */
+class ScreeningService {
+  /**
+   * Submit the screening questionnaire for a donor who has arrived
+   * Passing moves the donation to screened; any deferral cancels it
+   * @param {string} donationId - Donation ID (must be in the arrived state)
+   * @param {Object} answers - Answers keyed by question id
+   * @returns {Promise<Object>} { screening, deferrals, passed }
+   */
+  async submitScreening(donationId, answers) {
+    try {
+      const { data: donation, error: donationError } = await supabase
+        .from('donations')
+        .select('id, donor_id, hospital_id, status')
+        .eq('id', donationId)
+        .single();
+
+      if (donationError || !donation) {
+        throw new Error('Donation not found');
+      }
+
+      if (donation.status !== 'arrived') {
+        throw new Error('Screening can only be recorded once the donor has checked in');
+      }
+
+      const result = evaluateScreening(answers);
+      if (result.missing.length > 0) {
+        throw new Error(`Please answer every question (${result.missing.length} left)`);
+      }
+
+      // Screening, deferrals and the donation status are written together
+      const { data, error } = await supabase.rpc('record_donor_screening', {
+        p_donation_id: donation.id,
+        p_answers: answers,
+        p_deferrals: result.deferrals.map(deferral => ({
+          code: deferral.code,
+          reason: deferral.reason,
+          category: deferral.category,
+          type: deferral.type,
+          ends_at: deferral.endsAt ? deferral.endsAt.toISOString() : null
+        }))
+      });
+
+      if (error) {
+        console.error('Error saving screening:', error);
+        throw new Error(error.message);
+      }
+
+      const screening = data.screening;
+      const deferrals = (data.deferrals || []).map(row => this.transformDeferral(row));
+
+      console.log(`✅ Screening recorded for donation ${donation.id}: ${result.passed ? 'passed' : 'deferred'}`);
+      return { screening, deferrals, passed: result.passed };
+    } catch (error) {
+      console.error('Error in submitScreening:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a donor's deferrals
+   * @param {string} donorId - Donor user ID
+   * @param {Object} options - Options
+   * @param {boolean} options.activeOnly - Only deferrals still in force (default true)
+   * @returns {Promise<Array>} Deferrals, newest first
+   */
+  async getDonorDeferrals(donorId, options = {}) {
+    try {
+      const { activeOnly = true } = options;
+
+      const { data, error } = await supabase
+        .from('donor_deferrals')
+        .select('*')
+        .eq('donor_id', donorId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching deferrals:', error);
+        throw error;
+      }
+
+      const deferrals = (data || []).map(row => this.transformDeferral(row));
+      return activeOnly ? deferrals.filter(deferral => deferral.isActive) : deferrals;
+    } catch (error) {
+      console.error('Error in getDonorDeferrals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a deferral early, e.g. after a doctor clears the donor
+   * @param {string} deferralId - Deferral ID
+   * @param {string} reason - Why the deferral was lifted
+   * @returns {Promise<Object>} Updated deferral
+   */
+  async liftDeferral(deferralId, reason) {
+    try {
+      const { data, error } = await supabase
+        .from('donor_deferrals')
+        .update({
+          lifted_at: new Date().toISOString(),
+          lifted_reason: reason || null
+        })
+        .eq('id', deferralId)
+        .is('lifted_at', null)
+        .select()
+        .single();
+
+      if (error || !data) {
+        console.error('Error lifting deferral:', error);
+        throw new Error('Deferral not found or already lifted');
+      }
+
+      return this.transformDeferral(data);
+    } catch (error) {
+      console.error('Error in liftDeferral:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the screening recorded for a donation
+   * @param {string} donationId - Donation ID
+   * @returns {Promise<Object|null>} Latest screening or null
+   */
+  async getScreeningForDonation(donationId) {
+    try {
+      const { data, error } = await supabase
+        .from('donor_screenings')
+        .select('*')
+        .eq('donation_id', donationId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error in getScreeningForDonation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transform a deferral row to the shape used by components
+   * @param {Object} deferral - donor_deferrals row
+   * @returns {Object} Transformed deferral
+   */
+  transformDeferral(deferral) {
+    const isPermanent = deferral.deferral_type === 'permanent';
+    return {
+      id: deferral.id,
+      donorId: deferral.donor_id,
+      reasonCode: deferral.reason_code,
+      reason: deferral.reason,
+      category: deferral.category,
+      type: deferral.deferral_type,
+      startsAt: deferral.starts_at,
+      endsAt: deferral.ends_at,
+      liftedAt: deferral.lifted_at,
+      isActive: !deferral.lifted_at && (isPermanent || new Date(deferral.ends_at) > new Date())
+    };
+  }
+}
+
+export default new ScreeningService();
@@ -0,0 +1,164 @@
+import { supabase } from '../lib/supabase';
+import donationService from './donationService';
+import hospitalService from './hospitalService';
+import { checkVitals } from '../utils/vitalsThresholds';
+
+/**
+ * Service for pre-donation vitals
+ * Hospital staff record hemoglobin, blood pressure, pulse, weight and
+ * temperature for a screened donor; readings outside the hospital's
+ * thresholds stop the collection
+ */
+class VitalsService {
+  /**
+   * Record vitals for a screened donation
+   * @param {string} donationId - Donation ID (must be in the screened state)
+   * @param {Object} vitals - Readings keyed by VITAL_SIGNS id
+   * @returns {Promise<Object>} { vitals, passed, failures }
+   */
+  async recordVitals(donationId, vitals) {
+    try {
+      const { data: donation, error: donationError } = await supabase
+        .from('donations')
+        .select('id, donor_id, request_id, hospital_id, status')
+        .eq('id', donationId)
+        .single();
+
+      if (donationError || !donation) {
+        throw new Error('Donation not found');
+      }
+
+      if (donation.status !== 'screened') {
+        throw new Error('Vitals can only be recorded after the donor has passed screening');
+      }
+
+      const [thresholds, gender, donorResponseId] = await Promise.all([
+        hospitalService.getVitalsThresholds(donation.hospital_id),
+        this.getDonorGender(donation.donor_id),
+        this.findDonorResponseId(donation.donor_id, donation.request_id)
+      ]);
+
+      const result = checkVitals(vitals, { thresholds, gender });
+      if (result.missing.length > 0) {
+        throw new Error('Please record every reading');
+      }
+
+      const { data, error } = await supabase
+        .from('donation_vitals')
+        .insert([{
+          donation_id: donation.id,
+          donor_response_id: donorResponseId,
+          donor_id: donation.donor_id,
+          hospital_id: donation.hospital_id,
+          ...result.values,
+          passed: result.passed,
+          failures: result.failures
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error saving vitals:', error);
+        throw error;
+      }
+
+      if (!result.passed) {
+        await donationService.advanceStatus(donation.id, 'cancelled', {
+          notes: `Vitals outside thresholds: ${result.failures.map(failure => failure.message).join('; ')}`
+        });
+      }
+
+      console.log(`✅ Vitals recorded for donation ${donation.id}: ${result.passed ? 'passed' : 'failed'}`);
+      return { vitals: this.transformVitals(data), passed: result.passed, failures: result.failures };
+    } catch (error) {
+      console.error('Error in recordVitals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a donor's recent readings, oldest first for charting
+   * @param {string} donorId - Donor user ID
+   * @param {number} limit - Number of readings (default 10)
+   * @returns {Promise<Array>} Readings
+   */
+  async getDonorVitalsTrend(donorId, limit = 10) {
+    try {
+      const { data, error } = await supabase
+        .from('donation_vitals')
+        .select('*')
+        .eq('donor_id', donorId)
+        .order('recorded_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching vitals trend:', error);
+        throw error;
+      }
+
+      return (data || []).reverse().map(row => this.transformVitals(row));
+    } catch (error) {
+      console.error('Error in getDonorVitalsTrend:', error);
+      throw error;
+    }
+  }
+
+  // Gender decides the hemoglobin minimum
+  async getDonorGender(donorId) {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('gender')
+      .eq('id', donorId)
+      .single();
+
+    if (error) {
+      console.warn('Could not load donor gender for vitals check:', error.message);
+      return null;
+    }
+
+    return data?.gender || null;
+  }
+
+  // The response the donor gave to the request this donation answers
+  async findDonorResponseId(donorId, requestId) {
+    if (!requestId) return null;
+
+    const { data, error } = await supabase
+      .from('donor_responses')
+      .select('id')
+      .eq('donor_id', donorId)
+      .eq('request_id', requestId)
+      .limit(1);
+
+    if (error) {
+      console.warn('Could not find donor response for vitals:', error.message);
+      return null;
+    }
+
+    return data?.[0]?.id || null;
+  }
+
+  /**
+   * Transform a vitals row to the shape used by components
+   * @param {Object} row - donation_vitals row
+   * @returns {Object} Transformed readings
+   */
+  transformVitals(row) {
+    return {
+      id: row.id,
+      donationId: row.donation_id,
+      donorResponseId: row.donor_response_id,
+      hemoglobin: row.hemoglobin_g_dl !== null ? Number(row.hemoglobin_g_dl) : null,
+      systolic: row.systolic_bp,
+      diastolic: row.diastolic_bp,
+      pulse: row.pulse_bpm,
+      weight: row.weight_kg !== null ? Number(row.weight_kg) : null,
+      temperature: row.temperature_c !== null ? Number(row.temperature_c) : null,
+      passed: row.passed,
+      failures: row.failures || [],
+      recordedAt: row.recorded_at
+    };
+  }
+}
+
+export default new VitalsService();
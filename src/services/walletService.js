@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import { supabase } from '../lib/supabase';
+import { buildSignInMessage } from '../utils/walletSignIn';
+
+/**
+ * Donor wallet connection and ownership proofs
+ * Works with any EIP-1193 provider: the injected browser wallet by default, or
+ * one passed in (for example a WalletConnect provider). Donors without a wallet
+ * can use a platform-held (custodial) one instead.
+ */
+class WalletService {
+  // Whether a browser wallet is installed
+  isAvailable() {
+    return typeof window !== 'undefined' && Boolean(window.ethereum);
+  }
+
+  // Ask the wallet for access and return the selected account
+  async connect(ethereum = window.ethereum) {
+    if (!ethereum) {
+      throw new Error('No Ethereum wallet found. Install MetaMask or another browser wallet.');
+    }
+
+    try {
+      const provider = new ethers.BrowserProvider(ethereum);
+      await provider.send('eth_requestAccounts', []);
+      const signer = await provider.getSigner();
+      const { chainId } = await provider.getNetwork();
+
+      return { signer, address: await signer.getAddress(), chainId: Number(chainId) };
+    } catch (error) {
+      if (error.code === 'ACTION_REJECTED' || error.info?.error?.code === 4001) {
+        throw new Error('Wallet connection was cancelled');
+      }
+      throw new Error(`Failed to connect wallet: ${error.message}`);
+    }
+  }
+
+  // Call a wallet Edge Function as the signed-in user
+  async callFunction(name, payload) {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    if (!session) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/${name}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Connect a wallet and prove ownership by signing an EIP-4361 message.
+   * The proven address is saved to the donor's profile server-side.
+   * @param {Object} ethereum - EIP-1193 provider (defaults to the browser wallet)
+   * @returns {Promise<Object>} { address, chainId, verifiedAt }
+   */
+  async proveOwnership(ethereum = window.ethereum) {
+    const { signer, address, chainId } = await this.connect(ethereum);
+    const { nonce, issuedAt, expirationTime } = await this.callFunction('wallet-sign-in', { action: 'nonce' });
+
+    const message = buildSignInMessage({
+      domain: window.location.host,
+      uri: window.location.origin,
+      address,
+      chainId,
+      nonce,
+      issuedAt,
+      expirationTime,
+    });
+
+    let signature;
+    try {
+      signature = await signer.signMessage(message);
+    } catch (error) {
+      if (error.code === 'ACTION_REJECTED') {
+        throw new Error('Signature request was cancelled');
+      }
+      throw new Error(`Failed to sign message: ${error.message}`);
+    }
+
+    return await this.callFunction('wallet-sign-in', { action: 'verify', message, signature });
+  }
+
+  /**
+   * Link a platform-held wallet to the signed-in donor.
+   * The address is derived from the donor's ID server-side, so asking again returns the same one.
+   * @returns {Promise<Object>} { address, custodial, verifiedAt }
+   */
+  async createCustodialWallet() {
+    return await this.callFunction('custodial-wallet', {});
+  }
+
+  // The wallet a user has proven (or been given), if any
+  async getProvenWallet(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .select('wallet_address, wallet_verified_at, wallet_custodial')
+        .eq('id', userId)
+        .single();
+
+      if (error) throw error;
+
+      return data?.wallet_address && data?.wallet_verified_at
+        ? { address: data.wallet_address, verifiedAt: data.wallet_verified_at, custodial: data.wallet_custodial }
+        : null;
+    } catch (error) {
+      console.error('Error fetching proven wallet:', error);
+      return null;
+    }
+  }
+}
+
+export default new WalletService();
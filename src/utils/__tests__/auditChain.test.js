@@ -0,0 +1,121 @@
+/**
+ * Audit chain tests
+ * Builds a chain the way compute_audit_entry_hash() does in
+ * 20250217_audit_log.sql, using Node's own SHA-256, and checks that the
+ * browser verifier accepts it and pinpoints any tampering.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, webcrypto } from 'node:crypto';
+import {
+  GENESIS_HASH,
+  buildAuditPayload,
+  computeAuditEntryHash,
+  verifyAuditChain,
+  formatAuditValue
+} from '../auditChain.js';
+
+const ACTOR = '8f14e45f-ceea-467f-a8f0-9d8a1b2c3d4e';
+
+// prev_hash \n id \n epoch ms \n actor \n table \n record \n action \n changes::text
+function databaseHash(entry) {
+  const payload = [
+    entry.prev_hash,
+    entry.id,
+    Date.parse(entry.occurred_at),
+    entry.actor_id ?? '',
+    entry.table_name,
+    entry.record_id ?? '',
+    entry.action,
+    entry.changes_text
+  ].join('\n');
+  return createHash('sha256').update(payload, 'utf8').digest('hex');
+}
+
+function buildChain(count, startId = 1, prevHash = GENESIS_HASH) {
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    const entry = {
+      id: startId + index,
+      occurred_at: new Date(Date.UTC(2025, 5, 1, 9, 0, index, 123)).toISOString(),
+      actor_id: index % 2 === 0 ? ACTOR : null,
+      table_name: 'blood_units',
+      record_id: `unit-${index}`,
+      action: 'update',
+      changes_text: `{"status": {"new": "reserved", "old": "available"}, "note": {"new": "Ünit ${index}", "old": null}}`,
+      prev_hash: entries.length ? entries[entries.length - 1].entry_hash : prevHash
+    };
+    entry.entry_hash = databaseHash(entry);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+describe('Audit chain', () => {
+  before(() => {
+    // computeAuditEntryHash uses the browser's Web Crypto
+    globalThis.window ??= { crypto: webcrypto };
+  });
+
+  test('payload joins the hashed columns with newlines', () => {
+    const [entry] = buildChain(1);
+    const lines = buildAuditPayload(entry).split('\n');
+    assert.equal(lines.length, 8);
+    assert.equal(lines[0], GENESIS_HASH);
+    assert.equal(lines[2], String(Date.parse(entry.occurred_at)));
+  });
+
+  test('entry hashes match the database for non-ASCII changes and missing actors', async () => {
+    for (const entry of buildChain(2)) {
+      assert.equal(await computeAuditEntryHash(entry), entry.entry_hash);
+    }
+  });
+
+  test('an untouched chain verifies from genesis', async () => {
+    assert.deepEqual(await verifyAuditChain(buildChain(4)), { valid: true, checked: 4, brokenAt: null, reason: null });
+  });
+
+  test('a page later in the chain verifies against the entry before it', async () => {
+    const chain = buildChain(5);
+    const result = await verifyAuditChain(chain.slice(2), chain[1]);
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 3);
+  });
+
+  describe('tampering', () => {
+    test('an edited entry fails on its own hash', async () => {
+      const chain = buildChain(4);
+      chain[2] = { ...chain[2], changes_text: chain[2].changes_text.replace('reserved', 'discarded') };
+      assert.deepEqual(await verifyAuditChain(chain), {
+        valid: false, checked: 2, brokenAt: 3, reason: 'Contents do not match its hash'
+      });
+    });
+
+    test('a deleted entry leaves a gap in the ids', async () => {
+      const chain = buildChain(4);
+      chain.splice(1, 1);
+      const result = await verifyAuditChain(chain);
+      assert.equal(result.brokenAt, 3);
+      assert.equal(result.reason, 'Entry 2 is missing');
+    });
+
+    test('a rehashed replacement no longer links to the entry before it', async () => {
+      const chain = buildChain(3);
+      const forged = { ...chain[1], prev_hash: 'f'.repeat(64) };
+      forged.entry_hash = databaseHash(forged);
+      chain[1] = forged;
+      const result = await verifyAuditChain(chain);
+      assert.equal(result.brokenAt, 2);
+      assert.equal(result.reason, 'Does not link to the entry before it');
+    });
+  });
+
+  test('formatAuditValue shows nulls as a dash and objects as JSON', () => {
+    assert.equal(formatAuditValue(null), '—');
+    assert.equal(formatAuditValue({ a: 1 }), '{"a":1}');
+    assert.equal(formatAuditValue(42), '42');
+  });
+});
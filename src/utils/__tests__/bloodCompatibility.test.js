@@ -0,0 +1,157 @@
+/**
+ * Blood compatibility tests
+ * Checks the per-component matrices against the reference ABO/Rh tables and
+ * that every consumer (matching, chatbot) agrees with the module.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BLOOD_TYPES,
+  RED_CELL_COMPATIBILITY,
+  PLASMA_COMPATIBILITY,
+  PLATELET_COMPATIBILITY,
+  getCompatibilityMatrix,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  getUniversalDonors,
+  getUniversalRecipients,
+  canDonateTo
+} from '../bloodCompatibility.js';
+import { isBloodTypeCompatible } from '../geoUtils.js';
+import { buildBloodTypeResponse } from '../bloodTypeChart.js';
+
+// Reference ABO/Rh red cell table, written out as donor -> recipients
+const RED_CELL_DONOR_TABLE = {
+  'O-': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+  'O+': ['A+', 'B+', 'AB+', 'O+'],
+  'A-': ['A+', 'A-', 'AB+', 'AB-'],
+  'A+': ['A+', 'AB+'],
+  'B-': ['B+', 'B-', 'AB+', 'AB-'],
+  'B+': ['B+', 'AB+'],
+  'AB-': ['AB+', 'AB-'],
+  'AB+': ['AB+']
+};
+
+describe('Blood compatibility', () => {
+  describe('red cells', () => {
+    test('matches the full ABO and Rh table for every pair', () => {
+      BLOOD_TYPES.forEach(donor => {
+        BLOOD_TYPES.forEach(recipient => {
+          const expected = RED_CELL_DONOR_TABLE[donor].includes(recipient);
+          assert.equal(canDonateTo(donor, recipient, 'red_cells'), expected, `${donor} -> ${recipient}`);
+        });
+      });
+    });
+
+    test('O- is the only universal donor and AB+ the only universal recipient', () => {
+      assert.deepEqual(getUniversalDonors('red_cells'), ['O-']);
+      assert.deepEqual(getUniversalRecipients('red_cells'), ['AB+']);
+    });
+
+    test('Rh-negative recipients never receive Rh-positive cells', () => {
+      ['A-', 'B-', 'AB-', 'O-'].forEach(recipient => {
+        getCompatibleDonorTypes(recipient, 'red_cells').forEach(donor => {
+          assert.equal(donor.endsWith('-'), true);
+        });
+      });
+    });
+
+    test('whole blood uses the red cell matrix', () => {
+      assert.equal(getCompatibilityMatrix('whole_blood'), RED_CELL_COMPATIBILITY);
+      assert.equal(getCompatibilityMatrix(), RED_CELL_COMPATIBILITY);
+    });
+  });
+
+  describe('plasma', () => {
+    test('is the reverse of red cell ABO compatibility', () => {
+      // Comparing the Rh+ variants isolates the ABO part of the red cell table
+      BLOOD_TYPES.forEach(donor => {
+        BLOOD_TYPES.forEach(recipient => {
+          const recipientCellsFitDonor = RED_CELL_DONOR_TABLE[`${recipient.slice(0, -1)}+`]
+            .includes(`${donor.slice(0, -1)}+`);
+          assert.equal(canDonateTo(donor, recipient, 'plasma'), recipientCellsFitDonor, `${donor} -> ${recipient}`);
+        });
+      });
+    });
+
+    test('AB plasma is the universal donor', () => {
+      assert.deepEqual(getUniversalDonors('plasma'), ['AB+', 'AB-']);
+      assert.deepEqual(getCompatibleRecipientTypes('AB+', 'plasma'), BLOOD_TYPES);
+    });
+
+    test('O plasma only goes to O recipients', () => {
+      assert.deepEqual(getCompatibleRecipientTypes('O-', 'plasma'), ['O+', 'O-']);
+    });
+
+    test('ignores Rh', () => {
+      assert.equal(canDonateTo('A+', 'A-', 'plasma'), true);
+      assert.equal(canDonateTo('A-', 'A+', 'plasma'), true);
+    });
+
+    test('cryo follows plasma rules', () => {
+      assert.equal(getCompatibilityMatrix('cryo'), PLASMA_COMPATIBILITY);
+    });
+  });
+
+  describe('platelets', () => {
+    test('follow plasma ABO rules', () => {
+      BLOOD_TYPES.forEach(recipient => {
+        PLATELET_COMPATIBILITY[recipient].forEach(donor => {
+          assert.ok(PLASMA_COMPATIBILITY[recipient].includes(donor));
+        });
+      });
+    });
+
+    test('Rh-negative recipients only receive Rh-negative platelets', () => {
+      assert.equal(canDonateTo('A+', 'A-', 'platelets'), false);
+      assert.equal(canDonateTo('A-', 'A-', 'platelets'), true);
+      assert.equal(canDonateTo('A-', 'A+', 'platelets'), true);
+    });
+  });
+
+  describe('lookups', () => {
+    test('donor and recipient lookups are inverse of each other', () => {
+      ['whole_blood', 'red_cells', 'plasma', 'platelets', 'cryo'].forEach(component => {
+        BLOOD_TYPES.forEach(donor => {
+          getCompatibleRecipientTypes(donor, component).forEach(recipient => {
+            assert.ok(getCompatibleDonorTypes(recipient, component).includes(donor));
+          });
+        });
+      });
+    });
+
+    test('handles missing or unknown input', () => {
+      assert.equal(canDonateTo(null, 'A+'), false);
+      assert.equal(canDonateTo('A+', undefined), false);
+      assert.deepEqual(getCompatibleDonorTypes('X+'), []);
+      assert.equal(getCompatibilityMatrix('unknown'), RED_CELL_COMPATIBILITY);
+    });
+  });
+
+  describe('consumers agree with the module', () => {
+    test('geoUtils.isBloodTypeCompatible', () => {
+      ['red_cells', 'plasma', 'platelets'].forEach(component => {
+        BLOOD_TYPES.forEach(donor => {
+          BLOOD_TYPES.forEach(recipient => {
+            assert.equal(
+              isBloodTypeCompatible(donor, recipient, component),
+              canDonateTo(donor, recipient, component)
+            );
+          });
+        });
+      });
+    });
+
+    test('chatbot compatibility chart', () => {
+      const chart = buildBloodTypeResponse();
+      assert.ok(chart.includes('O- can donate to: All blood types'));
+      BLOOD_TYPES.filter(type => type !== 'O-').forEach(donor => {
+        const recipients = getCompatibleRecipientTypes(donor, 'red_cells').join(', ');
+        assert.ok(chart.includes(`${donor} can donate to: ${recipients}`));
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Certificate extraction tests
+ * Parses sample lab report text the way the PDF text layer and OCR return it,
+ * and checks the profile comparison shown to reviewers.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseReportDate,
+  normalizeBloodType,
+  parseCertificateFields,
+  namesMatch,
+  findProfileMismatches,
+  getPositiveScreens
+} from '../certificateExtraction.js';
+
+const SAMPLE_REPORT = `
+City Diagnostics Laboratory
+12 Main Road, Pune
+
+Patient Name: Mr. Ravi Kumar Sharma    Age: 32  Sex: M
+Sample Collection Date: 14/03/2025
+Blood Group: B Rh(D) Positive
+Haemoglobin 14.2 g/dL
+HIV 1 & 2 Antibodies    Non-Reactive
+HBsAg
+Negative
+Hepatitis C (HCV)    Reactive
+VDRL    Non Reactive
+`;
+
+describe('Certificate extraction', () => {
+  describe('parseReportDate', () => {
+    test('reads ISO, day-first and written-out dates', () => {
+      assert.equal(parseReportDate('Date: 2025-03-14'), '2025-03-14');
+      assert.equal(parseReportDate('14/03/2025'), '2025-03-14');
+      assert.equal(parseReportDate('14-Mar-25'), '2025-03-14');
+      assert.equal(parseReportDate('March 14th, 2025'), '2025-03-14');
+    });
+
+    test('reads numeric dates month-first only when day-first is impossible', () => {
+      assert.equal(parseReportDate('03/04/2025'), '2025-04-03');
+      assert.equal(parseReportDate('03/14/2025'), '2025-03-14');
+    });
+
+    test('rejects impossible dates and text without one', () => {
+      assert.equal(parseReportDate('31/02/2025'), null);
+      assert.equal(parseReportDate('no date here'), null);
+      assert.equal(parseReportDate(null), null);
+    });
+  });
+
+  test('normalizeBloodType accepts the spellings labs use', () => {
+    assert.equal(normalizeBloodType('B Positive'), 'B+');
+    assert.equal(normalizeBloodType('ab -ve'), 'AB-');
+    assert.equal(normalizeBloodType('O Rh(D) negative'), 'O-');
+    assert.equal(normalizeBloodType('A+'), 'A+');
+    assert.equal(normalizeBloodType('unknown'), null);
+  });
+
+  describe('parseCertificateFields', () => {
+    const fields = parseCertificateFields(SAMPLE_REPORT);
+
+    test('extracts the labelled fields', () => {
+      assert.equal(fields.donorName, 'Ravi Kumar Sharma');
+      assert.equal(fields.issuingLab, 'City Diagnostics Laboratory');
+      assert.equal(fields.testDate, '2025-03-14');
+      assert.deepEqual(fields.hemoglobin, { value: 14.2, unit: 'g/dL' });
+      assert.equal(fields.bloodType, 'B+');
+    });
+
+    test('reads screen results from the same line or the next one', () => {
+      assert.deepEqual(fields.infectiousDiseases, {
+        hiv: 'negative',
+        hbv: 'negative',
+        hcv: 'positive',
+        syphilis: 'negative',
+        malaria: null
+      });
+      assert.deepEqual(getPositiveScreens(fields).map(screen => screen.id), ['hcv']);
+    });
+
+    test('converts g/L and drops misread hemoglobin values', () => {
+      assert.deepEqual(parseCertificateFields('Hemoglobin: 135 g/L').hemoglobin, { value: 13.5, unit: 'g/dL' });
+      assert.equal(parseCertificateFields('Hb 142').hemoglobin, null);
+    });
+
+    test('leaves fields it cannot find null', () => {
+      const empty = parseCertificateFields('');
+      assert.equal(empty.donorName, null);
+      assert.equal(empty.testDate, null);
+      assert.equal(empty.bloodType, null);
+    });
+  });
+
+  describe('profile comparison', () => {
+    test('names match on every word or initial of the shorter name', () => {
+      assert.equal(namesMatch('R. Sharma', 'Ravi Kumar Sharma'), true);
+      assert.equal(namesMatch('SHARMA, Ravi', 'Ravi Sharma'), true);
+      assert.equal(namesMatch('Ravi Verma', 'Ravi Kumar Sharma'), false);
+    });
+
+    test('reports only fields that were extracted and differ', () => {
+      const fields = { donorName: 'Ravi Verma', bloodType: 'B+' };
+      assert.deepEqual(findProfileMismatches(fields, { full_name: 'Ravi Sharma', blood_type: 'B+' }), [
+        { field: 'donorName', label: 'Donor name', extracted: 'Ravi Verma', expected: 'Ravi Sharma' }
+      ]);
+      assert.deepEqual(findProfileMismatches({ donorName: null, bloodType: 'O-' }, { full_name: 'Ravi', blood_type: null }), []);
+    });
+  });
+});
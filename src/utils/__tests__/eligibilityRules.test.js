@@ -0,0 +1,164 @@
+/**
+ * Eligibility rules tests
+ * Evaluates donor profiles under both policy presets with a fixed reference
+ * time, so the reasons emergency matching and geoUtils show stay stable.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ELIGIBILITY_POLICIES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  evaluateEligibility
+} from '../eligibilityRules.js';
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+// A donor every rule accepts under either policy
+const donor = (overrides = {}) => ({
+  is_available: true,
+  date_of_birth: '1990-01-15',
+  weight_kg: 70,
+  last_donation_date: null,
+  last_donation_component: null,
+  last_emergency_response_date: null,
+  last_travel_date: null,
+  last_tattoo_date: null,
+  deferred_until: null,
+  deferral_permanent: false,
+  deferral_category: null,
+  medical_conditions: null,
+  medications: null,
+  ...overrides
+});
+
+const evaluate = (profile, options = {}) => evaluateEligibility(profile, { now: NOW, ...options });
+
+describe('Eligibility rules', () => {
+  test('a complete, available profile is eligible under both policies', () => {
+    Object.keys(ELIGIBILITY_POLICIES).forEach(policy => {
+      const result = evaluate(donor(), { policy });
+      assert.equal(result.eligible, true, policy);
+      assert.deepEqual(result.reasons, []);
+      assert.equal(result.policy, policy);
+    });
+  });
+
+  describe('availability', () => {
+    test('donors who are unavailable or never set availability are not matched', () => {
+      [false, null, undefined].forEach(isAvailable => {
+        const result = evaluate(donor({ is_available: isAvailable }));
+        assert.deepEqual(result.failedRules, ['availability'], String(isAvailable));
+        assert.deepEqual(result.reasons, ['Currently unavailable']);
+      });
+    });
+  });
+
+  describe('deferrals', () => {
+    test('a permanent deferral shows only its category', () => {
+      const result = evaluate(donor({ deferral_permanent: true, deferral_category: 'medical' }));
+      assert.deepEqual(result.reasons, ['Permanently deferred (Medical)']);
+    });
+
+    test('a temporary deferral applies until its end date', () => {
+      const active = evaluate(donor({ deferred_until: '2025-06-10T00:00:00Z', deferral_category: 'travel' }));
+      assert.deepEqual(active.failedRules, ['deferral']);
+      assert.match(active.reasons[0], /^Deferred until .* \(Travel\)$/);
+
+      const ended = evaluate(donor({ deferred_until: '2025-05-01T00:00:00Z' }));
+      assert.equal(ended.eligible, true);
+    });
+  });
+
+  describe('age and weight', () => {
+    test('limits come from the policy', () => {
+      const seventeen = donor({ date_of_birth: '2008-01-01' });
+      assert.equal(evaluate(seventeen, { policy: 'lenient' }).eligible, true);
+      assert.deepEqual(evaluate(seventeen, { policy: 'strict' }).reasons, ['Under minimum age (17, need 18)']);
+
+      const light = donor({ weight_kg: '47' });
+      assert.equal(evaluate(light, { policy: 'lenient' }).eligible, true);
+      assert.deepEqual(evaluate(light, { policy: 'strict' }).reasons, ['Weight below minimum (47 kg, need 50 kg)']);
+    });
+
+    test('missing profile data fails only the strict policy', () => {
+      const incomplete = donor({ date_of_birth: null, weight_kg: null });
+      assert.equal(evaluate(incomplete, { policy: 'lenient' }).eligible, true);
+      assert.deepEqual(evaluate(incomplete, { policy: 'strict' }).reasons, [
+        'Date of birth not recorded',
+        'Weight not recorded'
+      ]);
+    });
+  });
+
+  describe('donation interval', () => {
+    test('waits by the component last donated', () => {
+      const platelets = donor({ last_donation_date: daysAgo(10), last_donation_component: 'platelets' });
+      assert.equal(evaluate(platelets).eligible, true);
+
+      const wholeBlood = donor({ last_donation_date: daysAgo(10), last_donation_component: 'whole_blood' });
+      assert.deepEqual(evaluate(wholeBlood).failedRules, ['donation_interval']);
+    });
+
+    test('an unknown component waits as long as whole blood', () => {
+      const profile = donor({ last_donation_date: daysAgo(30), last_donation_component: 'unknown' });
+      assert.match(evaluate(profile).reasons[0], /need 56 days\)$/);
+    });
+  });
+
+  describe('medications', () => {
+    test('component-specific medications only defer that component', () => {
+      const profile = donor({ medications: 'Aspirin 75mg daily' });
+      assert.equal(evaluate(profile, { component: 'red_cells' }).eligible, true);
+      assert.deepEqual(evaluate(profile, { component: 'platelets' }).reasons, ['Taking deferring medication (Aspirin)']);
+    });
+
+    test('antibiotics defer only under the strict policy', () => {
+      const profile = donor({ medications: 'amoxicillin' });
+      assert.equal(evaluate(profile, { policy: 'lenient' }).eligible, true);
+      assert.deepEqual(evaluate(profile, { policy: 'strict' }).failedRules, ['medications']);
+    });
+  });
+
+  test('medical conditions defer only under the strict policy', () => {
+    const profile = donor({ medical_conditions: 'Hypertension' });
+    assert.equal(evaluate(profile, { policy: 'lenient' }).eligible, true);
+    assert.deepEqual(evaluate(profile, { policy: 'strict' }).reasons, ['Medical conditions prevent donation']);
+  });
+
+  test('travel, tattoo and emergency cooldowns use the policy day counts', () => {
+    const profile = donor({
+      last_travel_date: daysAgo(120),
+      last_tattoo_date: daysAgo(120),
+      last_emergency_response_date: daysAgo(30)
+    });
+
+    assert.deepEqual(evaluate(profile, { policy: 'lenient' }).failedRules, ['emergency_cooldown']);
+    assert.deepEqual(evaluate(profile, { policy: 'strict' }).failedRules, ['emergency_cooldown', 'travel', 'tattoo']);
+  });
+
+  test('skipped rules are not evaluated', () => {
+    const result = evaluate(donor({ is_available: false }), { skipRules: ['availability'] });
+    assert.equal(result.eligible, true);
+  });
+
+  describe('resolvePolicy', () => {
+    test('unknown names fall back to the default preset', () => {
+      assert.equal(resolvePolicy('unknown').name, DEFAULT_POLICY);
+    });
+
+    test('overrides replace single settings and merge deferral days', () => {
+      const policy = resolvePolicy('strict', { minAge: 21, deferralDays: { platelets: 14 } });
+      assert.equal(policy.minAge, 21);
+      assert.equal(policy.maxAge, ELIGIBILITY_POLICIES.strict.maxAge);
+      assert.equal(policy.deferralDays.platelets, 14);
+      assert.equal(policy.deferralDays.whole_blood, ELIGIBILITY_POLICIES.strict.deferralDays.whole_blood);
+    });
+  });
+});
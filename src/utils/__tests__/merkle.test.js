@@ -0,0 +1,90 @@
+/**
+ * Batch Merkle tree tests
+ * The anchor-batches Edge Function builds trees with
+ * supabase/functions/_shared/merkle.ts (Deno). Node cannot load TypeScript, so
+ * the module is transpiled with esbuild (installed with Vite) and its proofs
+ * are checked with the browser's merkleProof.js.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { transform } from 'esbuild';
+import { ethers } from 'ethers';
+import { computeBatchLeaf as computeBrowserLeaf, processProof, verifyMerkleProof } from '../merkleProof.js';
+
+const MERKLE_SOURCE = new URL('../../../supabase/functions/_shared/merkle.ts', import.meta.url);
+
+// Load merkle.ts with Deno's npm: import pointed at this project's ethers
+async function loadEdgeMerkle() {
+  const source = readFileSync(MERKLE_SOURCE, 'utf8')
+    .replace('"npm:ethers@6.9.0"', JSON.stringify(import.meta.resolve('ethers')));
+  const { code } = await transform(source, { loader: 'ts', format: 'esm' });
+  return import(`data:text/javascript,${encodeURIComponent(code)}`);
+}
+
+const leafAt = (index) => ethers.keccak256(ethers.toUtf8Bytes(`leaf-${index}`));
+
+const hashPair = (a, b) => (BigInt(a) < BigInt(b)
+  ? ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b])
+  : ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [b, a]));
+
+describe('Batch Merkle tree (Edge Function)', () => {
+  let merkle;
+
+  before(async () => {
+    merkle = await loadEdgeMerkle();
+  });
+
+  test('refuses an empty batch', () => {
+    assert.throws(() => merkle.buildMerkleTree([]), /no leaves/);
+  });
+
+  test('a single leaf is its own root with an empty proof', () => {
+    const { root, proofs } = merkle.buildMerkleTree([leafAt(0)]);
+    assert.equal(root, leafAt(0));
+    assert.deepEqual(proofs, [[]]);
+  });
+
+  test('hashes pairs in sorted order and carries an odd node up unchanged', () => {
+    const [a, b, c] = [0, 1, 2].map(leafAt);
+    const { root, proofs } = merkle.buildMerkleTree([a, b, c]);
+
+    assert.equal(root, hashPair(hashPair(a, b), c));
+    assert.deepEqual(proofs[0], [b, c]);
+    assert.deepEqual(proofs[2], [hashPair(a, b)]);
+  });
+
+  test('every proof verifies in the browser for batches of 1 to 9 leaves', () => {
+    for (let size = 1; size <= 9; size++) {
+      const leaves = Array.from({ length: size }, (_, index) => leafAt(index));
+      const { root, proofs } = merkle.buildMerkleTree(leaves);
+
+      leaves.forEach((leaf, index) => {
+        assert.equal(verifyMerkleProof(leaf, proofs[index], root), true, `size ${size}, leaf ${index}`);
+      });
+    }
+  });
+
+  test('a proof does not verify another leaf', () => {
+    const leaves = [0, 1, 2, 3].map(leafAt);
+    const { root, proofs } = merkle.buildMerkleTree(leaves);
+    assert.notEqual(processProof(leaves[1], proofs[0]), root);
+  });
+
+  test('leaves match the browser and the contract encoding', () => {
+    const fields = {
+      subject: ethers.zeroPadValue('0x00000000000000000000000000000000000000aa', 32),
+      certHash: ethers.keccak256(ethers.toUtf8Bytes('certificate')),
+      eligible: true,
+      validUntil: 1767225600
+    };
+
+    assert.equal(
+      merkle.computeBatchLeaf(fields.subject, fields.certHash, fields.eligible, fields.validUntil),
+      computeBrowserLeaf(fields)
+    );
+  });
+});
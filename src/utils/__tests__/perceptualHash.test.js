@@ -0,0 +1,90 @@
+/**
+ * Perceptual hash tests
+ * Renders synthetic pages into RGBA buffers, as the canvas in
+ * certificateExtractionService does, and checks that copies of the same page
+ * stay within PERCEPTUAL_MATCH_DISTANCE while different pages do not.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HASH_WIDTH,
+  HASH_HEIGHT,
+  PERCEPTUAL_MATCH_DISTANCE,
+  toGrayscaleGrid,
+  computeDifferenceHash
+} from '../perceptualHash.js';
+
+// Render a page from a brightness function over [0, 1) x [0, 1)
+function render(width, height, brightness, alpha = 255) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = brightness(x / width, y / height);
+      rgba.set([value, value, value, alpha], (y * width + x) * 4);
+    }
+  }
+  return rgba;
+}
+
+const hashOf = (width, height, brightness, alpha) =>
+  computeDifferenceHash(toGrayscaleGrid(render(width, height, brightness, alpha), width, height));
+
+// Bits that differ, as perceptual_hash_distance() computes in the database
+function distance(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (bits) {
+    count += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return count;
+}
+
+// A page with a letterhead band and a few blocks of text
+const PAGE = (x, y) => {
+  if (y < 0.15) return 60;
+  if (y > 0.3 && y < 0.7 && x > 0.1 && x < 0.6 && Math.floor(y * 20) % 2 === 0) return 40;
+  if (y > 0.75 && x > 0.55) return 90;
+  return 245;
+};
+
+// The same lab's template with a different body
+const OTHER_PAGE = (x, y) => {
+  if (y < 0.15) return 60;
+  if (y > 0.2 && y < 0.5 && x > 0.4) return 30;
+  if (y > 0.55 && x < 0.35) return 80;
+  return 245;
+};
+
+describe('Perceptual hash', () => {
+  test('is 64 bits as 16 hex characters', () => {
+    assert.match(hashOf(180, 160, PAGE), /^[0-9a-f]{16}$/);
+  });
+
+  test('a blank page has no differences and a left-to-right fade sets every bit', () => {
+    assert.equal(hashOf(90, 80, () => 200), '0000000000000000');
+    assert.equal(hashOf(90, 80, x => 255 - x * 255), 'ffffffffffffffff');
+  });
+
+  test('transparent pixels count as white paper', () => {
+    const grid = toGrayscaleGrid(render(18, 16, () => 0, 0), 18, 16);
+    assert.equal(grid.length, HASH_WIDTH * HASH_HEIGHT);
+    grid.forEach(value => assert.equal(value, 255));
+  });
+
+  test('re-scans at another resolution or exposure stay within the match distance', () => {
+    const original = hashOf(900, 800, PAGE);
+    const smaller = hashOf(450, 400, PAGE);
+    const darker = hashOf(900, 800, (x, y) => PAGE(x, y) * 0.85 + 10);
+
+    assert.ok(distance(original, smaller) <= PERCEPTUAL_MATCH_DISTANCE);
+    assert.ok(distance(original, darker) <= PERCEPTUAL_MATCH_DISTANCE);
+  });
+
+  test('a different page is further apart than the match distance', () => {
+    assert.ok(distance(hashOf(900, 800, PAGE), hashOf(900, 800, OTHER_PAGE)) > PERCEPTUAL_MATCH_DISTANCE);
+  });
+});
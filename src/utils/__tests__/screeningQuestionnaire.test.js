@@ -0,0 +1,115 @@
+/**
+ * Screening questionnaire tests
+ * Evaluates completed questionnaires with a fixed reference time and checks
+ * the deferrals (and profile-safe categories) that screeningService records.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCREENING_SECTIONS,
+  SCREENING_QUESTIONS,
+  getDeferralCategory,
+  getDeferralCategoryLabel,
+  getVisibleQuestions,
+  getMissingAnswers,
+  evaluateScreening
+} from '../screeningQuestionnaire.js';
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Answers that pass every question (follow-ups stay hidden)
+const passingAnswers = (overrides = {}) => ({
+  feeling_well: true,
+  recent_illness: false,
+  antibiotics: false,
+  blood_thinners: false,
+  deferring_medication: false,
+  malaria_travel: false,
+  pregnancy: false,
+  tattoo_piercing: false,
+  surgery_transfusion: false,
+  hiv_hepatitis: false,
+  injected_drugs: false,
+  ...overrides
+});
+
+describe('Screening questionnaire', () => {
+  test('every question belongs to a known section', () => {
+    const sections = SCREENING_SECTIONS.map(section => section.id);
+    SCREENING_QUESTIONS.forEach(question => {
+      assert.equal(sections.includes(question.section), true, question.id);
+    });
+  });
+
+  test('vitals are left to the vitals form', () => {
+    const ids = SCREENING_QUESTIONS.map(question => question.id);
+    assert.equal(ids.includes('temperature_c'), false);
+    assert.equal(ids.includes('pulse_bpm'), false);
+  });
+
+  test('passing answers pass with no deferrals', () => {
+    const result = evaluateScreening(passingAnswers(), { now: NOW });
+    assert.deepEqual(result, { passed: true, deferrals: [], missing: [] });
+  });
+
+  describe('follow-up questions', () => {
+    test('stay hidden and optional until the parent answer calls for them', () => {
+      assert.equal(getVisibleQuestions(passingAnswers()).some(q => q.id === 'malaria_travel_date'), false);
+      assert.deepEqual(getMissingAnswers(passingAnswers({ malaria_travel: true })), ['malaria_travel_date']);
+    });
+
+    test('an unanswered question fails the screening without deferring', () => {
+      const answers = passingAnswers();
+      delete answers.pregnancy;
+      const result = evaluateScreening(answers, { now: NOW });
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.missing, ['pregnancy']);
+      assert.deepEqual(result.deferrals, []);
+    });
+  });
+
+  describe('deferrals', () => {
+    test('temporary deferrals run from the screening time', () => {
+      const { deferrals } = evaluateScreening(passingAnswers({ recent_illness: true }), { now: NOW });
+      assert.equal(deferrals.length, 1);
+      assert.equal(deferrals[0].code, 'recent_illness');
+      assert.equal(deferrals[0].type, 'temporary');
+      assert.equal(deferrals[0].endsAt.getTime(), NOW.getTime() + 14 * DAY_MS);
+      assert.equal(deferrals[0].questionId, 'recent_illness');
+    });
+
+    test('travel deferrals run from the return date when given', () => {
+      const answers = passingAnswers({ malaria_travel: true, malaria_travel_date: '2025-05-01' });
+      const [deferral] = evaluateScreening(answers, { now: NOW }).deferrals;
+      assert.equal(deferral.endsAt.getTime(), new Date('2025-05-01').getTime() + 365 * DAY_MS);
+      assert.equal(deferral.category, 'travel');
+    });
+
+    test('permanent deferrals have no end date', () => {
+      const [deferral] = evaluateScreening(passingAnswers({ hiv_hepatitis: true }), { now: NOW }).deferrals;
+      assert.equal(deferral.type, 'permanent');
+      assert.equal(deferral.endsAt, null);
+      assert.equal(deferral.category, 'medical');
+    });
+
+    test('every deferring answer is reported', () => {
+      const result = evaluateScreening(passingAnswers({ feeling_well: false, tattoo_piercing: true, tattoo_piercing_date: '2025-05-20' }), { now: NOW });
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.deferrals.map(d => [d.code, d.category]), [
+        ['unwell_today', 'medical'],
+        ['tattoo_piercing', 'procedure']
+      ]);
+    });
+  });
+
+  test('profile categories default to medical', () => {
+    assert.equal(getDeferralCategory('procedures'), 'procedure');
+    assert.equal(getDeferralCategory('history'), 'medical');
+    assert.equal(getDeferralCategoryLabel('procedure'), 'Recent procedure');
+    assert.equal(getDeferralCategoryLabel('unknown'), null);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Vitals threshold tests
+ * Checks readings against the default limits and a hospital's overrides, as
+ * the vitals form and vitalsService do before collection.
+ *
+ * Usage: npm run test:utils
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VITAL_SIGNS,
+  DEFAULT_VITALS_THRESHOLDS,
+  resolveThresholds,
+  getHemoglobinMin,
+  checkVitals
+} from '../vitalsThresholds.js';
+
+// Readings inside every default limit
+const HEALTHY = {
+  hemoglobin_g_dl: '13.5',
+  systolic_bp: '120',
+  diastolic_bp: '80',
+  pulse_bpm: '72',
+  weight_kg: '70',
+  temperature_c: '36.8'
+};
+
+describe('Vitals thresholds', () => {
+  test('healthy readings pass and are parsed to numbers', () => {
+    const result = checkVitals(HEALTHY, { gender: 'female' });
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.failures, []);
+    assert.equal(result.values.temperature_c, 36.8);
+  });
+
+  test('every sign is required', () => {
+    const result = checkVitals({ ...HEALTHY, pulse_bpm: '', weight_kg: undefined });
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.missing, ['pulse_bpm', 'weight_kg']);
+    assert.equal(Object.keys(result.values).length, VITAL_SIGNS.length - 2);
+  });
+
+  test('readings outside the default limits fail with the limit in the message', () => {
+    const result = checkVitals({ ...HEALTHY, pulse_bpm: '110', temperature_c: '38.2' });
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.failures, [
+      { field: 'pulse_bpm', message: 'Pulse too high (110 bpm, maximum 100)' },
+      { field: 'temperature_c', message: 'Temperature too high (38.2 °C, maximum 37.5)' }
+    ]);
+  });
+
+  test('values on a limit pass', () => {
+    const result = checkVitals({ ...HEALTHY, pulse_bpm: '50', temperature_c: '37.5', weight_kg: '50' });
+    assert.equal(result.passed, true);
+  });
+
+  describe('hospital overrides', () => {
+    test('replace single limits and keep the rest', () => {
+      const thresholds = resolveThresholds({ pulseMax: 110 });
+      assert.equal(thresholds.pulseMax, 110);
+      assert.equal(thresholds.pulseMin, DEFAULT_VITALS_THRESHOLDS.pulseMin);
+      assert.equal(checkVitals({ ...HEALTHY, pulse_bpm: '105' }, { thresholds: { pulseMax: 110 } }).passed, true);
+    });
+
+    test('merge hemoglobin minimums by sex', () => {
+      const thresholds = resolveThresholds({ hemoglobinMin: { female: 12.0 } });
+      assert.equal(getHemoglobinMin(thresholds, 'Female'), 12.0);
+      assert.equal(getHemoglobinMin(thresholds, 'male'), DEFAULT_VITALS_THRESHOLDS.hemoglobinMin.male);
+    });
+
+    test('a missing override object uses the defaults', () => {
+      assert.deepEqual(resolveThresholds(null), resolveThresholds());
+    });
+  });
+
+  test('hemoglobin minimum depends on sex, with the lower limit for unknown', () => {
+    const reading = { ...HEALTHY, hemoglobin_g_dl: '12.8' };
+    assert.equal(checkVitals(reading, { gender: 'female' }).passed, true);
+    assert.deepEqual(checkVitals(reading, { gender: 'male' }).failures, [
+      { field: 'hemoglobin_g_dl', message: 'Hemoglobin too low (12.8 g/dL, minimum 13)' }
+    ]);
+    assert.equal(checkVitals(reading, { gender: null }).passed, true);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Audit log hash chain
+ * Rebuilds entry hashes from supabase/migrations/20250217_audit_log.sql so the
+ * chain can be checked in the browser, independently of the database. Entries
+ * must include changes_text (changes::text), the exact JSON the database hashed.
+ */
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Tables with audit triggers, and how the admin view labels them
+export const AUDITED_TABLES = [
+  { id: 'blood_units', label: 'Inventory' },
+  { id: 'blood_requests', label: 'Request status' },
+  { id: 'blood_transfers', label: 'Transfers' },
+  { id: 'donor_certificates', label: 'Certificates' },
+  { id: 'user_profiles', label: 'Profiles' }
+];
+
+/**
+ * Text the database hashes for an entry (compute_audit_entry_hash)
+ * @param {Object} entry - audit_log row with changes_text
+ * @returns {string} Payload
+ */
+export function buildAuditPayload(entry) {
+  return [
+    entry.prev_hash,
+    String(entry.id),
+    String(new Date(entry.occurred_at).getTime()),
+    entry.actor_id || '',
+    entry.table_name,
+    entry.record_id || '',
+    entry.action,
+    entry.changes_text
+  ].join('\n');
+}
+
+/**
+ * SHA-256 of an entry's payload
+ * @param {Object} entry - audit_log row with changes_text
+ * @returns {Promise<string>} 64 hex characters
+ */
+export async function computeAuditEntryHash(entry) {
+  const bytes = new TextEncoder().encode(buildAuditPayload(entry));
+  const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a run of consecutive entries
+ * @param {Array} entries - audit_log rows in id order
+ * @param {Object} previous - The entry just before the run ({ id, entry_hash }), or null from the start
+ * @returns {Promise<Object>} { valid, checked, brokenAt, reason }
+ */
+export async function verifyAuditChain(entries, previous = null) {
+  let expectedId = previous ? previous.id + 1 : 1;
+  let expectedPrev = previous ? previous.entry_hash : GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const fail = (reason) => ({ valid: false, checked: index, brokenAt: entry.id, reason });
+
+    if (entry.id !== expectedId) return fail(`Entry ${expectedId} is missing`);
+    if (entry.prev_hash !== expectedPrev) return fail('Does not link to the entry before it');
+    if (await computeAuditEntryHash(entry) !== entry.entry_hash) return fail('Contents do not match its hash');
+
+    expectedId = entry.id + 1;
+    expectedPrev = entry.entry_hash;
+  }
+
+  return { valid: true, checked: entries.length, brokenAt: null, reason: null };
+}
+
+/**
+ * Short text for one changed column
+ * @param {*} value - Old or new value from changes
+ * @returns {string} Display value
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default {
+  GENESIS_HASH,
+  AUDITED_TABLES,
+  buildAuditPayload,
+  computeAuditEntryHash,
+  verifyAuditChain,
+  formatAuditValue
+};
@@ -0,0 +1,136 @@
+/**
+ * Blood compatibility rules per blood component
+ * Each matrix maps a RECIPIENT blood type to the DONOR blood types it can receive
+ */
+
+import { DEFAULT_COMPONENT } from './bloodComponents.js';
+
+export const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+/**
+ * Red cell compatibility (donor cells must not carry antigens the recipient has antibodies to)
+ * O- red cells are the universal donor, AB+ is the universal recipient
+ */
+export const RED_CELL_COMPATIBILITY = {
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'A-': ['A-', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'B-': ['B-', 'O-'],
+  'AB+': ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+  'AB-': ['A-', 'B-', 'AB-', 'O-'],
+  'O+': ['O+', 'O-'],
+  'O-': ['O-']
+};
+
+/**
+ * Plasma compatibility is the reverse of red cells: donor plasma must not carry
+ * antibodies against the recipient's antigens. AB plasma is the universal donor
+ * and Rh does not matter because plasma carries no red cells.
+ */
+export const PLASMA_COMPATIBILITY = {
+  'A+': ['A+', 'A-', 'AB+', 'AB-'],
+  'A-': ['A+', 'A-', 'AB+', 'AB-'],
+  'B+': ['B+', 'B-', 'AB+', 'AB-'],
+  'B-': ['B+', 'B-', 'AB+', 'AB-'],
+  'AB+': ['AB+', 'AB-'],
+  'AB-': ['AB+', 'AB-'],
+  'O+': BLOOD_TYPES,
+  'O-': BLOOD_TYPES
+};
+
+/**
+ * Platelets follow plasma ABO rules (they are suspended in donor plasma) but carry
+ * trace red cells, so Rh-negative recipients should receive Rh-negative platelets
+ */
+export const PLATELET_COMPATIBILITY = Object.fromEntries(
+  Object.entries(PLASMA_COMPATIBILITY).map(([recipient, donors]) => [
+    recipient,
+    recipient.endsWith('-') ? donors.filter(donor => donor.endsWith('-')) : donors
+  ])
+);
+
+// Donated whole blood is separated into red cells before transfusion, so whole blood
+// requests use red cell rules. Cryoprecipitate is a plasma product.
+const COMPONENT_MATRICES = {
+  whole_blood: RED_CELL_COMPATIBILITY,
+  red_cells: RED_CELL_COMPATIBILITY,
+  plasma: PLASMA_COMPATIBILITY,
+  platelets: PLATELET_COMPATIBILITY,
+  cryo: PLASMA_COMPATIBILITY
+};
+
+/**
+ * Get the compatibility matrix for a component
+ * @param {string} component - Blood component (defaults to whole blood)
+ * @returns {Object} Recipient to donor types matrix
+ */
+export function getCompatibilityMatrix(component = DEFAULT_COMPONENT) {
+  return COMPONENT_MATRICES[component] || COMPONENT_MATRICES[DEFAULT_COMPONENT];
+}
+
+/**
+ * Get donor blood types a recipient can receive for a component
+ * @param {string} recipientBloodType - Recipient's blood type
+ * @param {string} component - Blood component
+ * @returns {Array<string>} Compatible donor blood types
+ */
+export function getCompatibleDonorTypes(recipientBloodType, component = DEFAULT_COMPONENT) {
+  return getCompatibilityMatrix(component)[recipientBloodType] || [];
+}
+
+/**
+ * Check if a donor can give a component to a recipient
+ * @param {string} donorBloodType - Donor's blood type
+ * @param {string} recipientBloodType - Recipient's (requested) blood type
+ * @param {string} component - Blood component
+ * @returns {boolean} True if compatible
+ */
+export function canDonateTo(donorBloodType, recipientBloodType, component = DEFAULT_COMPONENT) {
+  if (!donorBloodType || !recipientBloodType) {
+    return false;
+  }
+
+  return getCompatibleDonorTypes(recipientBloodType, component).includes(donorBloodType);
+}
+
+/**
+ * Get recipient blood types a donor can give a component to
+ * @param {string} donorBloodType - Donor's blood type
+ * @param {string} component - Blood component
+ * @returns {Array<string>} Recipient blood types, in BLOOD_TYPES order
+ */
+export function getCompatibleRecipientTypes(donorBloodType, component = DEFAULT_COMPONENT) {
+  const matrix = getCompatibilityMatrix(component);
+  return BLOOD_TYPES.filter(recipient => (matrix[recipient] || []).includes(donorBloodType));
+}
+
+/**
+ * Get blood types that can donate a component to every recipient
+ * @param {string} component - Blood component
+ * @returns {Array<string>} Universal donor types (e.g. ['O-'] for red cells)
+ */
+export function getUniversalDonors(component = DEFAULT_COMPONENT) {
+  return BLOOD_TYPES.filter(type => getCompatibleRecipientTypes(type, component).length === BLOOD_TYPES.length);
+}
+
+/**
+ * Get blood types that can receive a component from every donor
+ * @param {string} component - Blood component
+ * @returns {Array<string>} Universal recipient types (e.g. ['AB+'] for red cells)
+ */
+export function getUniversalRecipients(component = DEFAULT_COMPONENT) {
+  return BLOOD_TYPES.filter(type => getCompatibleDonorTypes(type, component).length === BLOOD_TYPES.length);
+}
+
+export default {
+  BLOOD_TYPES,
+  RED_CELL_COMPATIBILITY,
+  PLASMA_COMPATIBILITY,
+  PLATELET_COMPATIBILITY,
+  getCompatibilityMatrix,
+  getCompatibleDonorTypes,
+  getCompatibleRecipientTypes,
+  getUniversalDonors,
+  getUniversalRecipients,
+  canDonateTo
+};
@@ -0,0 +1,59 @@
+/**
+ * Blood component definitions
+ * Shared by inventory, request and matching code so every screen agrees on
+ * component names and how long a bag of each component stays usable
+ */
+
+/**
+ * Supported blood components with storage shelf life
+ * Shelf life follows common blood bank practice (CPDA-1 whole blood,
+ * additive-solution red cells, agitated platelets, frozen plasma/cryo)
+ */
+export const BLOOD_COMPONENTS = [
+  { value: 'whole_blood', label: 'Whole Blood', shelfLifeDays: 35 },
+  { value: 'red_cells', label: 'Red Blood Cells', shelfLifeDays: 42 },
+  { value: 'plasma', label: 'Fresh Frozen Plasma', shelfLifeDays: 365 },
+  { value: 'platelets', label: 'Platelets', shelfLifeDays: 5 },
+  { value: 'cryo', label: 'Cryoprecipitate', shelfLifeDays: 365 }
+];
+
+export const DEFAULT_COMPONENT = 'whole_blood';
+
+/**
+ * Look up a component definition
+ * @param {string} component - Component value (e.g. 'platelets')
+ * @returns {Object|null} Component definition or null if unknown
+ */
+export function getComponent(component) {
+  return BLOOD_COMPONENTS.find(item => item.value === component) || null;
+}
+
+/**
+ * Get a display label for a component
+ * @param {string} component - Component value
+ * @returns {string} Human readable label
+ */
+export function getComponentLabel(component) {
+  return getComponent(component)?.label || 'Whole Blood';
+}
+
+/**
+ * Calculate when a bag expires based on its component and collection date
+ * @param {string} component - Component value
+ * @param {Date|string} collectionDate - When the bag was collected
+ * @returns {Date} Expiry date
+ */
+export function calculateExpiryDate(component, collectionDate) {
+  const definition = getComponent(component) || getComponent(DEFAULT_COMPONENT);
+  const expiry = new Date(collectionDate);
+  expiry.setDate(expiry.getDate() + definition.shelfLifeDays);
+  return expiry;
+}
+
+export default {
+  BLOOD_COMPONENTS,
+  DEFAULT_COMPONENT,
+  getComponent,
+  getComponentLabel,
+  calculateExpiryDate
+};
@@ -0,0 +1,53 @@
+/**
+ * Blood type chart shown by the chatbot
+ * Generated from utils/bloodCompatibility so the chatbot always agrees with
+ * donor matching. Kept free of services so tests can import it directly.
+ */
+
+import {
+  BLOOD_TYPES,
+  getCompatibleRecipientTypes,
+  getUniversalDonors,
+  getUniversalRecipients
+} from './bloodCompatibility.js';
+
+// Chart order: universal donor first, universal recipient last
+export const CHART_ORDER = ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'];
+
+/**
+ * Format a donor's recipient list for the compatibility chart
+ * @param {string} donorType - Donor blood type
+ * @param {string} component - Blood component
+ * @returns {string} "All blood types" or a comma separated list
+ */
+export function formatRecipients(donorType, component) {
+  const recipients = getCompatibleRecipientTypes(donorType, component);
+  return recipients.length === BLOOD_TYPES.length ? 'All blood types' : recipients.join(', ');
+}
+
+/**
+ * Build the chatbot's blood type answer
+ * @returns {string} Blood type information with the red cell compatibility chart
+ */
+export function buildBloodTypeResponse() {
+  const redCellChart = CHART_ORDER
+    .map(type => `• ${type} can donate to: ${formatRecipients(type, 'red_cells')}`)
+    .join('\n');
+
+  return `Blood Type Information:
+• ${getUniversalDonors('red_cells').join(', ')} is the universal donor (can give to anyone)
+• ${getUniversalRecipients('red_cells').join(', ')} is the universal recipient (can receive from anyone)
+• The rarest blood type is AB- (only 1% of population)
+• The most common blood type is O+ (around 38% of population)
+
+Blood Compatibility Chart (red cells / whole blood):
+${redCellChart}
+
+Plasma works the other way round: ${getUniversalDonors('plasma').join(' and ')} plasma can be given to anyone, while O- plasma only goes to ${formatRecipients('O-', 'plasma')}.`;
+}
+
+export default {
+  CHART_ORDER,
+  formatRecipients,
+  buildBloodTypeResponse
+};
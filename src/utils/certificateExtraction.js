@@ -0,0 +1,277 @@
+/**
+ * Structured fields from health certificate text
+ * Text comes from the PDF text layer or local OCR (see
+ * services/certificateExtractionService.js). Lab reports vary a lot, so every
+ * field is best-effort: a field that cannot be found is null, never guessed.
+ */
+
+import { BLOOD_TYPES } from './bloodCompatibility.js';
+
+// Infectious-disease screens reported on donor certificates
+export const INFECTIOUS_TESTS = [
+  { id: 'hiv', label: 'HIV 1 & 2', pattern: /\bhiv\b/i },
+  { id: 'hbv', label: 'Hepatitis B (HBsAg)', pattern: /hbs\s*ag|hepatitis\s*b|\bhbv\b/i },
+  { id: 'hcv', label: 'Hepatitis C', pattern: /\bhcv\b|hepatitis\s*c/i },
+  { id: 'syphilis', label: 'Syphilis', pattern: /syphilis|\bvdrl\b|\brpr\b|\btpha\b/i },
+  { id: 'malaria', label: 'Malaria', pattern: /malaria|malarial\s*parasite/i }
+];
+
+// Fields compared against the donor's profile before approval
+export const PROFILE_CHECKS = [
+  { id: 'donorName', label: 'Donor name', profileField: 'full_name' },
+  { id: 'bloodType', label: 'Blood type', profileField: 'blood_type' }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NAME_TITLES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'smt', 'master'];
+
+const NEGATIVE_RESULT = /non[\s-]?reactive|negative|not\s+detected|\bnil\b|absent|\bneg\b/i;
+const POSITIVE_RESULT = /reactive|positive|detected|present|\bpos\b/i;
+
+/**
+ * Build an ISO date, rejecting impossible values
+ */
+function toIsoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a date written the ways lab reports write it.
+ * Numeric dates are read day-first (dd/mm/yyyy) unless that is impossible.
+ * @param {string} value - Text containing a date
+ * @returns {string|null} yyyy-mm-dd
+ */
+export function parseReportDate(value) {
+  if (!value) return null;
+
+  let match = value.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = value.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+  if (match) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return first > 12 || second <= 12
+      ? toIsoDate(year, second, first)
+      : toIsoDate(year, first, second);
+  }
+
+  match = value.match(/\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*[\s,-]+(\d{2,4})\b/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  }
+
+  match = value.match(/\b([a-z]{3})[a-z]*\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]));
+  }
+
+  return null;
+}
+
+/**
+ * Normalize "B Positive", "b +ve", "AB Rh(D) negative" and the like
+ * @param {string} value - Blood group text
+ * @returns {string|null} One of BLOOD_TYPES
+ */
+export function normalizeBloodType(value) {
+  if (!value) return null;
+
+  const match = value.match(/\b(AB|A|B|O)\s*(?:rh\s*(?:\(d\))?\s*)?(\+\s*ve|-\s*ve|\+|-|−|pos(?:itive)?|neg(?:ative)?)/i);
+  if (!match) return null;
+
+  const sign = /^(\+|pos)/i.test(match[2]) ? '+' : '-';
+  const bloodType = `${match[1].toUpperCase()}${sign}`;
+  return BLOOD_TYPES.includes(bloodType) ? bloodType : null;
+}
+
+function findLabelled(lines, labelPattern) {
+  for (const line of lines) {
+    const match = line.match(labelPattern);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+function extractDonorName(lines) {
+  const raw = findLabelled(lines, /(?:donor|patient|candidate)?\s*name\s*(?:of\s+(?:the\s+)?(?:donor|patient))?\s*[:\-]\s*(.+)/i);
+  if (!raw) return null;
+
+  // Lab reports often put age or sex on the same line as the name
+  const name = raw
+    .split(/\s{2,}|\t|\||\b(?:age|sex|gender|dob|id|uhid|ref)\b/i)[0]
+    .replace(new RegExp(`^(?:(?:${NAME_TITLES.join('|')})\\.?\\s+)+`, 'i'), '')
+    .replace(/[^a-zA-Z .'-]/g, '')
+    .trim();
+
+  return name.length >= 2 ? name : null;
+}
+
+function extractIssuingLab(lines) {
+  const labelled = findLabelled(lines, /(?:laboratory|lab|issued\s+by|testing\s+centre|testing\s+center)\s*(?:name)?\s*[:\-]\s*(.+)/i);
+  if (labelled) return labelled;
+
+  // Otherwise the letterhead: the first line that names a lab or hospital
+  const header = lines.slice(0, 8).find(line =>
+    /laborator(?:y|ies)|\blabs?\b|diagnostic|patholog|hospital|clinic|blood\s*bank/i.test(line) &&
+    !/[:]/.test(line)
+  );
+  return header ? header.trim() : null;
+}
+
+function extractTestDate(lines) {
+  for (const line of lines) {
+    if (/(?:test|collection|collected|sample|report(?:ed)?|examination)\s*(?:date|on)|date\s*of\s*(?:test|collection|report)/i.test(line)) {
+      const date = parseReportDate(line);
+      if (date) return date;
+    }
+  }
+
+  // Fall back to any line labelled as a date
+  for (const line of lines) {
+    if (/\bdate\b/i.test(line)) {
+      const date = parseReportDate(line);
+      if (date) return date;
+    }
+  }
+
+  return null;
+}
+
+function extractHemoglobin(text) {
+  const match = text.match(/(?:ha?emoglobin|\bhg?b\b)[^0-9\n]{0,25}(\d{1,3}(?:\.\d{1,2})?)\s*(g\/dl|gm\/dl|g\s*%|gm\s*%|g\/l)?/i);
+  if (!match) return null;
+
+  let value = Number(match[1]);
+  const unit = (match[2] || 'g/dL').toLowerCase().replace(/\s/g, '');
+  if (unit === 'g/l') value = value / 10;
+
+  // Anything outside this range is an OCR misread, not a hemoglobin value
+  if (value < 3 || value > 25) return null;
+
+  return { value: Math.round(value * 10) / 10, unit: 'g/dL' };
+}
+
+function extractBloodType(lines) {
+  for (const line of lines) {
+    if (/blood\s*(?:group|type)|\babo\b/i.test(line)) {
+      const bloodType = normalizeBloodType(line.replace(/.*?(?:blood\s*(?:group|type)|abo[^:]*)\s*[:\-]?/i, ''));
+      if (bloodType) return bloodType;
+    }
+  }
+  return null;
+}
+
+function extractInfectiousResults(lines) {
+  const results = {};
+
+  INFECTIOUS_TESTS.forEach(test => {
+    const index = lines.findIndex(line => test.pattern.test(line));
+    if (index === -1) {
+      results[test.id] = null;
+      return;
+    }
+
+    // The result is on the same line, or the next one in tabular layouts
+    const candidates = [lines[index].replace(test.pattern, ''), lines[index + 1] || ''];
+    let result = null;
+    for (const candidate of candidates) {
+      if (NEGATIVE_RESULT.test(candidate)) { result = 'negative'; break; }
+      if (POSITIVE_RESULT.test(candidate)) { result = 'positive'; break; }
+    }
+    results[test.id] = result;
+  });
+
+  return results;
+}
+
+/**
+ * Pull key fields out of certificate text
+ * @param {string} text - Text from the PDF or OCR
+ * @returns {Object} { donorName, issuingLab, testDate, hemoglobin, bloodType, infectiousDiseases }
+ */
+export function parseCertificateFields(text) {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  return {
+    donorName: extractDonorName(lines),
+    issuingLab: extractIssuingLab(lines),
+    testDate: extractTestDate(lines),
+    hemoglobin: extractHemoglobin(lines.join('\n')),
+    bloodType: extractBloodType(lines),
+    infectiousDiseases: extractInfectiousResults(lines)
+  };
+}
+
+function nameTokens(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_TITLES.includes(token));
+}
+
+/**
+ * Whether two spellings of a name refer to the same person.
+ * Every part of the shorter name must appear in the longer one, as a word or an initial,
+ * so "R. Sharma" matches "Ravi Kumar Sharma" but "Ravi Verma" does not.
+ */
+export function namesMatch(a, b) {
+  const [shorter, longer] = [nameTokens(a), nameTokens(b)].sort((x, y) => x.length - y.length);
+  if (shorter.length === 0) return false;
+
+  return shorter.every(token =>
+    longer.some(other => other === token || (token.length === 1 && other.startsWith(token)))
+  );
+}
+
+/**
+ * Compare extracted fields with the donor's profile
+ * @param {Object} fields - Result of parseCertificateFields
+ * @param {Object} profile - user_profiles row (full_name, blood_type)
+ * @returns {Array} Mismatches: { field, label, extracted, expected }
+ */
+export function findProfileMismatches(fields, profile) {
+  if (!fields || !profile) return [];
+
+  return PROFILE_CHECKS.filter(check => {
+    const extracted = fields[check.id];
+    const expected = profile[check.profileField];
+    if (!extracted || !expected) return false;
+
+    return check.id === 'donorName'
+      ? !namesMatch(extracted, expected)
+      : normalizeBloodType(expected) !== extracted;
+  }).map(check => ({
+    field: check.id,
+    label: check.label,
+    extracted: fields[check.id],
+    expected: profile[check.profileField]
+  }));
+}
+
+/**
+ * Infectious-disease screens reported positive
+ * @param {Object} fields - Result of parseCertificateFields
+ * @returns {Array} Test definitions from INFECTIOUS_TESTS
+ */
+export function getPositiveScreens(fields) {
+  return INFECTIOUS_TESTS.filter(test => fields?.infectiousDiseases?.[test.id] === 'positive');
+}
+
+export default {
+  INFECTIOUS_TESTS,
+  PROFILE_CHECKS,
+  parseReportDate,
+  normalizeBloodType,
+  parseCertificateFields,
+  namesMatch,
+  findProfileMismatches,
+  getPositiveScreens
+};
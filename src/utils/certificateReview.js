@@ -0,0 +1,109 @@
+/**
+ * Certificate review workflow
+ * Review states and audit events from supabase/migrations/20250215_certificate_review_workflow.sql.
+ * The on-chain decision still goes through verify-certificate; these states cover
+ * everything before it: assignment, requests for more information and two-reviewer rejections.
+ */
+
+// Mirrors the donor_certificates.review_status check constraint
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  IN_REVIEW: 'in_review',
+  INFO_REQUESTED: 'info_requested',
+  RESUBMITTED: 'resubmitted',
+  REJECTION_PROPOSED: 'rejection_proposed',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const REVIEW_STATUS_LABELS = {
+  pending: 'Unassigned',
+  in_review: 'In Review',
+  info_requested: 'More Info Requested',
+  resubmitted: 'Replaced by Re-upload',
+  rejection_proposed: 'Rejection Proposed',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+// When true every rejection is proposed first and confirmed by a second reviewer.
+// Keep in step with REQUIRE_SECOND_REJECTION_REVIEW on the verify-certificate function.
+export const REQUIRE_SECOND_REJECTION_REVIEW = import.meta.env.VITE_REQUIRE_SECOND_REJECTION_REVIEW === 'true';
+
+/**
+ * Whether a reviewer can record the final decision now
+ * @param {Object} certificate - donor_certificates row
+ * @returns {boolean} False while waiting on the donor, or once replaced
+ */
+export function canDecide(certificate) {
+  return ![REVIEW_STATUSES.INFO_REQUESTED, REVIEW_STATUSES.RESUBMITTED].includes(certificate?.review_status);
+}
+
+/**
+ * Whether this reviewer can confirm a proposed rejection
+ * @param {Object} certificate - donor_certificates row
+ * @param {string} userId - Current reviewer
+ * @returns {boolean} True if a rejection is proposed by someone else
+ */
+export function canConfirmRejection(certificate, userId) {
+  return certificate?.review_status === REVIEW_STATUSES.REJECTION_PROPOSED &&
+    certificate.rejection_proposed_by !== userId;
+}
+
+/**
+ * Nest comments under their parents
+ * @param {Array} comments - certificate_review_comments rows, oldest first
+ * @returns {Array} Top-level comments, each with a replies array
+ */
+export function buildCommentThreads(comments) {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  byId.forEach(comment => {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+
+  return threads;
+}
+
+/**
+ * One-line description of an audit event
+ * @param {Object} event - certificate_review_events row
+ * @param {Function} nameOf - Resolves a user ID to a display name
+ * @returns {string} Description, without the actor
+ */
+export function describeReviewEvent(event, nameOf = () => null) {
+  switch (event.action) {
+    case 'submitted':
+      return event.details?.resubmission_of ? 'Re-uploaded the certificate' : 'Uploaded the certificate';
+    case 'assigned':
+      return `Assigned to ${nameOf(event.details?.assigned_to) || 'a reviewer'}`;
+    case 'unassigned':
+      return 'Removed the reviewer';
+    case 'revoked':
+      return 'Revoked the certificate';
+    case 'status_changed':
+      if (event.from_status === REVIEW_STATUSES.REJECTION_PROPOSED &&
+          [REVIEW_STATUSES.PENDING, REVIEW_STATUSES.IN_REVIEW].includes(event.to_status)) {
+        return 'Withdrew the proposed rejection';
+      }
+      return `${REVIEW_STATUS_LABELS[event.from_status] || event.from_status} → ${REVIEW_STATUS_LABELS[event.to_status] || event.to_status}`;
+    default:
+      return event.action;
+  }
+}
+
+export default {
+  REVIEW_STATUSES,
+  REVIEW_STATUS_LABELS,
+  REQUIRE_SECOND_REJECTION_REVIEW,
+  canDecide,
+  canConfirmRejection,
+  buildCommentThreads,
+  describeReviewEvent
+};
@@ -0,0 +1,106 @@
+/**
+ * Certificate validity and revocation
+ * Mirrors the Status and RevocationReason enums in DonorVerification.sol so
+ * on-chain values and donor_certificates rows are described the same way.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Health certificates go stale; approvals default to six months
+export const DEFAULT_VALIDITY_DAYS = 180;
+
+// Donors are reminded to upload a new certificate this long before expiry
+export const RENEWAL_REMINDER_DAYS = 30;
+
+// Index matches DonorVerification.Status
+export const CERTIFICATE_STATUSES = ['none', 'active', 'expired', 'revoked'];
+
+// Code matches DonorVerification.RevocationReason (0 = not revoked)
+export const REVOCATION_REASONS = [
+  { code: 1, label: 'Medical condition' },
+  { code: 2, label: 'Fraudulent document' },
+  { code: 3, label: 'Issued in error' },
+  { code: 4, label: 'Donor request' },
+  { code: 5, label: 'Other' }
+];
+
+/**
+ * Convert the contract's Status enum to a status string
+ * @param {number|bigint} value - On-chain status
+ * @returns {string} none, active, expired or revoked
+ */
+export function statusFromChain(value) {
+  return CERTIFICATE_STATUSES[Number(value)] || 'none';
+}
+
+/**
+ * Get the label for a revocation reason code
+ * @param {number} code - Reason code
+ * @returns {string|null} Label, or null when the code means "not revoked"
+ */
+export function getRevocationReasonLabel(code) {
+  const reason = REVOCATION_REASONS.find(r => r.code === Number(code));
+  return reason ? reason.label : null;
+}
+
+/**
+ * Compute the expiry date for a new approval
+ * @param {number} days - Validity in days
+ * @param {Date} now - Reference time
+ * @returns {Date} Expiry date
+ */
+export function getValidUntil(days = DEFAULT_VALIDITY_DAYS, now = new Date()) {
+  return new Date(now.getTime() + days * DAY_MS);
+}
+
+/**
+ * Status of a donor_certificates row
+ * @param {Object} certificate - Row with eligible, valid_until, revoked_at and chain_status
+ * @param {Date} now - Reference time
+ * @returns {string} pending, pending_chain, rejected, revoked, expired or active
+ */
+export function getCertificateStatus(certificate, now = new Date()) {
+  // Reviewed, but the transaction recording the decision is not confirmed yet
+  if (certificate?.chain_status === 'pending_chain') return 'pending_chain';
+  if (!certificate || certificate.eligible === null || certificate.eligible === undefined) return 'pending';
+  if (certificate.revoked_at) return 'revoked';
+  if (certificate.eligible === false) return 'rejected';
+  if (certificate.valid_until && new Date(certificate.valid_until) < now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Whole days until a certificate expires (negative once expired)
+ * @param {Object} certificate - Row with valid_until
+ * @param {Date} now - Reference time
+ * @returns {number|null} Days, or null when there is no expiry
+ */
+export function getDaysUntilExpiry(certificate, now = new Date()) {
+  if (!certificate?.valid_until) return null;
+  return Math.ceil((new Date(certificate.valid_until).getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Whether the donor should be reminded to renew a certificate
+ * @param {Object} certificate - donor_certificates row
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if active and expiring within the reminder window
+ */
+export function needsRenewal(certificate, now = new Date()) {
+  if (getCertificateStatus(certificate, now) !== 'active') return false;
+  const days = getDaysUntilExpiry(certificate, now);
+  return days !== null && days <= RENEWAL_REMINDER_DAYS;
+}
+
+export default {
+  DEFAULT_VALIDITY_DAYS,
+  RENEWAL_REMINDER_DAYS,
+  CERTIFICATE_STATUSES,
+  REVOCATION_REASONS,
+  statusFromChain,
+  getRevocationReasonLabel,
+  getValidUntil,
+  getCertificateStatus,
+  getDaysUntilExpiry,
+  needsRenewal
+};
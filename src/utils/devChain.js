@@ -0,0 +1,41 @@
+/**
+ * Local development chain settings
+ * `npm run chain:dev` starts an in-process chain on localhost with the
+ * standard Hardhat/Anvil test accounts. The contract is always the first
+ * deployment from the first account, so its address is the same on every run
+ * (and matches a plain `anvil` or `npx hardhat node` deployment).
+ */
+
+export const DEV_CHAIN_ID = 31337;
+export const DEV_CHAIN_PORT = 8545;
+export const DEV_RPC_URL = `http://127.0.0.1:${DEV_CHAIN_PORT}`;
+
+// First test account; deploys the contract and stays admin
+export const DEV_DEPLOYER_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// CREATE address for the deployer's first transaction (nonce 0)
+export const DEV_CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+/**
+ * Check whether an RPC URL points at a chain on this machine
+ * @param {string} rpcUrl - JSON-RPC endpoint
+ * @returns {boolean} True for localhost endpoints
+ */
+export function isLocalRpcUrl(rpcUrl) {
+  try {
+    return LOCAL_HOSTS.includes(new URL(rpcUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+export default {
+  DEV_CHAIN_ID,
+  DEV_CHAIN_PORT,
+  DEV_RPC_URL,
+  DEV_DEPLOYER_ADDRESS,
+  DEV_CONTRACT_ADDRESS,
+  isLocalRpcUrl
+};
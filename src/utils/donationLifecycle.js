@@ -0,0 +1,106 @@
+/**
+ * Donation lifecycle state machine
+ * A donation starts when a donor accepts a request and only counts toward
+ * history, badges and the donation cooldown once blood has been collected
+ *
+ *   accepted → arrived → screened → collected → tested → released
+ *                                                      ↘ discarded
+ * Before collection a donation can also end as cancelled or no_show.
+ */
+
+export const DONATION_STATUSES = {
+  accepted: { label: 'Accepted', description: 'Donor accepted the request' },
+  arrived: { label: 'Arrived', description: 'Donor checked in at the hospital' },
+  screened: { label: 'Screened', description: 'Donor passed pre-donation screening' },
+  collected: { label: 'Collected', description: 'Blood has been drawn' },
+  tested: { label: 'Tested', description: 'Lab testing completed' },
+  released: { label: 'Released', description: 'Unit released to inventory' },
+  discarded: { label: 'Discarded', description: 'Unit failed testing and was discarded' },
+  cancelled: { label: 'Cancelled', description: 'Donation did not go ahead' },
+  no_show: { label: 'No-Show', description: 'Donor did not turn up' },
+  // Rows written before the lifecycle existed
+  completed: { label: 'Completed', description: 'Recorded before lifecycle tracking' }
+};
+
+// Allowed next states for each state; the database enforces the same table
+// (donation_next_statuses in supabase/migrations/20250118_donation_lifecycle.sql)
+export const DONATION_TRANSITIONS = {
+  accepted: ['arrived', 'cancelled', 'no_show'],
+  arrived: ['screened', 'cancelled'],
+  screened: ['collected', 'cancelled'],
+  collected: ['tested'],
+  tested: ['released', 'discarded'],
+  released: [],
+  discarded: [],
+  cancelled: [],
+  no_show: [],
+  completed: []
+};
+
+// Statuses where blood has been drawn from the donor. A discarded unit still
+// counts for the donor: they donated, the lab rejected the unit.
+export const COLLECTED_STATUSES = ['collected', 'tested', 'released', 'discarded', 'completed'];
+
+// Statuses still moving through the pipeline
+export const ACTIVE_STATUSES = ['accepted', 'arrived', 'screened', 'collected', 'tested'];
+
+// Timestamp column written when a donation enters each state
+export const STATUS_TIMESTAMP_COLUMNS = {
+  arrived: 'arrived_at',
+  screened: 'screened_at',
+  collected: 'collected_at',
+  tested: 'tested_at',
+  released: 'released_at',
+  discarded: 'discarded_at',
+  cancelled: 'cancelled_at',
+  no_show: 'cancelled_at'
+};
+
+/**
+ * Get the states a donation can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export function getNextStatuses(status) {
+  return DONATION_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(from, to) {
+  return getNextStatuses(from).includes(to);
+}
+
+/**
+ * Check whether a donation counts as donated blood
+ * @param {string} status - Donation status
+ * @returns {boolean} True once blood has been collected
+ */
+export function isCollected(status) {
+  return COLLECTED_STATUSES.includes(status);
+}
+
+/**
+ * Get a display label for a status
+ * @param {string} status - Donation status
+ * @returns {string} Label
+ */
+export function getStatusLabel(status) {
+  return DONATION_STATUSES[status]?.label || status;
+}
+
+export default {
+  DONATION_STATUSES,
+  DONATION_TRANSITIONS,
+  COLLECTED_STATUSES,
+  ACTIVE_STATUSES,
+  STATUS_TIMESTAMP_COLUMNS,
+  getNextStatuses,
+  canTransition,
+  isCollected,
+  getStatusLabel
+};
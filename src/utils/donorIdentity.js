@@ -0,0 +1,101 @@
+/**
+ * Donor identity keys for the DonorVerification contract
+ * Records are keyed by a bytes32 subject. A donor either uses their wallet
+ * address (padded to 32 bytes) or, in private mode, a salted commitment
+ * keccak256(donorId, salt) so nothing on-chain links back to them. Verifiers
+ * then need the salt, which the donor shares as a verification code.
+ *
+ * Keep computeCommitment in sync with supabase/functions/verify-certificate.
+ */
+
+import { ethers } from 'ethers';
+
+export const IDENTITY_MODES = {
+  ADDRESS: 'address',
+  COMMITMENT: 'commitment'
+};
+
+const PAYLOAD_PREFIX = 'bloodlink:v1';
+
+/**
+ * Generate a random 32-byte salt
+ * @returns {string} 0x-prefixed hex salt
+ */
+export function generateSalt() {
+  return ethers.hexlify(ethers.randomBytes(32));
+}
+
+/**
+ * Compute the salted commitment for a donor
+ * @param {string} donorId - Donor user ID
+ * @param {string} salt - 0x-prefixed 32-byte salt
+ * @returns {string} bytes32 commitment
+ */
+export function computeCommitment(donorId, salt) {
+  return ethers.solidityPackedKeccak256(['string', 'bytes32'], [donorId, salt]);
+}
+
+/**
+ * Subject key for a donor identified by wallet address
+ * Matches DonorVerification.addressSubject
+ * @param {string} address - Ethereum address
+ * @returns {string} bytes32 subject
+ */
+export function subjectForAddress(address) {
+  return ethers.zeroPadValue(address.toLowerCase(), 32);
+}
+
+/**
+ * Build the verification code a donor shares in private mode
+ * @param {string} donorId - Donor user ID
+ * @param {string} salt - Donor's salt
+ * @returns {string} Verification code
+ */
+export function encodeIdentityPayload(donorId, salt) {
+  return `${PAYLOAD_PREFIX}:${donorId}:${salt}`;
+}
+
+/**
+ * Parse a verification code
+ * @param {string} payload - Verification code
+ * @returns {Object|null} { donorId, salt }, or null if it is not a valid code
+ */
+export function decodeIdentityPayload(payload) {
+  const parts = (payload || '').trim().split(':');
+  if (parts.length !== 4 || `${parts[0]}:${parts[1]}` !== PAYLOAD_PREFIX) return null;
+
+  const [, , donorId, salt] = parts;
+  if (!donorId || !/^0x[a-fA-F0-9]{64}$/.test(salt)) return null;
+
+  return { donorId, salt };
+}
+
+/**
+ * Resolve what a verifier typed or scanned into an on-chain subject
+ * @param {string} input - Wallet address or verification code
+ * @returns {Object|null} { mode, subject }, or null when unrecognised
+ */
+export function resolveSubject(input) {
+  const value = (input || '').trim();
+
+  if (/^0x[a-fA-F0-9]{40}$/.test(value)) {
+    return { mode: IDENTITY_MODES.ADDRESS, subject: subjectForAddress(value) };
+  }
+
+  const identity = decodeIdentityPayload(value);
+  if (identity) {
+    return { mode: IDENTITY_MODES.COMMITMENT, subject: computeCommitment(identity.donorId, identity.salt) };
+  }
+
+  return null;
+}
+
+export default {
+  IDENTITY_MODES,
+  generateSalt,
+  computeCommitment,
+  subjectForAddress,
+  encodeIdentityPayload,
+  decodeIdentityPayload,
+  resolveSubject
+};
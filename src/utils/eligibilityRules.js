@@ -0,0 +1,288 @@
+/**
+ * Donor eligibility rules engine
+ * Rules are declared once here and evaluated against a donor profile row
+ * under a named policy, so emergency matching, the nearby donors panel and
+ * geoUtils all give the same answer (and the same reasons)
+ */
+
+import { DEFAULT_COMPONENT, getComponentLabel } from './bloodComponents.js';
+import { getDeferralCategoryLabel } from './screeningQuestionnaire.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Medications that defer donation. `components` limits the deferral to
+ * donations of those components; omitted means every component.
+ */
+const DEFERRING_MEDICATIONS = [
+  { keyword: 'isotretinoin', label: 'Isotretinoin' },
+  { keyword: 'accutane', label: 'Isotretinoin' },
+  { keyword: 'acitretin', label: 'Acitretin' },
+  { keyword: 'finasteride', label: 'Finasteride' },
+  { keyword: 'dutasteride', label: 'Dutasteride' },
+  { keyword: 'warfarin', label: 'Anticoagulants' },
+  { keyword: 'heparin', label: 'Anticoagulants' },
+  { keyword: 'rivaroxaban', label: 'Anticoagulants' },
+  { keyword: 'clopidogrel', label: 'Antiplatelet drugs', components: ['platelets'] },
+  { keyword: 'aspirin', label: 'Aspirin', components: ['platelets'] }
+];
+
+// Only deferred under the strict policy
+const STRICT_ONLY_MEDICATIONS = [
+  { keyword: 'antibiotic', label: 'Antibiotics' },
+  { keyword: 'amoxicillin', label: 'Antibiotics' },
+  { keyword: 'ibuprofen', label: 'NSAIDs', components: ['platelets'] }
+];
+
+/**
+ * Policy presets. Hospitals pick one by name (user_profiles.eligibility_policy)
+ * and can override individual settings (user_profiles.eligibility_overrides).
+ */
+export const ELIGIBILITY_POLICIES = {
+  strict: {
+    label: 'Strict',
+    minAge: 18,
+    maxAge: 65,
+    minWeightKg: 50,
+    // Days a donor must wait after donating each component
+    deferralDays: {
+      whole_blood: 56,
+      red_cells: 112,
+      plasma: 28,
+      platelets: 7,
+      cryo: 28
+    },
+    emergencyCooldownDays: 90,
+    tattooDeferralDays: 180,
+    travelDeferralDays: 365,
+    deferredMedications: [...DEFERRING_MEDICATIONS, ...STRICT_ONLY_MEDICATIONS],
+    deferOnMedicalConditions: true,
+    // Missing age/weight fails the check instead of being left to screening
+    requireProfileData: true
+  },
+  lenient: {
+    label: 'Lenient',
+    minAge: 17,
+    maxAge: 70,
+    minWeightKg: 45,
+    deferralDays: {
+      whole_blood: 56,
+      red_cells: 112,
+      plasma: 14,
+      platelets: 7,
+      cryo: 14
+    },
+    emergencyCooldownDays: 90,
+    tattooDeferralDays: 90,
+    travelDeferralDays: 90,
+    deferredMedications: DEFERRING_MEDICATIONS,
+    // Free-text conditions are left to the screening questionnaire on arrival
+    deferOnMedicalConditions: false,
+    requireProfileData: false
+  }
+};
+
+// Lenient is the default so donors with incomplete profiles are still matched
+// (and screened on arrival); hospitals opt in to strict
+export const DEFAULT_POLICY = 'lenient';
+
+/**
+ * Days elapsed since a date, or null when the date is missing/invalid
+ * @param {string|Date} date - Date to measure from
+ * @param {Date} now - Reference time
+ * @returns {number|null} Days since the date
+ */
+function daysSince(date, now) {
+  if (!date) return null;
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) return null;
+  return (now - parsed) / DAY_MS;
+}
+
+/**
+ * Declarative rule list. Each rule returns a reason string when the donor
+ * fails it, or null when the donor passes.
+ */
+export const ELIGIBILITY_RULES = [
+  {
+    id: 'availability',
+    description: 'Donor has marked themselves available',
+    evaluate: (donor) => (!donor.is_available ? 'Currently unavailable' : null)
+  },
+  {
+    id: 'deferral',
+    description: 'No active deferral from pre-donation screening',
+    evaluate: (donor, { now }) => {
+      // Profiles carry only the deferral category, never the clinical reason
+      const category = getDeferralCategoryLabel(donor.deferral_category);
+      const reason = category ? ` (${category})` : '';
+      if (donor.deferral_permanent) return `Permanently deferred${reason}`;
+      if (!donor.deferred_until) return null;
+      const until = new Date(donor.deferred_until);
+      return until > now
+        ? `Deferred until ${until.toLocaleDateString()}${reason}`
+        : null;
+    }
+  },
+  {
+    id: 'age',
+    description: 'Donor age within policy limits',
+    evaluate: (donor, { policy, now }) => {
+      const days = daysSince(donor.date_of_birth, now);
+      if (days === null) {
+        return policy.requireProfileData ? 'Date of birth not recorded' : null;
+      }
+      const age = Math.floor(days / 365.25);
+      if (age < policy.minAge) return `Under minimum age (${age}, need ${policy.minAge})`;
+      if (age > policy.maxAge) return `Over maximum age (${age}, limit ${policy.maxAge})`;
+      return null;
+    }
+  },
+  {
+    id: 'weight',
+    description: 'Donor weight above policy minimum',
+    evaluate: (donor, { policy }) => {
+      const weight = parseFloat(donor.weight_kg);
+      if (isNaN(weight)) {
+        return policy.requireProfileData ? 'Weight not recorded' : null;
+      }
+      return weight < policy.minWeightKg
+        ? `Weight below minimum (${weight} kg, need ${policy.minWeightKg} kg)`
+        : null;
+    }
+  },
+  {
+    id: 'donation_interval',
+    description: 'Deferral interval since the last donation, by component donated',
+    evaluate: (donor, { policy, now }) => {
+      const days = daysSince(donor.last_donation_date, now);
+      if (days === null) return null;
+      const lastComponent = donor.last_donation_component || DEFAULT_COMPONENT;
+      const required = policy.deferralDays[lastComponent] ?? policy.deferralDays[DEFAULT_COMPONENT];
+      return days < required
+        ? `Last ${getComponentLabel(lastComponent).toLowerCase()} donation ${Math.round(days)} days ago (need ${required} days)`
+        : null;
+    }
+  },
+  {
+    id: 'emergency_cooldown',
+    description: 'Cooldown after responding to an emergency request',
+    evaluate: (donor, { policy, now }) => {
+      const days = daysSince(donor.last_emergency_response_date, now);
+      if (days === null) return null;
+      return days < policy.emergencyCooldownDays
+        ? `Emergency cooldown: ${Math.round(days)} days ago (need ${policy.emergencyCooldownDays} days)`
+        : null;
+    }
+  },
+  {
+    id: 'medical_conditions',
+    description: 'No declared medical conditions',
+    evaluate: (donor, { policy }) => (
+      policy.deferOnMedicalConditions && donor.medical_conditions?.trim()
+        ? 'Medical conditions prevent donation'
+        : null
+    )
+  },
+  {
+    id: 'medications',
+    description: 'No medications that defer the requested component',
+    evaluate: (donor, { policy, component }) => {
+      const medications = donor.medications?.toLowerCase();
+      if (!medications?.trim()) return null;
+      const match = policy.deferredMedications.find(medication => (
+        medications.includes(medication.keyword) &&
+        (!medication.components || medication.components.includes(component))
+      ));
+      return match ? `Taking deferring medication (${match.label})` : null;
+    }
+  },
+  {
+    id: 'travel',
+    description: 'No recent travel to a malaria risk area',
+    evaluate: (donor, { policy, now }) => {
+      const days = daysSince(donor.last_travel_date, now);
+      if (days === null) return null;
+      return days < policy.travelDeferralDays
+        ? `Recent travel to risk area ${Math.round(days)} days ago (need ${policy.travelDeferralDays} days)`
+        : null;
+    }
+  },
+  {
+    id: 'tattoo',
+    description: 'No recent tattoo or piercing',
+    evaluate: (donor, { policy, now }) => {
+      const days = daysSince(donor.last_tattoo_date, now);
+      if (days === null) return null;
+      return days < policy.tattooDeferralDays
+        ? `Recent tattoo or piercing ${Math.round(days)} days ago (need ${policy.tattooDeferralDays} days)`
+        : null;
+    }
+  }
+];
+
+/**
+ * Build the effective policy settings from a preset name and overrides
+ * @param {string} policyName - 'strict' or 'lenient' (unknown names fall back to the default)
+ * @param {Object} overrides - Optional per-hospital setting overrides
+ * @returns {Object} Policy settings
+ */
+export function resolvePolicy(policyName = DEFAULT_POLICY, overrides = {}) {
+  const preset = ELIGIBILITY_POLICIES[policyName] || ELIGIBILITY_POLICIES[DEFAULT_POLICY];
+  return {
+    ...preset,
+    ...(overrides || {}),
+    name: ELIGIBILITY_POLICIES[policyName] ? policyName : DEFAULT_POLICY,
+    deferralDays: { ...preset.deferralDays, ...(overrides?.deferralDays || {}) }
+  };
+}
+
+/**
+ * Evaluate every rule for a donor
+ * @param {Object} donor - user_profiles row
+ * @param {Object} options - Evaluation options
+ * @param {string} options.policy - Policy name
+ * @param {Object} options.overrides - Policy setting overrides
+ * @param {string} options.component - Component being requested
+ * @param {Array<string>} options.skipRules - Rule ids to skip
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Object} { eligible, reasons, failedRules, policy }
+ */
+export function evaluateEligibility(donor, options = {}) {
+  const {
+    policy = DEFAULT_POLICY,
+    overrides = {},
+    component = DEFAULT_COMPONENT,
+    skipRules = [],
+    now = new Date()
+  } = options;
+
+  const settings = resolvePolicy(policy, overrides);
+  const context = { policy: settings, component, now };
+  const reasons = [];
+  const failedRules = [];
+
+  ELIGIBILITY_RULES.forEach(rule => {
+    if (skipRules.includes(rule.id)) return;
+    const reason = rule.evaluate(donor, context);
+    if (reason) {
+      reasons.push(reason);
+      failedRules.push(rule.id);
+    }
+  });
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    failedRules,
+    policy: settings.name
+  };
+}
+
+export default {
+  ELIGIBILITY_POLICIES,
+  ELIGIBILITY_RULES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  evaluateEligibility
+};
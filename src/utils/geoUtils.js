@@ -3,6 +3,9 @@
  * Used for finding nearby donors and calculating distances between hospitals and donors
  */
 
+import { canDonateTo } from './bloodCompatibility.js';
+import { evaluateEligibility } from './eligibilityRules.js';
+
 /**
  * Calculate the distance between two coordinates using the Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -113,26 +116,24 @@ export function formatDistance(distanceKm) {
  * @param {number} maxDistance - Maximum distance in kilometers
  * @param {number} centerLat - Center latitude
  * @param {number} centerLng - Center longitude
+ * @param {Object} options - Eligibility options
+ * @param {string} options.policy - Hospital eligibility policy ('strict' or 'lenient')
+ * @param {Object} options.overrides - Policy setting overrides
+ * @param {string} options.component - Requested blood component
  * @returns {Object} Eligibility result with reasons
  */
-export function checkDonorEligibility(donor, requiredBloodType, maxDistance, centerLat, centerLng) {
+export function checkDonorEligibility(donor, requiredBloodType, maxDistance, centerLat, centerLng, options = {}) {
   const result = {
     eligible: true,
     reasons: []
   };
 
   // Check blood type compatibility
-  if (!isBloodTypeCompatible(donor.blood_type, requiredBloodType)) {
+  if (!isBloodTypeCompatible(donor.blood_type, requiredBloodType, options.component)) {
     result.eligible = false;
     result.reasons.push('Blood type not compatible');
   }
 
-  // Check availability
-  if (!donor.is_available) {
-    result.eligible = false;
-    result.reasons.push('Donor not available');
-  }
-
   // Check distance
   if (donor.latitude && donor.longitude) {
     const distance = calculateDistance(centerLat, centerLng, donor.latitude, donor.longitude);
@@ -143,14 +144,11 @@ export function checkDonorEligibility(donor, requiredBloodType, maxDistance, cen
     donor.distance = distance;
   }
 
-  // Check last donation date (if available)
-  if (donor.last_donation_date) {
-    const lastDonation = new Date(donor.last_donation_date);
-    const daysSinceDonation = (new Date() - lastDonation) / (1000 * 60 * 60 * 24);
-    if (daysSinceDonation < 56) { // 56 days is the standard waiting period
-      result.eligible = false;
-      result.reasons.push(`Recent donation (${Math.round(daysSinceDonation)} days ago)`);
-    }
+  // Availability, deferral intervals, age, weight, medications, travel and tattoos
+  const donorEligibility = evaluateEligibility(donor, options);
+  if (!donorEligibility.eligible) {
+    result.eligible = false;
+    result.reasons.push(...donorEligibility.reasons);
   }
 
   return result;
@@ -158,28 +156,14 @@ export function checkDonorEligibility(donor, requiredBloodType, maxDistance, cen
 
 /**
  * Check if two blood types are compatible
+ * Delegates to utils/bloodCompatibility so every screen uses the same tables
  * @param {string} donorBloodType - Donor's blood type
  * @param {string} requiredBloodType - Required blood type
+ * @param {string} component - Blood component (defaults to whole blood)
  * @returns {boolean} True if compatible
  */
-export function isBloodTypeCompatible(donorBloodType, requiredBloodType) {
-  if (!donorBloodType || !requiredBloodType) {
-    return false;
-  }
-
-  // Blood type compatibility matrix
-  const compatibility = {
-    'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'], // Universal donor
-    'O+': ['O+', 'A+', 'B+', 'AB+'],
-    'A-': ['A-', 'A+', 'AB-', 'AB+'],
-    'A+': ['A+', 'AB+'],
-    'B-': ['B-', 'B+', 'AB-', 'AB+'],
-    'B+': ['B+', 'AB+'],
-    'AB-': ['AB-', 'AB+'],
-    'AB+': ['AB+'] // Universal recipient
-  };
-
-  return compatibility[donorBloodType]?.includes(requiredBloodType) || false;
+export function isBloodTypeCompatible(donorBloodType, requiredBloodType, component) {
+  return canDonateTo(donorBloodType, requiredBloodType, component);
 }
 
 /**
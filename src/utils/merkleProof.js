@@ -0,0 +1,62 @@
+/**
+ * Merkle proof checks for batch-anchored certificates
+ * Approvals can be anchored on-chain as a single Merkle root; each certificate
+ * keeps its leaf proof. Pairs are hashed in sorted order and leaves are
+ * double-hashed, matching DonorVerification.batchLeaf and the anchor-batches
+ * Edge Function.
+ */
+
+import { ethers } from 'ethers';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Compute the leaf for a batched verification
+ * @param {Object} params - Leaf fields
+ * @param {string} params.subject - bytes32 donor subject
+ * @param {string} params.certHash - bytes32 certificate hash
+ * @param {boolean} params.eligible - Eligibility decision
+ * @param {number} params.validUntil - Expiry as Unix seconds
+ * @returns {string} bytes32 leaf
+ */
+export function computeBatchLeaf({ subject, certHash, eligible, validUntil }) {
+  const inner = ethers.keccak256(
+    abiCoder.encode(['bytes32', 'bytes32', 'bool', 'uint256'], [subject, certHash, eligible, validUntil])
+  );
+  return ethers.keccak256(inner);
+}
+
+// Hash two nodes in sorted order
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b])
+    : ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [b, a]);
+}
+
+/**
+ * Rebuild the root from a leaf and its proof
+ * @param {string} leaf - bytes32 leaf
+ * @param {Array<string>} proof - Sibling hashes from the leaf upwards
+ * @returns {string} bytes32 root
+ */
+export function processProof(leaf, proof = []) {
+  return proof.reduce((computed, sibling) => hashPair(computed, sibling), leaf);
+}
+
+/**
+ * Check a proof against a root locally (no RPC call)
+ * @param {string} leaf - bytes32 leaf
+ * @param {Array<string>} proof - Sibling hashes
+ * @param {string} root - Expected bytes32 root
+ * @returns {boolean} True if the leaf is in the tree
+ */
+export function verifyMerkleProof(leaf, proof, root) {
+  if (!leaf || !root) return false;
+  return processProof(leaf, proof).toLowerCase() === root.toLowerCase();
+}
+
+export default {
+  computeBatchLeaf,
+  processProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,72 @@
+/**
+ * Perceptual hashes for certificate images
+ * A difference hash (dHash) compares each pixel of a 9x8 grayscale thumbnail
+ * with its right-hand neighbour. Re-scans, re-compressions and small crops of
+ * the same page change only a few of the 64 bits, so near-identical images are
+ * a small Hamming distance apart even though their SHA-256 hashes differ.
+ * 64 bits can also bring together two donors' reports on the same lab
+ * template, so the database reports whether the extracted donor name and test
+ * date agree next to each match for the reviewer to weigh.
+ *
+ * Keep PERCEPTUAL_MATCH_DISTANCE in sync with supabase/migrations/20250213_certificate_duplicates.sql.
+ */
+
+export const HASH_WIDTH = 9;
+export const HASH_HEIGHT = 8;
+
+// Hashes at most this many bits apart are treated as the same image
+export const PERCEPTUAL_MATCH_DISTANCE = 10;
+
+/**
+ * Average RGBA pixels into a HASH_WIDTH x HASH_HEIGHT grayscale grid
+ * @param {Uint8ClampedArray} rgba - ImageData.data
+ * @param {number} width - Source width in pixels
+ * @param {number} height - Source height in pixels
+ * @returns {Float64Array} Row-major luminance values
+ */
+export function toGrayscaleGrid(rgba, width, height) {
+  const grid = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(HASH_HEIGHT - 1, Math.floor(y * HASH_HEIGHT / height));
+    for (let x = 0; x < width; x++) {
+      const column = Math.min(HASH_WIDTH - 1, Math.floor(x * HASH_WIDTH / width));
+      const offset = (y * width + x) * 4;
+      // ITU-R BT.601 luma; transparent pixels count as white paper
+      const alpha = rgba[offset + 3] / 255;
+      const luma = 0.299 * rgba[offset] + 0.587 * rgba[offset + 1] + 0.114 * rgba[offset + 2];
+      grid[row * HASH_WIDTH + column] += luma * alpha + 255 * (1 - alpha);
+      counts[row * HASH_WIDTH + column]++;
+    }
+  }
+
+  return grid.map((sum, index) => (counts[index] ? sum / counts[index] : 255));
+}
+
+/**
+ * Difference hash of a grayscale grid
+ * @param {Float64Array|Array<number>} grid - HASH_WIDTH x HASH_HEIGHT luminance values
+ * @returns {string} 16 hex characters (64 bits)
+ */
+export function computeDifferenceHash(grid) {
+  let hex = '';
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    let byte = 0;
+    for (let column = 0; column < HASH_WIDTH - 1; column++) {
+      const left = grid[row * HASH_WIDTH + column];
+      const right = grid[row * HASH_WIDTH + column + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+export default {
+  HASH_WIDTH,
+  HASH_HEIGHT,
+  PERCEPTUAL_MATCH_DISTANCE,
+  toGrayscaleGrid,
+  computeDifferenceHash
+};
@@ -0,0 +1,254 @@
+/**
+ * Pre-donation screening questionnaire
+ * Staff ask these questions when a donor arrives. Each answer can produce a
+ * temporary deferral (with an end date) or a permanent one; the deferrals are
+ * stored per donor and respected by the eligibility engine. Temperature and
+ * pulse are not asked here: they are recorded once, on the vitals form, and
+ * checked against the hospital's limits (see vitalsThresholds.js).
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const SCREENING_SECTIONS = [
+  { id: 'health', label: 'Health Today' },
+  { id: 'medications', label: 'Medications' },
+  { id: 'travel', label: 'Travel' },
+  { id: 'pregnancy', label: 'Pregnancy' },
+  { id: 'procedures', label: 'Tattoos, Piercings & Procedures' },
+  { id: 'history', label: 'Medical History' }
+];
+
+/**
+ * Coarse deferral categories. Only the category is copied onto the donor's
+ * profile, which other hospitals read when matching donors; the clinical
+ * reason stays in donor_deferrals for the donor and the recording hospital.
+ */
+export const DEFERRAL_CATEGORIES = {
+  medical: 'Medical',
+  travel: 'Travel',
+  procedure: 'Recent procedure'
+};
+
+const SECTION_CATEGORIES = {
+  travel: 'travel',
+  procedures: 'procedure'
+};
+
+/**
+ * Get the profile-safe category for a question's section
+ * @param {string} section - Section id
+ * @returns {string} Category key from DEFERRAL_CATEGORIES
+ */
+export function getDeferralCategory(section) {
+  return SECTION_CATEGORIES[section] || 'medical';
+}
+
+/**
+ * Get the display label for a deferral category
+ * @param {string} category - Category key
+ * @returns {string|null} Label, or null when the category is unknown
+ */
+export function getDeferralCategoryLabel(category) {
+  return DEFERRAL_CATEGORIES[category] || null;
+}
+
+// Days from a given date (or from now when the date is missing)
+function daysFrom(date, days, now) {
+  const parsed = date ? new Date(date) : null;
+  const start = parsed && !isNaN(parsed.getTime()) ? parsed : now;
+  return new Date(start.getTime() + days * DAY_MS);
+}
+
+const temporary = (code, reason, endsAt) => ({ code, reason, type: 'temporary', endsAt });
+const permanent = (code, reason) => ({ code, reason, type: 'permanent', endsAt: null });
+
+/**
+ * Questions in the order they are asked. `type` is boolean, number or date.
+ * `showIf` hides follow-up questions until the parent answer calls for them;
+ * hidden questions are never required. `evaluate` returns a deferral or null.
+ */
+export const SCREENING_QUESTIONS = [
+  {
+    id: 'feeling_well',
+    section: 'health',
+    text: 'Are you feeling well and healthy today?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer === false ? temporary('unwell_today', 'Not feeling well on the day', daysFrom(null, 1, now)) : null
+    )
+  },
+  {
+    id: 'recent_illness',
+    section: 'health',
+    text: 'Have you had a fever, cold, flu or other infection in the last 14 days?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('recent_illness', 'Recent illness or infection', daysFrom(null, 14, now)) : null
+    )
+  },
+  {
+    id: 'antibiotics',
+    section: 'medications',
+    text: 'Have you taken antibiotics in the last 7 days?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('antibiotics', 'Recent antibiotics', daysFrom(null, 7, now)) : null
+    )
+  },
+  {
+    id: 'blood_thinners',
+    section: 'medications',
+    text: 'Have you taken blood thinners or aspirin in the last 7 days?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('blood_thinners', 'Recent blood thinners or aspirin', daysFrom(null, 7, now)) : null
+    )
+  },
+  {
+    id: 'deferring_medication',
+    section: 'medications',
+    text: 'Have you taken isotretinoin, finasteride or dutasteride in the last month?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('deferring_medication', 'Recent deferring medication', daysFrom(null, 30, now)) : null
+    )
+  },
+  {
+    id: 'malaria_travel',
+    section: 'travel',
+    text: 'Have you travelled to a malaria risk area in the last 12 months?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer
+        ? temporary('malaria_travel', 'Travel to a malaria risk area', daysFrom(answers.malaria_travel_date, 365, now))
+        : null
+    )
+  },
+  {
+    id: 'malaria_travel_date',
+    section: 'travel',
+    text: 'Date you returned',
+    type: 'date',
+    showIf: (answers) => answers.malaria_travel === true
+  },
+  {
+    id: 'pregnancy',
+    section: 'pregnancy',
+    text: 'Are you pregnant, or have you been pregnant or given birth in the last 6 months?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('pregnancy', 'Pregnancy or recent birth', daysFrom(null, 180, now)) : null
+    )
+  },
+  {
+    id: 'tattoo_piercing',
+    section: 'procedures',
+    text: 'Have you had a tattoo, piercing or acupuncture in the last 6 months?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer
+        ? temporary('tattoo_piercing', 'Recent tattoo, piercing or acupuncture', daysFrom(answers.tattoo_piercing_date, 180, now))
+        : null
+    )
+  },
+  {
+    id: 'tattoo_piercing_date',
+    section: 'procedures',
+    text: 'Date of the tattoo, piercing or acupuncture',
+    type: 'date',
+    showIf: (answers) => answers.tattoo_piercing === true
+  },
+  {
+    id: 'surgery_transfusion',
+    section: 'procedures',
+    text: 'Have you had major surgery or received a blood transfusion in the last 12 months?',
+    type: 'boolean',
+    evaluate: (answer, answers, now) => (
+      answer ? temporary('surgery_transfusion', 'Recent surgery or transfusion', daysFrom(null, 365, now)) : null
+    )
+  },
+  {
+    id: 'hiv_hepatitis',
+    section: 'history',
+    text: 'Have you ever tested positive for HIV, hepatitis B or hepatitis C?',
+    type: 'boolean',
+    evaluate: (answer) => (answer ? permanent('hiv_hepatitis', 'Positive HIV or hepatitis test') : null)
+  },
+  {
+    id: 'injected_drugs',
+    section: 'history',
+    text: 'Have you ever injected drugs that were not prescribed by a doctor?',
+    type: 'boolean',
+    evaluate: (answer) => (answer ? permanent('injected_drugs', 'History of injected drug use') : null)
+  }
+];
+
+/**
+ * Get the questions that apply given the answers so far
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Array<Object>} Visible questions
+ */
+export function getVisibleQuestions(answers = {}) {
+  return SCREENING_QUESTIONS.filter(question => !question.showIf || question.showIf(answers));
+}
+
+/**
+ * List visible questions that have not been answered
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Array<string>} Question ids
+ */
+export function getMissingAnswers(answers = {}) {
+  return getVisibleQuestions(answers)
+    .filter(question => {
+      const answer = answers[question.id];
+      if (question.type === 'number') return answer === '' || answer === null || answer === undefined || isNaN(Number(answer));
+      return answer === '' || answer === null || answer === undefined;
+    })
+    .map(question => question.id);
+}
+
+/**
+ * Evaluate a completed questionnaire
+ * @param {Object} answers - Answers keyed by question id
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Object} { passed, deferrals (each with a profile-safe category), missing }
+ */
+export function evaluateScreening(answers = {}, options = {}) {
+  const { now = new Date() } = options;
+  const missing = getMissingAnswers(answers);
+
+  const normalized = { ...answers };
+  SCREENING_QUESTIONS.forEach(question => {
+    if (question.type === 'number' && normalized[question.id] !== undefined && normalized[question.id] !== '') {
+      normalized[question.id] = Number(normalized[question.id]);
+    }
+  });
+
+  const deferrals = getVisibleQuestions(normalized)
+    .filter(question => question.evaluate && !missing.includes(question.id))
+    .map(question => {
+      const deferral = question.evaluate(normalized[question.id], normalized, now);
+      return deferral
+        ? { ...deferral, category: getDeferralCategory(question.section), questionId: question.id }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    passed: missing.length === 0 && deferrals.length === 0,
+    deferrals,
+    missing
+  };
+}
+
+export default {
+  SCREENING_SECTIONS,
+  SCREENING_QUESTIONS,
+  DEFERRAL_CATEGORIES,
+  getDeferralCategory,
+  getDeferralCategoryLabel,
+  getVisibleQuestions,
+  getMissingAnswers,
+  evaluateScreening
+};
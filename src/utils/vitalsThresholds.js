@@ -0,0 +1,119 @@
+/**
+ * Pre-donation vitals checks
+ * Staff record hemoglobin, blood pressure, pulse, weight and temperature
+ * before collection. Each hospital can override the default limits
+ * (user_profiles.vitals_thresholds); a reading outside them stops the collection.
+ */
+
+// Fields on a donation_vitals row, in the order the form shows them
+export const VITAL_SIGNS = [
+  { id: 'hemoglobin_g_dl', label: 'Hemoglobin', unit: 'g/dL', step: '0.1' },
+  { id: 'systolic_bp', label: 'Systolic BP', unit: 'mmHg', step: '1' },
+  { id: 'diastolic_bp', label: 'Diastolic BP', unit: 'mmHg', step: '1' },
+  { id: 'pulse_bpm', label: 'Pulse', unit: 'bpm', step: '1' },
+  { id: 'weight_kg', label: 'Weight', unit: 'kg', step: '0.1' },
+  { id: 'temperature_c', label: 'Temperature', unit: '°C', step: '0.1' }
+];
+
+export const DEFAULT_VITALS_THRESHOLDS = {
+  // Minimum hemoglobin differs by sex; 'other' and unknown use the lower limit
+  hemoglobinMin: { male: 13.0, female: 12.5, other: 12.5 },
+  systolicMin: 90,
+  systolicMax: 180,
+  diastolicMin: 50,
+  diastolicMax: 100,
+  pulseMin: 50,
+  pulseMax: 100,
+  weightMinKg: 50,
+  temperatureMaxC: 37.5
+};
+
+/**
+ * Build the effective thresholds from a hospital's overrides
+ * @param {Object} overrides - Partial thresholds (user_profiles.vitals_thresholds)
+ * @returns {Object} Thresholds
+ */
+export function resolveThresholds(overrides = {}) {
+  return {
+    ...DEFAULT_VITALS_THRESHOLDS,
+    ...(overrides || {}),
+    hemoglobinMin: {
+      ...DEFAULT_VITALS_THRESHOLDS.hemoglobinMin,
+      ...(overrides?.hemoglobinMin || {})
+    }
+  };
+}
+
+/**
+ * Minimum hemoglobin for a donor
+ * @param {Object} thresholds - Resolved thresholds
+ * @param {string} gender - Donor gender from the profile
+ * @returns {number} g/dL
+ */
+export function getHemoglobinMin(thresholds, gender) {
+  const key = gender?.toLowerCase();
+  return thresholds.hemoglobinMin[key] ?? thresholds.hemoglobinMin.other;
+}
+
+// Reason string when a value falls outside [min, max], otherwise null
+function checkRange(value, min, max, label, unit) {
+  if (min !== undefined && min !== null && value < min) return `${label} too low (${value} ${unit}, minimum ${min})`;
+  if (max !== undefined && max !== null && value > max) return `${label} too high (${value} ${unit}, maximum ${max})`;
+  return null;
+}
+
+/**
+ * Check a set of readings against the thresholds
+ * @param {Object} vitals - Readings keyed by VITAL_SIGNS id
+ * @param {Object} options - Options
+ * @param {Object} options.thresholds - Hospital overrides
+ * @param {string} options.gender - Donor gender
+ * @returns {Object} { passed, failures, missing, values }
+ */
+export function checkVitals(vitals = {}, options = {}) {
+  const thresholds = resolveThresholds(options.thresholds);
+  const values = {};
+  const missing = [];
+
+  VITAL_SIGNS.forEach(sign => {
+    const value = parseFloat(vitals[sign.id]);
+    if (isNaN(value)) {
+      missing.push(sign.id);
+    } else {
+      values[sign.id] = value;
+    }
+  });
+
+  const limits = {
+    hemoglobin_g_dl: [getHemoglobinMin(thresholds, options.gender), null],
+    systolic_bp: [thresholds.systolicMin, thresholds.systolicMax],
+    diastolic_bp: [thresholds.diastolicMin, thresholds.diastolicMax],
+    pulse_bpm: [thresholds.pulseMin, thresholds.pulseMax],
+    weight_kg: [thresholds.weightMinKg, null],
+    temperature_c: [null, thresholds.temperatureMaxC]
+  };
+
+  const failures = VITAL_SIGNS
+    .filter(sign => values[sign.id] !== undefined)
+    .map(sign => {
+      const [min, max] = limits[sign.id];
+      const message = checkRange(values[sign.id], min, max, sign.label, sign.unit);
+      return message ? { field: sign.id, message } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    passed: missing.length === 0 && failures.length === 0,
+    failures,
+    missing,
+    values
+  };
+}
+
+export default {
+  VITAL_SIGNS,
+  DEFAULT_VITALS_THRESHOLDS,
+  resolveThresholds,
+  getHemoglobinMin,
+  checkVitals
+};
@@ -0,0 +1,56 @@
+/**
+ * Wallet sign-in messages (EIP-4361, "Sign-In with Ethereum")
+ * The donor signs this message with personal_sign (EIP-191). The
+ * wallet-sign-in Edge Function recovers the signer and checks the nonce it
+ * issued, which proves the donor controls the address.
+ *
+ * Keep the format in sync with supabase/functions/_shared/walletSignIn.ts.
+ */
+
+import { ethers } from 'ethers';
+
+export const SIGN_IN_STATEMENT = 'Link this wallet to my BloodLink donor account. This request will not trigger a transaction or cost any gas.';
+
+/**
+ * Build the message a donor signs to prove they own a wallet
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Host requesting the signature (e.g. app.example.org)
+ * @param {string} fields.uri - Origin of the page
+ * @param {string} fields.address - Wallet address
+ * @param {number} fields.chainId - Chain the wallet is connected to
+ * @param {string} fields.nonce - Nonce issued by wallet-sign-in
+ * @param {string} fields.issuedAt - ISO timestamp
+ * @param {string} fields.expirationTime - ISO timestamp
+ * @returns {string} EIP-4361 message
+ */
+export function buildSignInMessage({ domain, uri, address, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    SIGN_IN_STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n');
+}
+
+/**
+ * Check whether two addresses are the same wallet
+ * @param {string} a - Address
+ * @param {string} b - Address
+ * @returns {boolean} True if both are set and equal ignoring checksum case
+ */
+export function isSameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+export default {
+  SIGN_IN_STATEMENT,
+  buildSignInMessage,
+  isSameAddress,
+};
@@ -8,30 +8,67 @@ pragma solidity ^0.8.17;
  * 
  * Features:
  * - Stores certificate hash and eligibility status
- * - Admin-controlled verification (can be restricted to specific addresses)
+ * - Records are keyed by a bytes32 subject: either a donor address or a salted
+ *   commitment (keccak256 of donor ID and a secret) so no address is published
+ * - Append-only history: every verification is kept, the latest one is current
+ * - Validity windows and revocation with a reason code
+ * - Batch anchoring: many approvals committed as one Merkle root
+ * - Role-based verification: the admin grants a verifier role to each hospital address
+ * - A verifier revokes only its own records unless the admin allows it to revoke any
  * - Event emissions for audit trail
  * - Query interface for verification
  */
 contract DonorVerification {
     
+    // Contract version, bumped whenever storage or the interface changes
+    string public constant VERSION = "5.2.0";
+    
+    // Current state of a donor's latest record, as returned by verify()
+    enum Status { None, Active, Expired, Revoked }
+    
+    // Why a record was revoked (None while it is not revoked)
+    enum RevocationReason { None, MedicalCondition, FraudulentDocument, IssuedInError, DonorRequest, Other }
+    
     // Struct to store verification record
     struct Record {
-        address donor;
+        bytes32 subject;
         bytes32 certHash;
         bool eligible;
         uint256 timestamp;
+        uint256 validUntil;
+        address verifier;
+        RevocationReason revocationReason;
         bool exists;
     }
     
-    // Mapping from donor address to their latest verification record
-    mapping(address => Record) public records;
+    // Every verification recorded for a subject, oldest first (never overwritten)
+    mapping(bytes32 => Record[]) private history;
     
-    // Admin address that can add verifications
+    // Merkle root of a batch of approvals anchored in one transaction
+    struct Batch {
+        uint256 timestamp;
+        address verifier;
+        uint256 leafCount;
+    }
+    
+    // Anchored batches by root
+    mapping(bytes32 => Batch) private batches;
+    
+    // Revoked batch leaves (None while a leaf is not revoked)
+    mapping(bytes32 => RevocationReason) private revokedLeaves;
+    
+    // Admin address that manages verifiers
     address public admin;
     
+    // Hospital addresses allowed to store verifications
+    mapping(address => bool) private verifiers;
+    
+    // Verifiers the admin has allowed to revoke records stored by other verifiers
+    mapping(address => bool) private revokeAnyAllowed;
+    
     // Events
     event RecordAdded(
-        address indexed donor, 
+        bytes32 indexed subject, 
         bytes32 certHash, 
         bool eligible, 
         uint256 timestamp,
@@ -39,13 +76,41 @@ contract DonorVerification {
     );
     
     event RecordUpdated(
-        address indexed donor, 
+        bytes32 indexed subject, 
         bytes32 oldHash,
         bytes32 newHash, 
         bool eligible, 
-        uint256 timestamp
+        uint256 timestamp,
+        address indexed verifier
     );
     
+    event RecordRevoked(
+        bytes32 indexed subject,
+        bytes32 certHash,
+        RevocationReason reason,
+        uint256 timestamp,
+        address indexed verifier
+    );
+    
+    event BatchAnchored(
+        bytes32 indexed root,
+        uint256 leafCount,
+        uint256 timestamp,
+        address indexed verifier
+    );
+    
+    event LeafRevoked(
+        bytes32 indexed root,
+        bytes32 indexed leaf,
+        RevocationReason reason,
+        uint256 timestamp,
+        address indexed verifier
+    );
+    
+    event VerifierGranted(address indexed verifier, address indexed admin);
+    event VerifierRevoked(address indexed verifier, address indexed admin);
+    event RevokeAnyChanged(address indexed verifier, bool allowed, address indexed admin);
+    
     event AdminChanged(address indexed oldAdmin, address indexed newAdmin);
     
     // Modifiers
@@ -54,6 +119,11 @@ contract DonorVerification {
         _;
     }
     
+    modifier onlyVerifier() {
+        require(verifiers[msg.sender], "Only verifiers can call this function");
+        _;
+    }
+    
     /**
      * @dev Constructor sets the deployer as initial admin
      */
@@ -62,80 +132,327 @@ contract DonorVerification {
     }
     
     /**
-     * @dev Store or update a donor verification record
-     * @param _donor Address of the donor (can be zero address for privacy)
+     * @dev Record a verification for a donor
+     * Earlier records are kept; the new record becomes the donor's current one.
+     * The calling hospital is recorded as the verifier.
+     * @param _subject Donor key (see addressSubject) or salted commitment
      * @param _certHash SHA-256 hash of the certificate file
      * @param _eligible Whether the donor is eligible (true) or not (false)
+     * @param _validUntil Unix time after which the record is expired
      */
     function storeVerification(
-        address _donor, 
+        bytes32 _subject, 
         bytes32 _certHash, 
-        bool _eligible
-    ) public onlyAdmin {
+        bool _eligible,
+        uint256 _validUntil
+    ) public onlyVerifier {
+        require(_subject != bytes32(0), "Subject cannot be empty");
         require(_certHash != bytes32(0), "Certificate hash cannot be empty");
+        require(_validUntil > block.timestamp, "Validity must end in the future");
         
-        bool isUpdate = records[_donor].exists;
-        bytes32 oldHash = records[_donor].certHash;
+        Record[] storage records = history[_subject];
+        bool isUpdate = records.length > 0;
+        bytes32 oldHash = isUpdate ? records[records.length - 1].certHash : bytes32(0);
         
-        records[_donor] = Record({
-            donor: _donor,
+        records.push(Record({
+            subject: _subject,
             certHash: _certHash,
             eligible: _eligible,
             timestamp: block.timestamp,
+            validUntil: _validUntil,
+            verifier: msg.sender,
+            revocationReason: RevocationReason.None,
             exists: true
-        });
+        }));
         
         if (isUpdate) {
-            emit RecordUpdated(_donor, oldHash, _certHash, _eligible, block.timestamp);
+            emit RecordUpdated(_subject, oldHash, _certHash, _eligible, block.timestamp, msg.sender);
         } else {
-            emit RecordAdded(_donor, _certHash, _eligible, block.timestamp, msg.sender);
+            emit RecordAdded(_subject, _certHash, _eligible, block.timestamp, msg.sender);
         }
     }
     
+    /**
+     * @dev Revoke a donor's current record
+     * Only the verifier that stored it may revoke it, unless the admin has
+     * allowed the caller to revoke any record (see setRevokeAny).
+     * @param _subject Donor key or salted commitment
+     * @param _reason Why the record is revoked
+     */
+    function revoke(bytes32 _subject, RevocationReason _reason) public onlyVerifier {
+        require(history[_subject].length > 0, "No record to revoke");
+        require(_reason != RevocationReason.None, "Revocation reason required");
+        
+        Record storage r = history[_subject][history[_subject].length - 1];
+        require(r.revocationReason == RevocationReason.None, "Record already revoked");
+        require(_canRevoke(r.verifier), "Only the verifier that stored the record can revoke it");
+        
+        r.revocationReason = _reason;
+        emit RecordRevoked(_subject, r.certHash, _reason, block.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Anchor a batch of verifications as a single Merkle root
+     * Leaves are batchLeaf(...) values; pairs are hashed in sorted order.
+     * @param _root Merkle root of the batch
+     * @param _leafCount Number of verifications in the batch
+     */
+    function anchorBatch(bytes32 _root, uint256 _leafCount) public onlyVerifier {
+        require(_root != bytes32(0), "Root cannot be empty");
+        require(_leafCount > 0, "Batch cannot be empty");
+        require(batches[_root].timestamp == 0, "Batch already anchored");
+        
+        batches[_root] = Batch({
+            timestamp: block.timestamp,
+            verifier: msg.sender,
+            leafCount: _leafCount
+        });
+        
+        emit BatchAnchored(_root, _leafCount, block.timestamp, msg.sender);
+    }
+    
+    /**
+     * @dev Revoke one verification inside an anchored batch
+     * Only the verifier that anchored the batch may revoke its leaves, unless
+     * the admin has allowed the caller to revoke any record.
+     * @param _root Merkle root of the batch
+     * @param _leaf Leaf being revoked
+     * @param _proof Merkle proof for the leaf
+     * @param _reason Why the verification is revoked
+     */
+    function revokeLeaf(
+        bytes32 _root,
+        bytes32 _leaf,
+        bytes32[] calldata _proof,
+        RevocationReason _reason
+    ) public onlyVerifier {
+        require(_reason != RevocationReason.None, "Revocation reason required");
+        require(
+            batches[_root].timestamp != 0 && _processProof(_proof, _leaf) == _root,
+            "Leaf is not in an anchored batch"
+        );
+        require(revokedLeaves[_leaf] == RevocationReason.None, "Record already revoked");
+        require(_canRevoke(batches[_root].verifier), "Only the verifier that stored the record can revoke it");
+        
+        revokedLeaves[_leaf] = _reason;
+        emit LeafRevoked(_root, _leaf, _reason, block.timestamp, msg.sender);
+    }
+    
     /**
      * @dev Verify a certificate hash for a donor
-     * @param _donor Address of the donor
+     * @param _subject Donor key or salted commitment
      * @param _certHash Certificate hash to verify
      * @return eligible Whether the donor is eligible
      * @return timestamp When the record was created
      * @return matches Whether the provided hash matches the stored hash
+     * @return status Whether the record is active, expired or revoked
+     * @return validUntil When the record expires
      */
     function verify(
-        address _donor, 
+        bytes32 _subject, 
         bytes32 _certHash
     ) public view returns (
         bool eligible, 
         uint256 timestamp,
-        bool matches
+        bool matches,
+        Status status,
+        uint256 validUntil
     ) {
-        Record memory r = records[_donor];
-        
-        if (!r.exists) {
-            return (false, 0, false);
+        if (history[_subject].length == 0) {
+            return (false, 0, false, Status.None, 0);
         }
         
+        Record memory r = _latest(_subject);
         matches = (r.certHash == _certHash);
-        return (r.eligible, r.timestamp, matches);
+        return (r.eligible, r.timestamp, matches, _status(r), r.validUntil);
     }
     
     /**
-     * @dev Get the full record for a donor
-     * @param _donor Address of the donor
+     * @dev Get the current (latest) record for a donor
+     * @param _subject Donor key or salted commitment
      * @return certHash The stored certificate hash
      * @return eligible Eligibility status
      * @return timestamp When recorded
      * @return exists Whether a record exists
      */
-    function getRecord(address _donor) public view returns (
+    function getRecord(bytes32 _subject) public view returns (
         bytes32 certHash,
         bool eligible,
         uint256 timestamp,
         bool exists
     ) {
-        Record memory r = records[_donor];
+        if (history[_subject].length == 0) {
+            return (bytes32(0), false, 0, false);
+        }
+        
+        Record memory r = _latest(_subject);
         return (r.certHash, r.eligible, r.timestamp, r.exists);
     }
     
+    /**
+     * @dev Number of records stored for a donor
+     * @param _subject Donor key or salted commitment
+     * @return Record count (0 if the donor has never been verified)
+     */
+    function getRecordCount(bytes32 _subject) public view returns (uint256) {
+        return history[_subject].length;
+    }
+    
+    /**
+     * @dev Get a record from a donor's history
+     * @param _subject Donor key or salted commitment
+     * @param _index Position in the history, 0 is the oldest
+     * @return certHash The stored certificate hash
+     * @return eligible Eligibility status
+     * @return timestamp When recorded
+     * @return verifier Hospital address that stored the record
+     * @return validUntil When the record expires
+     * @return revocationReason Why it was revoked (None if it was not)
+     */
+    function getRecordAt(bytes32 _subject, uint256 _index) public view returns (
+        bytes32 certHash,
+        bool eligible,
+        uint256 timestamp,
+        address verifier,
+        uint256 validUntil,
+        RevocationReason revocationReason
+    ) {
+        require(_index < history[_subject].length, "Record index out of range");
+        Record memory r = history[_subject][_index];
+        return (r.certHash, r.eligible, r.timestamp, r.verifier, r.validUntil, r.revocationReason);
+    }
+    
+    /**
+     * @dev Validity of a donor's current record
+     * @param _subject Donor key or salted commitment
+     * @return status Whether the record is active, expired or revoked
+     * @return validUntil When the record expires
+     * @return revocationReason Why it was revoked (None if it was not)
+     */
+    function getValidity(bytes32 _subject) public view returns (
+        Status status,
+        uint256 validUntil,
+        RevocationReason revocationReason
+    ) {
+        if (history[_subject].length == 0) {
+            return (Status.None, 0, RevocationReason.None);
+        }
+        
+        Record memory r = _latest(_subject);
+        return (_status(r), r.validUntil, r.revocationReason);
+    }
+    
+    /**
+     * @dev Allow a hospital address to store verifications
+     * @param _verifier Hospital address
+     */
+    function grantVerifier(address _verifier) public onlyAdmin {
+        require(_verifier != address(0), "Verifier cannot be zero address");
+        require(!verifiers[_verifier], "Address is already a verifier");
+        verifiers[_verifier] = true;
+        emit VerifierGranted(_verifier, msg.sender);
+    }
+    
+    /**
+     * @dev Remove a hospital's verifier role, and any permission to revoke
+     * other verifiers' records. Records it already stored are kept.
+     * @param _verifier Hospital address
+     */
+    function revokeVerifier(address _verifier) public onlyAdmin {
+        require(verifiers[_verifier], "Address is not a verifier");
+        verifiers[_verifier] = false;
+        emit VerifierRevoked(_verifier, msg.sender);
+        
+        if (revokeAnyAllowed[_verifier]) {
+            revokeAnyAllowed[_verifier] = false;
+            emit RevokeAnyChanged(_verifier, false, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Allow or stop a verifier revoking records stored by other verifiers,
+     * e.g. a regional blood service acting on another hospital's fraud report
+     * @param _verifier Verifier address
+     * @param _allowed Whether it may revoke any record
+     */
+    function setRevokeAny(address _verifier, bool _allowed) public onlyAdmin {
+        require(verifiers[_verifier], "Address is not a verifier");
+        revokeAnyAllowed[_verifier] = _allowed;
+        emit RevokeAnyChanged(_verifier, _allowed, msg.sender);
+    }
+    
+    /**
+     * @dev Check if a verifier may revoke records stored by other verifiers
+     * @param _account Address to check
+     * @return True if the admin has allowed it
+     */
+    function canRevokeAny(address _account) public view returns (bool) {
+        return revokeAnyAllowed[_account];
+    }
+    
+    /**
+     * @dev Check if an address holds the verifier role
+     * @param _account Address to check
+     * @return True if the address can store verifications
+     */
+    function isVerifier(address _account) public view returns (bool) {
+        return verifiers[_account];
+    }
+    
+    /**
+     * @dev Get an anchored batch
+     * @param _root Merkle root of the batch
+     * @return timestamp When it was anchored (0 if it never was)
+     * @return verifier Hospital address that anchored it
+     * @return leafCount Number of verifications in the batch
+     */
+    function getBatch(bytes32 _root) public view returns (
+        uint256 timestamp,
+        address verifier,
+        uint256 leafCount
+    ) {
+        Batch memory b = batches[_root];
+        return (b.timestamp, b.verifier, b.leafCount);
+    }
+    
+    /**
+     * @dev Check that a leaf belongs to an anchored batch
+     * @param _root Merkle root of the batch
+     * @param _leaf Leaf to check (see batchLeaf)
+     * @param _proof Merkle proof for the leaf
+     * @return included Whether the root is anchored and the proof is valid
+     * @return anchoredAt When the batch was anchored
+     * @return verifier Hospital address that anchored it
+     * @return revocationReason Why the leaf was revoked (None if it was not)
+     */
+    function verifyBatchProof(
+        bytes32 _root,
+        bytes32 _leaf,
+        bytes32[] calldata _proof
+    ) public view returns (
+        bool included,
+        uint256 anchoredAt,
+        address verifier,
+        RevocationReason revocationReason
+    ) {
+        Batch memory b = batches[_root];
+        included = b.timestamp != 0 && _processProof(_proof, _leaf) == _root;
+        return (included, b.timestamp, b.verifier, revokedLeaves[_leaf]);
+    }
+    
+    /**
+     * @dev Leaf for a batched verification, double-hashed so it cannot be
+     * confused with an inner node
+     */
+    function batchLeaf(
+        bytes32 _subject,
+        bytes32 _certHash,
+        bool _eligible,
+        uint256 _validUntil
+    ) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(_subject, _certHash, _eligible, _validUntil))));
+    }
+    
     /**
      * @dev Change the admin address
      * @param _newAdmin New admin address
@@ -149,10 +466,61 @@ contract DonorVerification {
     
     /**
      * @dev Check if a donor has a verification record
-     * @param _donor Address of the donor
+     * @param _subject Donor key or salted commitment
      * @return True if record exists
      */
-    function hasRecord(address _donor) public view returns (bool) {
-        return records[_donor].exists;
+    function hasRecord(bytes32 _subject) public view returns (bool) {
+        return history[_subject].length > 0;
+    }
+    
+    /**
+     * @dev Subject key for a donor identified by a plain address
+     * @param _donor Address of the donor
+     * @return The address left-padded to 32 bytes
+     */
+    function addressSubject(address _donor) public pure returns (bytes32) {
+        return bytes32(uint256(uint160(_donor)));
+    }
+    
+    /**
+     * @dev Latest record for a donor (caller checks the history is not empty)
+     */
+    function _latest(bytes32 _subject) internal view returns (Record memory) {
+        Record[] storage records = history[_subject];
+        return records[records.length - 1];
+    }
+    
+    /**
+     * @dev Rebuild a Merkle root from a leaf and its proof (sorted-pair hashing)
+     */
+    function _processProof(bytes32[] calldata _proof, bytes32 _leaf) internal pure returns (bytes32) {
+        bytes32 computed = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            computed = computed < sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+        return computed;
+    }
+    
+    /**
+     * @dev Status of a record at the current block time; revocation wins over expiry
+     */
+    function _status(Record memory r) internal view returns (Status) {
+        if (r.revocationReason != RevocationReason.None) {
+            return Status.Revoked;
+        }
+        if (block.timestamp > r.validUntil) {
+            return Status.Expired;
+        }
+        return Status.Active;
+    }
+    
+    /**
+     * @dev Whether the caller may revoke a record stored by `_recordVerifier`
+     */
+    function _canRevoke(address _recordVerifier) internal view returns (bool) {
+        return msg.sender == _recordVerifier || revokeAnyAllowed[msg.sender];
     }
 }
@@ -0,0 +1,429 @@
+/**
+ * DonorVerification contract tests
+ * Runs against an in-memory ganache chain with deterministic accounts.
+ * Gas used by each write is measured on a fresh deployment and compared
+ * against gas-snapshot.json; after an intended contract change, run with
+ * UPDATE_GAS_SNAPSHOT=1 to record the new figures and commit the file with
+ * the change.
+ *
+ * Usage: npm run test:contracts
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ganache from 'ganache';
+import { ethers } from 'ethers';
+import { compileContract } from '../compile.js';
+import { computeBatchLeaf, processProof } from '../../../src/utils/merkleProof.js';
+
+const SNAPSHOT_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'gas-snapshot.json');
+
+// Fixed values keep calldata, and so gas, identical between runs
+const VALID_UNTIL = 4102444800n; // 2100-01-01
+const DONOR_A = ethers.zeroPadValue('0x0a', 32);
+const DONOR_B = ethers.zeroPadValue('0x0b', 32);
+const HASH_1 = ethers.sha256(ethers.toUtf8Bytes('certificate 1'));
+const HASH_2 = ethers.sha256(ethers.toUtf8Bytes('certificate 2'));
+
+// DonorVerification.Status / RevocationReason
+const STATUS = { NONE: 0n, ACTIVE: 1n, EXPIRED: 2n, REVOKED: 3n };
+const REASON_DONOR_REQUEST = 4;
+
+const ONLY_ADMIN = 'Only admin can call this function';
+const ONLY_VERIFIERS = 'Only verifiers can call this function';
+
+let chain;
+let provider;
+let artifact;
+let admin;
+let hospital;
+let outsider;
+
+/**
+ * Deploy a fresh contract; the admin grants the verifier role to `hospital`
+ */
+async function deploy() {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, admin);
+  const contract = await factory.deploy();
+  await contract.deploymentTransaction().wait();
+
+  await send(contract.grantVerifier(hospital.address));
+  return contract;
+}
+
+/**
+ * Wait for a transaction and return its receipt
+ */
+async function send(txPromise) {
+  return await (await txPromise).wait();
+}
+
+/**
+ * Decode the contract's events from a receipt
+ */
+function eventsOf(contract, receipt) {
+  return receipt.logs.map(log => contract.interface.parseLog(log)).filter(Boolean);
+}
+
+/**
+ * Assert that a call reverts with the given require() message
+ */
+async function expectRevert(txPromise, reason) {
+  await assert.rejects(txPromise, error => {
+    // ethers cannot decode ganache's eth_estimateGas revert payload; ganache adds the reason itself
+    assert.equal(error.reason ?? error.info?.error?.data?.reason, reason);
+    return true;
+  });
+}
+
+before(async () => {
+  artifact = compileContract();
+  chain = ganache.provider({
+    wallet: { deterministic: true },
+    logging: { quiet: true },
+  });
+  // No response cache: repeating a call right after a state change must hit the chain
+  provider = new ethers.BrowserProvider(chain, undefined, { cacheTimeout: -1 });
+  [admin, hospital, outsider] = await Promise.all([0, 1, 2].map(index => provider.getSigner(index)));
+});
+
+after(async () => {
+  await chain.disconnect();
+});
+
+describe('storeVerification', () => {
+  let contract;
+
+  before(async () => {
+    contract = (await deploy()).connect(hospital);
+  });
+
+  test('emits RecordAdded for a donor\'s first record', async () => {
+    const receipt = await send(
+      contract.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL)
+    );
+    const events = eventsOf(contract, receipt);
+
+    assert.deepEqual(events.map(event => event.name), ['RecordAdded']);
+    assert.equal(events[0].args.subject, DONOR_A);
+    assert.equal(events[0].args.certHash, HASH_1);
+    assert.equal(events[0].args.eligible, true);
+    assert.equal(events[0].args.verifier, hospital.address);
+  });
+
+  test('emits RecordUpdated with the old and new hash after that', async () => {
+    const receipt = await send(
+      contract.storeVerification(DONOR_A, HASH_2, false, VALID_UNTIL)
+    );
+    const events = eventsOf(contract, receipt);
+
+    assert.deepEqual(events.map(event => event.name), ['RecordUpdated']);
+    assert.equal(events[0].args.oldHash, HASH_1);
+    assert.equal(events[0].args.newHash, HASH_2);
+    assert.equal(events[0].args.eligible, false);
+  });
+
+  test('keeps both records in the donor\'s history', async () => {
+    assert.equal(await contract.getRecordCount(DONOR_A), 2n);
+    const [certHash] = await contract.getRecordAt(DONOR_A, 0);
+    assert.equal(certHash, HASH_1);
+  });
+
+  test('treats another donor\'s first record as an add', async () => {
+    const receipt = await send(contract.storeVerification(DONOR_B, HASH_2, true, VALID_UNTIL));
+    assert.deepEqual(eventsOf(contract, receipt).map(event => event.name), ['RecordAdded']);
+  });
+
+  test('rejects an empty subject, empty hash or past expiry', async () => {
+    await expectRevert(contract.storeVerification(ethers.ZeroHash, HASH_1, true, VALID_UNTIL), 'Subject cannot be empty');
+    await expectRevert(contract.storeVerification(DONOR_A, ethers.ZeroHash, true, VALID_UNTIL), 'Certificate hash cannot be empty');
+    await expectRevert(contract.storeVerification(DONOR_A, HASH_1, true, 1), 'Validity must end in the future');
+  });
+});
+
+describe('access control', () => {
+  let contract;
+
+  before(async () => {
+    contract = await deploy();
+  });
+
+  test('does not make the deployer a verifier', async () => {
+    assert.equal(await contract.admin(), admin.address);
+    assert.equal(await contract.isVerifier(admin.address), false);
+    await expectRevert(contract.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL), ONLY_VERIFIERS);
+  });
+
+  test('only lets the admin grant and revoke verifiers', async () => {
+    const asOutsider = contract.connect(outsider);
+    await expectRevert(asOutsider.grantVerifier(outsider.address), ONLY_ADMIN);
+    await expectRevert(asOutsider.revokeVerifier(hospital.address), ONLY_ADMIN);
+    await expectRevert(contract.connect(hospital).grantVerifier(outsider.address), ONLY_ADMIN);
+  });
+
+  test('only lets the admin change the admin', async () => {
+    await expectRevert(contract.connect(outsider).changeAdmin(outsider.address), ONLY_ADMIN);
+    await expectRevert(contract.connect(hospital).changeAdmin(hospital.address), ONLY_ADMIN);
+  });
+
+  test('only lets verifiers write records', async () => {
+    const asOutsider = contract.connect(outsider);
+    await expectRevert(asOutsider.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL), ONLY_VERIFIERS);
+    await expectRevert(asOutsider.revoke(DONOR_A, REASON_DONOR_REQUEST), ONLY_VERIFIERS);
+    await expectRevert(asOutsider.anchorBatch(HASH_1, 1), ONLY_VERIFIERS);
+  });
+
+  test('rejects zero and duplicate verifier grants', async () => {
+    await expectRevert(contract.grantVerifier(ethers.ZeroAddress), 'Verifier cannot be zero address');
+    await expectRevert(contract.grantVerifier(hospital.address), 'Address is already a verifier');
+  });
+
+  test('stops a revoked verifier from writing', async () => {
+    await send(contract.revokeVerifier(hospital.address));
+    assert.equal(await contract.isVerifier(hospital.address), false);
+    await expectRevert(
+      contract.connect(hospital).storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL),
+      ONLY_VERIFIERS
+    );
+    await expectRevert(contract.revokeVerifier(hospital.address), 'Address is not a verifier');
+  });
+});
+
+describe('verify', () => {
+  let contract;
+
+  before(async () => {
+    contract = (await deploy()).connect(hospital);
+    await send(contract.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL));
+  });
+
+  test('matches the donor\'s current hash', async () => {
+    const [eligible, timestamp, matches, status, validUntil] = await contract.verify(DONOR_A, HASH_1);
+    assert.equal(eligible, true);
+    assert.ok(timestamp > 0n);
+    assert.equal(matches, true);
+    assert.equal(status, STATUS.ACTIVE);
+    assert.equal(validUntil, VALID_UNTIL);
+  });
+
+  test('reports a mismatch for a different hash but still returns the record', async () => {
+    const [eligible, , matches, status] = await contract.verify(DONOR_A, HASH_2);
+    assert.equal(matches, false);
+    assert.equal(eligible, true);
+    assert.equal(status, STATUS.ACTIVE);
+  });
+
+  test('returns an empty result for a donor with no record', async () => {
+    const result = await contract.verify(DONOR_B, HASH_1);
+    assert.deepEqual([...result], [false, 0n, false, STATUS.NONE, 0n]);
+  });
+
+  test('does not match a hash superseded by a newer record', async () => {
+    await send(contract.storeVerification(DONOR_A, HASH_2, true, VALID_UNTIL));
+    const [, , oldMatches] = await contract.verify(DONOR_A, HASH_1);
+    const [, , newMatches] = await contract.verify(DONOR_A, HASH_2);
+    assert.equal(oldMatches, false);
+    assert.equal(newMatches, true);
+  });
+
+  test('reports a revoked record as revoked', async () => {
+    await send(contract.revoke(DONOR_A, REASON_DONOR_REQUEST));
+    const [, , matches, status] = await contract.verify(DONOR_A, HASH_2);
+    assert.equal(matches, true);
+    assert.equal(status, STATUS.REVOKED);
+    await expectRevert(contract.revoke(DONOR_A, REASON_DONOR_REQUEST), 'Record already revoked');
+  });
+});
+
+describe('hasRecord', () => {
+  let contract;
+
+  before(async () => {
+    contract = (await deploy()).connect(hospital);
+  });
+
+  test('is false before a record is stored', async () => {
+    assert.equal(await contract.hasRecord(DONOR_A), false);
+    assert.equal(await contract.hasRecord(ethers.ZeroHash), false);
+  });
+
+  test('is true for that donor only once a record is stored', async () => {
+    await send(contract.storeVerification(DONOR_A, HASH_1, false, VALID_UNTIL));
+    assert.equal(await contract.hasRecord(DONOR_A), true);
+    assert.equal(await contract.hasRecord(DONOR_B), false);
+  });
+
+  test('stays true after the record is revoked', async () => {
+    await send(contract.revoke(DONOR_A, REASON_DONOR_REQUEST));
+    assert.equal(await contract.hasRecord(DONOR_A), true);
+  });
+});
+
+describe('changeAdmin', () => {
+  let contract;
+
+  before(async () => {
+    contract = await deploy();
+  });
+
+  test('rejects the zero address', async () => {
+    await expectRevert(contract.changeAdmin(ethers.ZeroAddress), 'New admin cannot be zero address');
+    assert.equal(await contract.admin(), admin.address);
+  });
+
+  test('hands admin rights to the new address', async () => {
+    const receipt = await send(contract.changeAdmin(outsider.address));
+    const [event] = eventsOf(contract, receipt);
+
+    assert.equal(event.name, 'AdminChanged');
+    assert.equal(event.args.oldAdmin, admin.address);
+    assert.equal(event.args.newAdmin, outsider.address);
+    assert.equal(await contract.admin(), outsider.address);
+    await expectRevert(contract.grantVerifier(outsider.address), ONLY_ADMIN);
+  });
+});
+
+describe('batch anchoring', () => {
+  let contract;
+  const leaves = [
+    computeBatchLeaf({ subject: DONOR_A, certHash: HASH_1, eligible: true, validUntil: VALID_UNTIL }),
+    computeBatchLeaf({ subject: DONOR_B, certHash: HASH_2, eligible: true, validUntil: VALID_UNTIL }),
+  ];
+  const root = processProof(leaves[0], [leaves[1]]);
+
+  before(async () => {
+    contract = (await deploy()).connect(hospital);
+  });
+
+  test('proves a leaf under an anchored root', async () => {
+    await send(contract.anchorBatch(root, leaves.length));
+    assert.equal(
+      await contract.batchLeaf(DONOR_A, HASH_1, true, VALID_UNTIL),
+      leaves[0]
+    );
+
+    const [included, , verifier] = await contract.verifyBatchProof(root, leaves[0], [leaves[1]]);
+    assert.equal(included, true);
+    assert.equal(verifier, hospital.address);
+  });
+
+  test('revokes a single leaf', async () => {
+    await send(contract.revokeLeaf(root, leaves[1], [leaves[0]], REASON_DONOR_REQUEST));
+    const [, , , reason] = await contract.verifyBatchProof(root, leaves[1], [leaves[0]]);
+    assert.equal(reason, BigInt(REASON_DONOR_REQUEST));
+  });
+});
+
+describe('revocation ownership', () => {
+  let contract;
+  let asOtherHospital;
+  const leaves = [
+    computeBatchLeaf({ subject: DONOR_A, certHash: HASH_1, eligible: true, validUntil: VALID_UNTIL }),
+    computeBatchLeaf({ subject: DONOR_B, certHash: HASH_2, eligible: true, validUntil: VALID_UNTIL }),
+  ];
+  const root = processProof(leaves[0], [leaves[1]]);
+  const NOT_OWN_RECORD = 'Only the verifier that stored the record can revoke it';
+
+  before(async () => {
+    contract = await deploy();
+    // `outsider` acts as a second hospital here
+    await send(contract.grantVerifier(outsider.address));
+    asOtherHospital = contract.connect(outsider);
+
+    const asHospital = contract.connect(hospital);
+    await send(asHospital.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL));
+    await send(asHospital.anchorBatch(root, leaves.length));
+  });
+
+  test('stops a verifier revoking another verifier\'s records', async () => {
+    await expectRevert(asOtherHospital.revoke(DONOR_A, REASON_DONOR_REQUEST), NOT_OWN_RECORD);
+    await expectRevert(
+      asOtherHospital.revokeLeaf(root, leaves[1], [leaves[0]], REASON_DONOR_REQUEST),
+      NOT_OWN_RECORD
+    );
+  });
+
+  test('only lets the admin allow revoking any record, and only for verifiers', async () => {
+    await expectRevert(asOtherHospital.setRevokeAny(outsider.address, true), ONLY_ADMIN);
+    await expectRevert(contract.setRevokeAny(admin.address, true), 'Address is not a verifier');
+    assert.equal(await contract.canRevokeAny(outsider.address), false);
+  });
+
+  test('lets a verifier the admin allowed revoke any record', async () => {
+    const receipt = await send(contract.setRevokeAny(outsider.address, true));
+    const [event] = eventsOf(contract, receipt);
+    assert.equal(event.name, 'RevokeAnyChanged');
+    assert.equal(event.args.allowed, true);
+    assert.equal(await contract.canRevokeAny(outsider.address), true);
+
+    await send(asOtherHospital.revoke(DONOR_A, REASON_DONOR_REQUEST));
+    await send(asOtherHospital.revokeLeaf(root, leaves[1], [leaves[0]], REASON_DONOR_REQUEST));
+    const [, , , status] = await contract.verify(DONOR_A, HASH_1);
+    const [, , , reason] = await contract.verifyBatchProof(root, leaves[1], [leaves[0]]);
+    assert.equal(status, STATUS.REVOKED);
+    assert.equal(reason, BigInt(REASON_DONOR_REQUEST));
+  });
+
+  test('withdraws the permission when the verifier role is revoked', async () => {
+    const receipt = await send(contract.revokeVerifier(outsider.address));
+    const events = eventsOf(contract, receipt);
+    assert.deepEqual(events.map(event => event.name), ['VerifierRevoked', 'RevokeAnyChanged']);
+    assert.equal(events[1].args.allowed, false);
+    assert.equal(await contract.canRevokeAny(outsider.address), false);
+
+    // Granting the role again does not bring the permission back
+    await send(contract.grantVerifier(outsider.address));
+    assert.equal(await contract.canRevokeAny(outsider.address), false);
+  });
+});
+
+/**
+ * Gas used by each write, measured in a fixed order on a fresh deployment so
+ * the figures do not depend on which other tests ran
+ */
+async function measureGas() {
+  const gasUsed = {};
+  const measure = async (key, txPromise) => {
+    gasUsed[key] = Number((await send(txPromise)).gasUsed);
+  };
+
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, admin);
+  const contract = await factory.deploy();
+  gasUsed.deploy = Number((await contract.deploymentTransaction().wait()).gasUsed);
+  await measure('grantVerifier', contract.grantVerifier(hospital.address));
+
+  const asHospital = contract.connect(hospital);
+  await measure('storeVerification (add)', asHospital.storeVerification(DONOR_A, HASH_1, true, VALID_UNTIL));
+  await measure('storeVerification (update)', asHospital.storeVerification(DONOR_A, HASH_2, false, VALID_UNTIL));
+  await measure('revoke', asHospital.revoke(DONOR_A, REASON_DONOR_REQUEST));
+
+  const leaves = [
+    computeBatchLeaf({ subject: DONOR_A, certHash: HASH_1, eligible: true, validUntil: VALID_UNTIL }),
+    computeBatchLeaf({ subject: DONOR_B, certHash: HASH_2, eligible: true, validUntil: VALID_UNTIL }),
+  ];
+  const root = processProof(leaves[0], [leaves[1]]);
+  await measure('anchorBatch', asHospital.anchorBatch(root, leaves.length));
+  await measure('revokeLeaf', asHospital.revokeLeaf(root, leaves[1], [leaves[0]], REASON_DONOR_REQUEST));
+
+  await measure('setRevokeAny', contract.setRevokeAny(hospital.address, true));
+  await measure('revokeVerifier', contract.revokeVerifier(hospital.address));
+  await measure('changeAdmin', contract.changeAdmin(outsider.address));
+
+  return Object.fromEntries(Object.keys(gasUsed).sort().map(key => [key, gasUsed[key]]));
+}
+
+test('gas usage matches the snapshot', async () => {
+  const current = await measureGas();
+
+  if (process.env.UPDATE_GAS_SNAPSHOT) {
+    fs.writeFileSync(SNAPSHOT_PATH, `${JSON.stringify(current, null, 2)}\n`);
+    return;
+  }
+
+  assert.ok(fs.existsSync(SNAPSHOT_PATH), 'gas-snapshot.json is missing; run with UPDATE_GAS_SNAPSHOT=1 to record it');
+  const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+  assert.deepEqual(current, snapshot, 'Gas usage changed; rerun with UPDATE_GAS_SNAPSHOT=1 if this is intended');
+});
@@ -0,0 +1,42 @@
+/**
+ * Compile DonorVerification.sol with solc-js
+ * Shared by the local dev chain and the contract tests. Uses the same
+ * optimizer settings as the deployment guide so gas figures match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import solc from 'solc';
+
+const CONTRACT_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'DonorVerification.sol');
+
+/**
+ * Compile the contract
+ * @returns {Object} { abi, bytecode }
+ */
+export function compileContract() {
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'DonorVerification.sol': { content: fs.readFileSync(CONTRACT_PATH, 'utf8') },
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+  }
+
+  const { abi, evm } = output.contracts['DonorVerification.sol'].DonorVerification;
+  return { abi, bytecode: `0x${evm.bytecode.object}` };
+}
+
+export default {
+  compileContract
+};
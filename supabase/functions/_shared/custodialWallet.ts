@@ -0,0 +1,37 @@
+/**
+ * Deterministic platform-held donor wallets
+ * Each donor's key is HMAC-SHA256(CUSTODIAL_WALLET_SECRET, donorId), so the
+ * address can always be re-derived and no private key is ever stored.
+ * Rotating the secret changes every custodial address: never rotate it.
+ */
+
+import { ethers } from "npm:ethers@6.9.0";
+
+function getCustodialSecret(): string {
+  const secret = Deno.env.get('CUSTODIAL_WALLET_SECRET');
+  if (!secret || secret.length < 32) {
+    throw new Error('Custodial wallets are not configured');
+  }
+  return secret;
+}
+
+/**
+ * The platform-held wallet for a donor
+ */
+export function deriveCustodialWallet(donorId: string) {
+  const privateKey = ethers.computeHmac('sha256', ethers.toUtf8Bytes(getCustodialSecret()), ethers.toUtf8Bytes(donorId));
+  return new ethers.Wallet(privateKey);
+}
+
+/**
+ * Message the custodial key signs when it is linked, so the proof row has the
+ * same shape as a donor-signed one
+ */
+export function custodialProofMessage(donorId: string, address: string, issuedAt: string): string {
+  return [
+    'BloodLink custodial wallet',
+    `Donor: ${donorId}`,
+    `Address: ${address}`,
+    `Issued At: ${issuedAt}`,
+  ].join('\n');
+}
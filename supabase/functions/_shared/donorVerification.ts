@@ -0,0 +1,118 @@
+/**
+ * Shared DonorVerification contract access for Edge Functions
+ */
+
+import { ethers } from "npm:ethers@6.9.0";
+
+// CORS headers for browser requests
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Smart contract ABI (only functions we need)
+export const DONOR_VERIFICATION_ABI = [
+  "function storeVerification(bytes32 _subject, bytes32 _certHash, bool _eligible, uint256 _validUntil) public",
+  "function revoke(bytes32 _subject, uint8 _reason) public",
+  "function verify(bytes32 _subject, bytes32 _certHash) public view returns (bool eligible, uint256 timestamp, bool matches, uint8 status, uint256 validUntil)",
+  "function getRecord(bytes32 _subject) public view returns (bytes32 certHash, bool eligible, uint256 timestamp, bool exists)",
+  "function isVerifier(address _account) public view returns (bool)",
+  "function anchorBatch(bytes32 _root, uint256 _leafCount) public",
+  "function revokeLeaf(bytes32 _root, bytes32 _leaf, bytes32[] _proof, uint8 _reason) public",
+  "function getBatch(bytes32 _root) public view returns (uint256 timestamp, address verifier, uint256 leafCount)",
+  "function verifyBatchProof(bytes32 _root, bytes32 _leaf, bytes32[] _proof) public view returns (bool included, uint256 anchoredAt, address verifier, uint8 revocationReason)"
+];
+
+// Contract events, for decoding logs
+export const DONOR_VERIFICATION_EVENTS = [
+  "event RecordAdded(bytes32 indexed subject, bytes32 certHash, bool eligible, uint256 timestamp, address indexed verifier)",
+  "event RecordUpdated(bytes32 indexed subject, bytes32 oldHash, bytes32 newHash, bool eligible, uint256 timestamp, address indexed verifier)",
+  "event RecordRevoked(bytes32 indexed subject, bytes32 certHash, uint8 reason, uint256 timestamp, address indexed verifier)",
+  "event BatchAnchored(bytes32 indexed root, uint256 leafCount, uint256 timestamp, address indexed verifier)",
+  "event LeafRevoked(bytes32 indexed root, bytes32 indexed leaf, uint8 reason, uint256 timestamp, address indexed verifier)",
+  "event VerifierGranted(address indexed verifier, address indexed admin)",
+  "event VerifierRevoked(address indexed verifier, address indexed admin)",
+  "event AdminChanged(address indexed oldAdmin, address indexed newAdmin)"
+];
+
+/**
+ * Name of the secret holding a hospital's signing key:
+ * VERIFIER_KEY_<hospital user id>, upper-cased with hyphens as underscores
+ */
+export function verifierKeySecretName(hospitalId: string): string {
+  return `VERIFIER_KEY_${hospitalId.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Look up the reviewing hospital's signing key.
+ * Each hospital's key is its own secret, so keys can be rotated or removed one
+ * at a time and every record on-chain is attributed to the hospital that approved it.
+ */
+function getHospitalPrivateKey(hospitalId: string): string {
+  if (!/^[0-9a-f-]{36}$/i.test(hospitalId)) {
+    throw new Error('Invalid hospital id');
+  }
+
+  const privateKey = Deno.env.get(verifierKeySecretName(hospitalId));
+  if (!privateKey) {
+    throw new Error('No verifier key is configured for this hospital');
+  }
+
+  return privateKey;
+}
+
+/**
+ * Work out the on-chain key for a certificate.
+ * Private-mode certificates use keccak256(donorId, salt) (see src/utils/donorIdentity.js);
+ * the salt stays in the database, so only the commitment is published.
+ */
+export function resolveCertificateSubject(certificate: any, donorWalletAddress?: string): string {
+  if (certificate.identity_mode === 'commitment') {
+    if (!certificate.identity_salt) {
+      throw new Error('Certificate is missing its identity salt');
+    }
+    return ethers.solidityPackedKeccak256(['string', 'bytes32'], [certificate.donor_id, certificate.identity_salt]);
+  }
+
+  if (!donorWalletAddress) {
+    throw new Error('Missing required fields: donorWalletAddress');
+  }
+
+  // Validate Ethereum address format
+  if (!ethers.isAddress(donorWalletAddress)) {
+    throw new Error('Invalid Ethereum address format');
+  }
+
+  return ethers.zeroPadValue(donorWalletAddress.toLowerCase(), 32);
+}
+
+/**
+ * Read-only connection to the chain configured for this project
+ */
+export function getChainProvider() {
+  const rpcUrl = Deno.env.get('RPC_URL');
+  const contractAddress = Deno.env.get('DONOR_CONTRACT_ADDRESS');
+
+  if (!rpcUrl || !contractAddress) {
+    throw new Error('Missing blockchain configuration environment variables');
+  }
+
+  return { provider: new ethers.JsonRpcProvider(rpcUrl), contractAddress };
+}
+
+/**
+ * Connect to the contract as the reviewing hospital, checking its verifier role
+ */
+export async function connectAsHospital(hospitalId: string) {
+  const { provider, contractAddress } = getChainProvider();
+  const wallet = new ethers.Wallet(getHospitalPrivateKey(hospitalId), provider);
+  const contract = new ethers.Contract(contractAddress, DONOR_VERIFICATION_ABI, wallet);
+
+  // Fail early instead of paying gas for a transaction the contract will reject
+  const isVerifier = await contract.isVerifier(wallet.address);
+  if (!isVerifier) {
+    throw new Error(`Hospital address ${wallet.address} has not been granted the verifier role`);
+  }
+
+  return { wallet, contract, contractAddress };
+}
@@ -0,0 +1,60 @@
+/**
+ * Merkle trees for batch anchoring (see DonorVerification.anchorBatch)
+ * Pairs are hashed in sorted order, so a proof is just the list of siblings.
+ * Keep computeBatchLeaf in sync with DonorVerification.batchLeaf and
+ * src/utils/merkleProof.js.
+ */
+
+import { ethers } from "npm:ethers@6.9.0";
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Leaf for one batched verification (double-hashed like the contract)
+ */
+export function computeBatchLeaf(subject: string, certHash: string, eligible: boolean, validUntil: number): string {
+  const inner = ethers.keccak256(
+    abiCoder.encode(['bytes32', 'bytes32', 'bool', 'uint256'], [subject, certHash, eligible, validUntil])
+  );
+  return ethers.keccak256(inner);
+}
+
+function hashPair(a: string, b: string): string {
+  return BigInt(a) < BigInt(b)
+    ? ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b])
+    : ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [b, a]);
+}
+
+/**
+ * Build a tree and return its root with one proof per leaf (same order as the input).
+ * An odd node at the end of a level is carried up unchanged.
+ */
+export function buildMerkleTree(leaves: string[]): { root: string; proofs: string[][] } {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree with no leaves');
+  }
+
+  const proofs: string[][] = leaves.map(() => []);
+  // positions[i] = index of leaf i's ancestor in the current level
+  let positions = leaves.map((_, i) => i);
+  let level = [...leaves];
+
+  while (level.length > 1) {
+    const next: string[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+
+    positions = positions.map((position, leafIndex) => {
+      const sibling = position % 2 === 0 ? position + 1 : position - 1;
+      if (sibling < level.length) {
+        proofs[leafIndex].push(level[sibling]);
+      }
+      return Math.floor(position / 2);
+    });
+
+    level = next;
+  }
+
+  return { root: level[0], proofs };
+}
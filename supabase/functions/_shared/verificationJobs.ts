@@ -0,0 +1,357 @@
+/**
+ * Durable storeVerification jobs for Edge Functions
+ * Each certificate has at most one verification_jobs row. The signed
+ * transaction's hash is saved before it is broadcast, so a timeout or a failed
+ * database write can always be picked up again by certificate ID.
+ */
+
+import { ethers } from "npm:ethers@6.9.0";
+import { getChainProvider, connectAsHospital } from "./donorVerification.ts";
+
+// How long verify-certificate waits before leaving the job to the reconciler
+export const CONFIRM_TIMEOUT_MS = 45_000;
+
+// Replace a transaction that has not been mined after this long
+export const STUCK_AFTER_MS = 5 * 60 * 1000;
+
+// Nodes only accept a replacement that pays at least 10% more
+const FEE_BUMP_PERCENT = 125n;
+
+// Broadcast errors that prove the node refused the transaction. Anything else
+// (a timeout, a dropped connection, an RPC error) may still have reached the
+// network, so the job is left to the reconciler.
+const REFUSED_BROADCAST_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+
+/**
+ * Current EIP-1559 fees, falling back to gasPrice on legacy networks
+ */
+async function currentFees(provider: any) {
+  const feeData = await provider.getFeeData();
+  const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? feeData.gasPrice;
+
+  if (maxFeePerGas === null || maxPriorityFeePerGas === null) {
+    throw new Error('Could not read network fees');
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+function bumpFee(previous: string | null, current: bigint): bigint {
+  const bumped = previous ? BigInt(previous) * FEE_BUMP_PERCENT / 100n : 0n;
+  return bumped > current ? bumped : current;
+}
+
+/**
+ * Sign storeVerification for a job without sending it
+ */
+async function signJobTransaction(wallet: any, contract: any, job: any, nonce: number, fees: any) {
+  const validUntilSeconds = Math.floor(new Date(job.valid_until).getTime() / 1000);
+  const call = await contract.storeVerification.populateTransaction(
+    job.subject_key,
+    job.cert_hash,
+    job.eligible,
+    validUntilSeconds
+  );
+  const tx = await wallet.populateTransaction({ ...call, nonce, ...fees });
+  const signed = await wallet.signTransaction(tx);
+
+  return { signed, hash: ethers.keccak256(signed) };
+}
+
+/**
+ * Reserve the next nonce for the hospital's wallet. The database row is
+ * locked while it is read and bumped, so concurrent approvals never share one.
+ */
+async function reserveNonce(supabase: any, wallet: any): Promise<number> {
+  const chainNonce = await wallet.getNonce('pending');
+  const { data, error } = await supabase.rpc('reserve_verifier_nonce', {
+    p_verifier_address: wallet.address,
+    p_chain_nonce: chainNonce,
+  });
+
+  if (error) {
+    throw new Error(`Failed to reserve a transaction nonce: ${error.message}`);
+  }
+
+  return Number(data);
+}
+
+/**
+ * Hand back a reserved nonce that was never broadcast, so the next
+ * transaction does not leave a gap the chain would wait on
+ */
+async function releaseNonce(supabase: any, wallet: any, nonce: number) {
+  const { error } = await supabase.rpc('release_verifier_nonce', {
+    p_verifier_address: wallet.address,
+    p_nonce: nonce,
+  });
+
+  if (error) {
+    console.error('Failed to release transaction nonce:', error);
+  }
+}
+
+async function updateJob(supabase: any, jobId: string, changes: any) {
+  const { data, error } = await supabase
+    .from('verification_jobs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update verification job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Mark a job as failed so the certificate can be reviewed (and sent) again
+ */
+async function failJob(supabase: any, job: any, reason: string) {
+  console.error(`Verification job ${job.id} failed:`, reason);
+
+  await supabase
+    .from('donor_certificates')
+    .update({ chain_status: 'failed' })
+    .eq('id', job.certificate_id);
+
+  return await updateJob(supabase, job.id, { status: 'failed', last_error: reason });
+}
+
+/**
+ * Record and broadcast storeVerification for a certificate.
+ * A failed job for the same certificate is reused; anything else is refused
+ * so retries never send a second transaction.
+ */
+export async function startVerificationJob(supabase: any, draft: any, wallet: any, contract: any) {
+  const { data: previous } = await supabase
+    .from('verification_jobs')
+    .select('id, status, attempts')
+    .eq('certificate_id', draft.certificate_id)
+    .maybeSingle();
+
+  if (previous && previous.status !== 'failed') {
+    throw new Error('A blockchain transaction for this certificate is already in progress');
+  }
+
+  const fees = await currentFees(wallet.provider);
+  const nonce = await reserveNonce(supabase, wallet);
+  let signed: string;
+  let hash: string;
+  try {
+    ({ signed, hash } = await signJobTransaction(wallet, contract, draft, nonce, fees));
+  } catch (error) {
+    await releaseNonce(supabase, wallet, nonce);
+    throw error;
+  }
+  const now = new Date().toISOString();
+
+  const row = {
+    ...draft,
+    status: 'pending_chain',
+    verifier_address: wallet.address,
+    nonce,
+    tx_hash: hash,
+    tx_hashes: [hash],
+    max_fee_per_gas: fees.maxFeePerGas.toString(),
+    max_priority_fee_per_gas: fees.maxPriorityFeePerGas.toString(),
+    attempts: (previous?.attempts || 0) + 1,
+    block_number: null,
+    last_error: null,
+    sent_at: now,
+    confirmed_at: null,
+    updated_at: now,
+  };
+
+  // The unique certificate_id (or the status check on retry) stops two requests sending at once
+  const { data: job, error: jobError } = previous
+    ? await supabase.from('verification_jobs').update(row).eq('id', previous.id).eq('status', 'failed').select().single()
+    : await supabase.from('verification_jobs').insert([row]).select().single();
+
+  if (jobError || !job) {
+    await releaseNonce(supabase, wallet, nonce);
+    throw new Error('A blockchain transaction for this certificate is already in progress');
+  }
+
+  await supabase
+    .from('donor_certificates')
+    .update({ chain_status: 'pending_chain', tx_hash: hash })
+    .eq('id', draft.certificate_id);
+
+  try {
+    await wallet.provider.broadcastTransaction(signed);
+  } catch (error) {
+    if (REFUSED_BROADCAST_CODES.includes(error.code)) {
+      await releaseNonce(supabase, wallet, nonce);
+      await failJob(supabase, job, `Broadcast failed: ${error.message}`);
+      throw new Error(`Failed to send blockchain transaction: ${error.message}`);
+    }
+
+    // The reconciler finds the transaction if it was sent, or re-sends it with the same nonce
+    console.error(`Verification job ${job.id} broadcast uncertain:`, error);
+    return await updateJob(supabase, job.id, { last_error: `Broadcast uncertain: ${error.message}` });
+  }
+
+  console.log(`Verification job ${job.id} sent:`, hash, 'nonce:', nonce);
+  return job;
+}
+
+/**
+ * Re-send a stuck job with the same nonce and higher fees
+ */
+export async function replaceVerificationJob(supabase: any, job: any, wallet: any, contract: any) {
+  if (wallet.address.toLowerCase() !== job.verifier_address.toLowerCase()) {
+    return await failJob(supabase, job, 'Hospital signing key changed while the transaction was pending');
+  }
+
+  const network = await currentFees(wallet.provider);
+  const fees = {
+    maxFeePerGas: bumpFee(job.max_fee_per_gas, network.maxFeePerGas),
+    maxPriorityFeePerGas: bumpFee(job.max_priority_fee_per_gas, network.maxPriorityFeePerGas),
+  };
+  const { signed, hash } = await signJobTransaction(wallet, contract, job, Number(job.nonce), fees);
+
+  const replaced = await updateJob(supabase, job.id, {
+    tx_hash: hash,
+    tx_hashes: [...job.tx_hashes, hash],
+    max_fee_per_gas: fees.maxFeePerGas.toString(),
+    max_priority_fee_per_gas: fees.maxPriorityFeePerGas.toString(),
+    attempts: job.attempts + 1,
+    sent_at: new Date().toISOString(),
+  });
+
+  await supabase
+    .from('donor_certificates')
+    .update({ tx_hash: hash })
+    .eq('id', job.certificate_id);
+
+  try {
+    await wallet.provider.broadcastTransaction(signed);
+  } catch (error) {
+    // The previous transaction may still be mined; leave the job pending
+    await updateJob(supabase, job.id, { last_error: `Replacement failed: ${error.message}` });
+    throw new Error(`Failed to send replacement transaction: ${error.message}`);
+  }
+
+  console.log(`Verification job ${job.id} replaced:`, hash);
+  return replaced;
+}
+
+/**
+ * Receipt for whichever of the job's transactions was mined, if any
+ */
+async function findJobReceipt(provider: any, job: any) {
+  for (const hash of [...job.tx_hashes].reverse()) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+/**
+ * Wait up to CONFIRM_TIMEOUT_MS for the job's transaction
+ * @returns The receipt, or null if it is still pending
+ */
+export async function waitForVerificationJob(provider: any, job: any) {
+  try {
+    return await provider.waitForTransaction(job.tx_hash, 1, CONFIRM_TIMEOUT_MS);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Apply a mined transaction to the certificate and close the job.
+ * Safe to repeat: the job stays pending_chain until the certificate update succeeds.
+ */
+export async function finalizeVerificationJob(supabase: any, job: any, receipt: any) {
+  if (receipt.status !== 1) {
+    return await failJob(supabase, job, `Transaction ${receipt.hash} reverted`);
+  }
+
+  const confirmedAt = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('donor_certificates')
+    .update({
+      cert_hash: job.cert_hash,
+      eligible: job.eligible,
+      tx_hash: receipt.hash,
+      chain_address: job.chain_address,
+      subject_key: job.subject_key,
+      verifier_address: job.verifier_address,
+      valid_until: job.valid_until,
+      verified_at: confirmedAt,
+      reviewed_by: job.hospital_id,
+      admin_notes: job.admin_notes,
+      chain_status: 'confirmed',
+    })
+    .eq('id', job.certificate_id);
+
+  if (updateError) {
+    console.error('Failed to update database:', updateError);
+    await updateJob(supabase, job.id, { last_error: `Database update failed: ${updateError.message}` });
+    throw new Error('Blockchain verification successful but database update failed; it will be retried automatically');
+  }
+
+  return await updateJob(supabase, job.id, {
+    status: 'confirmed',
+    tx_hash: receipt.hash,
+    block_number: receipt.blockNumber,
+    confirmed_at: confirmedAt,
+    last_error: null,
+  });
+}
+
+/**
+ * Bring a pending job in line with the chain: finish it if mined, fail it if
+ * its nonce was used by something else, and replace it if stuck
+ * @returns The job after reconciling
+ */
+export async function reconcileVerificationJob(supabase: any, job: any) {
+  if (job.status !== 'pending_chain') return job;
+
+  const { provider } = getChainProvider();
+
+  // Read the nonce first, so a transaction mined in between is still found below
+  const minedNonce = await provider.getTransactionCount(job.verifier_address, 'latest');
+  const receipt = await findJobReceipt(provider, job);
+
+  if (receipt) {
+    return await finalizeVerificationJob(supabase, job, receipt);
+  }
+
+  if (minedNonce > Number(job.nonce)) {
+    return await failJob(supabase, job, `Nonce ${job.nonce} was used by another transaction`);
+  }
+
+  if (Date.now() - new Date(job.sent_at).getTime() < STUCK_AFTER_MS) {
+    return job;
+  }
+
+  const { wallet, contract } = await connectAsHospital(job.hospital_id);
+  return await replaceVerificationJob(supabase, job, wallet, contract);
+}
+
+/**
+ * Response payload for a job
+ */
+export function describeVerificationJob(job: any) {
+  return {
+    certificateId: job.certificate_id,
+    certHash: job.cert_hash,
+    txHash: job.tx_hash,
+    blockNumber: job.block_number,
+    contractAddress: job.chain_address,
+    verifierAddress: job.verifier_address,
+    eligible: job.eligible,
+    validUntil: job.valid_until,
+    verifiedAt: job.confirmed_at,
+    jobStatus: job.status,
+    pending: job.status === 'pending_chain',
+    attempts: job.attempts,
+  };
+}
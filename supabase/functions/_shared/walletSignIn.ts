@@ -0,0 +1,97 @@
+/**
+ * Wallet ownership proofs for Edge Functions
+ * Parses and checks EIP-4361 sign-in messages (built by src/utils/walletSignIn.js)
+ * and looks up the proofs recorded in wallet_ownership_proofs.
+ */
+
+import { ethers } from "npm:ethers@6.9.0";
+
+// How long an issued nonce (and the message embedding it) stays usable
+export const NONCE_TTL_MS = 10 * 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+/**
+ * Random alphanumeric nonce, as EIP-4361 requires
+ */
+export function generateNonce(): string {
+  return ethers.hexlify(ethers.randomBytes(16)).slice(2);
+}
+
+/**
+ * Split an EIP-4361 message into its fields
+ */
+export function parseSignInMessage(message: string) {
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Not a sign-in message');
+  }
+
+  const fields: Record<string, string> = {};
+  for (const line of lines.slice(2)) {
+    const separator = line.indexOf(': ');
+    if (separator > 0) {
+      fields[line.slice(0, separator)] = line.slice(separator + 2);
+    }
+  }
+
+  if (!ethers.isAddress(lines[1]) || !fields['Nonce'] || !fields['Chain ID'] || fields['Version'] !== '1') {
+    throw new Error('Malformed sign-in message');
+  }
+
+  return {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: ethers.getAddress(lines[1]),
+    uri: fields['URI'],
+    chainId: Number(fields['Chain ID']),
+    nonce: fields['Nonce'],
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+  };
+}
+
+/**
+ * Check that a signature over a sign-in message came from the address it names
+ */
+export function verifySignInSignature(message: string, signature: string) {
+  const fields = parseSignInMessage(message);
+
+  let signer: string;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (_e) {
+    throw new Error('Invalid signature');
+  }
+
+  if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+    throw new Error('Signature does not match the wallet address in the message');
+  }
+
+  if (fields.expirationTime && new Date(fields.expirationTime).getTime() < Date.now()) {
+    throw new Error('Sign-in message has expired');
+  }
+
+  return fields;
+}
+
+/**
+ * Refuse an address the donor never proved they control
+ */
+export async function requireProvenWallet(supabase: any, userId: string, address: string) {
+  const { data: proof, error } = await supabase
+    .from('wallet_ownership_proofs')
+    .select('id, verified_at')
+    .eq('user_id', userId)
+    .eq('address', address.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check wallet ownership: ${error.message}`);
+  }
+
+  if (!proof) {
+    throw new Error('The donor has not proven ownership of this wallet address');
+  }
+
+  return proof;
+}
@@ -0,0 +1,209 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
+import { ethers } from "npm:ethers@6.9.0";
+import { corsHeaders, connectAsHospital, DONOR_VERIFICATION_EVENTS } from "../_shared/donorVerification.ts";
+import { buildMerkleTree, computeBatchLeaf } from "../_shared/merkle.ts";
+
+// Upper bound per transaction; anything left over goes in the next run
+const MAX_BATCH_SIZE = 256;
+
+/**
+ * Find the transaction that anchored a root: chain_events first (see
+ * index-chain-events), then the chain itself from the deployment block
+ */
+async function findAnchorTransaction(supabase: any, provider: any, contractAddress: string, root: string) {
+  const { data: event } = await supabase
+    .from('chain_events')
+    .select('tx_hash, block_number')
+    .eq('chain_address', contractAddress.toLowerCase())
+    .eq('event_name', 'BatchAnchored')
+    .eq('merkle_root', root)
+    .limit(1)
+    .maybeSingle();
+
+  if (event) {
+    return { txHash: event.tx_hash, blockNumber: Number(event.block_number) };
+  }
+
+  const iface = new ethers.Interface(DONOR_VERIFICATION_EVENTS);
+  const [log] = await provider.getLogs({
+    address: contractAddress,
+    topics: [iface.getEvent('BatchAnchored')!.topicHash, root],
+    fromBlock: Number(Deno.env.get('INDEXER_START_BLOCK') || 0),
+    toBlock: 'latest',
+  });
+
+  if (!log) {
+    throw new Error(`Batch ${root} is anchored but its transaction was not found`);
+  }
+
+  return { txHash: log.transactionHash, blockNumber: log.blockNumber };
+}
+
+/**
+ * Anchor one hospital's queued approvals as a single Merkle root.
+ * A root already on-chain (an earlier run anchored it but failed to record
+ * it) is recorded with its original transaction instead of being re-sent,
+ * which the contract would refuse with "Batch already anchored".
+ */
+async function anchorHospitalBatch(supabase: any, hospitalId: string, certificates: any[]) {
+  const { wallet, contract, contractAddress } = await connectAsHospital(hospitalId);
+
+  const leaves = certificates.map(cert => computeBatchLeaf(
+    cert.subject_key,
+    cert.cert_hash,
+    cert.eligible,
+    Math.floor(new Date(cert.valid_until).getTime() / 1000)
+  ));
+  const { root, proofs } = buildMerkleTree(leaves);
+
+  console.log(`Anchoring ${leaves.length} certificates for hospital ${hospitalId}, root ${root}`);
+
+  let txHash: string;
+  let blockNumber: number;
+
+  const [anchoredAt, anchoredBy] = await contract.getBatch(root);
+  if (anchoredAt > 0n) {
+    if (anchoredBy.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error(`Batch ${root} was anchored by a different verifier (${anchoredBy})`);
+    }
+
+    ({ txHash, blockNumber } = await findAnchorTransaction(supabase, wallet.provider, contractAddress, root));
+    console.log('Batch already anchored in block:', blockNumber, '- recording it');
+  } else {
+    const tx = await contract.anchorBatch(root, leaves.length);
+    const receipt = await tx.wait();
+    txHash = tx.hash;
+    blockNumber = receipt.blockNumber;
+
+    console.log('Batch confirmed in block:', blockNumber);
+  }
+
+  // Upsert, so a batch row written by a run that failed later is reused
+  const { data: batch, error: batchError } = await supabase
+    .from('certificate_batches')
+    .upsert([{
+      merkle_root: root,
+      hospital_id: hospitalId,
+      verifier_address: wallet.address,
+      leaf_count: leaves.length,
+      tx_hash: txHash,
+      chain_address: contractAddress,
+    }], { onConflict: 'merkle_root' })
+    .select()
+    .single();
+
+  if (batchError) {
+    // Root is on-chain; the certificates stay queued and the next run records it
+    console.error('Failed to record batch:', batchError);
+    throw new Error('Batch anchored on blockchain but database insert failed');
+  }
+
+  const results = await Promise.all(certificates.map((cert, index) => supabase
+    .from('donor_certificates')
+    .update({
+      batch_id: batch.id,
+      merkle_leaf: leaves[index],
+      merkle_proof: proofs[index],
+      tx_hash: txHash,
+      chain_address: contractAddress,
+      verifier_address: wallet.address,
+    })
+    .eq('id', cert.id)
+  ));
+
+  const failed = results.filter(result => result.error).length;
+  if (failed > 0) {
+    console.error(`Failed to store proofs for ${failed} certificates in batch ${batch.id}`);
+  }
+
+  return {
+    hospitalId,
+    batchId: batch.id,
+    merkleRoot: root,
+    leafCount: leaves.length,
+    txHash,
+    blockNumber,
+    failedUpdates: failed,
+  };
+}
+
+/**
+ * Scheduled job: anchor every hospital's queued approvals
+ */
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Only the scheduler, calling with the service role key, may anchor batches
+    const token = (req.headers.get('Authorization') || '').replace('Bearer ', '');
+    if (!token || token !== supabaseServiceKey) {
+      throw new Error('Unauthorized');
+    }
+
+    const { data: queued, error: queueError } = await supabase
+      .from('donor_certificates')
+      .select('id, reviewed_by, subject_key, cert_hash, eligible, valid_until')
+      .eq('anchor_mode', 'batch')
+      .is('batch_id', null)
+      .is('revoked_at', null)
+      .not('eligible', 'is', null)
+      .order('verified_at', { ascending: true })
+      .limit(MAX_BATCH_SIZE);
+
+    if (queueError) {
+      throw new Error(`Failed to load queued certificates: ${queueError.message}`);
+    }
+
+    // Each hospital anchors its own approvals with its own key
+    const byHospital = new Map<string, any[]>();
+    (queued || []).forEach(cert => {
+      const list = byHospital.get(cert.reviewed_by) || [];
+      list.push(cert);
+      byHospital.set(cert.reviewed_by, list);
+    });
+
+    const batches = [];
+    const errors = [];
+    for (const [hospitalId, certificates] of byHospital) {
+      try {
+        batches.push(await anchorHospitalBatch(supabase, hospitalId, certificates));
+      } catch (error) {
+        console.error(`Failed to anchor batch for hospital ${hospitalId}:`, error);
+        errors.push({ hospitalId, error: error.message });
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: errors.length === 0,
+        data: { queued: queued?.length || 0, batches, errors },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error('Error in anchor-batches function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
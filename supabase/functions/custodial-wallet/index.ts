@@ -0,0 +1,101 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
+import { corsHeaders } from "../_shared/donorVerification.ts";
+import { deriveCustodialWallet, custodialProofMessage } from "../_shared/custodialWallet.ts";
+
+/**
+ * Give the signed-in donor a platform-held wallet and save it to their profile.
+ * Calling it again returns the same address.
+ */
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Authenticate the request using the user's access token
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) {
+      throw new Error('Missing authorization header');
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      throw new Error('Unauthorized');
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('user_profiles')
+      .select('role')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError || !profile || profile.role === 'hospital') {
+      throw new Error('Only donors can use a custodial wallet');
+    }
+
+    const wallet = deriveCustodialWallet(user.id);
+    const verifiedAt = new Date().toISOString();
+    const message = custodialProofMessage(user.id, wallet.address, verifiedAt);
+    const signature = await wallet.signMessage(message);
+
+    const { error: proofError } = await supabase
+      .from('wallet_ownership_proofs')
+      .upsert({
+        user_id: user.id,
+        address: wallet.address.toLowerCase(),
+        chain_id: Number(Deno.env.get('CHAIN_ID') || 0),
+        message,
+        signature,
+        custodial: true,
+        verified_at: verifiedAt,
+      }, { onConflict: 'user_id,address' });
+
+    if (proofError) {
+      throw new Error(`Failed to save wallet proof: ${proofError.message}`);
+    }
+
+    const { error: updateError } = await supabase
+      .from('user_profiles')
+      .update({ wallet_address: wallet.address, wallet_verified_at: verifiedAt, wallet_custodial: true })
+      .eq('id', user.id);
+
+    if (updateError) {
+      throw new Error(`Failed to save wallet address: ${updateError.message}`);
+    }
+
+    console.log(`Custodial wallet ${wallet.address} linked for user ${user.id}`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        data: { address: wallet.address, custodial: true, verifiedAt },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error('Error in custodial-wallet function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
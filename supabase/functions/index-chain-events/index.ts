@@ -0,0 +1,236 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
+import { ethers } from "npm:ethers@6.9.0";
+import { corsHeaders, getChainProvider, DONOR_VERIFICATION_EVENTS } from "../_shared/donorVerification.ts";
+
+// Blocks re-read on every run, so events from reorged blocks are replaced
+const REORG_DEPTH = 64;
+
+// Upper bound per getLogs call; a long backlog is caught up over several runs
+const MAX_BLOCK_RANGE = 2000;
+
+// Flagged events from earlier runs re-checked per run (the row may have arrived since)
+const MAX_RECHECKS = 100;
+
+const RECORD_EVENTS = ['RecordAdded', 'RecordUpdated'];
+
+/**
+ * Decode a log into a chain_events row
+ */
+function toEventRow(iface: ethers.Interface, log: any, chainAddress: string) {
+  const parsed = iface.parseLog(log);
+  if (!parsed) return null;
+
+  const args: Record<string, any> = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  return {
+    chain_address: chainAddress,
+    block_number: log.blockNumber,
+    block_hash: log.blockHash,
+    tx_hash: log.transactionHash,
+    log_index: log.index,
+    event_name: parsed.name,
+    subject_key: args.subject ?? null,
+    cert_hash: args.newHash ?? args.certHash ?? null,
+    merkle_root: args.root ?? null,
+    eligible: args.eligible ?? null,
+    verifier_address: args.verifier ?? null,
+    args,
+    event_timestamp: args.timestamp ? new Date(Number(args.timestamp) * 1000).toISOString() : null,
+  };
+}
+
+/**
+ * Find the database row behind an on-chain write.
+ * Record events match a certificate (or a verification job still being
+ * finalized); batch anchors match certificate_batches or audit_log_anchors.
+ */
+async function matchEvent(supabase: any, row: any) {
+  if (RECORD_EVENTS.includes(row.event_name)) {
+    const { data: certificate } = await supabase
+      .from('donor_certificates')
+      .select('id')
+      .eq('subject_key', row.subject_key)
+      .eq('cert_hash', row.cert_hash)
+      .limit(1)
+      .maybeSingle();
+
+    if (certificate) {
+      return { certificate_id: certificate.id, unmatched: false };
+    }
+
+    // Mined, but verify-certificate or the reconciler has not written it back yet
+    const { data: job } = await supabase
+      .from('verification_jobs')
+      .select('certificate_id')
+      .eq('subject_key', row.subject_key)
+      .eq('cert_hash', row.cert_hash)
+      .limit(1)
+      .maybeSingle();
+
+    return { certificate_id: job?.certificate_id ?? null, unmatched: !job };
+  }
+
+  if (row.event_name === 'BatchAnchored') {
+    const { data: batch } = await supabase
+      .from('certificate_batches')
+      .select('id')
+      .eq('merkle_root', row.merkle_root)
+      .maybeSingle();
+
+    if (batch) {
+      return { batch_id: batch.id, unmatched: false };
+    }
+
+    // anchor-audit-log reuses anchorBatch for the audit log's chain head
+    const { data: auditAnchor } = await supabase
+      .from('audit_log_anchors')
+      .select('id')
+      .eq('anchored_root', row.merkle_root)
+      .maybeSingle();
+
+    return { batch_id: null, unmatched: !auditAnchor };
+  }
+
+  return { unmatched: false };
+}
+
+/**
+ * Scheduled job: mirror DonorVerification events into chain_events
+ */
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Only the scheduler, calling with the service role key, may index
+    const token = (req.headers.get('Authorization') || '').replace('Bearer ', '');
+    if (!token || token !== supabaseServiceKey) {
+      throw new Error('Unauthorized');
+    }
+
+    const { provider, contractAddress } = getChainProvider();
+    const chainAddress = contractAddress.toLowerCase();
+    const iface = new ethers.Interface(DONOR_VERIFICATION_EVENTS);
+
+    const { data: state, error: stateError } = await supabase
+      .from('chain_indexer_state')
+      .select('last_block')
+      .eq('chain_address', chainAddress)
+      .maybeSingle();
+
+    if (stateError) {
+      throw new Error(`Failed to load indexer state: ${stateError.message}`);
+    }
+
+    // Start at the deployment block on the first run, then re-read the last REORG_DEPTH blocks
+    const startBlock = Number(Deno.env.get('INDEXER_START_BLOCK') || 0);
+    const head = await provider.getBlockNumber();
+    const fromBlock = state ? Math.max(startBlock, Number(state.last_block) - REORG_DEPTH + 1) : startBlock;
+    const toBlock = Math.min(head, fromBlock + MAX_BLOCK_RANGE - 1);
+
+    const rows = [];
+    if (fromBlock <= toBlock) {
+      const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+
+      for (const log of logs) {
+        const row = toEventRow(iface, log, chainAddress);
+        if (row) rows.push({ ...row, ...(await matchEvent(supabase, row)) });
+      }
+
+      // Replace the whole window, so events from blocks that were reorged out disappear
+      const { error: deleteError } = await supabase
+        .from('chain_events')
+        .delete()
+        .eq('chain_address', chainAddress)
+        .gte('block_number', fromBlock)
+        .lte('block_number', toBlock);
+
+      if (deleteError) {
+        throw new Error(`Failed to clear re-indexed blocks: ${deleteError.message}`);
+      }
+
+      if (rows.length > 0) {
+        const { error: insertError } = await supabase.from('chain_events').insert(rows);
+        if (insertError) {
+          // State is not advanced, so the next run indexes this window again
+          throw new Error(`Failed to store chain events: ${insertError.message}`);
+        }
+      }
+
+      const { error: saveError } = await supabase
+        .from('chain_indexer_state')
+        .upsert({ chain_address: chainAddress, last_block: toBlock, updated_at: new Date().toISOString() });
+
+      if (saveError) {
+        throw new Error(`Failed to save indexer state: ${saveError.message}`);
+      }
+    }
+
+    // Older flags may have been caused by a database write that landed late
+    const { data: flagged } = await supabase
+      .from('chain_events')
+      .select('*')
+      .eq('chain_address', chainAddress)
+      .eq('unmatched', true)
+      .lt('block_number', fromBlock)
+      .order('block_number', { ascending: true })
+      .limit(MAX_RECHECKS);
+
+    let cleared = 0;
+    for (const event of flagged || []) {
+      const match = await matchEvent(supabase, event);
+      if (!match.unmatched) {
+        await supabase.from('chain_events').update(match).eq('id', event.id);
+        cleared++;
+      }
+    }
+
+    const unmatched = rows.filter(row => row.unmatched);
+    unmatched.forEach(row => {
+      console.warn(`Unmatched ${row.event_name} in block ${row.block_number}: tx ${row.tx_hash}`);
+    });
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        data: {
+          fromBlock,
+          toBlock,
+          head,
+          events: rows.length,
+          unmatched: unmatched.length,
+          cleared,
+        },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error('Error in index-chain-events function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
@@ -0,0 +1,84 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
+import { corsHeaders } from "../_shared/donorVerification.ts";
+import { reconcileVerificationJob } from "../_shared/verificationJobs.ts";
+
+// Jobs handled per run; the rest wait for the next one
+const MAX_JOBS_PER_RUN = 50;
+
+/**
+ * Scheduled job: settle verification transactions left in pending_chain.
+ * Mined transactions are written to donor_certificates, reverted or
+ * superseded ones are marked failed, and stuck ones are re-sent with higher fees.
+ */
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Only the scheduler, calling with the service role key, may reconcile
+    const token = (req.headers.get('Authorization') || '').replace('Bearer ', '');
+    if (!token || token !== supabaseServiceKey) {
+      throw new Error('Unauthorized');
+    }
+
+    const { data: pending, error: pendingError } = await supabase
+      .from('verification_jobs')
+      .select('*')
+      .eq('status', 'pending_chain')
+      .order('sent_at', { ascending: true })
+      .limit(MAX_JOBS_PER_RUN);
+
+    if (pendingError) {
+      throw new Error(`Failed to load pending verification jobs: ${pendingError.message}`);
+    }
+
+    const results = [];
+    const errors = [];
+    for (const job of pending || []) {
+      try {
+        const reconciled = await reconcileVerificationJob(supabase, job);
+        results.push({
+          certificateId: job.certificate_id,
+          status: reconciled.status,
+          txHash: reconciled.tx_hash,
+          replaced: reconciled.attempts > job.attempts,
+        });
+      } catch (error) {
+        console.error(`Failed to reconcile job ${job.id}:`, error);
+        errors.push({ certificateId: job.certificate_id, error: error.message });
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: errors.length === 0,
+        data: { pending: pending?.length || 0, results, errors },
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error('Error in reconcile-verifications function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
@@ -1,25 +1,30 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
-import { ethers } from "npm:ethers@6.9.0";
+import { corsHeaders, resolveCertificateSubject, connectAsHospital } from "../_shared/donorVerification.ts";
+import {
+  startVerificationJob,
+  waitForVerificationJob,
+  finalizeVerificationJob,
+  reconcileVerificationJob,
+  describeVerificationJob,
+} from "../_shared/verificationJobs.ts";
+import { requireProvenWallet } from "../_shared/walletSignIn.ts";
 
-// CORS headers for browser requests
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
-};
+// Approvals stay valid for this long unless the reviewer picks another window
+const DEFAULT_VALIDITY_DAYS = 180;
+const MAX_VALIDITY_DAYS = 730;
 
-// Smart contract ABI (only functions we need)
-const DONOR_VERIFICATION_ABI = [
-  "function storeVerification(address _donor, bytes32 _certHash, bool _eligible) public",
-  "function verify(address _donor, bytes32 _certHash) public view returns (bool eligible, uint256 timestamp, bool matches)",
-  "function getRecord(address _donor) public view returns (bytes32 certHash, bool eligible, uint256 timestamp, bool exists)"
-];
+// DonorVerification.RevocationReason codes (0 = not revoked)
+const MAX_REVOCATION_REASON = 5;
 
 interface VerifyRequest {
+  action?: 'verify' | 'revoke';
   certificateId: string;
-  donorWalletAddress: string;
-  eligible: boolean;
+  donorWalletAddress?: string;
+  eligible?: boolean;
   adminNotes?: string;
+  validityDays?: number;
+  reasonCode?: number;
 }
 
 /**
@@ -32,6 +37,138 @@ async function computeFileHash(fileData: ArrayBuffer): Promise<string> {
   return `0x${hashHex}`;
 }
 
+/**
+ * Check the review workflow allows this decision (see 20250215_certificate_review_workflow.sql).
+ * A proposed rejection must be confirmed by a different reviewer, and with
+ * REQUIRE_SECOND_REJECTION_REVIEW=true every rejection has to be proposed first.
+ */
+function assertDecisionAllowed(certificate: any, userId: string, eligible: boolean) {
+  if (certificate.review_status === 'info_requested') {
+    throw new Error('Waiting for the donor to re-upload this certificate');
+  }
+
+  if (certificate.review_status === 'resubmitted') {
+    throw new Error('The donor has replaced this certificate with a new upload');
+  }
+
+  if (eligible) return;
+
+  if (certificate.review_status === 'rejection_proposed') {
+    if (certificate.rejection_proposed_by === userId) {
+      throw new Error('A second reviewer must confirm this rejection');
+    }
+  } else if (Deno.env.get('REQUIRE_SECOND_REJECTION_REVIEW') === 'true') {
+    throw new Error('Rejections need a second reviewer: propose the rejection first');
+  }
+}
+
+/**
+ * Revoke the donor's current on-chain record for an approved certificate
+ */
+async function handleRevoke(supabase: any, userId: string, body: VerifyRequest): Promise<Response> {
+  const { certificateId, reasonCode, adminNotes } = body;
+
+  if (!certificateId || !reasonCode) {
+    throw new Error('Missing required fields: certificateId, reasonCode');
+  }
+
+  if (!Number.isInteger(reasonCode) || reasonCode < 1 || reasonCode > MAX_REVOCATION_REASON) {
+    throw new Error('Invalid revocation reason code');
+  }
+
+  const { data: certificate, error: certError } = await supabase
+    .from('donor_certificates')
+    .select('*')
+    .eq('id', certificateId)
+    .single();
+
+  if (certError || !certificate) {
+    throw new Error('Certificate not found');
+  }
+
+  const isBatched = certificate.anchor_mode === 'batch';
+
+  if (!certificate.eligible || (!certificate.tx_hash && !isBatched)) {
+    throw new Error('Only approved certificates can be revoked');
+  }
+
+  if (certificate.revoked_at) {
+    throw new Error('Certificate is already revoked');
+  }
+
+  const { wallet, contract } = await connectAsHospital(userId);
+  let tx: any = null;
+  let receipt: any = null;
+
+  if (isBatched && certificate.batch_id) {
+    // Anchored in a batch: revoke the leaf under the batch root
+    const { data: batch, error: batchError } = await supabase
+      .from('certificate_batches')
+      .select('merkle_root')
+      .eq('id', certificate.batch_id)
+      .single();
+
+    if (batchError || !batch) {
+      throw new Error('Certificate batch not found');
+    }
+
+    console.log('Revoking batch leaf:', certificate.merkle_leaf, 'reason:', reasonCode);
+    tx = await contract.revokeLeaf(batch.merkle_root, certificate.merkle_leaf, certificate.merkle_proof, reasonCode);
+  } else if (!isBatched) {
+    const subject = certificate.subject_key || resolveCertificateSubject(certificate, certificate.donor_wallet_address);
+
+    // revoke() always targets the donor's latest record; refuse if a newer certificate replaced this one
+    const [, , matches] = await contract.verify(subject, certificate.cert_hash);
+    if (!matches) {
+      throw new Error('This certificate is no longer the donor\'s current on-chain record');
+    }
+
+    console.log('Revoking record for subject:', subject, 'reason:', reasonCode);
+    tx = await contract.revoke(subject, reasonCode);
+  }
+  // Still queued: nothing is on-chain yet, and anchor-batches skips revoked certificates
+
+  if (tx) {
+    receipt = await tx.wait();
+    console.log('Revocation confirmed in block:', receipt.blockNumber);
+  }
+
+  const revokedAt = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('donor_certificates')
+    .update({
+      revoked_at: revokedAt,
+      revoked_by: userId,
+      revocation_reason: reasonCode,
+      revocation_tx_hash: tx?.hash || null,
+      admin_notes: adminNotes || certificate.admin_notes,
+    })
+    .eq('id', certificateId);
+
+  if (updateError) {
+    console.error('Failed to update database:', updateError);
+    throw new Error('Blockchain revocation successful but database update failed');
+  }
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      data: {
+        certificateId,
+        txHash: tx?.hash || null,
+        blockNumber: receipt?.blockNumber || null,
+        verifierAddress: wallet.address,
+        reasonCode,
+        revokedAt,
+      },
+    }),
+    {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 200,
+    }
+  );
+}
+
 /**
  * Main handler for certificate verification
  */
@@ -73,15 +210,25 @@ serve(async (req) => {
 
     // Parse request body
     const body: VerifyRequest = await req.json();
+
+    if (body.action === 'revoke') {
+      return await handleRevoke(supabase, user.id, body);
+    }
+
     const { certificateId, donorWalletAddress, eligible, adminNotes } = body;
+    const validityDays = body.validityDays ?? DEFAULT_VALIDITY_DAYS;
 
-    if (!certificateId || !donorWalletAddress) {
-      throw new Error('Missing required fields: certificateId, donorWalletAddress');
+    if (!certificateId) {
+      throw new Error('Missing required fields: certificateId');
     }
 
-    // Validate Ethereum address format
-    if (!ethers.isAddress(donorWalletAddress)) {
-      throw new Error('Invalid Ethereum address format');
+    // A missing decision must not slip past the rejection checks below
+    if (typeof eligible !== 'boolean') {
+      throw new Error('eligible must be true or false');
+    }
+
+    if (!Number.isInteger(validityDays) || validityDays < 1 || validityDays > MAX_VALIDITY_DAYS) {
+      throw new Error(`Validity must be between 1 and ${MAX_VALIDITY_DAYS} days`);
     }
 
     // Fetch certificate record from database
@@ -95,6 +242,45 @@ serve(async (req) => {
       throw new Error('Certificate not found');
     }
 
+    // Retries are keyed by certificate: report (and move along) the job already
+    // sent for the same decision. Anything else is a second decision.
+    const { data: existingJob } = await supabase
+      .from('verification_jobs')
+      .select('*')
+      .eq('certificate_id', certificateId)
+      .maybeSingle();
+
+    const alreadyDecided = 'This certificate has already been decided; revoke it first (a new decision needs a new upload)';
+
+    // Batched decisions are on-chain once anchor-batches has picked them up
+    if (certificate.batch_id) {
+      throw new Error(alreadyDecided);
+    }
+
+    if (existingJob && existingJob.status !== 'failed') {
+      if (existingJob.status !== 'pending_chain' || existingJob.eligible !== eligible) {
+        throw new Error(alreadyDecided);
+      }
+
+      const job = await reconcileVerificationJob(supabase, existingJob);
+      return new Response(
+        JSON.stringify({ success: true, data: describeVerificationJob(job) }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 200,
+        }
+      );
+    }
+
+    assertDecisionAllowed(certificate, user.id, eligible);
+
+    const subject = resolveCertificateSubject(certificate, donorWalletAddress);
+
+    // Only anchor an address the donor signed for through wallet-sign-in
+    if (certificate.identity_mode !== 'commitment') {
+      await requireProvenWallet(supabase, certificate.donor_id, donorWalletAddress!);
+    }
+
     // Download certificate file from Supabase Storage
     const { data: fileData, error: downloadError } = await supabase
       .storage
@@ -111,72 +297,96 @@ serve(async (req) => {
 
     console.log('Computed certificate hash:', certHash);
 
-    // Initialize blockchain connection
-    const rpcUrl = Deno.env.get('RPC_URL');
-    const privateKey = Deno.env.get('MINTER_PRIVATE_KEY');
-    const contractAddress = Deno.env.get('DONOR_CONTRACT_ADDRESS');
+    // Connect to blockchain as the reviewing hospital
+    const { wallet, contract, contractAddress } = await connectAsHospital(user.id);
+    // Whole seconds, so the stored date matches the on-chain value exactly
+    const validUntilSeconds = Math.floor(Date.now() / 1000) + validityDays * 24 * 60 * 60;
+    const validUntil = new Date(validUntilSeconds * 1000);
 
-    if (!rpcUrl || !privateKey || !contractAddress) {
-      throw new Error('Missing blockchain configuration environment variables');
-    }
+    // In batch mode the approval is queued and anchored later by anchor-batches
+    if (Deno.env.get('ANCHOR_MODE') === 'batch') {
+      const queuedAt = new Date().toISOString();
+      const { error: queueError } = await supabase
+        .from('donor_certificates')
+        .update({
+          cert_hash: certHash,
+          eligible: eligible,
+          anchor_mode: 'batch',
+          chain_address: contractAddress,
+          subject_key: subject,
+          verifier_address: wallet.address,
+          valid_until: validUntil.toISOString(),
+          verified_at: queuedAt,
+          reviewed_by: user.id,
+          admin_notes: adminNotes || null,
+        })
+        .eq('id', certificateId);
 
-    // Connect to blockchain
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(contractAddress, DONOR_VERIFICATION_ABI, wallet);
+      if (queueError) {
+        console.error('Failed to queue certificate:', queueError);
+        throw new Error('Failed to queue certificate for anchoring');
+      }
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          data: {
+            certificateId,
+            certHash,
+            queued: true,
+            contractAddress,
+            verifierAddress: wallet.address,
+            eligible,
+            validUntil: validUntil.toISOString(),
+            verifiedAt: queuedAt,
+          },
+        }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 200,
+        }
+      );
+    }
 
     console.log('Storing verification on blockchain...');
-    console.log('Donor address:', donorWalletAddress);
+    console.log('Identity mode:', certificate.identity_mode || 'address');
+    console.log('Subject:', subject);
     console.log('Certificate hash:', certHash);
     console.log('Eligible:', eligible);
+    console.log('Verifier:', wallet.address);
+    console.log('Valid until:', validUntil.toISOString());
 
-    // Store verification on blockchain
-    const tx = await contract.storeVerification(
-      donorWalletAddress,
-      certHash,
-      eligible
-    );
-
-    console.log('Transaction submitted:', tx.hash);
+    // The job (and its tx hash) is stored before the transaction is broadcast
+    const job = await startVerificationJob(supabase, {
+      certificate_id: certificateId,
+      hospital_id: user.id,
+      subject_key: subject,
+      cert_hash: certHash,
+      eligible: eligible,
+      valid_until: validUntil.toISOString(),
+      admin_notes: adminNotes || null,
+      chain_address: contractAddress,
+    }, wallet, contract);
 
-    // Wait for transaction confirmation
-    const receipt = await tx.wait();
-    
-    console.log('Transaction confirmed in block:', receipt.blockNumber);
+    // Not confirmed in time: the job stays pending_chain for the reconciler
+    const receipt = await waitForVerificationJob(wallet.provider, job);
+    let result = job;
+    if (receipt) {
+      console.log('Transaction confirmed in block:', receipt.blockNumber);
+      result = await finalizeVerificationJob(supabase, job, receipt);
+    } else {
+      console.log('Transaction still pending:', job.tx_hash);
+    }
 
-    // Update database with verification details
-    const { error: updateError } = await supabase
-      .from('donor_certificates')
-      .update({
-        cert_hash: certHash,
-        eligible: eligible,
-        tx_hash: tx.hash,
-        chain_address: contractAddress,
-        verified_at: new Date().toISOString(),
-        reviewed_by: user.id,
-        admin_notes: adminNotes || null,
-      })
-      .eq('id', certificateId);
-
-    if (updateError) {
-      console.error('Failed to update database:', updateError);
-      // Transaction is on blockchain, but DB update failed - log this
-      throw new Error('Blockchain verification successful but database update failed');
+    if (result.status === 'failed') {
+      throw new Error(result.last_error || 'Blockchain transaction failed');
     }
 
     // Return success response
     return new Response(
       JSON.stringify({
         success: true,
-        data: {
-          certificateId,
-          certHash,
-          txHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          contractAddress,
-          eligible,
-          verifiedAt: new Date().toISOString(),
-        },
+        data: describeVerificationJob(result),
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -0,0 +1,166 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.3";
+import { corsHeaders } from "../_shared/donorVerification.ts";
+import { NONCE_TTL_MS, generateNonce, verifySignInSignature } from "../_shared/walletSignIn.ts";
+
+interface WalletSignInRequest {
+  action: 'nonce' | 'verify';
+  message?: string;
+  signature?: string;
+}
+
+/**
+ * Issue a one-time nonce for the signed-in user's next sign-in message
+ */
+async function issueNonce(supabase: any, userId: string) {
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const nonce = generateNonce();
+
+  const { error } = await supabase
+    .from('wallet_sign_in_nonces')
+    .insert([{ user_id: userId, nonce, issued_at: issuedAt.toISOString(), expires_at: expiresAt.toISOString() }]);
+
+  if (error) {
+    throw new Error(`Failed to issue nonce: ${error.message}`);
+  }
+
+  return { nonce, issuedAt: issuedAt.toISOString(), expirationTime: expiresAt.toISOString() };
+}
+
+/**
+ * Check a signed sign-in message and record the proven wallet
+ */
+async function verifySignIn(supabase: any, userId: string, body: WalletSignInRequest) {
+  const { message, signature } = body;
+
+  if (!message || !signature) {
+    throw new Error('Missing required fields: message, signature');
+  }
+
+  const fields = verifySignInSignature(message, signature);
+
+  // A message signed for another site must not link a wallet here. The
+  // Origin header is optional for non-browser callers, so compare against
+  // the configured host instead.
+  const appDomain = Deno.env.get('APP_DOMAIN');
+  if (!appDomain) {
+    throw new Error('APP_DOMAIN is not configured');
+  }
+
+  if (fields.domain !== appDomain) {
+    throw new Error('Sign-in message was created for a different site');
+  }
+
+  const expectedChainId = Deno.env.get('CHAIN_ID');
+  if (expectedChainId && fields.chainId !== Number(expectedChainId)) {
+    throw new Error(`Connect your wallet to chain ${expectedChainId} and try again`);
+  }
+
+  // Consume the nonce; the used_at filter stops the same message being replayed
+  const { data: consumed, error: nonceError } = await supabase
+    .from('wallet_sign_in_nonces')
+    .update({ used_at: new Date().toISOString() })
+    .eq('nonce', fields.nonce)
+    .eq('user_id', userId)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('id')
+    .maybeSingle();
+
+  if (nonceError || !consumed) {
+    throw new Error('Sign-in request has expired or was already used; please sign again');
+  }
+
+  const address = fields.address.toLowerCase();
+  const verifiedAt = new Date().toISOString();
+
+  const { error: proofError } = await supabase
+    .from('wallet_ownership_proofs')
+    .upsert({
+      user_id: userId,
+      address,
+      chain_id: fields.chainId,
+      message,
+      signature,
+      verified_at: verifiedAt,
+    }, { onConflict: 'user_id,address' });
+
+  if (proofError) {
+    throw new Error(`Failed to save wallet proof: ${proofError.message}`);
+  }
+
+  const { error: profileError } = await supabase
+    .from('user_profiles')
+    .update({ wallet_address: fields.address, wallet_verified_at: verifiedAt, wallet_custodial: false })
+    .eq('id', userId);
+
+  if (profileError) {
+    throw new Error(`Failed to save wallet address: ${profileError.message}`);
+  }
+
+  console.log(`Wallet ${fields.address} proven for user ${userId}`);
+  return { address: fields.address, chainId: fields.chainId, verifiedAt };
+}
+
+/**
+ * Wallet ownership proof: issue a nonce, then accept the signed EIP-4361 message
+ */
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+    // Authenticate the request using the user's access token
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) {
+      throw new Error('Missing authorization header');
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      throw new Error('Unauthorized');
+    }
+
+    const body: WalletSignInRequest = await req.json();
+
+    let data;
+    if (body.action === 'nonce') {
+      data = await issueNonce(supabase, user.id);
+    } else if (body.action === 'verify') {
+      data = await verifySignIn(supabase, user.id, body);
+    } else {
+      throw new Error('Unknown action');
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, data }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      }
+    );
+
+  } catch (error) {
+    console.error('Error in wallet-sign-in function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message || 'Internal server error',
+      }),
+      {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      }
+    );
+  }
+});
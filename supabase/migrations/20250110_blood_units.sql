@@ -0,0 +1,96 @@
+-- Create blood_units table for per-bag inventory tracking
+-- Each row is one physical blood bag; blood_inventory totals are derived from it
+
+create table if not exists blood_units (
+  id uuid primary key default gen_random_uuid(),
+  hospital_id uuid references auth.users(id) on delete cascade,
+  bag_number text not null,          -- Barcode / ISBT 128 number printed on the bag
+  blood_type text not null,          -- 'A+', 'O-', ...
+  component text not null default 'whole_blood',
+  volume_ml integer default 450,
+  collection_date timestamptz not null,
+  expiry_date timestamptz not null,
+  status text not null default 'available'
+    check (status in ('available', 'reserved', 'issued', 'quarantined', 'discarded')),
+  donation_id uuid,                  -- Source donation (if collected through BloodLink)
+  issued_request_id uuid,            -- Blood request the bag was issued against
+  issued_at timestamptz,
+  quarantined_at timestamptz,
+  quarantine_reason text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (hospital_id, bag_number)
+);
+
+-- Indexes for FIFO lookups and hospital dashboards
+create index if not exists blood_units_hospital_id_idx on blood_units(hospital_id);
+create index if not exists blood_units_fifo_idx
+  on blood_units(hospital_id, blood_type, component, status, expiry_date);
+
+-- Enable Row Level Security
+alter table blood_units enable row level security;
+
+-- Policy: Hospitals manage their own bags
+create policy "Hospitals can view own blood units"
+  on blood_units
+  for select
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can add own blood units"
+  on blood_units
+  for insert
+  with check (auth.uid() = hospital_id);
+
+create policy "Hospitals can update own blood units"
+  on blood_units
+  for update
+  using (auth.uid() = hospital_id);
+
+-- Function to automatically update updated_at timestamp
+create or replace function update_blood_units_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger blood_units_updated_at
+  before update on blood_units
+  for each row
+  execute function update_blood_units_updated_at();
+
+-- Keep the legacy blood_inventory summary row in sync with the bags,
+-- so anything still reading units_available sees bag-derived totals
+create or replace function refresh_blood_inventory_totals()
+returns trigger as $$
+declare
+  target_hospital uuid;
+  target_blood_type text;
+begin
+  target_hospital := coalesce(new.hospital_id, old.hospital_id);
+  target_blood_type := coalesce(new.blood_type, old.blood_type);
+
+  insert into blood_inventory (hospital_id, blood_type, units_available, expiry_date, last_updated)
+  select
+    target_hospital,
+    target_blood_type,
+    count(*) filter (where status = 'available' and expiry_date > now()),
+    min(expiry_date) filter (where status = 'available' and expiry_date > now()),
+    now()
+  from blood_units
+  where hospital_id = target_hospital
+    and blood_type = target_blood_type
+  on conflict (hospital_id, blood_type) do update
+    set units_available = excluded.units_available,
+        expiry_date = excluded.expiry_date,
+        last_updated = excluded.last_updated;
+
+  return null;
+end;
+$$ language plpgsql;
+
+create trigger blood_units_refresh_inventory
+  after insert or update or delete on blood_units
+  for each row
+  execute function refresh_blood_inventory_totals();
@@ -0,0 +1,62 @@
+-- Add blood component separation (whole blood, red cells, plasma, platelets, cryo)
+-- Requests ask for a specific component and inventory is kept per component
+
+-- Blood requests: which component the patient needs
+alter table blood_requests
+  add column if not exists component text not null default 'whole_blood';
+
+alter table blood_requests
+  drop constraint if exists blood_requests_component_check;
+alter table blood_requests
+  add constraint blood_requests_component_check
+  check (component in ('whole_blood', 'red_cells', 'plasma', 'platelets', 'cryo'));
+
+-- Blood units: restrict to known components
+alter table blood_units
+  drop constraint if exists blood_units_component_check;
+alter table blood_units
+  add constraint blood_units_component_check
+  check (component in ('whole_blood', 'red_cells', 'plasma', 'platelets', 'cryo'));
+
+-- Blood inventory: one summary row per hospital, blood type and component
+alter table blood_inventory
+  add column if not exists component text not null default 'whole_blood';
+
+alter table blood_inventory
+  drop constraint if exists blood_inventory_hospital_id_blood_type_key;
+alter table blood_inventory
+  add constraint blood_inventory_hospital_blood_type_component_key
+  unique (hospital_id, blood_type, component);
+
+-- Recompute summary rows per component
+create or replace function refresh_blood_inventory_totals()
+returns trigger as $$
+declare
+  target_hospital uuid;
+  target_blood_type text;
+  target_component text;
+begin
+  target_hospital := coalesce(new.hospital_id, old.hospital_id);
+  target_blood_type := coalesce(new.blood_type, old.blood_type);
+  target_component := coalesce(new.component, old.component);
+
+  insert into blood_inventory (hospital_id, blood_type, component, units_available, expiry_date, last_updated)
+  select
+    target_hospital,
+    target_blood_type,
+    target_component,
+    count(*) filter (where status = 'available' and expiry_date > now()),
+    min(expiry_date) filter (where status = 'available' and expiry_date > now()),
+    now()
+  from blood_units
+  where hospital_id = target_hospital
+    and blood_type = target_blood_type
+    and component = target_component
+  on conflict (hospital_id, blood_type, component) do update
+    set units_available = excluded.units_available,
+        expiry_date = excluded.expiry_date,
+        last_updated = excluded.last_updated;
+
+  return null;
+end;
+$$ language plpgsql;
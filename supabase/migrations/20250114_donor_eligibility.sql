@@ -0,0 +1,26 @@
+-- Donor eligibility rules engine (see src/utils/eligibilityRules.js)
+
+-- Donor fields used by the eligibility rules
+alter table user_profiles
+  add column if not exists weight_kg numeric(5, 1),
+  add column if not exists last_donation_component text,
+  add column if not exists last_travel_date date,
+  add column if not exists last_tattoo_date date;
+
+-- Hospital policy: a preset name plus optional per-setting overrides, e.g.
+-- {"minWeightKg": 55, "deferralDays": {"platelets": 14}}
+alter table user_profiles
+  add column if not exists eligibility_policy text not null default 'lenient',
+  add column if not exists eligibility_overrides jsonb not null default '{}'::jsonb;
+
+alter table user_profiles
+  drop constraint if exists user_profiles_eligibility_policy_check;
+alter table user_profiles
+  add constraint user_profiles_eligibility_policy_check
+  check (eligibility_policy in ('strict', 'lenient'));
+
+alter table user_profiles
+  drop constraint if exists user_profiles_last_donation_component_check;
+alter table user_profiles
+  add constraint user_profiles_last_donation_component_check
+  check (last_donation_component is null or last_donation_component in ('whole_blood', 'red_cells', 'plasma', 'platelets', 'cryo'));
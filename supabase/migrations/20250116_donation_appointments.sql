@@ -0,0 +1,270 @@
+-- Donation appointment scheduling
+-- Hospitals publish time slots with a capacity; donors book, reschedule or cancel
+-- hospital_id/donor_id reference user_profiles so the API can embed hospital and donor details
+
+create table if not exists donation_slots (
+  id uuid primary key default gen_random_uuid(),
+  hospital_id uuid references user_profiles(id) on delete cascade,
+  start_time timestamptz not null,
+  end_time timestamptz not null,
+  capacity integer not null default 1 check (capacity > 0),
+  booked_count integer not null default 0,   -- Maintained by trigger, do not write directly
+  notes text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  check (end_time > start_time)
+);
+
+create table if not exists donation_appointments (
+  id uuid primary key default gen_random_uuid(),
+  slot_id uuid not null references donation_slots(id) on delete cascade,
+  hospital_id uuid references user_profiles(id) on delete cascade,
+  donor_id uuid references user_profiles(id) on delete cascade,
+  request_id uuid,                   -- Blood request the donor is coming in for (optional)
+  donor_response_id uuid,            -- Accepted donor_responses row (optional)
+  status text not null default 'booked'
+    check (status in ('booked', 'attended', 'cancelled', 'no_show')),
+  reschedule_count integer not null default 0,
+  no_show_recorded_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Link responses and donations back to the appointment
+alter table donor_responses
+  add column if not exists appointment_id uuid references donation_appointments(id) on delete set null,
+  add column if not exists no_show_at timestamptz;
+
+alter table donations
+  add column if not exists appointment_id uuid references donation_appointments(id) on delete set null;
+
+-- Indexes for schedule lookups
+create index if not exists donation_slots_hospital_start_idx on donation_slots(hospital_id, start_time);
+create index if not exists donation_appointments_slot_idx on donation_appointments(slot_id);
+create index if not exists donation_appointments_donor_idx on donation_appointments(donor_id);
+
+-- A donor can only hold one active booking per slot
+create unique index if not exists donation_appointments_active_donor_slot_idx
+  on donation_appointments(slot_id, donor_id)
+  where status = 'booked';
+
+-- Enable Row Level Security
+alter table donation_slots enable row level security;
+alter table donation_appointments enable row level security;
+
+-- Policy: Anyone signed in can browse slots, hospitals manage their own
+create policy "Authenticated users can view donation slots"
+  on donation_slots
+  for select
+  using (auth.role() = 'authenticated');
+
+create policy "Hospitals can add own donation slots"
+  on donation_slots
+  for insert
+  with check (auth.uid() = hospital_id);
+
+create policy "Hospitals can update own donation slots"
+  on donation_slots
+  for update
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can delete own donation slots"
+  on donation_slots
+  for delete
+  using (auth.uid() = hospital_id);
+
+-- Policy: Donors manage their own appointments, hospitals see and update theirs
+create policy "Donors can view own appointments"
+  on donation_appointments
+  for select
+  using (auth.uid() = donor_id);
+
+create policy "Donors can book appointments"
+  on donation_appointments
+  for insert
+  with check (
+    auth.uid() = donor_id
+    and status = 'booked'
+    and reschedule_count = 0
+    and exists (
+      select 1 from donation_slots
+      where donation_slots.id = donation_appointments.slot_id
+        and donation_slots.hospital_id = donation_appointments.hospital_id
+        and donation_slots.start_time > now()   -- Slots that have started cannot be booked
+    )
+  );
+
+-- Donors can only cancel a booking; moving it goes through reschedule_donation_appointment()
+create policy "Donors can cancel own appointments"
+  on donation_appointments
+  for update
+  using (auth.uid() = donor_id and status = 'booked')
+  with check (auth.uid() = donor_id and status = 'cancelled');
+
+create policy "Hospitals can view their appointments"
+  on donation_appointments
+  for select
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can update their appointments"
+  on donation_appointments
+  for update
+  using (auth.uid() = hospital_id)
+  with check (auth.uid() = hospital_id);
+
+-- Function to automatically update updated_at timestamp
+create or replace function update_donation_scheduling_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger donation_slots_updated_at
+  before update on donation_slots
+  for each row
+  execute function update_donation_scheduling_updated_at();
+
+create trigger donation_appointments_updated_at
+  before update on donation_appointments
+  for each row
+  execute function update_donation_scheduling_updated_at();
+
+-- Only a booked appointment can change status, and only its status: the slot,
+-- hospital and donor are fixed except when reschedule_donation_appointment()
+-- moves the booking (it sets app.rescheduling_appointment for its transaction)
+create or replace function guard_donation_appointment_update()
+returns trigger as $$
+begin
+  if old.status <> 'booked' and new.status is distinct from old.status then
+    raise exception 'Appointment is already %', old.status;
+  end if;
+
+  if (new.slot_id, new.hospital_id, new.donor_id) is distinct from (old.slot_id, old.hospital_id, old.donor_id)
+    and coalesce(current_setting('app.rescheduling_appointment', true), '') <> 'on' then
+    raise exception 'Appointments can only be moved by rescheduling';
+  end if;
+
+  -- A donor cancelling cannot touch anything else on the row
+  if auth.uid() = old.donor_id
+    and coalesce(current_setting('app.rescheduling_appointment', true), '') <> 'on'
+    and (to_jsonb(new) - 'status' - 'updated_at') <> (to_jsonb(old) - 'status' - 'updated_at') then
+    raise exception 'Donors can only cancel appointments';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger donation_appointments_guard
+  before update on donation_appointments
+  for each row
+  execute function guard_donation_appointment_update();
+
+-- Enforce slot capacity. The slot row is locked so two donors booking the
+-- last place at the same time cannot both succeed.
+create or replace function enforce_donation_slot_capacity()
+returns trigger as $$
+declare
+  slot_capacity integer;
+  active_bookings integer;
+begin
+  if new.status <> 'booked' then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' and old.status = 'booked' and old.slot_id = new.slot_id then
+    return new;
+  end if;
+
+  select capacity into slot_capacity
+  from donation_slots
+  where id = new.slot_id
+  for update;
+
+  select count(*) into active_bookings
+  from donation_appointments
+  where slot_id = new.slot_id
+    and status = 'booked'
+    and id <> new.id;
+
+  if active_bookings >= slot_capacity then
+    raise exception 'Donation slot is fully booked';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql security definer;
+
+create trigger donation_appointments_capacity
+  before insert or update on donation_appointments
+  for each row
+  execute function enforce_donation_slot_capacity();
+
+-- Keep donation_slots.booked_count in sync for cheap availability queries
+create or replace function refresh_donation_slot_booked_count()
+returns trigger as $$
+begin
+  update donation_slots
+  set booked_count = (
+    select count(*) from donation_appointments
+    where slot_id = donation_slots.id and status = 'booked'
+  )
+  where id in (new.slot_id, old.slot_id);
+
+  return null;
+end;
+$$ language plpgsql security definer;
+
+create trigger donation_appointments_refresh_booked_count
+  after insert or update or delete on donation_appointments
+  for each row
+  execute function refresh_donation_slot_booked_count();
+
+-- Move a booking to another slot at the same hospital (donor or hospital)
+create or replace function reschedule_donation_appointment(p_appointment_id uuid, p_slot_id uuid)
+returns donation_appointments as $$
+declare
+  appointment donation_appointments%rowtype;
+  new_slot donation_slots%rowtype;
+begin
+  select * into appointment
+  from donation_appointments
+  where id = p_appointment_id
+    and auth.uid() in (donor_id, hospital_id)
+  for update;
+
+  if not found then
+    raise exception 'Appointment not found';
+  end if;
+
+  if appointment.status <> 'booked' then
+    raise exception 'Cannot reschedule an appointment that is %', appointment.status;
+  end if;
+
+  select * into new_slot from donation_slots where id = p_slot_id;
+
+  if not found or new_slot.hospital_id is distinct from appointment.hospital_id then
+    raise exception 'Appointments can only be moved to another slot at the same hospital';
+  end if;
+
+  if new_slot.start_time <= now() then
+    raise exception 'This slot has already started';
+  end if;
+
+  perform set_config('app.rescheduling_appointment', 'on', true);
+
+  update donation_appointments
+  set slot_id = p_slot_id,
+      reschedule_count = reschedule_count + 1
+  where id = p_appointment_id
+  returning * into appointment;
+
+  perform set_config('app.rescheduling_appointment', 'off', true);
+
+  return appointment;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function reschedule_donation_appointment(uuid, uuid) to authenticated;
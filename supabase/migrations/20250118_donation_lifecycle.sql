@@ -0,0 +1,262 @@
+-- Donation lifecycle (see src/utils/donationLifecycle.js)
+-- accepted -> arrived -> screened -> collected -> tested -> released/discarded
+-- Donations no longer start as 'completed' when a donor accepts a request
+
+alter table donations
+  add column if not exists hospital_id uuid references user_profiles(id) on delete set null,
+  add column if not exists component text not null default 'whole_blood',
+  add column if not exists arrived_at timestamptz,
+  add column if not exists screened_at timestamptz,
+  add column if not exists collected_at timestamptz,
+  add column if not exists tested_at timestamptz,
+  add column if not exists released_at timestamptz,
+  add column if not exists discarded_at timestamptz,
+  add column if not exists cancelled_at timestamptz;
+
+-- Backfill the hospital from the request the donation answered
+update donations d
+set hospital_id = r.requester_id
+from blood_requests r
+where d.request_id = r.id
+  and d.hospital_id is null;
+
+-- Rows created automatically on accept before this migration stay 'completed':
+-- a terminal legacy status, so old donations never reappear in the pipeline
+
+alter table donations
+  drop constraint if exists donations_status_check;
+alter table donations
+  add constraint donations_status_check
+  check (status in (
+    'accepted', 'arrived', 'screened', 'collected', 'tested', 'released', 'discarded',
+    'cancelled', 'no_show',
+    'completed'  -- legacy rows recorded before lifecycle tracking
+  ));
+
+create index if not exists donations_hospital_status_idx on donations(hospital_id, status);
+create index if not exists donations_donor_status_idx on donations(donor_id, status);
+
+-- Hospitals move donations for their own requests through the pipeline
+drop policy if exists "Hospitals can view their donations" on donations;
+create policy "Hospitals can view their donations"
+  on donations
+  for select
+  using (auth.uid() = hospital_id);
+
+drop policy if exists "Hospitals can update their donations" on donations;
+create policy "Hospitals can update their donations"
+  on donations
+  for update
+  using (auth.uid() = hospital_id)
+  with check (auth.uid() = hospital_id);
+
+-- Allowed next states for each state.
+-- Keep in sync with DONATION_TRANSITIONS in src/utils/donationLifecycle.js.
+create or replace function donation_next_statuses(p_status text)
+returns text[] as $$
+  select case p_status
+    when 'accepted' then array['arrived', 'cancelled', 'no_show']
+    when 'arrived' then array['screened', 'cancelled']
+    when 'screened' then array['collected', 'cancelled']
+    when 'collected' then array['tested']
+    when 'tested' then array['released', 'discarded']
+    else array[]::text[]
+  end;
+$$ language sql immutable;
+
+-- New donations start at 'accepted', and the status and its timestamps only
+-- change through advance_donation_status() and release_donation_unit(), which
+-- set app.donation_lifecycle for their own update. Without this, a direct
+-- update could skip the vitals gate or mark a unit released without a bag.
+create or replace function guard_donation_status()
+returns trigger as $$
+begin
+  if coalesce(current_setting('app.donation_lifecycle', true), '') = 'on'
+    or auth.role() = 'service_role' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.status is distinct from 'accepted' then
+      raise exception 'Donations start as accepted';
+    end if;
+    return new;
+  end if;
+
+  if (new.status, new.arrived_at, new.screened_at, new.collected_at, new.tested_at,
+      new.released_at, new.discarded_at, new.cancelled_at)
+    is distinct from
+     (old.status, old.arrived_at, old.screened_at, old.collected_at, old.tested_at,
+      old.released_at, old.discarded_at, old.cancelled_at) then
+    raise exception 'Donation status can only be changed through the donation lifecycle';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger donations_guard_status
+  before insert or update on donations
+  for each row
+  execute function guard_donation_status();
+
+-- Blood was drawn: start the donor's cooldown and bump their donation count.
+-- Runs with the status change, so two collections can never both read the
+-- same total_donations and write back the same number.
+create or replace function record_donation_collection()
+returns trigger as $$
+begin
+  update user_profiles
+  set last_donation_date = coalesce(new.collected_at, now()),
+      last_donation_component = coalesce(new.component, 'whole_blood'),
+      total_donations = coalesce(total_donations, 0) + 1,
+      updated_at = now()
+  where id = new.donor_id;
+
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donations_record_collection
+  after update of status on donations
+  for each row
+  when (new.status = 'collected' and old.status is distinct from 'collected')
+  execute function record_donation_collection();
+
+-- Move a donation to its next state (everything but release, see below).
+-- Collection needs a passing set of vitals (20250122_donation_vitals.sql).
+create or replace function advance_donation_status(
+  p_donation_id uuid,
+  p_status text,
+  p_notes text default null,
+  p_appointment_id uuid default null
+)
+returns donations as $$
+declare
+  donation donations%rowtype;
+begin
+  select * into donation
+  from donations
+  where id = p_donation_id
+    and hospital_id = auth.uid()
+  for update;
+
+  if not found then
+    raise exception 'Donation not found';
+  end if;
+
+  if p_status = 'released' then
+    raise exception 'Release the unit with its bag number';
+  end if;
+
+  if not (p_status = any(donation_next_statuses(donation.status))) then
+    raise exception 'Cannot move donation from % to %', donation.status, p_status;
+  end if;
+
+  if p_status = 'collected' and not exists (
+    select 1 from donation_vitals
+    where donation_vitals.donation_id = donation.id
+      and donation_vitals.passed
+  ) then
+    raise exception 'Record vitals within the hospital thresholds before collecting';
+  end if;
+
+  perform set_config('app.donation_lifecycle', 'on', true);
+
+  update donations
+  set status = p_status,
+      arrived_at = case when p_status = 'arrived' then now() else arrived_at end,
+      screened_at = case when p_status = 'screened' then now() else screened_at end,
+      collected_at = case when p_status = 'collected' then now() else collected_at end,
+      donation_date = case when p_status = 'collected' then now() else donation_date end,
+      tested_at = case when p_status = 'tested' then now() else tested_at end,
+      discarded_at = case when p_status = 'discarded' then now() else discarded_at end,
+      cancelled_at = case when p_status in ('cancelled', 'no_show') then now() else cancelled_at end,
+      notes = coalesce(p_notes, notes),
+      appointment_id = coalesce(p_appointment_id, appointment_id),
+      updated_at = now()
+  where id = donation.id
+  returning * into donation;
+
+  perform set_config('app.donation_lifecycle', 'off', true);
+
+  return donation;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Release a tested unit: register its bag and mark the donation released in
+-- one transaction, so a failed bag insert (duplicate bag number, ...) leaves
+-- the donation at 'tested' and the release can be retried
+create or replace function release_donation_unit(
+  p_donation_id uuid,
+  p_bag_number text,
+  p_expiry_date timestamptz,
+  p_notes text default null
+)
+returns donations as $$
+declare
+  donation donations%rowtype;
+  donor_blood_type text;
+begin
+  if coalesce(trim(p_bag_number), '') = '' then
+    raise exception 'A bag number is required to release the unit into inventory';
+  end if;
+
+  select * into donation
+  from donations
+  where id = p_donation_id
+    and hospital_id = auth.uid()
+  for update;
+
+  if not found then
+    raise exception 'Donation not found';
+  end if;
+
+  if donation.status <> 'tested' then
+    raise exception 'Cannot move donation from % to released', donation.status;
+  end if;
+
+  -- The bag holds the donor's blood, not the type the request asked for
+  select blood_type into donor_blood_type
+  from user_profiles
+  where id = donation.donor_id;
+
+  if donor_blood_type is null then
+    raise exception 'Record the donor''s blood type before releasing the unit';
+  end if;
+
+  insert into blood_units (
+    hospital_id, bag_number, blood_type, component, volume_ml,
+    collection_date, expiry_date, status, donation_id
+  )
+  values (
+    donation.hospital_id,
+    trim(p_bag_number),
+    donor_blood_type,
+    coalesce(donation.component, 'whole_blood'),
+    coalesce(donation.amount_ml, 450),
+    coalesce(donation.collected_at, donation.donation_date),
+    p_expiry_date,
+    case when p_expiry_date <= now() then 'quarantined' else 'available' end,
+    donation.id
+  );
+
+  perform set_config('app.donation_lifecycle', 'on', true);
+
+  update donations
+  set status = 'released',
+      blood_type = donor_blood_type,
+      released_at = now(),
+      notes = coalesce(p_notes, notes),
+      updated_at = now()
+  where id = donation.id
+  returning * into donation;
+
+  perform set_config('app.donation_lifecycle', 'off', true);
+
+  return donation;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function advance_donation_status(uuid, text, text, uuid) to authenticated;
+grant execute on function release_donation_unit(uuid, text, timestamptz, text) to authenticated;
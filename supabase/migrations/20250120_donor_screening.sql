@@ -0,0 +1,215 @@
+-- Pre-donation screening questionnaire (see src/utils/screeningQuestionnaire.js)
+-- One screening per donation attempt; answers can defer the donor
+
+create table if not exists donor_screenings (
+  id uuid primary key default gen_random_uuid(),
+  donation_id uuid not null references donations(id) on delete cascade,
+  donor_id uuid not null references user_profiles(id) on delete cascade,
+  hospital_id uuid references user_profiles(id) on delete set null,
+  answers jsonb not null default '{}'::jsonb,
+  passed boolean not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists donor_deferrals (
+  id uuid primary key default gen_random_uuid(),
+  donor_id uuid not null references user_profiles(id) on delete cascade,
+  screening_id uuid references donor_screenings(id) on delete set null,
+  hospital_id uuid references user_profiles(id) on delete set null,
+  reason_code text not null,
+  reason text not null,
+  -- Coarse category copied to the donor profile (see DEFERRAL_CATEGORIES)
+  category text not null default 'medical' check (category in ('medical', 'travel', 'procedure')),
+  deferral_type text not null check (deferral_type in ('temporary', 'permanent')),
+  starts_at timestamptz not null default now(),
+  -- null for permanent deferrals
+  ends_at timestamptz,
+  lifted_at timestamptz,
+  lifted_reason text,
+  created_at timestamptz not null default now(),
+  constraint donor_deferrals_end_check
+    check ((deferral_type = 'permanent' and ends_at is null) or (deferral_type = 'temporary' and ends_at is not null))
+);
+
+create index if not exists donor_screenings_donation_idx on donor_screenings(donation_id);
+create index if not exists donor_screenings_donor_idx on donor_screenings(donor_id, created_at desc);
+create index if not exists donor_deferrals_donor_idx on donor_deferrals(donor_id) where lifted_at is null;
+
+-- Summary of the donor's active deferrals, read by the eligibility engine
+-- alongside the other profile fields it already uses. Other hospitals read
+-- these columns when matching donors, so only the category is copied here;
+-- the clinical reason stays in donor_deferrals.
+alter table user_profiles
+  add column if not exists deferred_until timestamptz,
+  add column if not exists deferral_permanent boolean not null default false,
+  add column if not exists deferral_category text;
+
+-- Enable RLS
+alter table donor_screenings enable row level security;
+alter table donor_deferrals enable row level security;
+
+-- Policy: Donors see their own screenings and deferrals
+create policy "Donors can view own screenings"
+  on donor_screenings
+  for select
+  using (auth.uid() = donor_id);
+
+create policy "Donors can view own deferrals"
+  on donor_deferrals
+  for select
+  using (auth.uid() = donor_id);
+
+-- Policy: Hospitals see the screenings and deferrals they recorded and can
+-- lift their own. Both are written only through record_donor_screening.
+create policy "Hospitals can view their screenings"
+  on donor_screenings
+  for select
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can view deferrals they recorded"
+  on donor_deferrals
+  for select
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can lift their deferrals"
+  on donor_deferrals
+  for update
+  using (auth.uid() = hospital_id);
+
+-- Keep the profile summary in step with donor_deferrals. Runs as the table
+-- owner because hospitals cannot update donor profiles directly.
+create or replace function refresh_donor_deferral_summary()
+returns trigger as $$
+declare
+  target_donor uuid := coalesce(new.donor_id, old.donor_id);
+begin
+  perform set_config('app.deferral_summary', 'on', true);
+
+  update user_profiles
+  set
+    deferral_permanent = exists (
+      select 1 from donor_deferrals d
+      where d.donor_id = target_donor
+        and d.lifted_at is null
+        and d.deferral_type = 'permanent'
+    ),
+    deferred_until = (
+      select max(d.ends_at) from donor_deferrals d
+      where d.donor_id = target_donor
+        and d.lifted_at is null
+        and d.deferral_type = 'temporary'
+        and d.ends_at > now()
+    ),
+    deferral_category = (
+      select d.category from donor_deferrals d
+      where d.donor_id = target_donor
+        and d.lifted_at is null
+        and (d.deferral_type = 'permanent' or d.ends_at > now())
+      order by d.deferral_type = 'permanent' desc, d.ends_at desc
+      limit 1
+    ),
+    updated_at = now()
+  where id = target_donor;
+
+  perform set_config('app.deferral_summary', 'off', true);
+
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donor_deferrals_refresh_summary
+  after insert or update or delete on donor_deferrals
+  for each row
+  execute function refresh_donor_deferral_summary();
+
+-- The summary columns are only written by the trigger above. Donors can edit
+-- their own profile, so refuse direct changes to them.
+create or replace function protect_donor_deferral_summary()
+returns trigger as $$
+begin
+  if (new.deferred_until is distinct from old.deferred_until
+      or new.deferral_permanent is distinct from old.deferral_permanent
+      or new.deferral_category is distinct from old.deferral_category)
+     and coalesce(current_setting('app.deferral_summary', true), '') <> 'on'
+     and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'Deferrals can only be changed by recording or lifting them';
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger user_profiles_protect_deferral_summary
+  before update on user_profiles
+  for each row
+  execute function protect_donor_deferral_summary();
+
+-- Record a screening, its deferrals and the resulting donation status in one
+-- transaction. The questionnaire is evaluated by the client
+-- (evaluateScreening); an empty p_deferrals means the donor passed.
+create or replace function record_donor_screening(
+  p_donation_id uuid,
+  p_answers jsonb,
+  p_deferrals jsonb default '[]'::jsonb
+)
+returns jsonb as $$
+declare
+  target donations%rowtype;
+  screening donor_screenings%rowtype;
+  deferrals jsonb := coalesce(p_deferrals, '[]'::jsonb);
+  passed boolean := jsonb_array_length(coalesce(p_deferrals, '[]'::jsonb)) = 0;
+  deferral_rows jsonb;
+begin
+  select * into target
+  from donations
+  where id = p_donation_id
+    and hospital_id = auth.uid()
+  for update;
+
+  if not found then
+    raise exception 'Donation not found';
+  end if;
+
+  if target.status <> 'arrived' then
+    raise exception 'Screening can only be recorded once the donor has checked in';
+  end if;
+
+  insert into donor_screenings (donation_id, donor_id, hospital_id, answers, passed)
+  values (target.id, target.donor_id, target.hospital_id, coalesce(p_answers, '{}'::jsonb), passed)
+  returning * into screening;
+
+  with inserted as (
+    insert into donor_deferrals (
+      donor_id, screening_id, hospital_id, reason_code, reason, category, deferral_type, ends_at
+    )
+    select
+      target.donor_id,
+      screening.id,
+      target.hospital_id,
+      d->>'code',
+      d->>'reason',
+      coalesce(d->>'category', 'medical'),
+      d->>'type',
+      (d->>'ends_at')::timestamptz
+    from jsonb_array_elements(deferrals) d
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) into deferral_rows
+  from inserted;
+
+  if passed then
+    perform advance_donation_status(target.id, 'screened');
+  else
+    perform advance_donation_status(
+      target.id,
+      'cancelled',
+      'Deferred at screening: ' || (
+        select string_agg(d->>'reason', '; ') from jsonb_array_elements(deferrals) d
+      )
+    );
+  end if;
+
+  return jsonb_build_object('screening', to_jsonb(screening), 'deferrals', deferral_rows);
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function record_donor_screening(uuid, jsonb, jsonb) to authenticated;
@@ -0,0 +1,47 @@
+-- Pre-donation vitals (see src/utils/vitalsThresholds.js)
+-- Recorded by hospital staff after screening; a passing set is required before collection
+
+create table if not exists donation_vitals (
+  id uuid primary key default gen_random_uuid(),
+  donation_id uuid not null references donations(id) on delete cascade,
+  donor_response_id uuid references donor_responses(id) on delete set null,
+  donor_id uuid not null references user_profiles(id) on delete cascade,
+  hospital_id uuid references user_profiles(id) on delete set null,
+  hemoglobin_g_dl numeric(4, 1) not null,
+  systolic_bp integer not null,
+  diastolic_bp integer not null,
+  pulse_bpm integer not null,
+  weight_kg numeric(5, 1) not null,
+  temperature_c numeric(4, 1) not null,
+  passed boolean not null,
+  -- [{field, message}] for each reading outside the hospital's thresholds
+  failures jsonb not null default '[]'::jsonb,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists donation_vitals_donation_idx on donation_vitals(donation_id);
+create index if not exists donation_vitals_donor_idx on donation_vitals(donor_id, recorded_at desc);
+
+-- Hospital overrides for the default limits, e.g. {"hemoglobinMin": {"female": 12.0}, "pulseMax": 110}
+alter table user_profiles
+  add column if not exists vitals_thresholds jsonb not null default '{}'::jsonb;
+
+-- Enable RLS
+alter table donation_vitals enable row level security;
+
+-- Policy: Donors see their own readings (for the trend on their profile)
+create policy "Donors can view own vitals"
+  on donation_vitals
+  for select
+  using (auth.uid() = donor_id);
+
+-- Policy: Hospitals record and view vitals for their donations
+create policy "Hospitals can view their vitals"
+  on donation_vitals
+  for select
+  using (auth.uid() = hospital_id);
+
+create policy "Hospitals can record vitals"
+  on donation_vitals
+  for insert
+  with check (auth.uid() = hospital_id);
@@ -0,0 +1,7 @@
+-- Per-hospital verifiers (DonorVerification 3.0.0)
+-- Each hospital signs with its own key; the signing address is the on-chain verifier
+
+alter table donor_certificates
+  add column if not exists verifier_address text;  -- Hospital address that stored the record on-chain
+
+create index if not exists donor_certificates_verifier_address_idx on donor_certificates(verifier_address);
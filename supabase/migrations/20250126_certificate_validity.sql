@@ -0,0 +1,15 @@
+-- Certificate validity windows and revocation (DonorVerification 4.0.0)
+-- Mirrors the on-chain record so dashboards don't need an RPC call per certificate
+
+alter table donor_certificates
+  add column if not exists valid_until timestamptz,         -- On-chain expiry of the record
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revoked_by uuid references auth.users(id),
+  add column if not exists revocation_reason smallint       -- DonorVerification.RevocationReason code
+    check (revocation_reason is null or revocation_reason between 1 and 5),
+  add column if not exists revocation_tx_hash text;
+
+-- Expiry reminders look for approved certificates ending soon
+create index if not exists donor_certificates_valid_until_idx
+  on donor_certificates(valid_until)
+  where eligible = true and revoked_at is null;
@@ -0,0 +1,16 @@
+-- Privacy-preserving donor keys (DonorVerification 5.0.0)
+-- Records are keyed by a bytes32 subject: the padded wallet address, or in private
+-- mode keccak256(donor_id, identity_salt) so no address is linked on-chain
+
+alter table donor_certificates
+  add column if not exists donor_wallet_address text,      -- Address supplied by the donor (address mode)
+  add column if not exists identity_mode text not null default 'address'
+    check (identity_mode in ('address', 'commitment')),
+  add column if not exists identity_salt text,             -- Donor's secret (commitment mode), shared only via their verification code
+  add column if not exists subject_key text;               -- bytes32 key the record was stored under
+
+alter table donor_certificates
+  add constraint donor_certificates_commitment_salt_check
+  check (identity_mode = 'address' or identity_salt is not null);
+
+create index if not exists donor_certificates_subject_key_idx on donor_certificates(subject_key);
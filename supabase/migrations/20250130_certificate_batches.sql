@@ -0,0 +1,62 @@
+-- Batch anchoring of certificate approvals (DonorVerification 5.1.0)
+-- In batch mode approvals are queued and the anchor-batches Edge Function
+-- periodically commits each hospital's queue as one Merkle root
+
+create table if not exists certificate_batches (
+  id uuid primary key default gen_random_uuid(),
+  merkle_root text not null unique,
+  hospital_id uuid references auth.users(id),
+  verifier_address text not null,
+  leaf_count integer not null check (leaf_count > 0),
+  tx_hash text not null,
+  chain_address text not null,
+  anchored_at timestamptz not null default now()
+);
+
+alter table donor_certificates
+  add column if not exists anchor_mode text not null default 'record'
+    check (anchor_mode in ('record', 'batch')),          -- record = own transaction, batch = Merkle root
+  add column if not exists batch_id uuid references certificate_batches(id),
+  add column if not exists merkle_leaf text,
+  add column if not exists merkle_proof jsonb;           -- Sibling hashes from leaf to root
+
+-- The anchoring job picks up reviewed batch-mode certificates without a batch
+create index if not exists donor_certificates_batch_queue_idx
+  on donor_certificates(reviewed_by, verified_at)
+  where anchor_mode = 'batch' and batch_id is null;
+
+create index if not exists donor_certificates_batch_id_idx on donor_certificates(batch_id);
+
+alter table certificate_batches enable row level security;
+
+-- Policy: Hospital can view anchored batches
+create policy "Hospital can view certificate batches"
+  on certificate_batches
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+-- Policy: Donors can view batches their certificates were anchored in
+create policy "Donors can view own certificate batches"
+  on certificate_batches
+  for select
+  using (
+    exists (
+      select 1 from donor_certificates
+      where donor_certificates.batch_id = certificate_batches.id
+      and donor_certificates.donor_id = auth.uid()
+    )
+  );
+
+-- Run the anchoring job every 15 minutes (requires pg_cron and pg_net):
+-- select cron.schedule('anchor-certificate-batches', '*/15 * * * *', $$
+--   select net.http_post(
+--     url := '<SUPABASE_URL>/functions/v1/anchor-batches',
+--     headers := jsonb_build_object('Authorization', 'Bearer <SERVICE_ROLE_KEY>')
+--   );
+-- $$);
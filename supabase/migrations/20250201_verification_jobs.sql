@@ -0,0 +1,115 @@
+-- Durable blockchain verification jobs
+-- verify-certificate records a job before broadcasting storeVerification, so a
+-- timeout or failed database update never loses track of a sent transaction.
+-- The reconcile-verifications Edge Function finishes, replaces or fails
+-- whatever is left in pending_chain.
+
+create table if not exists verification_jobs (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null unique references donor_certificates(id) on delete cascade,  -- One job per certificate; retries reuse it
+  hospital_id uuid not null references auth.users(id),
+  status text not null default 'pending_chain'
+    check (status in ('pending_chain', 'confirmed', 'failed')),
+  subject_key text not null,
+  cert_hash text not null,
+  eligible boolean not null,
+  valid_until timestamptz not null,
+  admin_notes text,
+  verifier_address text not null,
+  chain_address text not null,
+  nonce bigint not null,                     -- Replacements reuse this nonce
+  tx_hash text not null,                     -- Latest broadcast (or the one that was mined)
+  tx_hashes text[] not null default '{}',    -- Every broadcast for this nonce, oldest first
+  max_fee_per_gas text,                      -- wei, as text; bumped on each replacement
+  max_priority_fee_per_gas text,
+  attempts integer not null default 1,
+  block_number bigint,
+  last_error text,
+  sent_at timestamptz not null default now(),   -- Latest broadcast
+  confirmed_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table donor_certificates
+  add column if not exists chain_status text
+    check (chain_status in ('pending_chain', 'confirmed', 'failed'));   -- null = nothing sent
+
+-- The reconciler walks pending jobs oldest first
+create index if not exists verification_jobs_pending_idx
+  on verification_jobs(sent_at)
+  where status = 'pending_chain';
+
+-- Jobs are written by Edge Functions with the service role; hospitals may read them
+alter table verification_jobs enable row level security;
+
+-- Policy: Hospital can view verification jobs
+create policy "Hospital can view verification jobs"
+  on verification_jobs
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+-- Next nonce per verifier wallet. Concurrent approvals from the same hospital
+-- would otherwise read the same pending nonce from the node and replace each
+-- other's transactions, so verify-certificate reserves one here before signing.
+create table if not exists verifier_nonces (
+  verifier_address text primary key,         -- lowercase
+  next_nonce bigint not null,
+  updated_at timestamptz default now()
+);
+
+-- Service role only; no policies
+alter table verifier_nonces enable row level security;
+
+-- Hand out the next nonce for a wallet. p_chain_nonce is the node's pending
+-- count, so transactions sent outside this app move the counter forward.
+create or replace function reserve_verifier_nonce(p_verifier_address text, p_chain_nonce bigint)
+returns bigint as $$
+declare
+  address text := lower(p_verifier_address);
+  reserved bigint;
+begin
+  insert into verifier_nonces (verifier_address, next_nonce)
+  values (address, p_chain_nonce)
+  on conflict (verifier_address) do nothing;
+
+  select greatest(next_nonce, p_chain_nonce) into reserved
+  from verifier_nonces
+  where verifier_address = address
+  for update;
+
+  update verifier_nonces
+  set next_nonce = reserved + 1, updated_at = now()
+  where verifier_address = address;
+
+  return reserved;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Give back a nonce that was never broadcast, if nothing was reserved after it
+create or replace function release_verifier_nonce(p_verifier_address text, p_nonce bigint)
+returns void as $$
+begin
+  update verifier_nonces
+  set next_nonce = p_nonce, updated_at = now()
+  where verifier_address = lower(p_verifier_address)
+    and next_nonce = p_nonce + 1;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+revoke execute on function reserve_verifier_nonce(text, bigint) from public, anon, authenticated;
+revoke execute on function release_verifier_nonce(text, bigint) from public, anon, authenticated;
+
+-- Run the reconciler every 5 minutes (requires pg_cron and pg_net):
+-- select cron.schedule('reconcile-verifications', '*/5 * * * *', $$
+--   select net.http_post(
+--     url := '<SUPABASE_URL>/functions/v1/reconcile-verifications',
+--     headers := jsonb_build_object('Authorization', 'Bearer <SERVICE_ROLE_KEY>')
+--   );
+-- $$);
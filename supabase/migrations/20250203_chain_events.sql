@@ -0,0 +1,61 @@
+-- Mirror of DonorVerification event logs
+-- The index-chain-events Edge Function follows the contract's logs, re-reading
+-- the most recent blocks on every run so reorged events are replaced.
+-- Record events with no matching donor_certificates row are flagged: they
+-- point to writes made outside this app (or tampering).
+
+create table if not exists chain_events (
+  id uuid primary key default gen_random_uuid(),
+  chain_address text not null,
+  block_number bigint not null,
+  block_hash text not null,
+  tx_hash text not null,
+  log_index integer not null,
+  event_name text not null,          -- RecordAdded, RecordUpdated, AdminChanged, ...
+  subject_key text,                  -- Record events: donor subject
+  cert_hash text,                    -- Record events: new certificate hash
+  merkle_root text,                  -- Batch events
+  eligible boolean,
+  verifier_address text,             -- Hospital (or admin) that emitted the event
+  args jsonb not null default '{}',  -- All decoded arguments
+  event_timestamp timestamptz,
+  certificate_id uuid references donor_certificates(id) on delete set null,
+  batch_id uuid references certificate_batches(id) on delete set null,
+  unmatched boolean not null default false,   -- On-chain write with no matching row
+  indexed_at timestamptz default now(),
+  unique (chain_address, tx_hash, log_index)
+);
+
+create index if not exists chain_events_block_idx on chain_events(chain_address, block_number);
+create index if not exists chain_events_subject_idx on chain_events(subject_key);
+create index if not exists chain_events_unmatched_idx on chain_events(block_number) where unmatched;
+
+-- How far each contract has been indexed
+create table if not exists chain_indexer_state (
+  chain_address text primary key,
+  last_block bigint not null,
+  updated_at timestamptz default now()
+);
+
+alter table chain_events enable row level security;
+alter table chain_indexer_state enable row level security;
+
+-- Policy: Hospital can view indexed chain events
+create policy "Hospital can view chain events"
+  on chain_events
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+-- Run the indexer every 5 minutes (requires pg_cron and pg_net):
+-- select cron.schedule('index-chain-events', '*/5 * * * *', $$
+--   select net.http_post(
+--     url := '<SUPABASE_URL>/functions/v1/index-chain-events',
+--     headers := jsonb_build_object('Authorization', 'Bearer <SERVICE_ROLE_KEY>')
+--   );
+-- $$);
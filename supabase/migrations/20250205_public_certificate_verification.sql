@@ -0,0 +1,63 @@
+-- Public certificate lookup for the /verify/:id page
+-- Anyone holding a certificate's ID (from the donor's QR code) can check it
+-- against the chain without signing in. RLS keeps donor_certificates private,
+-- so this function returns only what the check needs plus a masked donor name.
+-- Private-mode (commitment) certificates leave subject_key out: it would let
+-- anyone link the donor to their records on-chain. The donor's QR code
+-- carries their verification code instead, for the page to derive it.
+
+create or replace function get_public_certificate(p_certificate_id uuid)
+returns table (
+  id uuid,
+  donor_name text,                   -- First name and last initial only
+  blood_type text,
+  anchor_mode text,
+  identity_mode text,
+  subject_key text,                  -- null in commitment mode
+  cert_hash text,
+  eligible boolean,
+  valid_until timestamptz,
+  verified_at timestamptz,
+  revoked_at timestamptz,
+  revocation_reason smallint,
+  chain_status text,
+  chain_address text,
+  verifier_address text,
+  merkle_leaf text,
+  merkle_proof jsonb,
+  merkle_root text
+) as $$
+begin
+  return query
+  select
+    c.id,
+    nullif(trim(
+      split_part(trim(p.full_name), ' ', 1) || ' ' ||
+      coalesce(left(nullif(regexp_replace(trim(p.full_name), '^\S+\s*', ''), ''), 1) || '.', '')
+    ), ''),
+    p.blood_type,
+    c.anchor_mode,
+    c.identity_mode,
+    case when c.identity_mode = 'address' then c.subject_key end,
+    c.cert_hash,
+    c.eligible,
+    c.valid_until,
+    c.verified_at,
+    c.revoked_at,
+    c.revocation_reason,
+    c.chain_status,
+    c.chain_address,
+    c.verifier_address,
+    c.merkle_leaf,
+    c.merkle_proof,
+    b.merkle_root
+  from donor_certificates c
+  left join user_profiles p on p.id = c.donor_id
+  left join certificate_batches b on b.id = c.batch_id
+  where c.id = p_certificate_id
+    -- Uploads still under review are not public
+    and c.eligible is not null;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+grant execute on function get_public_certificate(uuid) to anon, authenticated;
@@ -0,0 +1,74 @@
+-- Wallet ownership proofs (EIP-4361 sign-in messages)
+-- Donors connect a wallet and sign a one-time message; the wallet-sign-in Edge
+-- Function checks the signature and records the proof. verify-certificate only
+-- anchors an address the donor has proven they control.
+
+-- One-time nonces embedded in sign-in messages
+create table if not exists wallet_sign_in_nonces (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  nonce text not null unique,
+  issued_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz                -- Set once a signature has been accepted
+);
+
+create index if not exists wallet_sign_in_nonces_user_idx on wallet_sign_in_nonces(user_id, issued_at);
+
+create table if not exists wallet_ownership_proofs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  address text not null,             -- Lowercase 0x address
+  chain_id integer not null,
+  message text not null,             -- The exact EIP-4361 message that was signed
+  signature text not null,
+  verified_at timestamptz not null default now(),
+  unique (user_id, address)
+);
+
+create index if not exists wallet_ownership_proofs_address_idx on wallet_ownership_proofs(address);
+
+-- The donor's most recently proven wallet
+alter table user_profiles
+  add column if not exists wallet_address text,
+  add column if not exists wallet_verified_at timestamptz;
+
+-- Only Edge Functions (service role) may set the proven wallet; profile edits cannot
+create or replace function protect_user_wallet_address()
+returns trigger as $$
+begin
+  if (new.wallet_address is distinct from old.wallet_address
+      or new.wallet_verified_at is distinct from old.wallet_verified_at)
+     and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'wallet_address can only be changed by signing in with the wallet';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger user_profiles_protect_wallet_address
+  before update on user_profiles
+  for each row
+  execute function protect_user_wallet_address();
+
+alter table wallet_sign_in_nonces enable row level security;
+alter table wallet_ownership_proofs enable row level security;
+
+-- Policy: Users can view their own wallet proofs
+create policy "Users can view own wallet proofs"
+  on wallet_ownership_proofs
+  for select
+  using (auth.uid() = user_id);
+
+-- Policy: Hospital can view wallet proofs
+create policy "Hospital can view wallet proofs"
+  on wallet_ownership_proofs
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
@@ -0,0 +1,25 @@
+-- Platform-held (custodial) donor wallets
+-- Donors without an Ethereum wallet can ask the custodial-wallet Edge Function
+-- for one. Its key is derived server-side from CUSTODIAL_WALLET_SECRET and the
+-- donor's ID, so the same donor always gets the same address and no key is stored.
+
+alter table wallet_ownership_proofs
+  add column if not exists custodial boolean not null default false;  -- Signed by the platform-held key
+
+alter table user_profiles
+  add column if not exists wallet_custodial boolean not null default false;
+
+-- Only Edge Functions (service role) may set the proven wallet; profile edits cannot
+create or replace function protect_user_wallet_address()
+returns trigger as $$
+begin
+  if (new.wallet_address is distinct from old.wallet_address
+      or new.wallet_verified_at is distinct from old.wallet_verified_at
+      or new.wallet_custodial is distinct from old.wallet_custodial)
+     and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'wallet_address can only be changed by signing in with the wallet';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
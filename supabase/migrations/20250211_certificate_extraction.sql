@@ -0,0 +1,18 @@
+-- Text and key fields read from uploaded certificates
+-- Extraction runs locally in the browser (pdf.js text layer, or Tesseract OCR for
+-- images and scans) when the donor uploads, and again if a reviewer re-reads the
+-- file. Nothing is sent to an external service.
+
+alter table donor_certificates
+  add column if not exists extracted_text text,
+  add column if not exists extracted_fields jsonb,        -- { donorName, issuingLab, testDate, hemoglobin, bloodType, infectiousDiseases }
+  add column if not exists extraction_method text
+    check (extraction_method in ('pdf_text', 'ocr')),
+  add column if not exists extraction_flags jsonb not null default '[]'::jsonb,  -- Mismatches with the donor's profile
+  add column if not exists extracted_by uuid references auth.users(id),          -- Donor at upload, or the reviewer who re-read it
+  add column if not exists extracted_at timestamptz;
+
+-- Reviewers filter the queue for flagged uploads
+create index if not exists donor_certificates_extraction_flagged_idx
+  on donor_certificates(created_at)
+  where eligible is null and extraction_flags <> '[]'::jsonb;
@@ -0,0 +1,160 @@
+-- Duplicate and reused certificate detection
+-- Uploads carry the SHA-256 file hash and a 64-bit perceptual hash (dHash, see
+-- src/utils/perceptualHash.js) of the image or first PDF page. Each upload is
+-- compared with the other certificates: the same file hash is an exact
+-- duplicate, and perceptual hashes at most 10 bits apart are a re-scan or
+-- re-save of the same document. The extracted fields come from the donor's
+-- browser, so they never decide whether something is a match; whether the
+-- donor name and test date (20250211_certificate_extraction.sql) agree is
+-- reported alongside, to help tell a re-scan from another donor's report on
+-- the same lab template.
+
+alter table donor_certificates
+  add column if not exists perceptual_hash text
+    check (perceptual_hash ~ '^[0-9a-f]{16}$'),
+  add column if not exists duplicate_matches jsonb not null default '[]'::jsonb;  -- Matches found at upload
+
+-- Bits that differ between two perceptual hashes
+create or replace function perceptual_hash_distance(a text, b text)
+returns integer as $$
+  select bit_count(('x' || a)::bit(64) # ('x' || b)::bit(64))::integer;
+$$ language sql immutable strict;
+
+-- Extracted donor name reduced to sorted lower-case words, so "DOE, John" and
+-- "John Doe" agree; null when nothing was extracted
+create or replace function certificate_name_key(p_fields jsonb)
+returns text as $$
+  select string_agg(word, ' ' order by word)
+  from regexp_split_to_table(lower(regexp_replace(p_fields->>'donorName', '[^a-zA-Z ]', ' ', 'g')), '\s+') as word
+  where word <> '';
+$$ language sql immutable strict;
+
+-- Whether two certificates' extracted donor name and test date agree; false
+-- when either is missing
+create or replace function certificate_details_match(a jsonb, b jsonb)
+returns boolean as $$
+  select coalesce(
+    a->>'testDate' = b->>'testDate'
+      and certificate_name_key(a) = certificate_name_key(b),
+    false
+  );
+$$ language sql immutable;
+
+-- Other certificates that share a file hash or look like the same document.
+-- Internal: callers are the upload trigger and find_certificate_duplicates.
+-- A btree cannot search by Hamming distance, so perceptual matches scan every
+-- certificate with a hash; the XOR and bit count are cheap per row.
+create or replace function match_certificate_duplicates(
+  p_certificate_id uuid,
+  p_cert_hash text,
+  p_perceptual_hash text,
+  p_extracted_fields jsonb
+)
+returns table (
+  certificate_id uuid,
+  donor_id uuid,
+  match_type text,                   -- exact or perceptual
+  distance integer,                  -- 0 for exact matches
+  created_at timestamptz,
+  same_details boolean               -- Extracted donor name and test date agree
+) as $$
+  select * from (
+    select
+      c.id,
+      c.donor_id,
+      'exact'::text,
+      0,
+      c.created_at,
+      certificate_details_match(c.extracted_fields, p_extracted_fields)
+    from donor_certificates c
+    where c.id <> p_certificate_id
+      and c.cert_hash = p_cert_hash
+
+    union all
+
+    select
+      c.id,
+      c.donor_id,
+      'perceptual'::text,
+      perceptual_hash_distance(c.perceptual_hash, p_perceptual_hash),
+      c.created_at,
+      certificate_details_match(c.extracted_fields, p_extracted_fields)
+    from donor_certificates c
+    where c.id <> p_certificate_id
+      and c.cert_hash <> p_cert_hash
+      and c.perceptual_hash is not null
+      and perceptual_hash_distance(c.perceptual_hash, p_perceptual_hash) <= 10
+  ) matches
+  order by 4, 5;
+$$ language sql stable security definer set search_path = public;
+
+revoke execute on function match_certificate_duplicates(uuid, text, text, jsonb) from public, anon, authenticated;
+
+-- Record matches on every upload (and whenever the hashes or extracted fields change)
+create or replace function record_certificate_duplicates()
+returns trigger as $$
+begin
+  new.duplicate_matches := coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'certificate_id', m.certificate_id,
+      'match_type', m.match_type,
+      'distance', m.distance,
+      'same_donor', m.donor_id = new.donor_id,
+      'same_details', m.same_details
+    ))
+    from match_certificate_duplicates(new.id, new.cert_hash, new.perceptual_hash, new.extracted_fields) m
+  ), '[]'::jsonb);
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donor_certificates_record_duplicates
+  before insert or update of cert_hash, perceptual_hash, extracted_fields on donor_certificates
+  for each row
+  execute function record_certificate_duplicates();
+
+-- Live matches for a certificate under review, including uploads made after it
+create or replace function find_certificate_duplicates(p_certificate_id uuid)
+returns table (
+  certificate_id uuid,
+  donor_id uuid,
+  donor_name text,
+  file_path text,
+  match_type text,
+  distance integer,
+  same_donor boolean,
+  eligible boolean,
+  created_at timestamptz,
+  same_details boolean
+) as $$
+begin
+  if not exists (
+    select 1 from user_profiles
+    where user_profiles.id = auth.uid()
+    and user_profiles.role = 'hospital'
+  ) then
+    raise exception 'Only hospital staff can look up duplicate certificates';
+  end if;
+
+  return query
+  select
+    m.certificate_id,
+    m.donor_id,
+    p.full_name,
+    c.file_path,
+    m.match_type,
+    m.distance,
+    m.donor_id = target.donor_id,
+    c.eligible,
+    m.created_at,
+    m.same_details
+  from donor_certificates target
+  cross join lateral match_certificate_duplicates(target.id, target.cert_hash, target.perceptual_hash, target.extracted_fields) m
+  join donor_certificates c on c.id = m.certificate_id
+  left join user_profiles p on p.id = m.donor_id
+  where target.id = p_certificate_id;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+grant execute on function find_certificate_duplicates(uuid) to authenticated;
@@ -0,0 +1,463 @@
+-- Certificate review workflow
+-- Certificates move through review states before the on-chain decision:
+--   pending            -> uploaded, nobody assigned
+--   in_review          -> assigned to a reviewer
+--   info_requested     -> the donor was asked to re-upload
+--   resubmitted        -> replaced by the donor's re-upload (a new row, see resubmission_of)
+--   rejection_proposed -> a reviewer proposed rejection; a second reviewer confirms or withdraws it
+--   approved, rejected -> set automatically when eligible is recorded
+-- Every transition is written to certificate_review_events by trigger, so it is
+-- recorded whether it came from the app, an RPC or an Edge Function. The
+-- workflow columns change only through the RPCs below or the service role:
+-- "Hospital can update certificates" (20250103) would otherwise let staff
+-- write them directly.
+
+alter table donor_certificates
+  add column if not exists review_status text not null default 'pending'
+    check (review_status in ('pending', 'in_review', 'info_requested', 'resubmitted', 'rejection_proposed', 'approved', 'rejected')),
+  add column if not exists assigned_to uuid references auth.users(id),
+  add column if not exists assigned_at timestamptz,
+  add column if not exists review_note text,                                 -- Reason given with the latest transition
+  add column if not exists rejection_proposed_by uuid references auth.users(id),
+  add column if not exists rejection_proposed_at timestamptz,
+  add column if not exists resubmission_of uuid references donor_certificates(id),
+  add column if not exists review_thread_id uuid;                            -- First certificate in a chain of re-uploads
+
+update donor_certificates
+set review_status = case when eligible then 'approved' else 'rejected' end
+where eligible is not null;
+
+update donor_certificates set review_thread_id = id where review_thread_id is null;
+
+create index if not exists donor_certificates_review_status_idx on donor_certificates(review_status);
+create index if not exists donor_certificates_assigned_to_idx on donor_certificates(assigned_to);
+create index if not exists donor_certificates_review_thread_idx on donor_certificates(review_thread_id);
+
+-- Threaded reviewer comments; visible_to_donor ones are shown to (and answerable by) the donor
+create table if not exists certificate_review_comments (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null references donor_certificates(id) on delete cascade,
+  parent_id uuid references certificate_review_comments(id) on delete cascade,
+  author_id uuid not null references auth.users(id),
+  body text not null check (length(trim(body)) > 0),
+  visible_to_donor boolean not null default false,
+  created_at timestamptz default now()
+);
+
+create index if not exists certificate_review_comments_certificate_idx on certificate_review_comments(certificate_id, created_at);
+
+-- Audit trail of review transitions; written only by the triggers below
+create table if not exists certificate_review_events (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null references donor_certificates(id) on delete cascade,
+  actor_id uuid references auth.users(id),
+  action text not null check (action in ('submitted', 'assigned', 'unassigned', 'status_changed', 'revoked')),
+  from_status text,
+  to_status text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz default now()
+);
+
+create index if not exists certificate_review_events_certificate_idx on certificate_review_events(certificate_id, created_at);
+
+alter table certificate_review_comments enable row level security;
+alter table certificate_review_events enable row level security;
+
+create policy "Hospital can view review comments"
+  on certificate_review_comments
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+create policy "Hospital can add review comments"
+  on certificate_review_comments
+  for insert
+  with check (
+    author_id = auth.uid()
+    and exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+create policy "Donors can view shared comments on own certificates"
+  on certificate_review_comments
+  for select
+  using (
+    visible_to_donor
+    and exists (
+      select 1 from donor_certificates
+      where donor_certificates.id = certificate_review_comments.certificate_id
+      and donor_certificates.donor_id = auth.uid()
+    )
+  );
+
+create policy "Donors can reply on own certificates"
+  on certificate_review_comments
+  for insert
+  with check (
+    author_id = auth.uid()
+    and visible_to_donor
+    and exists (
+      select 1 from donor_certificates
+      where donor_certificates.id = certificate_review_comments.certificate_id
+      and donor_certificates.donor_id = auth.uid()
+    )
+  );
+
+create policy "Hospital can view review events"
+  on certificate_review_events
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'hospital'
+    )
+  );
+
+-- New uploads start pending; a re-upload joins the thread (and reviewer) of the certificate it replaces
+create or replace function prepare_certificate_review()
+returns trigger as $$
+declare
+  previous donor_certificates%rowtype;
+begin
+  new.review_status := 'pending';
+  new.assigned_to := null;
+  new.assigned_at := null;
+  new.review_thread_id := new.id;
+
+  if new.resubmission_of is not null then
+    select * into previous from donor_certificates where id = new.resubmission_of;
+
+    if not found or previous.donor_id is distinct from new.donor_id or previous.review_status <> 'info_requested' then
+      raise exception 'Only certificates awaiting more information can be re-uploaded';
+    end if;
+
+    new.review_thread_id := previous.review_thread_id;
+    if previous.assigned_to is not null then
+      new.assigned_to := previous.assigned_to;
+      new.assigned_at := now();
+      new.review_status := 'in_review';
+    end if;
+  end if;
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donor_certificates_prepare_review
+  before insert on donor_certificates
+  for each row
+  execute function prepare_certificate_review();
+
+-- Close the replaced certificate and record the upload
+create or replace function record_certificate_submission()
+returns trigger as $$
+begin
+  insert into certificate_review_events (certificate_id, actor_id, action, to_status, details)
+  values (
+    new.id,
+    new.donor_id,
+    'submitted',
+    new.review_status,
+    case when new.resubmission_of is null then '{}'::jsonb
+         else jsonb_build_object('resubmission_of', new.resubmission_of) end
+  );
+
+  if new.resubmission_of is not null then
+    perform set_config('app.certificate_review', 'on', true);
+
+    update donor_certificates
+    set review_status = 'resubmitted', review_note = null
+    where id = new.resubmission_of;
+
+    perform set_config('app.certificate_review', 'off', true);
+  end if;
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donor_certificates_record_submission
+  after insert on donor_certificates
+  for each row
+  execute function record_certificate_submission();
+
+-- Refuse direct writes to the workflow columns and to the decision itself
+-- (eligible, reviewed_by, tx_hash), which only verify-certificate records
+-- once the second-reviewer rule has passed. The review RPCs (and the
+-- re-upload trigger) set app.certificate_review for their own update; Edge
+-- Functions use the service role. Runs before sync_certificate_review_status,
+-- so recording a decision still closes the review.
+create or replace function guard_certificate_review_columns()
+returns trigger as $$
+begin
+  if coalesce(current_setting('app.certificate_review', true), '') = 'on'
+    or auth.role() = 'service_role' then
+    return new;
+  end if;
+
+  if (new.review_status, new.assigned_to, new.assigned_at, new.review_note,
+      new.rejection_proposed_by, new.rejection_proposed_at, new.resubmission_of, new.review_thread_id,
+      new.eligible, new.reviewed_by, new.tx_hash)
+    is distinct from
+     (old.review_status, old.assigned_to, old.assigned_at, old.review_note,
+      old.rejection_proposed_by, old.rejection_proposed_at, old.resubmission_of, old.review_thread_id,
+      old.eligible, old.reviewed_by, old.tx_hash) then
+    raise exception 'Review status, assignment and decisions can only be changed through the review workflow';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger donor_certificates_guard_review
+  before update on donor_certificates
+  for each row
+  execute function guard_certificate_review_columns();
+
+-- Recording the on-chain decision closes the review
+create or replace function sync_certificate_review_status()
+returns trigger as $$
+begin
+  if new.eligible is distinct from old.eligible and new.eligible is not null then
+    new.review_status := case when new.eligible then 'approved' else 'rejected' end;
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+create trigger donor_certificates_sync_review_status
+  before update on donor_certificates
+  for each row
+  execute function sync_certificate_review_status();
+
+-- Write assignment, status and revocation changes to the audit trail
+create or replace function log_certificate_review_event()
+returns trigger as $$
+declare
+  actor uuid := coalesce(auth.uid(), new.reviewed_by);
+begin
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into certificate_review_events (certificate_id, actor_id, action, details)
+    values (
+      new.id,
+      actor,
+      case when new.assigned_to is null then 'unassigned' else 'assigned' end,
+      jsonb_build_object('assigned_to', new.assigned_to, 'previous', old.assigned_to)
+    );
+  end if;
+
+  if new.review_status is distinct from old.review_status then
+    insert into certificate_review_events (certificate_id, actor_id, action, from_status, to_status, details)
+    values (
+      new.id,
+      actor,
+      'status_changed',
+      old.review_status,
+      new.review_status,
+      jsonb_strip_nulls(jsonb_build_object(
+        'note', case when new.review_status in ('approved', 'rejected') then new.admin_notes else new.review_note end,
+        'tx_hash', new.tx_hash
+      ))
+    );
+  end if;
+
+  if new.revoked_at is not null and old.revoked_at is null then
+    insert into certificate_review_events (certificate_id, actor_id, action, from_status, to_status, details)
+    values (
+      new.id,
+      coalesce(auth.uid(), new.revoked_by),
+      'revoked',
+      new.review_status,
+      new.review_status,
+      jsonb_strip_nulls(jsonb_build_object('reason', new.revocation_reason, 'tx_hash', new.revocation_tx_hash))
+    );
+  end if;
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger donor_certificates_log_review_event
+  after update on donor_certificates
+  for each row
+  execute function log_certificate_review_event();
+
+-- Raise unless the caller is hospital staff
+create or replace function require_certificate_reviewer()
+returns void as $$
+begin
+  if not exists (
+    select 1 from user_profiles
+    where user_profiles.id = auth.uid()
+    and user_profiles.role = 'hospital'
+  ) then
+    raise exception 'Only hospital staff can review certificates';
+  end if;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+-- Hospital staff who can be assigned a certificate
+create or replace function get_certificate_reviewers()
+returns table (id uuid, full_name text) as $$
+begin
+  perform require_certificate_reviewer();
+
+  return query
+  select p.id, p.full_name
+  from user_profiles p
+  where p.role = 'hospital'
+  order by p.full_name;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+-- Assign a certificate (null unassigns it)
+create or replace function assign_certificate_reviewer(p_certificate_id uuid, p_reviewer_id uuid)
+returns donor_certificates as $$
+declare
+  result donor_certificates%rowtype;
+begin
+  perform require_certificate_reviewer();
+
+  if p_reviewer_id is not null and not exists (
+    select 1 from user_profiles where id = p_reviewer_id and role = 'hospital'
+  ) then
+    raise exception 'Certificates can only be assigned to hospital staff';
+  end if;
+
+  perform set_config('app.certificate_review', 'on', true);
+
+  update donor_certificates
+  set assigned_to = p_reviewer_id,
+      assigned_at = case when p_reviewer_id is null then null else now() end,
+      review_status = case
+        when review_status in ('pending', 'in_review') then
+          case when p_reviewer_id is null then 'pending' else 'in_review' end
+        else review_status
+      end
+  where id = p_certificate_id
+    and review_status not in ('resubmitted', 'approved', 'rejected')
+  returning * into result;
+
+  if not found then
+    raise exception 'Certificate is not open for review';
+  end if;
+
+  perform set_config('app.certificate_review', 'off', true);
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Ask the donor for more information; they are shown the message and re-upload
+create or replace function request_certificate_info(p_certificate_id uuid, p_message text)
+returns donor_certificates as $$
+declare
+  result donor_certificates%rowtype;
+begin
+  perform require_certificate_reviewer();
+
+  if coalesce(trim(p_message), '') = '' then
+    raise exception 'Tell the donor what information is needed';
+  end if;
+
+  perform set_config('app.certificate_review', 'on', true);
+
+  update donor_certificates
+  set review_status = 'info_requested',
+      review_note = p_message
+  where id = p_certificate_id
+    and review_status in ('pending', 'in_review', 'rejection_proposed')
+    and (chain_status is null or chain_status <> 'pending_chain')
+  returning * into result;
+
+  if not found then
+    raise exception 'Certificate is not open for review';
+  end if;
+
+  perform set_config('app.certificate_review', 'off', true);
+
+  insert into certificate_review_comments (certificate_id, author_id, body, visible_to_donor)
+  values (p_certificate_id, auth.uid(), p_message, true);
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- First half of a two-reviewer rejection; verify-certificate accepts the rejection from another reviewer
+create or replace function propose_certificate_rejection(p_certificate_id uuid, p_reason text)
+returns donor_certificates as $$
+declare
+  result donor_certificates%rowtype;
+begin
+  perform require_certificate_reviewer();
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to propose a rejection';
+  end if;
+
+  perform set_config('app.certificate_review', 'on', true);
+
+  update donor_certificates
+  set review_status = 'rejection_proposed',
+      review_note = p_reason,
+      rejection_proposed_by = auth.uid(),
+      rejection_proposed_at = now()
+  where id = p_certificate_id
+    and review_status in ('pending', 'in_review')
+  returning * into result;
+
+  if not found then
+    raise exception 'Certificate is not open for review';
+  end if;
+
+  perform set_config('app.certificate_review', 'off', true);
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Drop a proposed rejection and return the certificate to review
+create or replace function withdraw_certificate_rejection(p_certificate_id uuid, p_reason text default null)
+returns donor_certificates as $$
+declare
+  result donor_certificates%rowtype;
+begin
+  perform require_certificate_reviewer();
+
+  perform set_config('app.certificate_review', 'on', true);
+
+  update donor_certificates
+  set review_status = case when assigned_to is null then 'pending' else 'in_review' end,
+      review_note = p_reason,
+      rejection_proposed_by = null,
+      rejection_proposed_at = null
+  where id = p_certificate_id
+    and review_status = 'rejection_proposed'
+    and (chain_status is null or chain_status <> 'pending_chain')
+  returning * into result;
+
+  if not found then
+    raise exception 'No rejection is waiting on this certificate';
+  end if;
+
+  perform set_config('app.certificate_review', 'off', true);
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function get_certificate_reviewers() to authenticated;
+grant execute on function assign_certificate_reviewer(uuid, uuid) to authenticated;
+grant execute on function request_certificate_info(uuid, text) to authenticated;
+grant execute on function propose_certificate_rejection(uuid, text) to authenticated;
+grant execute on function withdraw_certificate_rejection(uuid, text) to authenticated;
@@ -0,0 +1,225 @@
+-- Tamper-evident audit log
+-- Sensitive writes (blood unit inventory, request status, certificate decisions
+-- and profile edits) are recorded by trigger in audit_log. Each entry stores the
+-- actor, the before/after diff and the hash of the entry before it:
+--
+--   entry_hash = sha256(prev_hash \n id \n occurred_at (epoch ms) \n actor_id \n
+--                       table_name \n record_id \n action \n changes::text)
+--
+-- so editing or deleting any entry breaks every hash after it (checked by
+-- src/utils/auditChain.js). The anchor-audit-log Edge Function periodically
+-- anchors the chain head on DonorVerification with anchorBatch(head, id), so
+-- even a rewrite of the whole table is detectable against the blockchain.
+
+create extension if not exists pgcrypto with schema extensions;
+
+create table if not exists audit_log (
+  id bigint primary key,                 -- Position in the chain, assigned under a lock (1, 2, 3, ...)
+  occurred_at timestamptz not null,      -- Millisecond precision, so clients can rebuild the hash
+  actor_id uuid,                         -- null for service-role writes without an acting user
+  actor_role text,                       -- JWT role: authenticated, service_role, ...
+  table_name text not null,
+  record_id text,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  changes jsonb not null,                -- { column: { old, new } }
+  prev_hash text not null check (prev_hash ~ '^[0-9a-f]{64}$'),
+  entry_hash text not null unique check (entry_hash ~ '^[0-9a-f]{64}$')
+);
+
+create index if not exists audit_log_table_record_idx on audit_log(table_name, record_id);
+create index if not exists audit_log_actor_idx on audit_log(actor_id);
+create index if not exists audit_log_occurred_at_idx on audit_log(occurred_at);
+
+-- Chain heads anchored on-chain by anchor-audit-log
+create table if not exists audit_log_anchors (
+  id uuid primary key default gen_random_uuid(),
+  log_id bigint not null references audit_log(id),
+  anchored_root text not null unique,    -- 0x + entry_hash, the root passed to anchorBatch
+  verifier_address text not null,
+  tx_hash text not null,
+  chain_address text not null,
+  anchored_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_anchors_log_id_idx on audit_log_anchors(log_id);
+
+alter table audit_log enable row level security;
+alter table audit_log_anchors enable row level security;
+
+-- No insert, update or delete policies: entries are written only by the triggers below
+create policy "Admins can view audit log"
+  on audit_log
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'admin'
+    )
+  );
+
+create policy "Admins can view audit log anchors"
+  on audit_log_anchors
+  for select
+  using (
+    exists (
+      select 1 from user_profiles
+      where user_profiles.id = auth.uid()
+      and user_profiles.role = 'admin'
+    )
+  );
+
+-- Hash of an entry; keep in sync with buildAuditPayload in src/utils/auditChain.js
+create or replace function compute_audit_entry_hash(entry audit_log)
+returns text as $$
+  select encode(extensions.digest(convert_to(
+    entry.prev_hash || E'\n' ||
+    entry.id::text || E'\n' ||
+    (extract(epoch from entry.occurred_at) * 1000)::bigint::text || E'\n' ||
+    coalesce(entry.actor_id::text, '') || E'\n' ||
+    entry.table_name || E'\n' ||
+    coalesce(entry.record_id, '') || E'\n' ||
+    entry.action || E'\n' ||
+    entry.changes::text,
+    'UTF8'), 'sha256'), 'hex');
+$$ language sql immutable set search_path = public;
+
+-- Link each new entry to the current head. The lock serializes writers, so ids
+-- follow commit order and the chain never forks.
+create or replace function chain_audit_entry()
+returns trigger as $$
+declare
+  head audit_log%rowtype;
+begin
+  perform pg_advisory_xact_lock(hashtext('audit_log'));
+
+  select * into head from audit_log order by id desc limit 1;
+
+  new.id := coalesce(head.id, 0) + 1;
+  new.prev_hash := coalesce(head.entry_hash, repeat('0', 64));
+  new.occurred_at := date_trunc('milliseconds', clock_timestamp());
+  new.entry_hash := compute_audit_entry_hash(new);
+
+  return new;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+create trigger audit_log_chain
+  before insert on audit_log
+  for each row
+  execute function chain_audit_entry();
+
+-- Append-only, even for the service role
+create or replace function prevent_audit_log_changes()
+returns trigger as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$ language plpgsql;
+
+create trigger audit_log_append_only
+  before update or delete on audit_log
+  for each row
+  execute function prevent_audit_log_changes();
+
+create trigger audit_log_no_truncate
+  before truncate on audit_log
+  for each statement
+  execute function prevent_audit_log_changes();
+
+create trigger audit_log_anchors_append_only
+  before update or delete on audit_log_anchors
+  for each row
+  execute function prevent_audit_log_changes();
+
+revoke insert, update, delete, truncate on audit_log from public, anon, authenticated;
+revoke insert, update, delete, truncate on audit_log_anchors from public, anon, authenticated;
+
+-- Record a write to the table this trigger is attached to.
+-- Trigger arguments name columns to leave out of the diff (timestamps, secrets, bulky text);
+-- an argument of the form 'actor:<column>' names the column holding the acting user
+-- when the write comes from an Edge Function rather than a signed-in user.
+create or replace function record_audit_entry()
+returns trigger as $$
+declare
+  old_row jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  new_row jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  ignored text[] := '{}';
+  actor_column text;
+  arg text;
+  diff jsonb;
+begin
+  foreach arg in array coalesce(tg_argv, '{}'::text[]) loop
+    if arg like 'actor:%' then
+      actor_column := substr(arg, 7);
+    else
+      ignored := ignored || arg;
+    end if;
+  end loop;
+
+  select jsonb_object_agg(key, jsonb_build_object('old', old_row -> key, 'new', new_row -> key))
+  into diff
+  from (
+    select jsonb_object_keys(coalesce(old_row, '{}'::jsonb) || coalesce(new_row, '{}'::jsonb)) as key
+  ) keys
+  where key <> all (ignored)
+    and (old_row -> key) is distinct from (new_row -> key);
+
+  -- Only ignored columns changed
+  if diff is null then
+    return null;
+  end if;
+
+  insert into audit_log (actor_id, actor_role, table_name, record_id, action, changes)
+  values (
+    coalesce(auth.uid(), (coalesce(new_row, old_row) ->> actor_column)::uuid),
+    coalesce(auth.role(), current_user),
+    tg_table_name,
+    coalesce(new_row, old_row) ->> 'id',
+    lower(tg_op),
+    diff
+  );
+
+  return null;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Inventory: every blood bag added, issued, quarantined or discarded
+-- (blood_inventory totals are derived from these rows)
+create trigger blood_units_audit
+  after insert or update or delete on blood_units
+  for each row
+  execute function record_audit_entry('updated_at');
+
+-- Request status changes
+create trigger blood_requests_status_audit
+  after update of status on blood_requests
+  for each row
+  when (old.status is distinct from new.status)
+  execute function record_audit_entry('updated_at');
+
+-- Certificate decisions, revocations and review transitions
+create trigger donor_certificates_decision_audit
+  after update on donor_certificates
+  for each row
+  when (
+    old.eligible is distinct from new.eligible
+    or old.revoked_at is distinct from new.revoked_at
+    or old.review_status is distinct from new.review_status
+    or old.assigned_to is distinct from new.assigned_to
+  )
+  execute function record_audit_entry('actor:reviewed_by', 'updated_at', 'extracted_text', 'identity_salt', 'merkle_proof');
+
+-- Profile edits
+create trigger user_profiles_audit
+  after update on user_profiles
+  for each row
+  execute function record_audit_entry('updated_at');
+
+-- Anchor the chain head every hour (requires pg_cron and pg_net):
+-- select cron.schedule('anchor-audit-log', '0 * * * *', $$
+--   select net.http_post(
+--     url := '<SUPABASE_URL>/functions/v1/anchor-audit-log',
+--     headers := jsonb_build_object('Authorization', 'Bearer <SERVICE_ROLE_KEY>')
+--   );
+-- $$);
@@ -0,0 +1,365 @@
+-- Inter-hospital blood transfers
+-- A hospital short of a blood type requests bags from a nearby hospital's
+-- stock. The supplying hospital accepts (its bags are reserved) or rejects,
+-- then dispatches the bags; the requesting hospital confirms receipt and the
+-- bags move into its inventory. Every step is a single RPC, so both hospitals'
+-- blood_inventory totals (derived from blood_units) change in one transaction:
+--
+--   requested -> accepted (bags reserved) -> dispatched (bags in_transit) -> received (bags moved)
+--   requested -> rejected
+--   requested | accepted -> cancelled (reserved bags released)
+
+create table if not exists blood_transfers (
+  id uuid primary key default gen_random_uuid(),
+  requesting_hospital_id uuid not null references auth.users(id) on delete cascade,
+  supplying_hospital_id uuid not null references auth.users(id) on delete cascade,
+  blood_type text not null,
+  component text not null default 'whole_blood'
+    check (component in ('whole_blood', 'red_cells', 'plasma', 'platelets', 'cryo')),
+  units_requested integer not null check (units_requested > 0),
+  status text not null default 'requested'
+    check (status in ('requested', 'accepted', 'rejected', 'cancelled', 'dispatched', 'received')),
+  request_note text,
+  response_note text,                -- Supplier's note on acceptance or reason for rejection
+  requested_by uuid references auth.users(id),
+  responded_at timestamptz,
+  dispatched_at timestamptz,
+  received_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  check (requesting_hospital_id <> supplying_hospital_id)
+);
+
+create index if not exists blood_transfers_requesting_idx on blood_transfers(requesting_hospital_id, status);
+create index if not exists blood_transfers_supplying_idx on blood_transfers(supplying_hospital_id, status);
+
+-- Bags travel with their transfer; after receipt the column records where they came from
+alter table blood_units
+  add column if not exists transfer_id uuid references blood_transfers(id);
+
+create index if not exists blood_units_transfer_id_idx on blood_units(transfer_id);
+
+alter table blood_units
+  drop constraint if exists blood_units_status_check;
+alter table blood_units
+  add constraint blood_units_status_check
+  check (status in ('available', 'reserved', 'in_transit', 'issued', 'quarantined', 'discarded'));
+
+-- Enable Row Level Security
+alter table blood_transfers enable row level security;
+
+-- Both hospitals see the transfer; all writes go through the functions below
+create policy "Hospitals can view own transfers"
+  on blood_transfers
+  for select
+  using (auth.uid() in (requesting_hospital_id, supplying_hospital_id));
+
+-- The requesting hospital sees which bags are on their way to it
+create policy "Hospitals can view blood units transferred to them"
+  on blood_units
+  for select
+  using (
+    exists (
+      select 1 from blood_transfers
+      where blood_transfers.id = blood_units.transfer_id
+      and blood_transfers.requesting_hospital_id = auth.uid()
+    )
+  );
+
+create trigger blood_transfers_updated_at
+  before update on blood_transfers
+  for each row
+  execute function update_blood_units_updated_at();
+
+-- Transfers are part of the audit trail (see 20250217_audit_log.sql)
+create trigger blood_transfers_audit
+  after insert or update on blood_transfers
+  for each row
+  execute function record_audit_entry('updated_at');
+
+-- Incoming requests and status changes reach the other hospital's dashboard live
+alter publication supabase_realtime add table blood_transfers;
+
+create or replace function require_transfer_hospital()
+returns void as $$
+begin
+  if not exists (
+    select 1 from user_profiles
+    where user_profiles.id = auth.uid()
+    and user_profiles.role = 'hospital'
+  ) then
+    raise exception 'Only hospitals can transfer blood';
+  end if;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+-- Other hospitals' shareable stock of one blood type and component.
+-- Only available bags with more than 2 days of shelf life left are offered,
+-- so nothing expires on the road; accept_blood_transfer uses the same rule.
+-- Distances are computed by the client (geoUtils.calculateDistance).
+create or replace function get_shareable_stock(p_blood_type text, p_component text default 'whole_blood')
+returns table (
+  hospital_id uuid,
+  hospital_name text,
+  city text,
+  latitude double precision,
+  longitude double precision,
+  units_available bigint,
+  next_expiry timestamptz
+) as $$
+begin
+  perform require_transfer_hospital();
+
+  return query
+  select
+    p.id,
+    coalesce(p.hospital_name, p.full_name),
+    p.city,
+    p.latitude::double precision,
+    p.longitude::double precision,
+    count(u.id),
+    min(u.expiry_date)
+  from blood_units u
+  join user_profiles p on p.id = u.hospital_id and p.role = 'hospital'
+  where u.blood_type = p_blood_type
+    and u.component = p_component
+    and u.status = 'available'
+    and u.expiry_date > now() + interval '2 days'
+    and u.hospital_id <> auth.uid()
+  group by p.id, p.hospital_name, p.full_name, p.city, p.latitude, p.longitude;
+end;
+$$ language plpgsql stable security definer set search_path = public;
+
+-- Ask another hospital for bags
+create or replace function request_blood_transfer(
+  p_supplying_hospital_id uuid,
+  p_blood_type text,
+  p_component text,
+  p_units integer,
+  p_note text default null
+)
+returns blood_transfers as $$
+declare
+  result blood_transfers%rowtype;
+begin
+  perform require_transfer_hospital();
+
+  if p_supplying_hospital_id = auth.uid() then
+    raise exception 'A hospital cannot request a transfer from itself';
+  end if;
+
+  if not exists (
+    select 1 from user_profiles where id = p_supplying_hospital_id and role = 'hospital'
+  ) then
+    raise exception 'Transfers can only be requested from hospitals';
+  end if;
+
+  if coalesce(p_units, 0) < 1 then
+    raise exception 'At least 1 unit must be requested';
+  end if;
+
+  insert into blood_transfers (
+    requesting_hospital_id, supplying_hospital_id, blood_type, component,
+    units_requested, request_note, requested_by
+  )
+  values (
+    auth.uid(), p_supplying_hospital_id, p_blood_type, coalesce(p_component, 'whole_blood'),
+    p_units, nullif(trim(p_note), ''), auth.uid()
+  )
+  returning * into result;
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Supplier accepts: reserve the bags first-expiring-first-out, or fail if there are not enough
+create or replace function accept_blood_transfer(p_transfer_id uuid, p_note text default null)
+returns blood_transfers as $$
+declare
+  transfer blood_transfers%rowtype;
+  reserved_count integer;
+begin
+  perform require_transfer_hospital();
+
+  select * into transfer
+  from blood_transfers
+  where id = p_transfer_id
+    and supplying_hospital_id = auth.uid()
+    and status = 'requested'
+  for update;
+
+  if not found then
+    raise exception 'Transfer is not waiting for your response';
+  end if;
+
+  with picked as (
+    select id
+    from blood_units
+    where hospital_id = transfer.supplying_hospital_id
+      and blood_type = transfer.blood_type
+      and component = transfer.component
+      and status = 'available'
+      and expiry_date > now() + interval '2 days'
+    order by expiry_date
+    limit transfer.units_requested
+    for update skip locked
+  )
+  update blood_units
+  set status = 'reserved',
+      transfer_id = transfer.id
+  where id in (select id from picked);
+
+  get diagnostics reserved_count = row_count;
+
+  if reserved_count < transfer.units_requested then
+    raise exception 'Only % % units can be shared, % requested',
+      reserved_count, transfer.blood_type, transfer.units_requested;
+  end if;
+
+  update blood_transfers
+  set status = 'accepted',
+      response_note = nullif(trim(p_note), ''),
+      responded_at = now()
+  where id = transfer.id
+  returning * into transfer;
+
+  return transfer;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Supplier declines
+create or replace function reject_blood_transfer(p_transfer_id uuid, p_reason text default null)
+returns blood_transfers as $$
+declare
+  result blood_transfers%rowtype;
+begin
+  perform require_transfer_hospital();
+
+  update blood_transfers
+  set status = 'rejected',
+      response_note = nullif(trim(p_reason), ''),
+      responded_at = now()
+  where id = p_transfer_id
+    and supplying_hospital_id = auth.uid()
+    and status = 'requested'
+  returning * into result;
+
+  if not found then
+    raise exception 'Transfer is not waiting for your response';
+  end if;
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Requester withdraws before dispatch; reserved bags go back on the supplier's shelf
+create or replace function cancel_blood_transfer(p_transfer_id uuid)
+returns blood_transfers as $$
+declare
+  result blood_transfers%rowtype;
+begin
+  perform require_transfer_hospital();
+
+  update blood_transfers
+  set status = 'cancelled',
+      cancelled_at = now()
+  where id = p_transfer_id
+    and requesting_hospital_id = auth.uid()
+    and status in ('requested', 'accepted')
+  returning * into result;
+
+  if not found then
+    raise exception 'Only requested or accepted transfers can be cancelled';
+  end if;
+
+  update blood_units
+  set status = 'available',
+      transfer_id = null
+  where transfer_id = result.id
+    and status = 'reserved';
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Supplier sends the reserved bags
+create or replace function dispatch_blood_transfer(p_transfer_id uuid)
+returns blood_transfers as $$
+declare
+  result blood_transfers%rowtype;
+  dispatched_count integer;
+begin
+  perform require_transfer_hospital();
+
+  update blood_transfers
+  set status = 'dispatched',
+      dispatched_at = now()
+  where id = p_transfer_id
+    and supplying_hospital_id = auth.uid()
+    and status = 'accepted'
+  returning * into result;
+
+  if not found then
+    raise exception 'Only accepted transfers can be dispatched';
+  end if;
+
+  update blood_units
+  set status = 'in_transit'
+  where transfer_id = result.id
+    and status = 'reserved'
+    and expiry_date > now();
+
+  get diagnostics dispatched_count = row_count;
+
+  -- A reserved bag was discarded or expired since acceptance
+  if dispatched_count < result.units_requested then
+    raise exception 'Only % of % reserved bags can still be dispatched',
+      dispatched_count, result.units_requested;
+  end if;
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+-- Requester confirms receipt; the bags join its inventory
+create or replace function receive_blood_transfer(p_transfer_id uuid)
+returns blood_transfers as $$
+declare
+  result blood_transfers%rowtype;
+begin
+  perform require_transfer_hospital();
+
+  update blood_transfers
+  set status = 'received',
+      received_at = now()
+  where id = p_transfer_id
+    and requesting_hospital_id = auth.uid()
+    and status = 'dispatched'
+  returning * into result;
+
+  if not found then
+    raise exception 'Only dispatched transfers can be received';
+  end if;
+
+  -- In-transit bags were already out of the supplier's totals; a bag that
+  -- expired on the road arrives in quarantine rather than on the shelf
+  update blood_units
+  set hospital_id = result.requesting_hospital_id,
+      status = case when expiry_date > now() then 'available' else 'quarantined' end,
+      quarantined_at = case when expiry_date > now() then null else now() end,
+      quarantine_reason = case when expiry_date > now() then null else 'expired' end
+  where transfer_id = result.id
+    and status = 'in_transit';
+
+  return result;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+grant execute on function get_shareable_stock(text, text) to authenticated;
+grant execute on function request_blood_transfer(uuid, text, text, integer, text) to authenticated;
+grant execute on function accept_blood_transfer(uuid, text) to authenticated;
+grant execute on function reject_blood_transfer(uuid, text) to authenticated;
+grant execute on function cancel_blood_transfer(uuid) to authenticated;
+grant execute on function dispatch_blood_transfer(uuid) to authenticated;
+grant execute on function receive_blood_transfer(uuid) to authenticated;
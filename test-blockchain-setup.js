@@ -23,8 +23,8 @@ const log = {
 
 const CONTRACT_ABI = [
   "function admin() public view returns (address)",
-  "function hasRecord(address _donor) public view returns (bool)",
-  "function getRecord(address _donor) public view returns (bytes32 certHash, bool eligible, uint256 timestamp, bool exists)"
+  "function hasRecord(bytes32 _subject) public view returns (bool)",
+  "function getRecord(bytes32 _subject) public view returns (bytes32 certHash, bool eligible, uint256 timestamp, bool exists)"
 ];
 
 async function testBlockchainSetup() {
@@ -141,9 +141,8 @@ async function testBlockchainSetup() {
     const provider = new ethers.JsonRpcProvider(rpcUrl);
     const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
     
-    // Test with zero address (should return false/empty record)
-    const zeroAddress = '0x0000000000000000000000000000000000000000';
-    const hasRec = await contract.hasRecord(zeroAddress);
+    // Test with an empty subject (should return false/empty record)
+    const hasRec = await contract.hasRecord(ethers.ZeroHash);
     log.success(`hasRecord query successful (result: ${hasRec})`);
     passedTests++;
   } catch (error) {
@@ -7,8 +7,8 @@ async function testInventoryUpdate() {
   try {
     // Test 1: Check if hospitalService is available
     console.log('1. Checking hospitalService availability...');
-    if (typeof hospitalService === 'undefined') {
-      console.error('❌ hospitalService not found. Make sure you\'re on the hospital dashboard page.');
+    if (typeof hospitalService === 'undefined' || typeof bloodUnitService === 'undefined') {
+      console.error('❌ hospitalService/bloodUnitService not found. Make sure you\'re on the hospital dashboard page.');
       return;
     }
     console.log('✅ hospitalService found');
@@ -37,15 +37,20 @@ async function testInventoryUpdate() {
     const currentInventory = await hospitalService.getBloodInventory(userData.id);
     console.log('Current inventory:', currentInventory);
     
-    // Test 5: Test inventory update
-    console.log('5. Testing inventory update...');
+    // Test 5: Add a blood bag (inventory totals are derived from bags)
+    console.log('5. Adding a test blood bag...');
     const testBloodType = 'A+';
     const currentUnits = currentInventory.find(item => item.bloodType === testBloodType)?.currentUnits || 0;
-    const testUnits = currentUnits + 1; // Increment by 1
+    const testUnits = currentUnits + 1; // One more bag
     
-    console.log(`Updating ${testBloodType} from ${currentUnits} to ${testUnits} units...`);
-    const result = await hospitalService.updateBloodInventory(userData.id, testBloodType, testUnits);
-    console.log('✅ Inventory update successful:', result);
+    console.log(`Adding one ${testBloodType} bag (currently ${currentUnits} units)...`);
+    const result = await bloodUnitService.addUnit(userData.id, {
+      bagNumber: `TEST-${Date.now()}`,
+      bloodType: testBloodType,
+      component: 'whole_blood',
+      collectionDate: new Date().toISOString()
+    });
+    console.log('✅ Blood bag added:', result);
     
     // Test 6: Wait a moment for database consistency
     console.log('6. Waiting for database consistency...');
@@ -58,7 +63,7 @@ async function testInventoryUpdate() {
     console.log('✅ Verification result:', updatedItem);
     
     if (updatedItem && updatedItem.currentUnits === testUnits) {
-      console.log('🎉 All tests passed! Blood inventory update is working correctly.');
+      console.log('🎉 All tests passed! Blood inventory totals follow the bags.');
       console.log('📊 Updated inventory summary:', updatedInventory);
     } else {
       console.error('❌ Update verification failed. Expected:', testUnits, 'Got:', updatedItem?.currentUnits);